@@ -0,0 +1,18 @@
+// Service worker for browser push notifications (see NotificationPrefsPanel in src/App.jsx)
+
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(data.title || 'Swasth Bharat', {
+        body: data.body,
+        tag: data.id,
+    }));
+});
+
+// Focus an open tab of the app, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        const client = clients.find(item => item.url.startsWith(self.registration.scope));
+        return client ? client.focus() : self.clients.openWindow('/');
+    }));
+});
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Camera, MessageCircle, User, Scale, Target, Heart, ChevronRight, Menu, Plus, X, Calendar, TrendingUp, Book, Users, LogOut, Settings, Home, Award, Bell, Clock, Leaf } from 'lucide-react';
+import { Camera, MessageCircle, User, Scale, Target, Heart, ChevronRight, Menu, Plus, X, Calendar, TrendingUp, Book, Users, LogOut, Settings, Home, Award, Bell, Clock, Leaf, Pencil, Trash2, Check, History, Square, RefreshCw, ClipboardList, AlertTriangle, Apple, Activity, Droplet, Moon } from 'lucide-react';
 
 // --- Global Configuration ---
 const API_URL = 'https://swasth-diet.onrender.com'; 
@@ -8,57 +8,300 @@ const indianRegions = [
     'North India', 'South India', 'East India', 'West India', 'Northeast India', 'Central India'
 ];
 
+const MEAL_TYPES = [
+    { key: 'breakfast', label: 'Breakfast' },
+    { key: 'lunch', label: 'Lunch' },
+    { key: 'snacks', label: 'Snacks' },
+    { key: 'dinner', label: 'Dinner' },
+];
+
+const DEFAULT_CALORIE_TARGET = 2200;
+
 // --- Utility Functions for Data Formatting ---
 const arrayToString = (value) => {
     if (Array.isArray(value)) return value.join(', ');
     return value || '';
 };
 
+// Local calendar day as 'YYYY-MM-DD' (the key the server stores logs under)
+const toDateKey = (date = new Date()) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// --- API Helpers ---
+// Dispatched on window when the refresh token is rejected, so the app returns to the login screen
+const SESSION_EXPIRED_EVENT = 'swasth:session-expired';
+
+const getAuthToken = () => localStorage.getItem('authToken') || localStorage.getItem('token');
+const getRefreshToken = () => localStorage.getItem('refreshToken');
+
+const storeTokens = ({ token, refreshToken }) => {
+    localStorage.setItem('authToken', token);
+    localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+    ['authToken', 'token', 'refreshToken'].forEach(key => localStorage.removeItem(key));
+};
+
+// Swaps the refresh token for a new access token. Concurrent 401s share one request,
+// since every refresh rotates the token. Resolves to true when a new token was stored.
+let refreshRequest = null;
+const refreshAccessToken = () => {
+    if (!refreshRequest) {
+        refreshRequest = (async () => {
+            const refreshToken = getRefreshToken();
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch(`${API_URL}/api/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                if (response.ok) {
+                    storeTokens(await response.json());
+                    return true;
+                }
+                // Another tab may have rotated the token in the meantime
+                if (getRefreshToken() !== refreshToken) return true;
+                if (response.status === 401) {
+                    clearTokens();
+                    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+                }
+                return false;
+            } catch (err) {
+                console.error('Token refresh error:', err);
+                return false;
+            }
+        })().finally(() => {
+            refreshRequest = null;
+        });
+    }
+    return refreshRequest;
+};
+
+// fetch() wrapper for authenticated JSON calls to the backend. An expired access token
+// is refreshed once and the request retried.
+const authFetch = async (path, options = {}) => {
+    const send = () => fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-auth-token': getAuthToken(),
+            ...options.headers,
+        },
+    });
+
+    const response = await send();
+    if (response.status !== 401 || !getRefreshToken()) return response;
+    return (await refreshAccessToken()) ? send() : response;
+};
+
+// Error for a failed API call. Rate limit replies (429) explain when to try again,
+// so their message is kept for the user.
+const apiError = async (response) => {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    if (response.status === 429) {
+        const data = await response.json().catch(() => ({}));
+        error.userMessage = data.msg || 'Too many requests right now. Please wait a moment and try again.';
+    }
+    return error;
+};
+
+// Live connection (WebSocket on the API server) for messages, typing, read receipts and
+// notifications. It reconnects with backoff after a drop and then asks for the messages it
+// missed; frames can only be sent once the server has answered 'ready'.
+const REALTIME_URL = `${API_URL.replace(/^http/, 'ws')}/ws`;
+const RECONNECT_MAX_MS = 30 * 1000;
+// Close codes the server uses for a rejected and an expired access token
+const REALTIME_AUTH_CODES = [4001, 4002];
+
+const connectRealtime = ({ onFrame, onStatus }) => {
+    let socket = null;
+    let isReady = false;
+    let isClosed = false;
+    let attempts = 0;
+    let retryTimer = null;
+    // Newest message id seen, to back-fill from after a reconnect
+    let lastMessageId = null;
+
+    const send = (frame) => {
+        if (!isReady || socket.readyState !== WebSocket.OPEN) return false;
+        socket.send(JSON.stringify(frame));
+        return true;
+    };
+
+    const track = (messages) => messages.forEach(message => {
+        if (!lastMessageId || message._id > lastMessageId) lastMessageId = message._id;
+    });
+
+    const connect = () => {
+        onStatus('connecting');
+        socket = new WebSocket(REALTIME_URL);
+
+        socket.onopen = () => socket.send(JSON.stringify({ type: 'auth', token: getAuthToken() }));
+
+        socket.onmessage = (event) => {
+            const frame = JSON.parse(event.data);
+            if (frame.type === 'ready') {
+                isReady = true;
+                attempts = 0;
+                onStatus('connected');
+                if (lastMessageId) send({ type: 'sync', after: lastMessageId });
+            } else if (frame.type === 'message') {
+                track([frame.message]);
+            } else if (frame.type === 'messages') {
+                track(frame.messages);
+                if (frame.more) send({ type: 'sync', after: lastMessageId });
+            }
+            onFrame(frame);
+        };
+
+        socket.onclose = async (event) => {
+            isReady = false;
+            if (isClosed) return;
+            onStatus('offline');
+            // A refresh that fails for good signs the app out (SESSION_EXPIRED_EVENT), which closes this
+            if (REALTIME_AUTH_CODES.includes(event.code)) await refreshAccessToken();
+            if (isClosed) return;
+
+            retryTimer = setTimeout(connect, Math.min(1000 * 2 ** attempts, RECONNECT_MAX_MS));
+            attempts += 1;
+        };
+    };
+
+    connect();
+
+    return {
+        send,
+        // Messages loaded over REST count too, so a reconnect back-fills from the newest one seen
+        track,
+        close: () => {
+            isClosed = true;
+            clearTimeout(retryTimer);
+            socket.close();
+        },
+    };
+};
+
 // --- GEMINI API SERVICE LOGIC ---
-const callGeminiApi = async (userQuery, userData) => {
-    const token = localStorage.getItem('authToken') || localStorage.getItem('token');
-    
+const callGeminiApi = async (userQuery, conversationId) => {
     try {
-        const response = await fetch(`${API_URL}/api/gemini/chat`, {
+        const response = await authFetch('/api/gemini/chat', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-auth-token': token,
-            },
-            body: JSON.stringify({ userQuery, userData })
+            body: JSON.stringify({ userQuery, conversationId })
         });
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw await apiError(response);
         }
 
         const result = await response.json();
-        return result; // { text, sources }
+        return result; // { text, sources, conversationId, title }
 
     } catch (error) {
         console.error('Gemini API call failed:', error);
         return { 
-            text: "Sorry, I encountered an error connecting to the AI assistant. Please try again.", 
+            text: error.userMessage || "Sorry, I encountered an error connecting to the AI assistant. Please try again.", 
             sources: [] 
         };
     }
 };
 
+// Streaming variant over Server-Sent Events: calls onStart({ conversationId, title }) once,
+// onText(delta, conversationId?) per chunk (a new conversation's id comes with its first one),
+// and resolves with { sources, conversationId, title } when done.
+// Rejects on errors and when `signal` aborts (the Stop button).
+const streamGeminiApi = async (userQuery, conversationId, { signal, onStart, onText }) => {
+    // Browsers without streaming fetch bodies fall back to the one-shot endpoint
+    if (typeof ReadableStream === 'undefined') {
+        const result = await callGeminiApi(userQuery, conversationId);
+        onText(result.text);
+        return result;
+    }
+
+    const response = await authFetch('/api/gemini/chat/stream', {
+        method: 'POST',
+        body: JSON.stringify({ userQuery, conversationId }),
+        signal,
+    });
+
+    if (!response.ok || !response.body) {
+        throw await apiError(response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleEvent = (raw) => {
+        const lines = raw.split('\n');
+        const event = lines.find(line => line.startsWith('event:'))?.slice(6).trim();
+        const data = lines.filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+        if (!event || !data) return;
+
+        const payload = JSON.parse(data);
+        if (event === 'start') onStart?.(payload);
+        if (event === 'delta') onText(payload.text, payload.conversationId);
+        if (event === 'done') result = payload;
+        if (event === 'error') throw new Error(payload.msg);
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        events.forEach(handleEvent);
+    }
+    handleEvent(buffer);
+
+    if (!result) {
+        throw new Error('The reply ended unexpectedly.');
+    }
+    return result;
+};
+
+
 
+// Validation failures come back as { msg, errors: [{ field, msg }] }; maps them to { field: msg }
+const fieldErrorsFrom = (data) => (data?.errors || []).reduce((errors, { field, msg }) => (
+    field && !errors[field] ? { ...errors, [field]: msg } : errors
+), {});
+
+const FieldError = ({ message }) => (
+    message ? <p className="text-xs text-red-600 mt-1" role="alert">{message}</p> : null
+);
 
 // --- AUTH SCREEN (Stable) ---
 
-const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError }) => {
+// Pages rendered by AuthScreen instead of the main layout
+const AUTH_PAGES = ['auth', 'register', 'forgotPassword', 'resetPassword'];
+
+const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError, resetToken, notice }) => {
     
     const [authForm, setAuthForm] = useState({
         name: '',
         email: '',
         password: '',
+        confirmPassword: '',
     });
     const [isAuthLoading, setIsAuthLoading] = useState(false);
     const [authError, setAuthError] = useState('');
+    // Per-input messages from the server's validation errors
+    const [fieldErrors, setFieldErrors] = useState({});
+    // Success messages (reset link sent, password changed, email verified)
+    const [authMessage, setAuthMessage] = useState('');
     
     const isRegister = currentPage === 'register';
+    const isForgotPassword = currentPage === 'forgotPassword';
+    const isResetPassword = currentPage === 'resetPassword';
 
     const nameInputRef = useRef(null);
     const emailInputRef = useRef(null);
@@ -74,14 +317,35 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
         return () => clearTimeout(timer);
     }, [currentPage, isRegister]);
 
+    // Result of an email verification link opened while signed out
+    useEffect(() => {
+        if (!notice) return;
+        if (notice.isError) {
+            setAuthError(notice.text);
+        } else {
+            setAuthMessage(notice.text);
+        }
+    }, [notice]);
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setAuthForm(prev => ({ ...prev, [name]: value }));
+        setFieldErrors(prev => ({ ...prev, [name]: '' }));
+    };
+
+    // Shows field errors next to their inputs; anything else goes in the banner
+    const showRequestError = (data, fallback) => {
+        const errors = fieldErrorsFrom(data);
+        setFieldErrors(errors);
+        if (!Object.keys(errors).some(field => field in authForm)) {
+            setAuthError(data.msg || data.errors?.[0]?.msg || fallback);
+        }
     };
 
     const handleAuth = async (endpoint) => {
         setIsAuthLoading(true);
         setAuthError(''); 
+        setFieldErrors({});
 
         // 1. Determine the payload based on the endpoint
         let payload;
@@ -101,23 +365,18 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
             if (!payload.name || !payload.email || !payload.password) {
                 setAuthError('Name, Email, and Password are all required for registration.');
                 setIsAuthLoading(false);
-                console.error('REGISTRATION FAILED: Missing required fields.', payload);
+                console.error('REGISTRATION FAILED: Missing required fields.');
                 return;
             }
         } else if (endpoint === 'login') {
             if (!payload.email || !payload.password) {
                 setAuthError('Email and Password are required for login.');
                 setIsAuthLoading(false);
-                console.error('LOGIN FAILED: Missing required fields.', payload);
+                console.error('LOGIN FAILED: Missing required fields.');
                 return;
             }
         }
         
-        // 3. Logging the payload before sending
-        console.log(`--- Auth Request Payload for ${endpoint.toUpperCase()} ---`);
-        console.log(JSON.stringify(payload));
-        console.log('----------------------------------------------------');
-
         try {
             // *** CRITICAL CHANGE: Reverting to the most common correct path: /api/auth ***
             const response = await fetch(`${API_URL}/api/auth/${endpoint}`, {
@@ -140,17 +399,13 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
 
             if (!response.ok) {
                 // Handle specific backend validation/error messages
-                const errorMsg = data.msg || data.errors?.[0]?.msg || `Authentication failed: ${endpoint}`;
-                setAuthError(errorMsg);
+                showRequestError(data, `Authentication failed: ${endpoint}`);
                 setIsAuthLoading(false);
                 console.error(`SERVER ERROR (${response.status}) for ${endpoint}:`, data);
                 return;
             }
 
             // Success Logic: This is the desired outcome
-            console.log(`Authentication successful for ${endpoint}:`, data);
-            console.log('TOKEN RECEIVED:', data.token); // ADD THIS LINE
-            console.log('FULL DATA OBJECT:', JSON.stringify(data)); // ADD THIS LINE
             onAuthSuccess(data);  
 
         } catch (error) {
@@ -164,10 +419,55 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
     };
 
     
+    // Forgot / reset password requests: posts to /api/auth/<endpoint> and shows the server's message
+    const handleAccountRequest = async (endpoint, payload, nextPage) => {
+        setIsAuthLoading(true);
+        setAuthError('');
+        setAuthMessage('');
+        setFieldErrors({});
+
+        try {
+            const response = await fetch(`${API_URL}/api/auth/${endpoint}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showRequestError(data, 'Request failed. Please try again.');
+                return;
+            }
+
+            setAuthMessage(data.msg);
+            setAuthForm(prev => ({ ...prev, password: '', confirmPassword: '' }));
+            if (nextPage) setCurrentPage(nextPage);
+        } catch (error) {
+            console.error(`Network error during ${endpoint}:`, error);
+            setAuthError('Network error or server unavailable. Please try again.');
+        } finally {
+            setIsAuthLoading(false);
+        }
+    };
+
+    const handleResetPassword = () => {
+        if (authForm.password !== authForm.confirmPassword) {
+            setFieldErrors({ confirmPassword: 'Passwords do not match.' });
+            return;
+        }
+        handleAccountRequest('reset-password', { token: resetToken, password: authForm.password }, 'auth');
+    };
+
     const handlePageSwitch = (page) => {
         setCurrentPage(page);
         setAuthError('');
+        setAuthMessage('');
+        setFieldErrors({});
     };
+
+    const inputClassName = "w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-green-200 transition duration-150";
+    const buttonClassName = "w-full mt-6 bg-green-600 text-white py-3 rounded-xl font-semibold text-lg hover:bg-green-700 transition duration-300 shadow-lg shadow-green-300/50 disabled:bg-gray-400 flex items-center justify-center";
+    const linkClassName = "text-green-600 font-semibold hover:text-green-800 transition";
     
     return (
         <div className="flex flex-col items-center justify-center min-h-screen bg-gray-50 p-4 font-sans">
@@ -184,39 +484,129 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
                         {authError}
                     </div>
                 )}
+                {authMessage && !authError && (
+                    <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg mb-4 text-sm font-medium" role="status">
+                        {authMessage}
+                    </div>
+                )}
+
+                {isForgotPassword && (
+                    <>
+                        <p className="text-gray-600 mb-4">Enter your account email and we'll send you a link to choose a new password.</p>
+                        <input
+                            ref={emailInputRef}
+                            type="email"
+                            name="email"
+                            placeholder="Email Address"
+                            value={authForm.email}
+                            onChange={handleInputChange}
+                            className={inputClassName}
+                            disabled={isAuthLoading}
+                        />
+                        <FieldError message={fieldErrors.email} />
+                        <button
+                            onClick={() => handleAccountRequest('forgot-password', { email: authForm.email })}
+                            disabled={isAuthLoading || !authForm.email}
+                            className={buttonClassName}
+                        >
+                            {isAuthLoading ? 'Sending...' : 'Send Reset Link'}
+                        </button>
+                        <p className="mt-6 text-center text-gray-600">
+                            Remembered it?{' '}
+                            <button onClick={() => handlePageSwitch('auth')} className={linkClassName} disabled={isAuthLoading}>
+                                Back to Login
+                            </button>
+                        </p>
+                    </>
+                )}
+
+                {isResetPassword && (
+                    <>
+                        <p className="text-gray-600 mb-4">Choose a new password. You'll be signed out on every device.</p>
+                        <div className="space-y-4">
+                            <div>
+                                <input
+                                    type="password"
+                                    name="password"
+                                    placeholder="New Password"
+                                    value={authForm.password}
+                                    onChange={handleInputChange}
+                                    className={inputClassName}
+                                    disabled={isAuthLoading}
+                                />
+                                <FieldError message={fieldErrors.password} />
+                            </div>
+                            <div>
+                                <input
+                                    type="password"
+                                    name="confirmPassword"
+                                    placeholder="Confirm New Password"
+                                    value={authForm.confirmPassword}
+                                    onChange={handleInputChange}
+                                    className={inputClassName}
+                                    disabled={isAuthLoading}
+                                />
+                                <FieldError message={fieldErrors.confirmPassword} />
+                            </div>
+                        </div>
+                        <button
+                            onClick={handleResetPassword}
+                            disabled={isAuthLoading || !resetToken || !authForm.password || !authForm.confirmPassword}
+                            className={buttonClassName}
+                        >
+                            {isAuthLoading ? 'Saving...' : 'Set New Password'}
+                        </button>
+                        <p className="mt-6 text-center text-gray-600">
+                            <button onClick={() => handlePageSwitch('auth')} className={linkClassName} disabled={isAuthLoading}>
+                                Back to Login
+                            </button>
+                        </p>
+                    </>
+                )}
 
+                {!isForgotPassword && !isResetPassword && (
+                <>
                 <div className="space-y-4">
                     {isRegister && (
+                        <div>
+                            <input
+                                ref={nameInputRef} 
+                                type="text"
+                                name="name"
+                                placeholder="Full Name"
+                                value={authForm.name}
+                                onChange={handleInputChange}
+                                className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-green-200 transition duration-150"
+                                disabled={isAuthLoading}
+                            />
+                            <FieldError message={fieldErrors.name} />
+                        </div>
+                    )}
+                    <div>
                         <input
-                            ref={nameInputRef} 
-                            type="text"
-                            name="name"
-                            placeholder="Full Name"
-                            value={authForm.name}
+                            ref={emailInputRef} 
+                            type="email"
+                            name="email"
+                            placeholder="Email Address"
+                            value={authForm.email}
                             onChange={handleInputChange}
                             className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-green-200 transition duration-150"
                             disabled={isAuthLoading}
                         />
-                    )}
-                    <input
-                        ref={emailInputRef} 
-                        type="email"
-                        name="email"
-                        placeholder="Email Address"
-                        value={authForm.email}
-                        onChange={handleInputChange}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-green-200 transition duration-150"
-                        disabled={isAuthLoading}
-                    />
-                    <input
-                        type="password"
-                        name="password"
-                        placeholder="Password"
-                        value={authForm.password}
-                        onChange={handleInputChange}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-green-200 transition duration-150"
-                        disabled={isAuthLoading}
-                    />
+                        <FieldError message={fieldErrors.email} />
+                    </div>
+                    <div>
+                        <input
+                            type="password"
+                            name="password"
+                            placeholder="Password"
+                            value={authForm.password}
+                            onChange={handleInputChange}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-green-200 transition duration-150"
+                            disabled={isAuthLoading}
+                        />
+                        <FieldError message={fieldErrors.password} />
+                    </div>
                 </div>
 
                 <button
@@ -234,6 +624,14 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
                     )}
                 </button>
 
+                {!isRegister && (
+                    <p className="mt-4 text-center text-sm">
+                        <button onClick={() => handlePageSwitch('forgotPassword')} className={linkClassName} disabled={isAuthLoading}>
+                            Forgot password?
+                        </button>
+                    </p>
+                )}
+
                 <p className="mt-6 text-center text-gray-600">
                     {currentPage === 'auth' ? (
                         <>
@@ -259,21 +657,96 @@ const AuthScreen = ({ currentPage, setCurrentPage, onAuthSuccess, onAuthError })
                         </>
                     )}
                 </p>
+                </>
+                )}
             </div>
         </div>
     );
 };
 
 // --- PROFILE SCREEN (Stable) ---
-const RecipeDetailModal = ({ recipe, onClose }) => {
-  if (!recipe) return null;
+const NUTRITION_ROWS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fibre', label: 'Fibre', unit: 'g' },
+  { key: 'iron', label: 'Iron', unit: 'mg' },
+  { key: 'calcium', label: 'Calcium', unit: 'mg' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+];
+
+const WARNING_STYLES = {
+  danger: { badge: 'bg-red-100 text-red-700', box: 'bg-red-50 border-red-200 text-red-700' },
+  warning: { badge: 'bg-amber-100 text-amber-700', box: 'bg-amber-50 border-amber-200 text-amber-800' },
+};
+
+// Allergy / health-condition warnings from the server. `compact` renders one badge per label for cards and lists.
+const SafetyWarnings = ({ warnings, compact = false }) => {
+  if (!warnings || warnings.length === 0) return null;
+
+  if (compact) {
+    const badges = warnings.reduce((byLabel, warning) => {
+      const existing = byLabel.find(badge => badge.label === warning.label);
+      if (!existing) return [...byLabel, { ...warning }];
+      if (warning.severity === 'danger') existing.severity = 'danger';
+      existing.message = `${existing.message}\n${warning.message}`;
+      return byLabel;
+    }, []);
+
+    return (
+      <div className="flex flex-wrap gap-1 mt-1">
+        {badges.map(badge => (
+          <span key={badge.label} title={badge.message} className={`inline-flex items-center text-xs font-medium px-2 py-0.5 rounded-full ${WARNING_STYLES[badge.severity].badge}`}>
+            <AlertTriangle size={12} className="mr-1" /> {badge.label}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {warnings.map((warning, idx) => (
+        <li key={idx} className={`flex items-start text-sm px-3 py-2 rounded-lg border ${WARNING_STYLES[warning.severity].box}`}>
+          <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+          <span><span className="font-semibold">{warning.label}:</span> {warning.message}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const RecipeDetailModal = ({ recipeId, onClose }) => {
+  const [recipe, setRecipe] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadRecipe = async () => {
+      try {
+        const response = await authFetch(`/api/recipes/${recipeId}`);
+        const data = await response.json();
+        if (!response.ok) {
+          setError(data.msg || 'Failed to load recipe.');
+          return;
+        }
+        setRecipe(data);
+      } catch (err) {
+        console.error('Recipe fetch error:', err);
+        setError('Network error while loading recipe.');
+      }
+    };
+    loadRecipe();
+  }, [recipeId]);
+
+  const perServing = recipe?.nutrition?.perServing;
 
   return (
     <div className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-center justify-center p-4">
       <div className="bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto shadow-2xl">
         {/* Header */}
         <div className="sticky top-0 bg-white border-b p-4 flex items-center justify-between">
-          <h2 className="text-2xl font-bold text-gray-800">{recipe.name}</h2>
+          <h2 className="text-2xl font-bold text-gray-800">{recipe?.name || 'Recipe'}</h2>
           <button 
             onClick={onClose}
             className="p-2 hover:bg-gray-100 rounded-full transition"
@@ -282,21 +755,84 @@ const RecipeDetailModal = ({ recipe, onClose }) => {
           </button>
         </div>
 
-        {/* Content - Add all the recipe details here */}
         <div className="p-6 space-y-6">
-          {/* Image placeholder */}
-          <div className="w-full h-48 bg-gradient-to-br from-green-100 to-orange-100 rounded-xl flex items-center justify-center">
-            <Leaf size={64} className="text-green-500 opacity-50" />
-          </div>
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+              {error}
+            </div>
+          )}
+          {!recipe && !error && <p className="text-center text-gray-500 py-12">Loading recipe...</p>}
+
+          {recipe && (
+            <>
+              {/* Image placeholder */}
+              <div className="w-full h-48 bg-gradient-to-br from-green-100 to-orange-100 rounded-xl flex items-center justify-center">
+                <Leaf size={64} className="text-green-500 opacity-50" />
+              </div>
+
+              <div>
+                <p className="text-gray-600">{recipe.description}</p>
+                <div className="mt-3 flex flex-wrap gap-2 text-xs font-medium">
+                  <span className="bg-green-100 text-green-700 px-3 py-1 rounded-full">{recipe.region}</span>
+                  <span className="bg-orange-100 text-orange-700 px-3 py-1 rounded-full capitalize">{recipe.dietType}</span>
+                  <span className="bg-blue-100 text-blue-700 px-3 py-1 rounded-full flex items-center"><Clock size={12} className="mr-1"/> {recipe.prepTime} min</span>
+                  <span className="bg-gray-100 text-gray-700 px-3 py-1 rounded-full">Serves {recipe.servings}</span>
+                </div>
+              </div>
+
+              {recipe.warnings?.length > 0 && (
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800 mb-2">Health Alerts</h3>
+                  <SafetyWarnings warnings={recipe.warnings} />
+                </div>
+              )}
+
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Ingredients</h3>
+                <ul className="space-y-1">
+                  {recipe.ingredients.map((ingredient, idx) => (
+                    <li key={idx} className="flex justify-between text-gray-700 border-b border-gray-50 py-1">
+                      <span>{ingredient.name}</span>
+                      <span className="text-gray-500 text-sm">{ingredient.quantity} {ingredient.unit}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
 
-          {/* Ingredients, Instructions, Nutrition - see document for full code */}
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Instructions</h3>
+                <ol className="list-decimal list-inside space-y-2 text-gray-700">
+                  {recipe.steps.map((step, idx) => <li key={idx}>{step}</li>)}
+                </ol>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-2">Nutrition per Serving</h3>
+                {perServing ? (
+                  <>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                      {NUTRITION_ROWS.map(row => (
+                        <div key={row.key} className="bg-gray-50 rounded-lg p-3 text-center">
+                          <p className="text-xs text-gray-500">{row.label}</p>
+                          <p className="text-lg font-bold text-gray-800">{perServing[row.key] ?? 0} <span className="text-xs font-normal">{row.unit}</span></p>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-2">Computed from IFCT 2017 food composition values; spices and salt are not counted.</p>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-500">Nutrition data is currently unavailable.</p>
+                )}
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
+const ProfileScreen = ({ userData, emailVerified, onUpdateSuccess, onUpdateError }) => {
     
     const [localProfileData, setLocalProfileData] = useState(() => ({
         name: userData.name || '',
@@ -315,10 +851,25 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
     }));
     
     const [isLoading, setIsLoading] = useState(false);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [verificationStatus, setVerificationStatus] = useState('');
     
+    const handleResendVerification = async () => {
+        setVerificationStatus('Sending...');
+        try {
+            const response = await authFetch('/api/auth/resend-verification', { method: 'POST' });
+            const data = await response.json();
+            setVerificationStatus(data.msg || (response.ok ? 'Verification email sent.' : 'Could not send the email.'));
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            setVerificationStatus('Network error while sending the email.');
+        }
+    };
+
     const handleProfileFormChange = (e) => {
         const { name, value } = e.target;
         setLocalProfileData(prev => ({ ...prev, [name]: value }));
+        setFieldErrors(prev => ({ ...prev, [name]: '' }));
     };
 
     const handleProfileUpdate = async (e) => {
@@ -339,24 +890,22 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
         };
 
         try {
-            const response = await fetch(`${API_URL}/user/profile`, {
+            const response = await authFetch('/api/user/profile', {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-auth-token': token,
-                },
                 body: JSON.stringify(formattedData),
             });
 
             const data = await response.json();
 
             if (!response.ok) {
+                setFieldErrors(fieldErrorsFrom(data));
                 onUpdateError(data.msg || 'Failed to update profile.');
                 setIsLoading(false);
                 return;
             }
 
-            onUpdateSuccess(formattedData); 
+            // The server responds with the saved user, including recomputed targets
+            onUpdateSuccess(data); 
             console.log('Profile updated successfully!'); 
 
         } catch (error) {
@@ -374,6 +923,22 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
             Tell us about yourself so we can provide truly personalized nutrition advice.
         </p>
 
+        {emailVerified === false && (
+            <div className="bg-amber-50 border border-amber-300 text-amber-800 px-4 py-3 rounded-lg mb-6 text-sm flex flex-wrap items-center gap-2" role="status">
+                <AlertTriangle size={16} className="flex-shrink-0" />
+                <span>Your email address is not verified yet. Open the link we emailed you to confirm it.</span>
+                <button
+                    type="button"
+                    onClick={handleResendVerification}
+                    disabled={verificationStatus === 'Sending...'}
+                    className="font-semibold underline hover:text-amber-900 disabled:opacity-50"
+                >
+                    Resend verification email
+                </button>
+                {verificationStatus && <span className="w-full text-xs">{verificationStatus}</span>}
+            </div>
+        )}
+
         <form onSubmit={handleProfileUpdate} className="space-y-6 bg-white p-6 rounded-2xl shadow-xl">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             
@@ -389,9 +954,18 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     required
                     disabled={isLoading}
                 />
+                <FieldError message={fieldErrors.name} />
             </div>
             <div className="col-span-1">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <label className="text-sm font-medium text-gray-700 mb-1 flex items-center">
+                    Email
+                    {emailVerified === true && (
+                        <span className="ml-2 text-xs font-medium bg-green-100 text-green-700 px-2 py-0.5 rounded-full flex items-center"><Check size={12} className="mr-1"/> Verified</span>
+                    )}
+                    {emailVerified === false && (
+                        <span className="ml-2 text-xs font-medium bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full">Not verified</span>
+                    )}
+                </label>
                 <input
                     type="email"
                     name="email"
@@ -411,9 +985,11 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     onChange={handleProfileFormChange}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
                     placeholder="25"
-                    min="1"
+                    min="10"
+                    max="120"
                     disabled={isLoading}
                 />
+                <FieldError message={fieldErrors.age} />
             </div>
             <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Gender</label>
@@ -429,6 +1005,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     <option value="female">Female</option>
                     <option value="other">Other</option>
                 </select>
+                <FieldError message={fieldErrors.gender} />
             </div>
             <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Height (cm)</label>
@@ -440,8 +1017,10 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
                     placeholder="170"
                     min="50"
+                    max="250"
                     disabled={isLoading}
                 />
+                <FieldError message={fieldErrors.height} />
             </div>
             <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Weight (kg)</label>
@@ -452,9 +1031,11 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     onChange={handleProfileFormChange}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
                     placeholder="75"
-                    min="10"
+                    min="20"
+                    max="300"
                     disabled={isLoading}
                 />
+                <FieldError message={fieldErrors.weight} />
             </div>
           </div>
           
@@ -478,6 +1059,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     <option value="moderate">Moderately Active (3-5 days/week)</option>
                     <option value="very">Very Active (6-7 days/week)</option>
                 </select>
+                <FieldError message={fieldErrors.activityLevel} />
             </div>
             <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Main Goal</label>
@@ -494,6 +1076,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     <option value="maintain">Maintain Current Weight</option>
                     <option value="healthy_eating">General Healthy Eating</option>
                 </select>
+                <FieldError message={fieldErrors.goal} />
             </div>
             <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Target Weight (kg)</label>
@@ -504,9 +1087,11 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     onChange={handleProfileFormChange}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
                     placeholder="65"
-                    min="10"
+                    min="20"
+                    max="300"
                     disabled={isLoading}
                 />
+                <FieldError message={fieldErrors.targetWeight} />
             </div>
             <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Region of India</label>
@@ -520,6 +1105,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     <option value="">Select Region</option>
                     {indianRegions.map(r => <option key={r} value={r}>{r}</option>)}
                 </select>
+                <FieldError message={fieldErrors.region} />
             </div>
           </div>
 
@@ -539,6 +1125,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                     <option value="non-vegetarian">Non-Vegetarian</option>
                     <option value="pescatarian">Pescatarian</option>
                 </select>
+                <FieldError message={fieldErrors.dietPreference} />
             </div>
           </div>
             
@@ -556,6 +1143,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                 placeholder="List, separated by commas (e.g., Type 2 Diabetes, High Blood Pressure)"
                 disabled={isLoading}
             />
+            <FieldError message={fieldErrors.healthIssues} />
             <p className="text-xs text-gray-500 mt-1">Separate each item with a comma.</p>
           </div>
           <div>
@@ -569,6 +1157,7 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
                 placeholder="List, separated by commas (e.g., Peanuts, Wheat, Shellfish)"
                 disabled={isLoading}
             />
+            <FieldError message={fieldErrors.allergies} />
             <p className="text-xs text-gray-500 mt-1">Separate each item with a comma.</p>
           </div>
 
@@ -593,123 +1182,3800 @@ const ProfileScreen = ({ userData, onUpdateSuccess, onUpdateError }) => {
 
 // --- NEW FEATURE SECTIONS (Omitted for brevity, assumed stable) ---
 
-const ProgressSection = ({ weightHistory }) => (
-    <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen">
-      <h1 className="text-3xl font-bold text-green-700 mb-6">Track My Progress</h1>
-      <p className="text-gray-600 mb-8">
-        Visualize your health journey, including weight changes, BMI trends, and goal achievements.
-      </p>
+const emptyMealForm = (mealType) => ({
+    mealType,
+    name: '',
+    quantity: 1,
+    unit: 'serving',
+    calories: '',
+    protein: '',
+    carbs: '',
+    fat: '',
+});
 
-      <div className="bg-white p-6 rounded-2xl shadow-xl mb-6">
-        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center"><TrendingUp size={20} className="mr-2 text-purple-500"/> Weight Trend</h2>
-        <div className="h-64 flex items-center justify-center bg-gray-100 rounded-lg border-dashed border-2 border-gray-300">
-          <p className="text-gray-500">Weight History Chart Placeholder</p>
-        </div>
-      </div>
+const MACRO_FIELDS = [
+    { name: 'calories', label: 'Calories (kcal)' },
+    { name: 'protein', label: 'Protein (g)' },
+    { name: 'carbs', label: 'Carbs (g)' },
+    { name: 'fat', label: 'Fat (g)' },
+];
 
-      <div className="grid grid-cols-2 gap-4">
-        <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-blue-400">
-            <p className="text-sm text-gray-500">Current Weight</p>
-            <p className="text-2xl font-bold text-gray-800 mt-1">75 kg</p>
-        </div>
-        <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-orange-400">
-            <p className="text-sm text-gray-500">BMI</p>
-            <p className="text-2xl font-bold text-gray-800 mt-1">25.9</p>
-        </div>
-        <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-green-400">
-            <p className="text-sm text-gray-500">Goal Progress</p>
-            <p className="text-2xl font-bold text-gray-800 mt-1">4.5 kg Lost</p>
-        </div>
-        <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-red-400">
-            <p className="text-sm text-gray-500">Active Days</p>
-            <p className="text-2xl font-bold text-gray-800 mt-1">12</p>
-        </div>
-      </div>
-    </div>
-);
+// Mirrors the server's portion maths so the modal can preview nutrients for a database food
+const portionNutrients = (food, quantity, unit) => {
+    const measure = food.measures.find(m => m.measure === unit);
+    const grams = unit === 'g' ? quantity : (measure ? measure.grams * quantity : 0);
+    return Object.keys(food.per100g).reduce((nutrients, key) => ({
+        ...nutrients,
+        [key]: Math.round((food.per100g[key] * grams) / 10) / 10,
+    }), { grams });
+};
 
-const RecipesSection = ({ region, dietPreference }) => {
-  const [selectedRecipe, setSelectedRecipe] = useState(null);
+// Text input that searches the food composition database as the user types
+const FoodSearchInput = ({ value, onChange, onSelect, disabled, placeholder }) => {
+    const [results, setResults] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
 
-  const recipes = [
-    { name: 'Palak Paneer', region: 'North', color: 'green', calories: 280 },
-    { name: 'Masala Dosa', region: 'South', color: 'red', calories: 320 },
-    { name: 'Shorshe Ilish', region: 'East', color: 'yellow', calories: 350 },
-    { name: 'Dhokla', region: 'West', color: 'blue', calories: 180 }
-  ];
+    useEffect(() => {
+        const query = value.trim();
+        if (query.length < 2 || !isOpen) {
+            setResults([]);
+            return undefined;
+        }
 
-  return (
-    <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen">
-      <h1 className="text-3xl font-bold text-green-700 mb-6">Regional Recipes</h1>
-      <p className="text-gray-600 mb-8">
-        Discover personalized, nutritious recipes tailored to your <strong>{region || 'North Indian'}</strong> region and <strong>{dietPreference || 'Vegetarian'}</strong> preference.
-      </p>
+        const timer = setTimeout(async () => {
+            try {
+                const response = await authFetch(`/api/foods?q=${encodeURIComponent(query)}&limit=8`);
+                if (!response.ok) {
+                    setResults([]);
+                    return;
+                }
+                const data = await response.json();
+                setResults(data.foods);
+            } catch (err) {
+                console.error('Food search error:', err);
+                setResults([]);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [value, isOpen]);
 
-      <div className="space-y-6">
-        <div className="flex space-x-2">
-            <input 
-                type="text" 
-                placeholder="Search recipes (e.g., Dal, Sambar)" 
-                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+    return (
+        <div className="relative">
+            <input
+                type="text"
+                value={value}
+                onChange={(e) => {
+                    onChange(e.target.value);
+                    setIsOpen(true);
+                }}
+                onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                placeholder={placeholder}
+                disabled={disabled}
             />
-            <button className="bg-green-600 text-white p-2 rounded-lg hover:bg-green-700 transition">
-                <Book size={20} />
-            </button>
+            {isOpen && results.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+                    {results.map(food => (
+                        <li key={food.code}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => {
+                                    onSelect(food);
+                                    setIsOpen(false);
+                                }}
+                                className="w-full text-left px-4 py-2 hover:bg-green-50"
+                            >
+                                <p className="text-gray-800">{food.name}</p>
+                                <p className="text-xs text-gray-500">
+                                    {food.per100g.calories} kcal / 100 g{food.localNames.length > 0 && ` · ${food.localNames.slice(0, 3).join(', ')}`}
+                                </p>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
         </div>
+    );
+};
 
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          {recipes.map((recipe, index) => (
-            <div 
-              key={index}
-              onClick={() => setSelectedRecipe(recipe)}
-              className="bg-white p-4 rounded-xl shadow-lg hover:shadow-2xl transition duration-300 border-l-8 border-gray-100 cursor-pointer"
-            >
-              <h3 className="text-xl font-semibold text-gray-800 flex items-center">
-                <Leaf size={20} className={`mr-2 text-${recipe.color}-500`}/> {recipe.name}
-              </h3>
-              <p className="text-sm text-gray-500 mt-1">Authentic {recipe.region} Indian Dish</p>
-              <div className="mt-3 flex justify-between items-center">
-                <p className="text-xs text-green-600 font-medium">~{recipe.calories} Kcal</p>
-                <button className="text-sm text-blue-500 hover:text-blue-700 transition">
-                  View Recipe &gt;
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
+// Editable item for the meal review lists (scanned dishes, parsed descriptions). Items matched to a
+// database food keep it so units and the nutrient preview work; the rest carry manual values.
+const mealItemForm = (item, key, caption) => {
+    const measure = item.food?.measures.find(m => m.measure === item.unit || `${m.measure}s` === item.unit);
+    return {
+        key,
+        name: item.name,
+        food: item.food,
+        quantity: item.quantity,
+        unit: measure ? measure.measure : item.unit,
+        calories: item.nutrients?.calories ?? '',
+        protein: item.nutrients?.protein ?? '',
+        carbs: item.nutrients?.carbs ?? '',
+        fat: item.nutrients?.fat ?? '',
+        caption,
+        warnings: item.warnings || [],
+    };
+};
 
-      {/* Recipe Detail Modal */}
-      {selectedRecipe && (
-        <RecipeDetailModal 
-          recipe={selectedRecipe} 
-          onClose={() => setSelectedRecipe(null)} 
-        />
-      )}
-    </div>
-  );
+const mealItemPayload = (item, base) => {
+    const payload = {
+        ...base,
+        name: item.name.trim(),
+        quantity: Number(item.quantity) || 1,
+        unit: item.unit || 'serving',
+    };
+    return item.food
+        ? { ...payload, foodCode: item.food.code }
+        : {
+            ...payload,
+            calories: Number(item.calories) || 0,
+            protein: Number(item.protein) || 0,
+            carbs: Number(item.carbs) || 0,
+            fat: Number(item.fat) || 0,
+        };
 };
 
-const ExpertConsultSection = () => (
-    <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen flex items-center justify-center">
-        <div className="w-full max-w-md bg-white p-8 rounded-2xl shadow-2xl text-center">
-            <Users size={64} className="text-yellow-500 mx-auto mb-4"/>
-            <h1 className="text-3xl font-bold text-gray-800 mb-3">Community & Experts</h1>
-            <p className="text-xl font-medium text-red-500 mb-4">Coming Soon!</p>
-            <p className="text-gray-600">
-                Live chat functionality for connecting with certified nutritionists and other users is under development. Check back soon for this exciting feature.
+// Logs reviewed items one by one with the shared fields in `base` ({ date, mealType, photo? }).
+// Resolves with the keys that were saved and, if one failed, the error to show.
+const logMealItems = async (items, base) => {
+    const saved = [];
+    for (const item of items) {
+        try {
+            const response = await authFetch('/api/meals', {
+                method: 'POST',
+                body: JSON.stringify(mealItemPayload(item, base)),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                return { saved, error: `${item.name}: ${data.msg || 'Failed to save.'}` };
+            }
+            saved.push(item.key);
+        } catch (err) {
+            console.error('Meal item save error:', err);
+            return { saved, error: 'Network error while saving the meal.' };
+        }
+    }
+    return { saved, error: '' };
+};
+
+// Review list for meal items before they are logged: swap or search the food, change the
+// portion, enter values for unmatched items, or drop an item
+const MealItemsReview = ({ items, onChange, onRemove, disabled }) => (
+    <ul className="space-y-3">
+        {items.map(item => {
+            const preview = item.food ? portionNutrients(item.food, Number(item.quantity) || 0, item.unit) : null;
+            return (
+                <li key={item.key} className="border border-gray-200 rounded-xl p-3 space-y-2">
+                    <div className="flex items-start gap-2">
+                        <div className="flex-1">
+                            {item.food ? (
+                                <div className="flex items-center justify-between px-3 py-1.5 border border-green-300 bg-green-50 rounded-lg">
+                                    <span className="font-medium text-gray-800">{item.food.name}</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => onChange(item.key, { food: null, ...(preview && { calories: preview.calories, protein: preview.protein, carbs: preview.carbs, fat: preview.fat }) })}
+                                        className="ml-2 text-xs text-green-700 font-medium hover:underline"
+                                        disabled={disabled}
+                                    >
+                                        Change
+                                    </button>
+                                </div>
+                            ) : (
+                                <FoodSearchInput
+                                    value={item.name}
+                                    onChange={(name) => onChange(item.key, { name })}
+                                    onSelect={(food) => onChange(item.key, { food, name: food.name, quantity: 1, unit: food.measures[0]?.measure || 'g', warnings: [] })}
+                                    placeholder="Search foods or enter a name"
+                                    disabled={disabled}
+                                />
+                            )}
+                        </div>
+                        <button type="button" onClick={() => onRemove(item.key)} className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 rounded-full" aria-label={`Remove ${item.name}`} disabled={disabled}>
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+                    {item.caption && <p className="text-xs text-gray-500">{item.caption}</p>}
+                    <div className="grid grid-cols-2 gap-2">
+                        <input
+                            type="number"
+                            value={item.quantity}
+                            onChange={(e) => onChange(item.key, { quantity: e.target.value })}
+                            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                            min="0"
+                            step="0.5"
+                            aria-label="Quantity"
+                            disabled={disabled}
+                        />
+                        {item.food ? (
+                            <select
+                                value={item.unit}
+                                onChange={(e) => onChange(item.key, { unit: e.target.value })}
+                                className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 bg-white"
+                                aria-label="Unit"
+                                disabled={disabled}
+                            >
+                                {item.food.measures.map(m => (
+                                    <option key={m.measure} value={m.measure}>{m.measure} ({m.grams} g)</option>
+                                ))}
+                                <option value="g">grams</option>
+                            </select>
+                        ) : (
+                            <input
+                                type="text"
+                                value={item.unit}
+                                onChange={(e) => onChange(item.key, { unit: e.target.value })}
+                                className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                                aria-label="Unit"
+                                disabled={disabled}
+                            />
+                        )}
+                    </div>
+                    {preview ? (
+                        <p className="text-sm text-gray-700">
+                            {preview.calories} kcal · P {preview.protein} g · C {preview.carbs} g · F {preview.fat} g <span className="text-xs text-gray-500">({preview.grams} g)</span>
+                        </p>
+                    ) : (
+                        <div className="grid grid-cols-4 gap-2">
+                            {MACRO_FIELDS.map(field => (
+                                <label key={field.name} className="text-xs text-gray-500">
+                                    {field.label}
+                                    <input
+                                        type="number"
+                                        value={item[field.name]}
+                                        onChange={(e) => onChange(item.key, { [field.name]: e.target.value })}
+                                        className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-800 focus:ring-2 focus:ring-green-500"
+                                        min="0"
+                                        step="any"
+                                        disabled={disabled}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                    <SafetyWarnings warnings={item.warnings} compact />
+                </li>
+            );
+        })}
+    </ul>
+);
+
+// Free-text meal entry ("2 rotis, dal aur ek katori chawal"): the server splits it into foods with
+// portions, the user reviews them, and each one is logged as its own entry
+const DescribeMealForm = ({ date, mealType: initialMealType, onSaved, onUseSearch }) => {
+    const [text, setText] = useState('');
+    // null until the description is parsed
+    const [items, setItems] = useState(null);
+    const [mealType, setMealType] = useState(initialMealType);
+    const [isParsing, setIsParsing] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleParse = async (e) => {
+        e.preventDefault();
+        setIsParsing(true);
+        setError('');
+        try {
+            const response = await authFetch('/api/meals/parse', {
+                method: 'POST',
+                body: JSON.stringify({ text }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to read the description.');
+                return;
+            }
+            if (data.items.length === 0) {
+                setError('No foods found in that description. Try something like "2 rotis and a katori of dal".');
+                return;
+            }
+
+            setItems(data.items.map((item, idx) => mealItemForm(item, idx, [`"${item.text}"`, ...item.notes].join(' · '))));
+        } catch (err) {
+            console.error('Meal parse error:', err);
+            setError('Network error while reading the description.');
+        } finally {
+            setIsParsing(false);
+        }
+    };
+
+    const updateItem = (key, changes) => {
+        setItems(prev => prev.map(item => (item.key === key ? { ...item, ...changes } : item)));
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError('');
+        const { saved, error: saveError } = await logMealItems(items, { date, mealType });
+        setIsSaving(false);
+
+        if (saveError) {
+            setItems(prev => prev.filter(item => !saved.includes(item.key)));
+            setError(saveError);
+            return;
+        }
+        onSaved();
+    };
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                    {error}
+                </div>
+            )}
+
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Meal</label>
+                <select
+                    value={mealType}
+                    onChange={(e) => setMealType(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 bg-white"
+                    disabled={isSaving}
+                >
+                    {MEAL_TYPES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                </select>
+            </div>
+
+            {items === null ? (
+                <form onSubmit={handleParse} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">What did you eat?</label>
+                        <textarea
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                            rows={3}
+                            maxLength={500}
+                            placeholder="e.g. 2 rotis, dal aur ek katori chawal"
+                            disabled={isParsing}
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                            English or Hindi, with amounts like katori, glass, roti or grams.{' '}
+                            <button type="button" onClick={onUseSearch} className="text-green-700 font-medium hover:underline">Search foods instead</button>
+                        </p>
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={isParsing || !text.trim()}
+                        className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition duration-300 shadow-lg shadow-green-300/50 disabled:bg-gray-400"
+                    >
+                        {isParsing ? 'Finding foods...' : 'Find Foods'}
+                    </button>
+                </form>
+            ) : (
+                <>
+                    <div className="flex justify-between items-center">
+                        <p className="text-sm text-gray-600">Check the foods and portions before adding them.</p>
+                        <button type="button" onClick={() => setItems(null)} className="text-xs text-green-700 font-medium hover:underline" disabled={isSaving}>
+                            Edit text
+                        </button>
+                    </div>
+                    <MealItemsReview
+                        items={items}
+                        onChange={updateItem}
+                        onRemove={(key) => setItems(prev => prev.filter(item => item.key !== key))}
+                        disabled={isSaving}
+                    />
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving || items.length === 0 || items.some(item => !item.name.trim())}
+                        className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition duration-300 shadow-lg shadow-green-300/50 disabled:bg-gray-400"
+                    >
+                        {isSaving ? 'Saving...' : `Add ${items.length} ${items.length === 1 ? 'Item' : 'Items'} to Log`}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+const AddMealModal = ({ date, mealType, entry, onClose, onSaved }) => {
+    const [mealForm, setMealForm] = useState(() => (
+        entry ? { ...emptyMealForm(entry.mealType), ...entry } : emptyMealForm(mealType)
+    ));
+    // New entries start with a free-text description; editing always uses the form
+    const [mode, setMode] = useState(entry ? 'search' : 'describe');
+    // Food from the nutrition database; when set, the server computes the nutrients
+    const [selectedFood, setSelectedFood] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Editing a database-backed entry: load its food so units and preview work
+    useEffect(() => {
+        if (!entry?.foodCode) return;
+        authFetch(`/api/foods/${entry.foodCode}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => data && setSelectedFood(data.food))
+            .catch(err => console.error('Food fetch error:', err));
+    }, [entry]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setMealForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleFoodSelect = (food) => {
+        setSelectedFood(food);
+        setMealForm(prev => ({
+            ...prev,
+            name: food.name,
+            quantity: 1,
+            unit: food.measures[0]?.measure || 'g',
+        }));
+    };
+
+    const preview = selectedFood ? portionNutrients(selectedFood, Number(mealForm.quantity) || 0, mealForm.unit) : null;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+
+        const payload = selectedFood
+            ? {
+                date,
+                mealType: mealForm.mealType,
+                name: mealForm.name.trim(),
+                foodCode: selectedFood.code,
+                quantity: Number(mealForm.quantity) || 1,
+                unit: mealForm.unit,
+            }
+            : {
+                date,
+                mealType: mealForm.mealType,
+                name: mealForm.name.trim(),
+                foodCode: '',
+                quantity: Number(mealForm.quantity) || 1,
+                unit: mealForm.unit || 'serving',
+                calories: Number(mealForm.calories) || 0,
+                protein: Number(mealForm.protein) || 0,
+                carbs: Number(mealForm.carbs) || 0,
+                fat: Number(mealForm.fat) || 0,
+            };
+
+        try {
+            const response = await authFetch(entry ? `/api/meals/${entry._id}` : '/api/meals', {
+                method: entry ? 'PUT' : 'POST',
+                body: JSON.stringify(payload),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to save meal.');
+                return;
+            }
+
+            onSaved(data);
+        } catch (err) {
+            console.error('Meal save error:', err);
+            setError('Network error while saving meal.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-center justify-center p-4">
+            <div className="bg-white rounded-2xl max-w-md w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+                <div className="sticky top-0 z-20 bg-white border-b p-4 flex items-center justify-between">
+                    <h2 className="text-2xl font-bold text-gray-800">{entry ? 'Edit Meal' : 'Add Meal'}</h2>
+                    <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full transition">
+                        <X size={24} className="text-gray-600" />
+                    </button>
+                </div>
+
+                {!entry && (
+                    <div className="px-6 pt-4 flex gap-2">
+                        {[{ key: 'describe', label: 'Describe' }, { key: 'search', label: 'Search / Manual' }].map(tab => (
+                            <button
+                                key={tab.key}
+                                type="button"
+                                onClick={() => setMode(tab.key)}
+                                className={`flex-1 py-2 rounded-lg text-sm font-medium transition ${mode === tab.key ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                            >
+                                {tab.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {mode === 'describe' ? (
+                    <div className="p-6">
+                        <DescribeMealForm date={date} mealType={mealForm.mealType} onSaved={onSaved} onUseSearch={() => setMode('search')} />
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                        {error && (
+                            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                                {error}
+                            </div>
+                        )}
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Meal</label>
+                            <select
+                                name="mealType"
+                                value={mealForm.mealType}
+                                onChange={handleChange}
+                                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 bg-white"
+                                disabled={isSaving}
+                            >
+                                {MEAL_TYPES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Food</label>
+                            {selectedFood ? (
+                                <div className="flex items-center justify-between px-4 py-2 border border-green-300 bg-green-50 rounded-lg">
+                                    <span className="text-gray-800">{selectedFood.name}</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => setSelectedFood(null)}
+                                        className="text-xs text-green-700 font-medium hover:underline"
+                                        disabled={isSaving}
+                                    >
+                                        Enter manually
+                                    </button>
+                                </div>
+                            ) : (
+                                <FoodSearchInput
+                                    value={mealForm.name}
+                                    onChange={(name) => setMealForm(prev => ({ ...prev, name }))}
+                                    onSelect={handleFoodSelect}
+                                    placeholder="Search foods, e.g., Dal Tadka"
+                                    disabled={isSaving}
+                                />
+                            )}
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                                <input
+                                    type="number"
+                                    name="quantity"
+                                    value={mealForm.quantity}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                                    min="0"
+                                    step="0.5"
+                                    disabled={isSaving}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
+                                {selectedFood ? (
+                                    <select
+                                        name="unit"
+                                        value={mealForm.unit}
+                                        onChange={handleChange}
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 bg-white"
+                                        disabled={isSaving}
+                                    >
+                                        {selectedFood.measures.map(m => (
+                                            <option key={m.measure} value={m.measure}>{m.measure} ({m.grams} g)</option>
+                                        ))}
+                                        <option value="g">grams</option>
+                                    </select>
+                                ) : (
+                                    <input
+                                        type="text"
+                                        name="unit"
+                                        value={mealForm.unit}
+                                        onChange={handleChange}
+                                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                                        placeholder="katori, roti, cup"
+                                        disabled={isSaving}
+                                    />
+                                )}
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            {MACRO_FIELDS.map(field => (
+                                <div key={field.name}>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                                    <input
+                                        type="number"
+                                        name={field.name}
+                                        value={preview ? preview[field.name] : mealForm[field.name]}
+                                        onChange={handleChange}
+                                        className={`w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 ${preview ? 'bg-gray-100' : ''}`}
+                                        min="0"
+                                        step="any"
+                                        readOnly={Boolean(preview)}
+                                        disabled={isSaving}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                        {preview && (
+                            <p className="text-xs text-gray-500">
+                                {preview.grams} g · Fibre {preview.fibre} g · Iron {preview.iron} mg · Calcium {preview.calcium} mg (IFCT values)
+                            </p>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={isSaving || !mealForm.name.trim()}
+                            className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition duration-300 shadow-lg shadow-green-300/50 disabled:bg-gray-400"
+                        >
+                            {isSaving ? 'Saving...' : (entry ? 'Save Changes' : 'Add to Log')}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const MAX_PHOTO_MB = 5;
+
+// Meal slot for "now", used as the default when logging a scanned plate
+const mealTypeForNow = (date = new Date()) => {
+    const hour = date.getHours();
+    if (hour < 11) return 'breakfast';
+    if (hour < 16) return 'lunch';
+    if (hour < 19) return 'snacks';
+    return 'dinner';
+};
+
+// Photo -> recognised dishes -> user review -> meal log entries. Nothing is logged until "Add to Log".
+const ScanMealModal = ({ onClose, onSaved }) => {
+    const [photo, setPhoto] = useState(null);
+    const [previewUrl, setPreviewUrl] = useState('');
+    // null until the photo is scanned, then { photoId, dishes }
+    const [scan, setScan] = useState(null);
+    const [date, setDate] = useState(() => toDateKey());
+    const [mealType, setMealType] = useState(() => mealTypeForNow());
+    const [isScanning, setIsScanning] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => () => previewUrl && URL.revokeObjectURL(previewUrl), [previewUrl]);
+
+    const handlePhotoChange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        if (file.size > MAX_PHOTO_MB * 1024 * 1024) {
+            setError(`Photos must be ${MAX_PHOTO_MB} MB or smaller.`);
+            return;
+        }
+        setError('');
+        setScan(null);
+        setPhoto(file);
+        setPreviewUrl(URL.createObjectURL(file));
+    };
+
+    const handleScan = async () => {
+        setIsScanning(true);
+        setError('');
+        try {
+            const response = await authFetch('/api/meals/scan', {
+                method: 'POST',
+                headers: { 'Content-Type': photo.type },
+                body: photo,
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to scan the photo.');
+                return;
+            }
+            if (data.dishes.length === 0) {
+                setError('No dishes were recognised. Try a clearer, top-down photo or add the meal manually.');
+                return;
+            }
+
+            setScan({
+                photoId: data.photoId,
+                dishes: data.dishes.map((dish, idx) => mealItemForm(dish, idx, `${dish.food ? 'Matched in the food database' : 'Estimated from the photo'} · ${Math.round(dish.confidence * 100)}% confident`)),
+            });
+        } catch (err) {
+            console.error('Meal scan error:', err);
+            setError('Network error while scanning the photo.');
+        } finally {
+            setIsScanning(false);
+        }
+    };
+
+    const updateDish = (key, changes) => {
+        setScan(prev => ({ ...prev, dishes: prev.dishes.map(dish => (dish.key === key ? { ...dish, ...changes } : dish)) }));
+    };
+
+    const removeDish = (key) => {
+        setScan(prev => ({ ...prev, dishes: prev.dishes.filter(dish => dish.key !== key) }));
+    };
+
+    // Saves the dishes one by one; on a failure the ones already logged leave the list
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError('');
+        const { saved, error: saveError } = await logMealItems(scan.dishes, { date, mealType, ...(scan.photoId && { photo: scan.photoId }) });
+        setIsSaving(false);
+
+        if (saveError) {
+            setScan(prev => ({ ...prev, dishes: prev.dishes.filter(dish => !saved.includes(dish.key)) }));
+            setError(saveError);
+            return;
+        }
+        onSaved(date);
+    };
+
+    const isBusy = isScanning || isSaving;
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-center justify-center p-4">
+            <div className="bg-white rounded-2xl max-w-md w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+                <div className="sticky top-0 z-20 bg-white border-b p-4 flex items-center justify-between">
+                    <h2 className="text-2xl font-bold text-gray-800">Scan Meal</h2>
+                    <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full transition">
+                        <X size={24} className="text-gray-600" />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-4">
+                    {error && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                            {error}
+                        </div>
+                    )}
+
+                    <label className={`block border-2 border-dashed border-gray-300 rounded-xl overflow-hidden text-center ${isBusy ? 'opacity-60' : 'cursor-pointer hover:border-green-400'}`}>
+                        {previewUrl ? (
+                            <img src={previewUrl} alt="Your meal" className="w-full max-h-56 object-cover" />
+                        ) : (
+                            <div className="py-10 text-gray-500">
+                                <Camera size={36} className="mx-auto text-orange-500" />
+                                <p className="mt-2 text-sm font-medium">Take or choose a photo of your plate</p>
+                                <p className="text-xs">JPEG, PNG or WebP, up to {MAX_PHOTO_MB} MB</p>
+                            </div>
+                        )}
+                        <input type="file" accept="image/jpeg,image/png,image/webp" capture="environment" onChange={handlePhotoChange} className="hidden" disabled={isBusy} />
+                    </label>
+
+                    {photo && !scan && (
+                        <button
+                            onClick={handleScan}
+                            disabled={isBusy}
+                            className="w-full bg-orange-500 text-white py-3 rounded-xl font-semibold hover:bg-orange-600 transition duration-300 disabled:bg-gray-400"
+                        >
+                            {isScanning ? 'Recognising dishes...' : 'Recognise Dishes'}
+                        </button>
+                    )}
+
+                    {scan && (
+                        <>
+                            <p className="text-sm text-gray-600">Check the dishes and portions before adding them. Values are estimates.</p>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                                    <input type="date" value={date} max={toDateKey()} onChange={(e) => setDate(e.target.value)} className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500" disabled={isSaving} />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Meal</label>
+                                    <select value={mealType} onChange={(e) => setMealType(e.target.value)} className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 bg-white" disabled={isSaving}>
+                                        {MEAL_TYPES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+
+                            <MealItemsReview
+                                items={scan.dishes}
+                                onChange={updateDish}
+                                onRemove={removeDish}
+                                disabled={isSaving}
+                            />
+
+                            <button
+                                onClick={handleSave}
+                                disabled={isSaving || scan.dishes.length === 0 || scan.dishes.some(dish => !dish.name.trim())}
+                                className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition duration-300 shadow-lg shadow-green-300/50 disabled:bg-gray-400"
+                            >
+                                {isSaving ? 'Saving...' : `Add ${scan.dishes.length} ${scan.dishes.length === 1 ? 'Dish' : 'Dishes'} to Log`}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const MealLogSection = ({ initialDate, targets }) => {
+    const [date, setDate] = useState(() => initialDate || toDateKey());
+    const [entries, setEntries] = useState([]);
+    const [totals, setTotals] = useState(null);
+    // Exercise logged for the day ({ minutes, calories }) and intake minus calories burned
+    const [activity, setActivity] = useState(null);
+    const [netCalories, setNetCalories] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    // null when closed, otherwise { mealType, entry? }
+    const [modal, setModal] = useState(null);
+
+    const fetchMeals = useCallback(async () => {
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await authFetch(`/api/meals?date=${date}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load meals.');
+                return;
+            }
+
+            setEntries(data.entries);
+            setTotals(data.totals);
+            setActivity(data.activity);
+            setNetCalories(data.netCalories);
+        } catch (err) {
+            console.error('Meal log fetch error:', err);
+            setError('Network error while loading meals.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [date]);
+
+    useEffect(() => {
+        fetchMeals();
+    }, [fetchMeals]);
+
+    const handleDelete = async (id) => {
+        try {
+            const response = await authFetch(`/api/meals/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                setError(data.msg || 'Failed to delete meal.');
+                return;
+            }
+            fetchMeals();
+        } catch (err) {
+            console.error('Meal delete error:', err);
+            setError('Network error while deleting meal.');
+        }
+    };
+
+    const handleSaved = () => {
+        setModal(null);
+        fetchMeals();
+    };
+
+    const isToday = date === toDateKey();
+    const dayCalories = totals?.day.calories || 0;
+    const calorieTarget = targets?.calories || DEFAULT_CALORIE_TARGET;
+    const macroTarget = (key) => (targets?.[key] ? ` / ${targets[key]}` : '');
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8 bg-white min-h-screen">
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-3xl font-bold text-green-700">Daily Meal Log</h1>
+                <input
+                    type="date"
+                    value={date}
+                    max={toDateKey()}
+                    onChange={(e) => e.target.value && setDate(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500"
+                />
+            </div>
+            <div className="bg-green-50 p-4 rounded-xl shadow-inner mb-6 flex justify-between items-center">
+                <div>
+                    <p className="font-semibold text-green-700">
+                        {isToday ? "Today's" : `${date}`} Total: {Math.round(dayCalories)} / {calorieTarget} kcal
+                    </p>
+                    {totals && (
+                        <p className="text-xs text-green-600 mt-1">
+                            Protein {totals.day.protein}{macroTarget('protein')} g · Carbs {totals.day.carbs}{macroTarget('carbs')} g · Fat {totals.day.fat}{macroTarget('fat')} g
+                        </p>
+                    )}
+                    {totals && (
+                        <p className="text-xs text-green-600">
+                            Fibre {totals.day.fibre}{macroTarget('fibre')} g · Iron {totals.day.iron} mg · Calcium {totals.day.calcium} mg
+                        </p>
+                    )}
+                    {activity?.minutes > 0 && (
+                        <p className="text-xs text-green-600">
+                            Burned {Math.round(activity.calories)} kcal in {activity.minutes} min of activity · Net {netCalories} kcal
+                        </p>
+                    )}
+                    <div className="mt-2 h-2 w-48 bg-green-100 rounded-full overflow-hidden">
+                        <div
+                            className={`h-full rounded-full ${dayCalories > calorieTarget ? 'bg-red-500' : 'bg-green-500'}`}
+                            style={{ width: `${Math.min((dayCalories / calorieTarget) * 100, 100)}%` }}
+                        />
+                    </div>
+                </div>
+                <button onClick={() => setModal({ mealType: 'breakfast' })} className="bg-green-600 text-white p-2 rounded-full hover:bg-green-700 transition">
+                    <Plus size={20} />
+                </button>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm font-medium" role="alert">
+                    {error}
+                </div>
+            )}
+
+            {isLoading && entries.length === 0 ? (
+                <p className="text-center text-gray-500 py-12">Loading meals...</p>
+            ) : entries.length === 0 ? (
+                <div className="text-center py-12 border-2 border-dashed border-gray-200 rounded-xl">
+                    <Calendar size={48} className="text-gray-300 mx-auto mb-4" />
+                    <p className="text-lg text-gray-500">No meals logged {isToday ? 'yet today' : 'for this day'}.</p>
+                    <button onClick={() => setModal({ mealType: 'breakfast' })} className="mt-4 text-sm text-green-600 font-medium hover:underline">
+                        Tap to add your first meal!
+                    </button>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {MEAL_TYPES.map(slot => {
+                        const slotEntries = entries.filter(entry => entry.mealType === slot.key);
+                        return (
+                            <div key={slot.key} className="bg-white p-4 rounded-xl shadow-lg border border-gray-100">
+                                <div className="flex justify-between items-center">
+                                    <h2 className="text-lg font-semibold text-gray-800">{slot.label}</h2>
+                                    <div className="flex items-center space-x-3">
+                                        <span className="text-sm text-gray-500">{Math.round(totals?.byMeal[slot.key]?.calories || 0)} kcal</span>
+                                        <button onClick={() => setModal({ mealType: slot.key })} className="p-1 text-green-600 hover:bg-green-50 rounded-full" aria-label={`Add ${slot.label}`}>
+                                            <Plus size={18} />
+                                        </button>
+                                    </div>
+                                </div>
+                                {slotEntries.length > 0 && (
+                                    <ul className="mt-3 divide-y divide-gray-100">
+                                        {slotEntries.map(entry => (
+                                            <li key={entry._id} className="py-2 flex justify-between items-center">
+                                                <button onClick={() => setModal({ mealType: entry.mealType, entry })} className="text-left">
+                                                    <p className="text-gray-800">{entry.name}</p>
+                                                    <p className="text-xs text-gray-500">{entry.quantity} {entry.unit} · {Math.round(entry.calories)} kcal</p>
+                                                    <SafetyWarnings warnings={entry.warnings} compact />
+                                                </button>
+                                                <button onClick={() => handleDelete(entry._id)} className="p-1 text-gray-400 hover:text-red-500 rounded-full" aria-label="Delete meal">
+                                                    <X size={16} />
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {/* Floating Action Button for easy adding */}
+            <button
+                onClick={() => setModal({ mealType: 'breakfast' })}
+                className="fixed bottom-20 right-6 bg-orange-500 text-white p-4 rounded-full shadow-2xl hover:bg-orange-600 transition duration-300 z-10"
+                aria-label="Add Meal"
+            >
+                <Plus size={24} />
+            </button>
+
+            {modal && (
+                <AddMealModal
+                    date={date}
+                    mealType={modal.mealType}
+                    entry={modal.entry}
+                    onClose={() => setModal(null)}
+                    onSaved={handleSaved}
+                />
+            )}
+        </div>
+    );
+};
+
+const PROGRESS_RANGES = [
+    { days: 30, label: '30 Days' },
+    { days: 90, label: '3 Months' },
+    { days: 365, label: '1 Year' },
+];
+
+// Minimal SVG line chart for a date-ordered series, with optional horizontal reference lines
+const TrendChart = ({ points, valueKey, unit, color, referenceLines = [] }) => {
+    const values = points.map(p => p[valueKey]).filter(v => v !== null && v !== undefined);
+    if (values.length === 0) {
+        return (
+            <div className="h-48 flex items-center justify-center bg-gray-100 rounded-lg border-dashed border-2 border-gray-300">
+                <p className="text-gray-500">No entries in this range yet.</p>
+            </div>
+        );
+    }
+
+    const width = 600;
+    const height = 200;
+    const padding = 32;
+    const allValues = [...values, ...referenceLines.map(r => r.value)];
+    const min = Math.min(...allValues) - 1;
+    const max = Math.max(...allValues) + 1;
+    const x = (i) => padding + (points.length === 1 ? (width - 2 * padding) / 2 : (i * (width - 2 * padding)) / (points.length - 1));
+    const y = (v) => height - padding - ((v - min) / (max - min)) * (height - 2 * padding);
+    const path = points
+        .map((p, i) => (p[valueKey] === null || p[valueKey] === undefined ? null : `${x(i)},${y(p[valueKey])}`))
+        .filter(Boolean)
+        .join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48" role="img">
+            {referenceLines.map(ref => (
+                <g key={ref.label}>
+                    <line x1={padding} x2={width - padding} y1={y(ref.value)} y2={y(ref.value)} stroke={ref.color || '#9ca3af'} strokeDasharray="6 4" />
+                    <text x={width - padding} y={y(ref.value) - 4} textAnchor="end" fontSize="11" fill={ref.color || '#6b7280'}>{ref.label}</text>
+                </g>
+            ))}
+            <polyline points={path} fill="none" stroke={color} strokeWidth="3" strokeLinejoin="round" />
+            {points.map((p, i) => (p[valueKey] === null || p[valueKey] === undefined ? null : (
+                <circle key={p.date} cx={x(i)} cy={y(p[valueKey])} r="4" fill={color}>
+                    <title>{`${p.date}: ${p[valueKey]} ${unit}`}</title>
+                </circle>
+            )))}
+            <text x={padding} y={height - 8} fontSize="11" fill="#6b7280">{points[0].date}</text>
+            <text x={width - padding} y={height - 8} textAnchor="end" fontSize="11" fill="#6b7280">{points[points.length - 1].date}</text>
+        </svg>
+    );
+};
+
+const ProgressSection = ({ onWeightLogged }) => {
+    const [rangeDays, setRangeDays] = useState(90);
+    const [progress, setProgress] = useState(null);
+    const [weightForm, setWeightForm] = useState({ date: toDateKey(), weight: '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchProgress = useCallback(async () => {
+        const to = new Date();
+        const from = new Date();
+        from.setDate(from.getDate() - rangeDays);
+
+        try {
+            const response = await authFetch(`/api/weights?from=${toDateKey(from)}&to=${toDateKey(to)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load progress.');
+                return;
+            }
+
+            setProgress(data);
+        } catch (err) {
+            console.error('Progress fetch error:', err);
+            setError('Network error while loading progress.');
+        }
+    }, [rangeDays]);
+
+    useEffect(() => {
+        fetchProgress();
+    }, [fetchProgress]);
+
+    const handleLogWeight = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        try {
+            const response = await authFetch('/api/weights', {
+                method: 'POST',
+                body: JSON.stringify({ date: weightForm.date, weight: Number(weightForm.weight) }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to save weight.');
+                return;
+            }
+
+            setWeightForm(prev => ({ ...prev, weight: '' }));
+            fetchProgress();
+            // A new latest weigh-in updates profile.weight on the server, which changes the targets
+            onWeightLogged?.();
+        } catch (err) {
+            console.error('Weight save error:', err);
+            setError('Network error while saving weight.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const summary = progress?.summary;
+    const entries = progress?.entries || [];
+    const formatValue = (value, suffix = '') => (value === null || value === undefined ? '—' : `${value}${suffix}`);
+    const goalProgressText = () => {
+        if (!summary || summary.change === null) return '—';
+        if (summary.change === 0) return 'No change';
+        return `${Math.abs(summary.change)} kg ${summary.change < 0 ? 'Lost' : 'Gained'}`;
+    };
+
+    return (
+      <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen">
+        <h1 className="text-3xl font-bold text-green-700 mb-6">Track My Progress</h1>
+        <p className="text-gray-600 mb-8">
+          Visualize your health journey, including weight changes, BMI trends, and goal achievements.
+        </p>
+
+        {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm font-medium" role="alert">
+                {error}
+            </div>
+        )}
+
+        <form onSubmit={handleLogWeight} className="bg-white p-4 rounded-2xl shadow-xl mb-6 flex flex-wrap items-end gap-3">
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                <input
+                    type="date"
+                    value={weightForm.date}
+                    max={toDateKey()}
+                    onChange={(e) => setWeightForm(prev => ({ ...prev, date: e.target.value }))}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                    disabled={isSaving}
+                />
+            </div>
+            <div className="flex-1 min-w-[8rem]">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Weight (kg)</label>
+                <input
+                    type="number"
+                    value={weightForm.weight}
+                    onChange={(e) => setWeightForm(prev => ({ ...prev, weight: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                    placeholder="72.5"
+                    min="10"
+                    step="0.1"
+                    disabled={isSaving}
+                />
+            </div>
+            <button
+                type="submit"
+                disabled={isSaving || !weightForm.weight || !weightForm.date}
+                className="bg-purple-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-700 transition disabled:bg-gray-400 flex items-center"
+            >
+                <Scale size={18} className="mr-2"/> Log Weight
+            </button>
+        </form>
+
+        <div className="bg-white p-6 rounded-2xl shadow-xl mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800 flex items-center"><TrendingUp size={20} className="mr-2 text-purple-500"/> Weight Trend</h2>
+            <div className="flex space-x-1">
+                {PROGRESS_RANGES.map(range => (
+                    <button
+                        key={range.days}
+                        onClick={() => setRangeDays(range.days)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium transition ${rangeDays === range.days ? 'bg-purple-100 text-purple-700' : 'text-gray-500 hover:bg-gray-100'}`}
+                    >
+                        {range.label}
+                    </button>
+                ))}
+            </div>
+          </div>
+          <TrendChart
+            points={entries}
+            valueKey="weight"
+            unit="kg"
+            color="#8b5cf6"
+            referenceLines={summary?.targetWeight ? [{ value: summary.targetWeight, label: `Target ${summary.targetWeight} kg`, color: '#16a34a' }] : []}
+          />
+          {summary?.toTarget !== null && summary?.toTarget !== undefined && (
+              <p className="text-sm text-gray-600 mt-3">
+                  {summary.toTarget === 0
+                      ? 'You have reached your target weight!'
+                      : `${Math.abs(summary.toTarget)} kg ${summary.toTarget > 0 ? 'above' : 'below'} your target of ${summary.targetWeight} kg.`}
+              </p>
+          )}
+
+          <h3 className="text-lg font-semibold text-gray-800 mt-6 mb-2 flex items-center"><Scale size={18} className="mr-2 text-orange-500"/> BMI Over Time</h3>
+          <TrendChart
+            points={entries}
+            valueKey="bmi"
+            unit=""
+            color="#f97316"
+            referenceLines={[
+                { value: 23, label: 'Overweight (23)', color: '#f59e0b' },
+                { value: 25, label: 'Obese (25)', color: '#ef4444' },
+            ]}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-blue-400">
+              <p className="text-sm text-gray-500">Current Weight</p>
+              <p className="text-2xl font-bold text-gray-800 mt-1">{formatValue(summary?.currentWeight, ' kg')}</p>
+          </div>
+          <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-orange-400">
+              <p className="text-sm text-gray-500">BMI</p>
+              <p className="text-2xl font-bold text-gray-800 mt-1">{formatValue(summary?.bmi)}</p>
+          </div>
+          <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-green-400">
+              <p className="text-sm text-gray-500">Goal Progress</p>
+              <p className="text-2xl font-bold text-gray-800 mt-1">{goalProgressText()}</p>
+          </div>
+          <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-red-400">
+              <p className="text-sm text-gray-500">Active Days</p>
+              <p className="text-2xl font-bold text-gray-800 mt-1">{formatValue(summary?.activeDays)}</p>
+              {summary?.activeStreak > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">{summary.activeStreak}-day streak</p>
+              )}
+          </div>
+        </div>
+      </div>
+    );
+};
+
+const ACTIVITY_INTENSITIES = [
+    { key: 'light', label: 'Light' },
+    { key: 'moderate', label: 'Moderate' },
+    { key: 'vigorous', label: 'Vigorous' },
+];
+
+const emptyActivityForm = () => ({ date: toDateKey(), activity: '', durationMinutes: '', name: '', intensity: 'moderate', note: '' });
+
+// Exercise and everyday activity with calories estimated from MET values and the user's weight
+const ActivitySection = () => {
+    const [catalogue, setCatalogue] = useState(null);
+    const [activities, setActivities] = useState(null);
+    const [form, setForm] = useState(emptyActivityForm);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchActivities = useCallback(async () => {
+        try {
+            const response = await authFetch(`/api/activities?to=${toDateKey()}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load activities.');
+                return;
+            }
+            setActivities(data);
+        } catch (err) {
+            console.error('Activity fetch error:', err);
+            setError('Network error while loading activities.');
+        }
+    }, []);
+
+    useEffect(() => {
+        const fetchCatalogue = async () => {
+            try {
+                const response = await authFetch('/api/activities/types');
+                const data = await response.json();
+                if (response.ok) setCatalogue(data);
+            } catch (err) {
+                console.error('Activity types fetch error:', err);
+            }
+        };
+        fetchCatalogue();
+        fetchActivities();
+    }, [fetchActivities]);
+
+    const categories = catalogue
+        ? [...new Set(catalogue.types.map(type => type.category))]
+        : [];
+    const met = form.activity === 'other'
+        ? catalogue?.intensities[form.intensity]
+        : catalogue?.types.find(type => type.code === form.activity)?.met;
+    const estimate = met && Number(form.durationMinutes) > 0
+        ? Math.round(met * catalogue.weight * (Number(form.durationMinutes) / 60))
+        : null;
+
+    const updateForm = (field, value) => {
+        setForm(prev => ({ ...prev, [field]: value }));
+        setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        setFieldErrors({});
+        try {
+            const isOther = form.activity === 'other';
+            const response = await authFetch('/api/activities', {
+                method: 'POST',
+                body: JSON.stringify({
+                    date: form.date,
+                    activity: form.activity,
+                    durationMinutes: Number(form.durationMinutes),
+                    ...(isOther && { name: form.name, intensity: form.intensity }),
+                    ...(form.note.trim() && { note: form.note }),
+                }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setFieldErrors(fieldErrorsFrom(data));
+                setError(data.errors ? '' : (data.msg || 'Failed to save activity.'));
+                return;
+            }
+
+            setForm(prev => ({ ...emptyActivityForm(), date: prev.date }));
+            fetchActivities();
+        } catch (err) {
+            console.error('Activity save error:', err);
+            setError('Network error while saving activity.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            const response = await authFetch(`/api/activities/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                setError(data.msg || 'Failed to delete activity.');
+                return;
+            }
+            fetchActivities();
+        } catch (err) {
+            console.error('Activity delete error:', err);
+            setError('Network error while deleting activity.');
+        }
+    };
+
+    const totals = activities?.totals;
+    const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500";
+
+    return (
+      <div className="p-4 sm:p-6 md:p-8 space-y-6 bg-gray-50 min-h-screen">
+        <h1 className="text-3xl font-bold text-green-700">Activity</h1>
+
+        {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                {error}
+            </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="bg-white p-4 rounded-2xl shadow-xl grid gap-3 sm:grid-cols-2">
+            <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Activity</label>
+                <select value={form.activity} onChange={(e) => updateForm('activity', e.target.value)} className={inputClassName} disabled={isSaving || !catalogue}>
+                    <option value="">Select an activity</option>
+                    {categories.map(category => (
+                        <optgroup key={category} label={category}>
+                            {catalogue.types.filter(type => type.category === category).map(type => (
+                                <option key={type.code} value={type.code}>{type.name}</option>
+                            ))}
+                        </optgroup>
+                    ))}
+                    <option value="other">Something else</option>
+                </select>
+                <FieldError message={fieldErrors.activity} />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                    <input type="date" value={form.date} max={toDateKey()} onChange={(e) => updateForm('date', e.target.value)} className={inputClassName} disabled={isSaving} />
+                    <FieldError message={fieldErrors.date} />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Minutes</label>
+                    <input type="number" value={form.durationMinutes} onChange={(e) => updateForm('durationMinutes', e.target.value)} className={inputClassName} placeholder="30" min="1" max="600" step="1" disabled={isSaving} />
+                    <FieldError message={fieldErrors.durationMinutes} />
+                </div>
+            </div>
+            {form.activity === 'other' && (
+                <>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">What did you do?</label>
+                        <input type="text" value={form.name} onChange={(e) => updateForm('name', e.target.value)} className={inputClassName} placeholder="Garba" maxLength={60} disabled={isSaving} />
+                        <FieldError message={fieldErrors.name} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Intensity</label>
+                        <select value={form.intensity} onChange={(e) => updateForm('intensity', e.target.value)} className={inputClassName} disabled={isSaving}>
+                            {ACTIVITY_INTENSITIES.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+                        </select>
+                        <FieldError message={fieldErrors.intensity} />
+                    </div>
+                </>
+            )}
+            <div className="sm:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+                <input type="text" value={form.note} onChange={(e) => updateForm('note', e.target.value)} className={inputClassName} maxLength={200} disabled={isSaving} />
+                <FieldError message={fieldErrors.note} />
+            </div>
+            <div className="sm:col-span-2 flex justify-between items-center">
+                <p className="text-sm text-gray-600">
+                    {estimate !== null ? `About ${estimate} kcal burned at ${catalogue.weight} kg` : 'Pick an activity and duration to see the estimate.'}
+                </p>
+                <button
+                    type="submit"
+                    disabled={isSaving || !form.activity || !form.durationMinutes || !form.date}
+                    className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition disabled:bg-gray-400 flex items-center"
+                >
+                    <Plus size={18} className="mr-2"/> Log Activity
+                </button>
+            </div>
+        </form>
+
+        {totals && (
+            <div className="grid grid-cols-3 gap-4">
+                <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-green-400">
+                    <p className="text-sm text-gray-500">Active Days</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{totals.activeDays} / 7</p>
+                </div>
+                <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-blue-400">
+                    <p className="text-sm text-gray-500">Minutes</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{totals.minutes}</p>
+                </div>
+                <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-orange-400">
+                    <p className="text-sm text-gray-500">Burned</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{Math.round(totals.calories)} kcal</p>
+                </div>
+            </div>
+        )}
+
+        <div className="bg-white p-4 rounded-2xl shadow-xl">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center mb-2"><Activity size={20} className="mr-2 text-green-600"/> Last 7 Days</h2>
+            {activities && activities.entries.length === 0 ? (
+                <p className="text-sm text-gray-500 py-4 text-center">No activity logged this week yet. A brisk walk counts!</p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {activities?.entries.map(entry => (
+                        <li key={entry._id} className="py-2 flex justify-between items-center">
+                            <div>
+                                <p className="text-gray-800">{entry.name}</p>
+                                <p className="text-xs text-gray-500">
+                                    {entry.date} · {entry.durationMinutes} min · {entry.calories} kcal{entry.note && ` · ${entry.note}`}
+                                </p>
+                            </div>
+                            <button onClick={() => handleDelete(entry._id)} className="p-1 text-gray-400 hover:text-red-500 rounded-full" aria-label="Delete activity">
+                                <X size={16} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <p className="text-xs text-gray-400 mt-3">Estimates use MET values from the Compendium of Physical Activities and your latest weight.</p>
+        </div>
+      </div>
+    );
+};
+
+const NUTRIENT_RANGES = [
+    { days: 7, label: '7 Days' },
+    { days: 14, label: '14 Days' },
+    { days: 30, label: '30 Days' },
+];
+
+const NUTRIENT_STATUS_STYLES = {
+    low: { bar: 'bg-red-500', text: 'text-red-600', label: 'Low' },
+    borderline: { bar: 'bg-amber-400', text: 'text-amber-600', label: 'Nearly there' },
+    ok: { bar: 'bg-green-500', text: 'text-green-600', label: 'Meeting RDA' },
+};
+
+// Fibre and micronutrient intake from the meal log against the ICMR-NIN RDA for the user's age and gender
+const MicronutrientSection = ({ onOpenProfile }) => {
+    const [rangeDays, setRangeDays] = useState(7);
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchSummary = async () => {
+            setError('');
+            try {
+                const response = await authFetch(`/api/meals/micronutrients?days=${rangeDays}&to=${toDateKey()}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    setError(data.msg || 'Failed to load nutrients.');
+                    return;
+                }
+                setSummary(data);
+            } catch (err) {
+                console.error('Micronutrient fetch error:', err);
+                setError('Network error while loading nutrients.');
+            }
+        };
+        fetchSummary();
+    }, [rangeDays]);
+
+    const shortfalls = summary ? summary.nutrients.filter(nutrient => summary.shortfalls.includes(nutrient.key)) : [];
+
+    return (
+      <div className="p-4 sm:p-6 md:p-8 space-y-6 bg-gray-50 min-h-screen">
+        <div className="flex justify-between items-center">
+            <h1 className="text-3xl font-bold text-green-700">Nutrient Check</h1>
+            <div className="flex space-x-1">
+                {NUTRIENT_RANGES.map(range => (
+                    <button
+                        key={range.days}
+                        onClick={() => setRangeDays(range.days)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium transition ${rangeDays === range.days ? 'bg-green-100 text-green-700' : 'text-gray-500 hover:bg-gray-100'}`}
+                    >
+                        {range.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+
+        {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                {error}
+            </div>
+        )}
+
+        {summary && (
+            <>
+                <p className="text-sm text-gray-600">
+                    Daily average over the {summary.loggedDays} logged {summary.loggedDays === 1 ? 'day' : 'days'} from {summary.from} to {summary.to}, compared with the ICMR-NIN recommended dietary allowance (RDA).
+                    {summary.estimated && (
+                        <>
+                            {' '}
+                            <button onClick={onOpenProfile} className="text-green-700 font-medium hover:underline">Add your age and gender</button> for personalised RDAs.
+                        </>
+                    )}
+                </p>
+
+                {summary.loggedDays === 0 ? (
+                    <div className="bg-white p-6 rounded-2xl shadow-lg text-center text-gray-500">
+                        {summary.untrackedEntries > 0
+                            ? 'Only hand-entered meals in this period. Pick foods from the database to track micronutrients.'
+                            : 'No meals logged in this period yet.'}
+                    </div>
+                ) : (
+                    <>
+                        {shortfalls.length > 0 && (
+                            <div className="bg-red-50 border border-red-200 p-4 rounded-2xl">
+                                <h2 className="font-semibold text-red-700 flex items-center"><AlertTriangle size={18} className="mr-2" /> Consistently low</h2>
+                                <ul className="mt-2 space-y-1 text-sm text-red-800">
+                                    {shortfalls.map(nutrient => (
+                                        <li key={nutrient.key}>
+                                            <span className="font-medium">{nutrient.label}</span> ({nutrient.percent}% of RDA). Try {nutrient.sources.slice(0, 4).join(', ')}.
+                                        </li>
+                                    ))}
+                                </ul>
+                                <p className="mt-2 text-xs text-red-700">Based on your logged meals only. If a low persists, ask a doctor about a blood test.</p>
+                            </div>
+                        )}
+
+                        <div className="grid gap-4 sm:grid-cols-2">
+                            {summary.nutrients.map(nutrient => {
+                                const style = NUTRIENT_STATUS_STYLES[nutrient.status];
+                                const peak = Math.max(nutrient.rda, ...nutrient.daily.map(day => day.value || 0));
+                                return (
+                                    <div key={nutrient.key} className="bg-white p-4 rounded-xl shadow-lg">
+                                        <div className="flex justify-between items-baseline">
+                                            <h3 className="font-semibold text-gray-800">{nutrient.label}</h3>
+                                            {style && <span className={`text-xs font-medium ${style.text}`}>{style.label}</span>}
+                                        </div>
+                                        <p className="text-sm text-gray-600 mt-1">
+                                            {nutrient.average} / {nutrient.rda} {nutrient.unit} a day <span className="text-gray-400">({nutrient.percent}%)</span>
+                                        </p>
+                                        <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                                            <div className={`h-2 rounded-full ${style?.bar || 'bg-gray-400'}`} style={{ width: `${Math.min(100, nutrient.percent || 0)}%` }}></div>
+                                        </div>
+                                        {/* One bar per day; the dashed line is the RDA, gaps are days with nothing logged */}
+                                        <div className="relative flex items-end gap-0.5 h-12 mt-3">
+                                            <div className="absolute left-0 right-0 border-t border-dashed border-gray-400" style={{ bottom: `${(nutrient.rda / peak) * 100}%` }}></div>
+                                            {nutrient.daily.map(day => (
+                                                <div
+                                                    key={day.date}
+                                                    title={`${day.date}: ${day.value === null ? 'nothing logged' : `${day.value} ${nutrient.unit}`}`}
+                                                    className={`flex-1 rounded-t ${day.value === null ? 'bg-gray-100' : (day.value >= nutrient.rda ? 'bg-green-400' : 'bg-orange-300')}`}
+                                                    style={{ height: day.value === null ? '100%' : `${Math.max(4, (day.value / peak) * 100)}%` }}
+                                                ></div>
+                                            ))}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        {summary.untrackedEntries > 0 && (
+                            <p className="text-xs text-gray-500">
+                                {summary.untrackedEntries} manually entered {summary.untrackedEntries === 1 ? 'item isn\'t' : 'items aren\'t'} counted here. Pick foods from the database when logging to track their micronutrients.
+                            </p>
+                        )}
+                    </>
+                )}
+            </>
+        )}
+      </div>
+    );
+};
+
+const SLEEP_QUALITY_OPTIONS = [
+    { key: 'poor', label: 'Poor' },
+    { key: 'fair', label: 'Fair' },
+    { key: 'good', label: 'Good' },
+];
+
+const GLASS_ML = 250;
+
+// Today's food, activity, water and sleep against the daily targets, with water quick-add and sleep logging
+const DaySnapshot = ({ onNavigate }) => {
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+    // Id of the last quick-added drink, so a mis-tap can be undone
+    const [lastDrinkId, setLastDrinkId] = useState(null);
+    const [sleepForm, setSleepForm] = useState({ hours: '', quality: 'good' });
+    const [isSaving, setIsSaving] = useState(false);
+    const today = toDateKey();
+
+    const fetchSummary = useCallback(async () => {
+        try {
+            const response = await authFetch(`/api/summary/day?date=${today}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load today\'s summary.');
+                return;
+            }
+            setError('');
+            setSummary(data);
+        } catch (err) {
+            console.error('Day summary fetch error:', err);
+            setError('Network error while loading today\'s summary.');
+        }
+    }, [today]);
+
+    useEffect(() => {
+        fetchSummary();
+    }, [fetchSummary]);
+
+    // Runs a write, then refreshes the summary; returns the response data or null on failure
+    const save = async (path, options, failure) => {
+        setIsSaving(true);
+        try {
+            const response = await authFetch(path, options);
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || failure);
+                return null;
+            }
+            await fetchSummary();
+            return data;
+        } catch (err) {
+            console.error('Day summary save error:', err);
+            setError(`Network error: ${failure.toLowerCase()}`);
+            return null;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const addWater = async (amount) => {
+        const entry = await save('/api/water', { method: 'POST', body: JSON.stringify({ date: today, amount }) }, 'Failed to add water.');
+        if (entry) setLastDrinkId(entry._id);
+    };
+
+    const undoWater = async () => {
+        const result = await save(`/api/water/${lastDrinkId}`, { method: 'DELETE' }, 'Failed to undo.');
+        if (result) setLastDrinkId(null);
+    };
+
+    const logSleep = async (e) => {
+        e.preventDefault();
+        const entry = await save('/api/sleep', {
+            method: 'POST',
+            body: JSON.stringify({ date: today, hours: Number(sleepForm.hours), quality: sleepForm.quality }),
+        }, 'Failed to save sleep.');
+        if (entry) setSleepForm({ hours: '', quality: 'good' });
+    };
+
+    if (!summary) {
+        return error ? <p className="text-sm text-red-600">{error}</p> : null;
+    }
+
+    const { targets, meals, activity, water, sleep } = summary;
+    const tileClassName = "bg-white p-4 rounded-xl shadow-lg border border-gray-100";
+
+    return (
+        <div className="space-y-2">
+            {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <button onClick={() => onNavigate('mealLog')} className={`${tileClassName} text-left hover:shadow-xl transition`}>
+                    <p className="text-sm text-gray-500 flex items-center"><Calendar size={16} className="mr-2 text-red-500"/> Eaten today</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{Math.round(meals.calories)} <span className="text-sm font-medium text-gray-500">/ {targets.calories} kcal</span></p>
+                    <p className="text-xs text-gray-500 mt-1">Protein {meals.protein} / {targets.protein} g · Fibre {meals.fibre} / {targets.fibre} g</p>
+                </button>
+                <button onClick={() => onNavigate('activity')} className={`${tileClassName} text-left hover:shadow-xl transition`}>
+                    <p className="text-sm text-gray-500 flex items-center"><Activity size={16} className="mr-2 text-green-600"/> Activity</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{activity.minutes} <span className="text-sm font-medium text-gray-500">min · {Math.round(activity.calories)} kcal</span></p>
+                    <p className="text-xs text-gray-500 mt-1">Net intake {summary.netCalories} kcal</p>
+                </button>
+                <div className={tileClassName}>
+                    <p className="text-sm text-gray-500 flex items-center"><Droplet size={16} className="mr-2 text-blue-500"/> Water</p>
+                    <p className="text-2xl font-bold text-gray-800 mt-1" title={water.reasons.join('; ')}>
+                        {water.glasses} <span className="text-sm font-medium text-gray-500">/ {water.targetGlasses} glasses ({water.total} / {water.target} ml)</span>
+                    </p>
+                    <div className="w-full bg-blue-100 rounded-full h-2 mt-2">
+                        <div className="h-2 rounded-full bg-blue-500" style={{ width: `${Math.min(100, water.percent)}%` }}></div>
+                    </div>
+                    <div className="mt-3 flex items-center gap-2">
+                        <button onClick={() => addWater(GLASS_ML)} disabled={isSaving} className="px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 disabled:opacity-50">+1 glass</button>
+                        <button onClick={() => addWater(500)} disabled={isSaving} className="px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-700 hover:bg-blue-200 disabled:opacity-50">+500 ml</button>
+                        {lastDrinkId && (
+                            <button onClick={undoWater} disabled={isSaving} className="text-xs text-gray-500 hover:underline disabled:opacity-50">Undo</button>
+                        )}
+                    </div>
+                </div>
+                <div className={tileClassName}>
+                    <p className="text-sm text-gray-500 flex items-center"><Moon size={16} className="mr-2 text-purple-500"/> Last night's sleep</p>
+                    {sleep ? (
+                        <>
+                            <p className="text-2xl font-bold text-gray-800 mt-1">{sleep.hours} <span className="text-sm font-medium text-gray-500">h{sleep.quality && ` · ${sleep.quality}`}</span></p>
+                            <p className={`text-xs mt-1 ${sleep.status === 'ok' ? 'text-green-600' : 'text-amber-600'}`}>
+                                {sleep.status === 'ok' ? 'Within' : (sleep.status === 'short' ? 'Less than' : 'More than')} the recommended {targets.sleep.min}–{targets.sleep.max} h
+                            </p>
+                        </>
+                    ) : (
+                        <form onSubmit={logSleep} className="mt-2 flex items-center gap-2">
+                            <input
+                                type="number"
+                                value={sleepForm.hours}
+                                onChange={(e) => setSleepForm(prev => ({ ...prev, hours: e.target.value }))}
+                                className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500"
+                                placeholder="Hours"
+                                min="0"
+                                max="24"
+                                step="0.25"
+                                disabled={isSaving}
+                            />
+                            <select
+                                value={sleepForm.quality}
+                                onChange={(e) => setSleepForm(prev => ({ ...prev, quality: e.target.value }))}
+                                className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500"
+                                disabled={isSaving}
+                            >
+                                {SLEEP_QUALITY_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+                            </select>
+                            <button type="submit" disabled={isSaving || sleepForm.hours === ''} className="px-3 py-1 rounded-lg text-sm font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-400">
+                                Save
+                            </button>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const REGION_COLORS = {
+  'North India': 'text-green-500',
+  'South India': 'text-red-500',
+  'East India': 'text-yellow-500',
+  'West India': 'text-blue-500',
+  'Northeast India': 'text-teal-500',
+  'Central India': 'text-orange-500',
+};
+
+const DIET_OPTIONS = [
+  { value: 'vegetarian', label: 'Vegetarian' },
+  { value: 'vegan', label: 'Vegan' },
+  { value: 'non-vegetarian', label: 'Non-Vegetarian' },
+  { value: 'pescatarian', label: 'Pescatarian' },
+];
+
+const RecipesSection = ({ region, dietPreference }) => {
+  const [selectedRecipeId, setSelectedRecipeId] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  // Empty region/diet filters mean "use my profile" (the server's default)
+  const [filters, setFilters] = useState({ q: '', region: '', diet: '', page: 1 });
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadRecipes = async () => {
+      setIsLoading(true);
+      setError('');
+      const params = new URLSearchParams({ page: filters.page });
+      if (filters.q) params.set('q', filters.q);
+      if (filters.region) params.set('region', filters.region);
+      if (filters.diet) params.set('diet', filters.diet);
+
+      try {
+        const response = await authFetch(`/api/recipes?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+          setError(data.msg || 'Failed to load recipes.');
+          return;
+        }
+        setResult(data);
+      } catch (err) {
+        console.error('Recipe search error:', err);
+        setError('Network error while loading recipes.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadRecipes();
+  }, [filters]);
+
+  const updateFilters = (changes) => setFilters(prev => ({ ...prev, ...changes, page: changes.page || 1 }));
+  const handleSearch = () => updateFilters({ q: searchInput.trim() });
+
+  return (
+    <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen">
+      <h1 className="text-3xl font-bold text-green-700 mb-6">Regional Recipes</h1>
+      <p className="text-gray-600 mb-8">
+        Discover personalized, nutritious recipes tailored to your <strong>{region || 'All India'}</strong> region and <strong>{dietPreference || 'any'}</strong> preference.
+      </p>
+
+      <div className="space-y-6">
+        <div className="flex space-x-2">
+            <input 
+                type="text" 
+                placeholder="Search recipes (e.g., Dal, Sambar)" 
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleSearch();
+                }}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+            />
+            <button onClick={handleSearch} className="bg-green-600 text-white p-2 rounded-lg hover:bg-green-700 transition" aria-label="Search recipes">
+                <Book size={20} />
+            </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={filters.region}
+            onChange={(e) => updateFilters({ region: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-green-500"
+          >
+            <option value="">My region{region ? ` (${region})` : ''}</option>
+            <option value="all">All regions</option>
+            {indianRegions.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <select
+            value={filters.diet}
+            onChange={(e) => updateFilters({ diet: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-green-500"
+          >
+            <option value="">My diet{dietPreference ? ` (${dietPreference})` : ''}</option>
+            <option value="all">Any diet</option>
+            {DIET_OPTIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+          </select>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+            {error}
+          </div>
+        )}
+
+        {isLoading && !result && <p className="text-center text-gray-500 py-12">Loading recipes...</p>}
+
+        {result && result.recipes.length === 0 && (
+          <div className="text-center py-12 border-2 border-dashed border-gray-200 rounded-xl">
+            <Book size={48} className="text-gray-300 mx-auto mb-4" />
+            <p className="text-lg text-gray-500">No recipes match these filters.</p>
+            <button onClick={() => updateFilters({ region: 'all', diet: 'all' })} className="mt-4 text-sm text-green-600 font-medium hover:underline">
+              Show all regions and diets
+            </button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {result?.recipes.map(recipe => (
+            <div 
+              key={recipe._id}
+              onClick={() => setSelectedRecipeId(recipe._id)}
+              className="bg-white p-4 rounded-xl shadow-lg hover:shadow-2xl transition duration-300 border-l-8 border-gray-100 cursor-pointer"
+            >
+              <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                <Leaf size={20} className={`mr-2 ${REGION_COLORS[recipe.region] || 'text-green-500'}`}/> {recipe.name}
+              </h3>
+              <p className="text-sm text-gray-500 mt-1">Authentic {recipe.region} Dish · <span className="capitalize">{recipe.dietType}</span></p>
+              <SafetyWarnings warnings={recipe.warnings} compact />
+              <div className="mt-3 flex justify-between items-center">
+                <p className="text-xs text-green-600 font-medium flex items-center">
+                  <Clock size={12} className="mr-1"/> {recipe.prepTime} min
+                  {recipe.nutrition && ` · ~${Math.round(recipe.nutrition.perServing.calories)} Kcal / serving`}
+                </p>
+                <button className="text-sm text-blue-500 hover:text-blue-700 transition">
+                  View Recipe &gt;
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {result && result.totalPages > 1 && (
+          <div className="flex justify-center items-center space-x-4">
+            <button
+              onClick={() => updateFilters({ page: filters.page - 1 })}
+              disabled={filters.page <= 1 || isLoading}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-sm disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">Page {result.page} of {result.totalPages}</span>
+            <button
+              onClick={() => updateFilters({ page: filters.page + 1 })}
+              disabled={filters.page >= result.totalPages || isLoading}
+              className="px-4 py-2 rounded-lg border border-gray-300 text-sm disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Recipe Detail Modal */}
+      {selectedRecipeId && (
+        <RecipeDetailModal 
+          recipeId={selectedRecipeId} 
+          onClose={() => setSelectedRecipeId(null)} 
+        />
+      )}
+    </div>
+  );
+};
+
+const MEAL_TYPE_LABELS = MEAL_TYPES.reduce((labels, slot) => ({ ...labels, [slot.key]: slot.label }), {});
+
+const MealPlanSection = () => {
+    const [plan, setPlan] = useState(null);
+    const [selectedDate, setSelectedDate] = useState(() => toDateKey());
+    const [isLoading, setIsLoading] = useState(true);
+    const [isGenerating, setIsGenerating] = useState(false);
+    // `${date}:${mealType}` of the meal whose swap/log request is in flight
+    const [busyMeal, setBusyMeal] = useState(null);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    useEffect(() => {
+        const fetchPlan = async () => {
+            try {
+                const response = await authFetch(`/api/mealplans/current?date=${toDateKey()}`);
+                if (response.status === 404) return;
+                const data = await response.json();
+
+                if (!response.ok) {
+                    setError(data.msg || 'Failed to load meal plan.');
+                    return;
+                }
+                setPlan(data);
+            } catch (err) {
+                console.error('Meal plan fetch error:', err);
+                setError('Network error while loading meal plan.');
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        fetchPlan();
+    }, []);
+
+    const handleGenerate = async () => {
+        setIsGenerating(true);
+        setError('');
+        setNotice('');
+        try {
+            const startDate = toDateKey();
+            const response = await authFetch('/api/mealplans', {
+                method: 'POST',
+                body: JSON.stringify({ startDate }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to generate meal plan.');
+                return;
+            }
+            setPlan(data);
+            setSelectedDate(startDate);
+        } catch (err) {
+            console.error('Meal plan generate error:', err);
+            setError('Network error while generating meal plan.');
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    const handleSwap = async (date, mealType) => {
+        setBusyMeal(`${date}:${mealType}`);
+        setError('');
+        setNotice('');
+        try {
+            const response = await authFetch(`/api/mealplans/${plan._id}/swap`, {
+                method: 'POST',
+                body: JSON.stringify({ date, mealType }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to swap meal.');
+                return;
+            }
+            setPlan(data);
+        } catch (err) {
+            console.error('Meal swap error:', err);
+            setError('Network error while swapping meal.');
+        } finally {
+            setBusyMeal(null);
+        }
+    };
+
+    const handleAddToLog = async (date, mealType) => {
+        setBusyMeal(`${date}:${mealType}`);
+        setError('');
+        setNotice('');
+        try {
+            const response = await authFetch(`/api/mealplans/${plan._id}/log`, {
+                method: 'POST',
+                body: JSON.stringify({ date, mealType, logDate: toDateKey() }),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to add meal to log.');
+                return;
+            }
+            setNotice(`${MEAL_TYPE_LABELS[mealType]} added to today's log (${data.entries.length} items).`);
+        } catch (err) {
+            console.error('Meal plan log error:', err);
+            setError('Network error while adding meal to log.');
+        } finally {
+            setBusyMeal(null);
+        }
+    };
+
+    const day = plan && (plan.days.find(planDay => planDay.date === selectedDate) || plan.days[0]);
+
+    return (
+        <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen pb-24">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+                <h1 className="text-3xl font-bold text-green-700">Weekly Meal Plan</h1>
+                <button
+                    onClick={handleGenerate}
+                    disabled={isGenerating}
+                    className="flex items-center bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition disabled:bg-gray-400"
+                >
+                    <RefreshCw size={18} className="mr-2" /> {isGenerating ? 'Generating...' : plan ? 'New Plan' : 'Generate Plan'}
+                </button>
+            </div>
+
+            {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4" role="alert">
+                    {error}
+                </div>
+            )}
+            {notice && (
+                <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-lg mb-4" role="status">
+                    {notice}
+                </div>
+            )}
+
+            {isLoading ? (
+                <p className="text-center text-gray-500">Loading meal plan...</p>
+            ) : !plan ? (
+                <div className="bg-white p-8 rounded-xl shadow-lg text-center">
+                    <ClipboardList size={40} className="mx-auto text-green-500 mb-3" />
+                    <p className="text-gray-600">
+                        Generate a 7-day plan built from your region, diet preference, allergies, health issues and daily targets.
+                    </p>
+                </div>
+            ) : (
+                <div className="space-y-6">
+                    <div className="flex space-x-2 overflow-x-auto pb-1">
+                        {plan.days.map(planDay => {
+                            const date = new Date(`${planDay.date}T00:00:00`);
+                            return (
+                                <button
+                                    key={planDay.date}
+                                    onClick={() => setSelectedDate(planDay.date)}
+                                    className={`flex-shrink-0 px-3 py-2 rounded-lg text-sm font-medium transition ${
+                                        planDay.date === day.date ? 'bg-green-600 text-white' : 'bg-white text-gray-700 hover:bg-green-50 border border-gray-200'
+                                    }`}
+                                >
+                                    <span className="block">{date.toLocaleDateString(undefined, { weekday: 'short' })}</span>
+                                    <span className="block text-xs">{date.getDate()}</span>
+                                </button>
+                            );
+                        })}
+                    </div>
+
+                    <div className="bg-white p-4 rounded-xl shadow-lg">
+                        <div className="flex justify-between text-sm font-medium text-gray-700 mb-2">
+                            <span>Planned for the day</span>
+                            <span>{Math.round(day.totals.calories)} / {plan.targets.calories} kcal</span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-3">
+                            <div
+                                className="bg-green-500 h-3 rounded-full"
+                                style={{ width: `${Math.min(100, (day.totals.calories / plan.targets.calories) * 100)}%` }}
+                            />
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500">
+                            Protein {Math.round(day.totals.protein)} g · Carbs {Math.round(day.totals.carbs)} g · Fat {Math.round(day.totals.fat)} g
+                        </p>
+                    </div>
+
+                    <div className="space-y-4">
+                        {day.meals.map(meal => {
+                            const isBusy = busyMeal === `${day.date}:${meal.mealType}`;
+                            return (
+                                <div key={meal.mealType} className="bg-white p-4 rounded-xl shadow-lg border border-gray-100">
+                                    <div className="flex justify-between items-start">
+                                        <div>
+                                            <p className="text-xs font-semibold uppercase tracking-wide text-green-600">{MEAL_TYPE_LABELS[meal.mealType]}</p>
+                                            <h2 className="text-lg font-semibold text-gray-800">{meal.name}</h2>
+                                            <p className="text-sm text-gray-500">
+                                                {Math.round(meal.calories)} kcal · P {Math.round(meal.protein)} g · C {Math.round(meal.carbs)} g · F {Math.round(meal.fat)} g
+                                            </p>
+                                        </div>
+                                        <div className="flex space-x-1">
+                                            <button
+                                                onClick={() => handleSwap(day.date, meal.mealType)}
+                                                disabled={isBusy}
+                                                className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-full disabled:opacity-50"
+                                                aria-label={`Swap ${MEAL_TYPE_LABELS[meal.mealType]}`}
+                                            >
+                                                <RefreshCw size={18} />
+                                            </button>
+                                            <button
+                                                onClick={() => handleAddToLog(day.date, meal.mealType)}
+                                                disabled={isBusy}
+                                                className="p-2 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-full disabled:opacity-50"
+                                                aria-label={`Add ${MEAL_TYPE_LABELS[meal.mealType]} to today's log`}
+                                            >
+                                                <Plus size={18} />
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <ul className="mt-3 text-sm text-gray-600 space-y-1">
+                                        {meal.items.map(item => (
+                                            <li key={item.foodCode} className="flex justify-between">
+                                                <span>{item.quantity} {item.unit} · {item.name}</span>
+                                                <span className="text-gray-400">{Math.round(item.calories)} kcal</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    {meal.warnings?.length > 0 && (
+                                        <div className="mt-3">
+                                            <SafetyWarnings warnings={meal.warnings} />
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const CHAT_WELCOME = {
+    sender: 'bot',
+    text: 'नमस्ते! I\'m your AI nutrition assistant. I can help you with meal planning, nutrition advice, and answer your dietary questions in Hindi or English!',
+    sources: []
+};
+
+// Stored conversation turns use role 'user' | 'assistant'; the chat UI uses sender 'user' | 'bot'
+const toChatMessage = (message) => ({
+    sender: message.role === 'user' ? 'user' : 'bot',
+    text: message.text,
+    sources: message.sources || [],
+});
+
+const ChatSection = ({ onClose }) => {
+    const [conversations, setConversations] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [chatMessages, setChatMessages] = useState([CHAT_WELCOME]);
+    const [chatInput, setChatInput] = useState('');
+    const [isTyping, setIsTyping] = useState(false);
+    const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+    // null when not renaming, otherwise { id, title }
+    const [renaming, setRenaming] = useState(null);
+    const [error, setError] = useState('');
+    const chatEndRef = useRef(null);
+    // AbortController of the reply being streamed, if any
+    const abortRef = useRef(null);
+
+    const fetchConversations = useCallback(async () => {
+        try {
+            const response = await authFetch('/api/conversations');
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load conversations.');
+                return;
+            }
+            setConversations(data);
+        } catch (err) {
+            console.error('Conversation list error:', err);
+            setError('Network error while loading conversations.');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchConversations();
+    }, [fetchConversations]);
+
+    useEffect(() => {
+        chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [chatMessages]);
+
+    // Leaving the chat stops any reply still streaming
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    const startNewChat = () => {
+        setActiveId(null);
+        setChatMessages([CHAT_WELCOME]);
+        setIsSidebarOpen(false);
+        setError('');
+    };
+
+    const openConversation = async (id) => {
+        if (isTyping) return;
+        setError('');
+        try {
+            const response = await authFetch(`/api/conversations/${id}`);
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to open conversation.');
+                return;
+            }
+            setActiveId(data._id);
+            setChatMessages([CHAT_WELCOME, ...data.messages.map(toChatMessage)]);
+            setIsSidebarOpen(false);
+        } catch (err) {
+            console.error('Conversation fetch error:', err);
+            setError('Network error while opening conversation.');
+        }
+    };
+
+    const handleRename = async () => {
+        const title = renaming.title.trim();
+        if (!title) return;
+        try {
+            const response = await authFetch(`/api/conversations/${renaming.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ title }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to rename conversation.');
+                return;
+            }
+            setRenaming(null);
+            setConversations(prev => prev.map(conv => (conv._id === data._id ? data : conv)));
+        } catch (err) {
+            console.error('Conversation rename error:', err);
+            setError('Network error while renaming conversation.');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!window.confirm('Delete this conversation?')) return;
+        try {
+            const response = await authFetch(`/api/conversations/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                setError(data.msg || 'Failed to delete conversation.');
+                return;
+            }
+            setConversations(prev => prev.filter(conv => conv._id !== id));
+            if (id === activeId) startNewChat();
+        } catch (err) {
+            console.error('Conversation delete error:', err);
+            setError('Network error while deleting conversation.');
+        }
+    };
+
+    const handleChatSend = async () => {
+        if (!chatInput.trim() || isTyping) return;
+        const userQuery = chatInput.trim();
+        const controller = new AbortController();
+        abortRef.current = controller;
+
+        // 1. Show the question and an empty reply bubble that fills in as text streams
+        setChatMessages(prev => [
+            ...prev,
+            { sender: 'user', text: userQuery, sources: [] },
+            { sender: 'bot', text: '', sources: [] },
+        ]);
+        setChatInput('');
+        setIsTyping(true);
+
+        const updateReply = (update) => setChatMessages(prev => {
+            const reply = prev[prev.length - 1];
+            return [...prev.slice(0, -1), { ...reply, ...update(reply) }];
+        });
+
+        // 2. Stream the reply (continuing the open conversation, if any)
+        let startedId = null;
+        let receivedText = false;
+        try {
+            const result = await streamGeminiApi(userQuery, activeId, {
+                signal: controller.signal,
+                onStart: ({ conversationId }) => { startedId = conversationId; },
+                onText: (text, conversationId) => {
+                    if (conversationId) startedId = conversationId;
+                    receivedText = true;
+                    updateReply(reply => ({ text: reply.text + text }));
+                },
+            });
+            updateReply(() => ({ sources: result.sources }));
+            if (result.conversationId) setActiveId(result.conversationId);
+        } catch (err) {
+            if (controller.signal.aborted) {
+                updateReply(() => ({ stopped: true }));
+                // The server keeps a stopped reply, so a new conversation exists once text arrived
+                if (receivedText && startedId) setActiveId(startedId);
+            } else {
+                console.error('Chat stream failed:', err);
+                updateReply(() => ({ text: err.userMessage || "Sorry, I encountered an error connecting to the AI assistant. Please try again." }));
+            }
+        } finally {
+            abortRef.current = null;
+            setIsTyping(false);
+            fetchConversations();
+        }
+    };
+
+    const handleStop = () => {
+        abortRef.current?.abort();
+    };
+
+    const sidebar = (
+        <div className="flex flex-col h-full">
+            <div className="p-3 border-b">
+                <button
+                    onClick={startNewChat}
+                    className="w-full flex items-center justify-center bg-green-600 text-white py-2 rounded-lg font-semibold hover:bg-green-700 transition"
+                >
+                    <Plus size={18} className="mr-1" /> New Chat
+                </button>
+            </div>
+            <ul className="flex-1 overflow-y-auto divide-y divide-gray-100">
+                {conversations.length === 0 && (
+                    <li className="p-4 text-sm text-gray-500">No saved conversations yet.</li>
+                )}
+                {conversations.map(conv => (
+                    <li key={conv._id} className={`p-3 ${conv._id === activeId ? 'bg-green-50' : 'hover:bg-gray-50'}`}>
+                        {renaming?.id === conv._id ? (
+                            <form
+                                onSubmit={(e) => { e.preventDefault(); handleRename(); }}
+                                className="flex items-center space-x-1"
+                            >
+                                <input
+                                    type="text"
+                                    value={renaming.title}
+                                    onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                                    maxLength={100}
+                                    autoFocus
+                                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-green-500"
+                                />
+                                <button type="submit" className="p-1 text-green-600 hover:bg-green-100 rounded-full" aria-label="Save title">
+                                    <Check size={16} />
+                                </button>
+                                <button type="button" onClick={() => setRenaming(null)} className="p-1 text-gray-400 hover:bg-gray-100 rounded-full" aria-label="Cancel rename">
+                                    <X size={16} />
+                                </button>
+                            </form>
+                        ) : (
+                            <div className="flex items-center">
+                                <button onClick={() => openConversation(conv._id)} className="flex-1 min-w-0 text-left">
+                                    <p className="text-sm font-medium text-gray-800 truncate">{conv.title}</p>
+                                    <p className="text-xs text-gray-400">{new Date(conv.updatedAt).toLocaleDateString()} · {conv.messageCount} messages</p>
+                                </button>
+                                <button onClick={() => setRenaming({ id: conv._id, title: conv.title })} className="p-1 text-gray-400 hover:text-green-600 rounded-full" aria-label="Rename conversation">
+                                    <Pencil size={14} />
+                                </button>
+                                <button onClick={() => handleDelete(conv._id)} className="p-1 text-gray-400 hover:text-red-500 rounded-full" aria-label="Delete conversation">
+                                    <Trash2 size={14} />
+                                </button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+
+  return (
+    <div className="flex flex-col h-screen bg-gray-50 font-sans">
+      <div className="flex-shrink-0 flex items-center p-4 bg-white border-b shadow-sm">
+        <button onClick={onClose} className="p-2 text-gray-600 hover:bg-gray-100 rounded-full mr-2">
+          <X size={24} />
+        </button>
+        <MessageCircle size={28} className="text-green-600 mr-3"/>
+        <h1 className="text-xl font-bold text-gray-800 flex-1">AI Nutrition Chat</h1>
+        <button
+          onClick={() => setIsSidebarOpen(!isSidebarOpen)}
+          className="md:hidden p-2 text-gray-600 hover:bg-gray-100 rounded-full"
+          aria-label="Conversation history"
+        >
+          <History size={22} />
+        </button>
+      </div>
+      
+      {/* Disclaimer */}
+      <div className="flex-shrink-0 p-3 bg-blue-100 text-blue-800 text-xs text-center font-medium border-b border-blue-200">
+        Powered by Gemini: Advice grounded in <strong>Indian Food Composition Tables</strong> and <strong>ICMR-NIN Guidelines</strong>.
+      </div>
+
+      {error && (
+        <div className="flex-shrink-0 bg-red-100 border border-red-400 text-red-700 px-4 py-2 text-sm" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-1 min-h-0">
+        {/* Conversation history: fixed column on desktop, toggled drawer on mobile */}
+        <aside className={`${isSidebarOpen ? 'block' : 'hidden'} md:block w-full md:w-64 flex-shrink-0 bg-white border-r`}>
+          {sidebar}
+        </aside>
+
+        <div className={`${isSidebarOpen ? 'hidden' : 'flex'} md:flex flex-col flex-1 min-w-0`}>
+          <div className="flex-1 overflow-y-auto p-4 space-y-4" style={{ minHeight: '50vh' }}>
+            {chatMessages.filter(msg => msg.text).map((msg, index) => (
+              <div key={index} className={`flex ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
+                <div 
+                  className={`max-w-xs sm:max-w-md p-3 rounded-xl shadow-md ${
+                    msg.sender === 'user' 
+                      ? 'bg-green-500 text-white rounded-br-none' 
+                      : 'bg-white text-gray-800 rounded-tl-none border border-gray-100'
+                  }`}
+                >
+                  <p className="whitespace-pre-wrap">{msg.text}</p>
+                  {msg.stopped && <p className="mt-1 text-xs italic text-gray-400">Stopped</p>}
+                  
+                  {/* Citations/Sources */}
+                  {msg.sources && msg.sources.length > 0 && (
+                      <div className="mt-3 pt-2 border-t border-gray-200 text-xs text-gray-500">
+                          <p className="font-semibold mb-1">Sources:</p>
+                          <ul className="list-disc list-inside space-y-0.5 ml-2">
+                              {msg.sources.map((source, idx) => (
+                                  <li key={idx} className="break-words">
+                                      <a 
+                                          href={source.uri} 
+                                          target="_blank" 
+                                          rel="noopener noreferrer" 
+                                          className="hover:underline text-blue-500"
+                                      >
+                                          {source.title || source.uri}
+                                      </a>
+                                  </li>
+                              ))}
+                          </ul>
+                      </div>
+                  )}
+                </div>
+              </div>
+            ))}
+            {isTyping && !chatMessages[chatMessages.length - 1].text && (
+               <div className="flex justify-start">
+                 <div className="max-w-xs sm:max-w-md p-3 rounded-xl bg-white text-gray-500 rounded-tl-none border border-gray-100 flex items-center">
+                   <span className="typing-indicator"></span> 
+                   <span className="ml-2">Typing...</span>
+                 </div>
+               </div>
+            )}
+            <div ref={chatEndRef} />
+          </div>
+
+          <div className="flex-shrink-0 p-4 bg-white border-t">
+            <div className="flex items-center space-x-3">
+              <input
+                type="text"
+                placeholder={isTyping ? "Swasth Assistant is typing..." : "Ask about nutrition, recipes, diet plans..."}
+                className="flex-1 px-4 py-3 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-green-500 transition"
+                value={chatInput}
+                onChange={(e) => setChatInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    handleChatSend();
+                  }
+                }}
+                disabled={isTyping}
+              />
+              {isTyping ? (
+                <button
+                  onClick={handleStop}
+                  className="bg-red-500 text-white p-3 rounded-full hover:bg-red-600 transition shadow-lg"
+                  aria-label="Stop generating"
+                >
+                  <Square size={24} />
+                </button>
+              ) : (
+                <button
+                  onClick={handleChatSend}
+                  disabled={!chatInput.trim()}
+                  className="bg-green-600 text-white p-3 rounded-full hover:bg-green-700 transition disabled:bg-gray-300 disabled:cursor-not-allowed shadow-lg"
+                >
+                  <ChevronRight size={24} />
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* CSS for typing animation */}
+      <style>{`
+        .typing-indicator {
+          display: inline-block;
+          width: 8px;
+          height: 8px;
+          margin-right: 2px;
+          border-radius: 50%;
+          background-color: #a0a0a0;
+          animation: bounce 1.4s infinite ease-in-out;
+        }
+        .typing-indicator:nth-child(2) {
+          animation-delay: -1.1s;
+        }
+        .typing-indicator:nth-child(3) {
+          animation-delay: -0.7s;
+        }
+        @keyframes bounce {
+          0%, 80%, 100% {
+            transform: scale(0);
+          }
+          40% {
+            transform: scale(1.0);
+          }
+        }
+        .typing-indicator::after, .typing-indicator::before {
+            content: '';
+            display: inline-block;
+            width: 8px;
+            height: 8px;
+            border-radius: 50%;
+            background-color: #a0a0a0;
+        }
+        .typing-indicator::before {
+             animation: bounce 1.4s infinite ease-in-out;
+        }
+        .typing-indicator::after {
+             animation: bounce 1.4s infinite ease-in-out;
+             animation-delay: -0.7s;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+// What a user can share with an expert for a consultation (matches CONSULTATION_SHARES on the server)
+const CONSULTATION_SHARE_OPTIONS = [
+    { key: 'profile', label: 'Profile', description: 'Age, height, weight, goal and diet' },
+    { key: 'health', label: 'Health conditions', description: 'Conditions, allergies and medications' },
+    { key: 'meals', label: 'Meal log', description: 'Meals from the last 14 days' },
+    { key: 'weight', label: 'Weight history', description: 'Weigh-ins from the last 14 days' },
+    { key: 'activity', label: 'Activity', description: 'Exercise from the last 14 days' },
+    { key: 'wellness', label: 'Water & sleep', description: 'Water and sleep from the last 14 days' },
+];
+const SHARE_LABELS = CONSULTATION_SHARE_OPTIONS.reduce((labels, option) => ({ ...labels, [option.key]: option.label }), {});
+
+// Slots are fetched a week at a time, up to the server's 30-day booking window
+const SLOT_DAYS = 7;
+const MAX_SLOT_WEEKS = 4;
+
+const formatSlotDay = (timestamp) => new Date(timestamp).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+const formatSlotTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit' });
+
+const ShareOptions = ({ value, onChange, disabled }) => (
+    <div className="grid gap-2 sm:grid-cols-2">
+        {CONSULTATION_SHARE_OPTIONS.map(option => (
+            <label key={option.key} className="flex items-start space-x-2 text-sm cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={value.includes(option.key)}
+                    onChange={(e) => onChange(e.target.checked ? [...value, option.key] : value.filter(key => key !== option.key))}
+                    className="mt-1 h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+                    disabled={disabled}
+                />
+                <span>
+                    <span className="font-medium text-gray-800">{option.label}</span>
+                    <span className="block text-xs text-gray-500">{option.description}</span>
+                </span>
+            </label>
+        ))}
+    </div>
+);
+
+// Picks a free slot with an expert and books it, or moves an existing consultation to it
+const BookConsultationModal = ({ expert, consultation, onClose, onSaved }) => {
+    const [week, setWeek] = useState(0);
+    const [slots, setSlots] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [note, setNote] = useState('');
+    const [share, setShare] = useState([]);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadSlots = useCallback(async () => {
+        setSlots(null);
+        setSelected(null);
+        const from = week > 0 ? `&from=${toDateKey(new Date(Date.now() + week * SLOT_DAYS * 24 * 60 * 60 * 1000))}` : '';
+        try {
+            const response = await authFetch(`/api/experts/${expert._id}/slots?days=${SLOT_DAYS}${from}`);
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load free slots.');
+                return;
+            }
+            setSlots(data.slots);
+        } catch (err) {
+            console.error('Slots fetch error:', err);
+            setError('Network error while loading free slots.');
+        }
+    }, [expert._id, week]);
+
+    useEffect(() => {
+        loadSlots();
+    }, [loadSlots]);
+
+    const slotsByDay = (slots || []).reduce((days, slot) => {
+        const day = toDateKey(new Date(slot.start));
+        return { ...days, [day]: [...(days[day] || []), slot] };
+    }, {});
+
+    const handleSubmit = async () => {
+        setIsSaving(true);
+        setError('');
+        setFieldErrors({});
+        try {
+            const response = consultation
+                ? await authFetch(`/api/consultations/${consultation._id}/reschedule`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ start: selected }),
+                })
+                : await authFetch('/api/consultations', {
+                    method: 'POST',
+                    body: JSON.stringify({ expert: expert._id, start: selected, share, ...(note.trim() && { note }) }),
+                });
+            const data = await response.json();
+
+            if (!response.ok) {
+                setFieldErrors(fieldErrorsFrom(data));
+                setError(data.errors ? '' : (data.msg || 'Failed to book the consultation.'));
+                // A slot taken in the meantime disappears from the refreshed list
+                if (response.status === 409) loadSlots();
+                return;
+            }
+            onSaved(data);
+        } catch (err) {
+            console.error('Consultation booking error:', err);
+            setError('Network error while booking the consultation.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 overflow-y-auto bg-black bg-opacity-50 flex items-center justify-center p-4">
+            <div className="bg-white rounded-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto shadow-2xl">
+                <div className="sticky top-0 z-20 bg-white border-b p-4 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-800">{consultation ? 'Reschedule' : 'Book a Consultation'}</h2>
+                        <p className="text-sm text-gray-500">{expert.name} · {expert.sessionMinutes} min{expert.fee > 0 && ` · ₹${expert.fee}`}</p>
+                    </div>
+                    <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full transition">
+                        <X size={24} className="text-gray-600" />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-5">
+                    {error && (
+                        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                            {error}
+                        </div>
+                    )}
+
+                    <div>
+                        <div className="flex justify-between items-center mb-2">
+                            <button onClick={() => setWeek(prev => prev - 1)} disabled={week === 0} className="text-sm text-green-700 font-medium disabled:text-gray-300">‹ Earlier</button>
+                            <p className="text-sm font-semibold text-gray-700">{week === 0 ? 'Next 7 days' : `Week ${week + 1}`}</p>
+                            <button onClick={() => setWeek(prev => prev + 1)} disabled={week >= MAX_SLOT_WEEKS} className="text-sm text-green-700 font-medium disabled:text-gray-300">Later ›</button>
+                        </div>
+                        {!slots && !error && <p className="text-sm text-gray-500 text-center py-4">Loading free slots...</p>}
+                        {slots && slots.length === 0 && (
+                            <p className="text-sm text-gray-500 text-center py-4">No free slots this week. Try a later week.</p>
+                        )}
+                        <div className="space-y-3">
+                            {Object.entries(slotsByDay).map(([day, daySlots]) => (
+                                <div key={day}>
+                                    <p className="text-xs font-semibold text-gray-500 uppercase mb-1">{formatSlotDay(daySlots[0].start)}</p>
+                                    <div className="flex flex-wrap gap-2">
+                                        {daySlots.map(slot => (
+                                            <button
+                                                key={slot.start}
+                                                type="button"
+                                                onClick={() => setSelected(slot.start)}
+                                                className={`px-3 py-1 rounded-full text-sm border transition ${selected === slot.start ? 'bg-green-600 text-white border-green-600' : 'border-gray-300 text-gray-700 hover:border-green-500'}`}
+                                            >
+                                                {formatSlotTime(slot.start)}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        <FieldError message={fieldErrors.start} />
+                    </div>
+
+                    {!consultation && (
+                        <>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">What would you like to discuss? (optional)</label>
+                                <textarea
+                                    value={note}
+                                    onChange={(e) => setNote(e.target.value)}
+                                    rows={3}
+                                    maxLength={500}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                                    placeholder="e.g., Managing sugar levels with a vegetarian diet"
+                                    disabled={isSaving}
+                                />
+                                <FieldError message={fieldErrors.note} />
+                            </div>
+                            <div>
+                                <p className="text-sm font-medium text-gray-700 mb-1">Share with {expert.name}</p>
+                                <p className="text-xs text-gray-500 mb-2">Only what you tick is visible to the expert, and you can change it until the consultation.</p>
+                                <ShareOptions value={share} onChange={setShare} disabled={isSaving} />
+                                <FieldError message={fieldErrors.share} />
+                            </div>
+                        </>
+                    )}
+
+                    <button
+                        onClick={handleSubmit}
+                        disabled={isSaving || !selected}
+                        className="w-full bg-green-600 text-white py-3 rounded-xl font-semibold hover:bg-green-700 transition disabled:bg-gray-400"
+                    >
+                        {isSaving
+                            ? 'Saving...'
+                            : selected
+                                ? `${consultation ? 'Move to' : 'Book'} ${formatSlotDay(selected)}, ${formatSlotTime(selected)}`
+                                : 'Pick a time'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// An upcoming or past consultation with cancel, reschedule, sharing and messaging controls
+const ConsultationCard = ({ consultation, onReschedule, onMessage, onChanged }) => {
+    const [isEditingShare, setIsEditingShare] = useState(false);
+    const [share, setShare] = useState(consultation.share);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const { expert } = consultation;
+    const isCancelled = consultation.status === 'cancelled';
+
+    const update = async (path, body, failureMsg) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            const response = await authFetch(`/api/consultations/${consultation._id}/${path}`, {
+                method: 'PUT',
+                ...(body && { body: JSON.stringify(body) }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || failureMsg);
+                return false;
+            }
+            onChanged();
+            return true;
+        } catch (err) {
+            console.error('Consultation update error:', err);
+            setError('Network error while updating the consultation.');
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCancel = () => {
+        if (!window.confirm(`Cancel your consultation with ${expert?.name || 'the expert'}?`)) return;
+        update('cancel', null, 'Failed to cancel the consultation.');
+    };
+
+    const handleSaveShare = async () => {
+        if (await update('share', { share }, 'Failed to update sharing.')) setIsEditingShare(false);
+    };
+
+    return (
+        <li className={`p-4 rounded-xl border ${isCancelled ? 'border-gray-200 bg-gray-50' : 'border-green-200 bg-white'}`}>
+            <div className="flex justify-between items-start gap-3">
+                <div>
+                    <p className="font-semibold text-gray-800">{expert?.name || 'Expert no longer listed'}</p>
+                    <p className="text-sm text-gray-600 flex items-center">
+                        <Calendar size={14} className="mr-1"/>
+                        {formatSlotDay(consultation.start)}, {formatSlotTime(consultation.start)} – {formatSlotTime(consultation.end)}
+                    </p>
+                    {consultation.note && <p className="text-xs text-gray-500 mt-1">“{consultation.note}”</p>}
+                    <p className="text-xs text-gray-500 mt-1">
+                        Sharing: {consultation.share.length > 0 ? consultation.share.map(key => SHARE_LABELS[key]).join(', ') : 'nothing'}
+                    </p>
+                </div>
+                {isCancelled ? (
+                    <span className="text-xs font-medium text-red-600 bg-red-50 px-2 py-1 rounded-full">
+                        Cancelled{consultation.cancelledBy === 'expert' && ' by expert'}
+                    </span>
+                ) : (
+                    <div className="flex flex-col items-end space-y-1 text-sm">
+                        {expert && (
+                            <button onClick={() => onMessage(consultation)} className="text-green-700 font-medium hover:underline">Message</button>
+                        )}
+                        {consultation.canChange && (
+                            <>
+                                {expert && (
+                                    <button onClick={() => onReschedule(consultation)} disabled={isSaving} className="text-green-700 font-medium hover:underline">Reschedule</button>
+                                )}
+                                <button onClick={() => setIsEditingShare(prev => !prev)} disabled={isSaving} className="text-green-700 font-medium hover:underline">Sharing</button>
+                                <button onClick={handleCancel} disabled={isSaving} className="text-red-600 font-medium hover:underline">Cancel</button>
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+            {isEditingShare && (
+                <div className="mt-3 pt-3 border-t space-y-3">
+                    <ShareOptions value={share} onChange={setShare} disabled={isSaving} />
+                    <button onClick={handleSaveShare} disabled={isSaving} className="bg-green-600 text-white px-4 py-1.5 rounded-lg text-sm font-semibold hover:bg-green-700 transition disabled:bg-gray-400">
+                        Save sharing
+                    </button>
+                </div>
+            )}
+            {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+        </li>
+    );
+};
+
+const MESSAGE_PAGE_SIZE = 30;
+// Typing indicators are re-sent at most this often while typing, and shown this long after the last one
+const TYPING_THROTTLE_MS = 3 * 1000;
+const TYPING_DISPLAY_MS = 6 * 1000;
+
+const newClientId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Adds messages (from the server or the outbox) to a thread's list: same _id or clientId replaces,
+// and the list stays in sending order
+const mergeMessages = (list, incoming) => {
+    const merged = [...list];
+    incoming.forEach(message => {
+        const index = merged.findIndex(item => (message._id && item._id === message._id) || (message.clientId && item.clientId === message.clientId));
+        if (index >= 0) merged[index] = message;
+        else merged.push(message);
+    });
+    return merged.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+// Client-expert message threads with live delivery, typing indicators and read receipts.
+// Messages written while offline stay in the outbox and are sent on reconnect.
+const MessagesPanel = ({ realtime, status, userId, activeThreadId, onSelectThread }) => {
+    const [threads, setThreads] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [hasEarlier, setHasEarlier] = useState(false);
+    const [draft, setDraft] = useState('');
+    const [otherLastReadAt, setOtherLastReadAt] = useState(null);
+    const [typingUntil, setTypingUntil] = useState(0);
+    const [error, setError] = useState('');
+    const lastTypingSentRef = useRef(0);
+    const messagesEndRef = useRef(null);
+    const messagesRef = useRef([]);
+
+    const activeThread = threads?.find(thread => thread._id === activeThreadId);
+
+    const fetchThreads = useCallback(async () => {
+        try {
+            const response = await authFetch('/api/messages/threads');
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load messages.');
+                return;
+            }
+            setThreads(data);
+        } catch (err) {
+            console.error('Threads fetch error:', err);
+            setError('Network error while loading messages.');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchThreads();
+    }, [fetchThreads, activeThreadId]);
+
+    const markRead = useCallback((threadId) => {
+        if (!realtime?.send({ type: 'read', threadId })) {
+            authFetch(`/api/messages/threads/${threadId}/read`, { method: 'PUT' }).catch(err => console.error('Mark read error:', err));
+        }
+        setThreads(prev => prev?.map(thread => (thread._id === threadId ? { ...thread, unread: 0 } : thread)));
+    }, [realtime]);
+
+    const loadMessages = useCallback(async (before) => {
+        try {
+            const query = `limit=${MESSAGE_PAGE_SIZE}${before ? `&before=${before}` : ''}`;
+            const response = await authFetch(`/api/messages/threads/${activeThreadId}/messages?${query}`);
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load messages.');
+                return;
+            }
+            setMessages(prev => mergeMessages(before ? prev : prev.filter(message => message.pending), data.messages));
+            realtime?.track(data.messages);
+            setHasEarlier(data.messages.length === MESSAGE_PAGE_SIZE);
+            const otherId = Object.keys(data.lastReadAt).find(id => id !== userId);
+            setOtherLastReadAt(otherId ? data.lastReadAt[otherId] : null);
+        } catch (err) {
+            console.error('Messages fetch error:', err);
+            setError('Network error while loading messages.');
+        }
+    }, [activeThreadId, userId, realtime]);
+
+    useEffect(() => {
+        setMessages([]);
+        setTypingUntil(0);
+        if (!activeThreadId) return;
+        loadMessages();
+        markRead(activeThreadId);
+    }, [activeThreadId, loadMessages, markRead]);
+
+    // Live frames: new and back-filled messages, typing and read receipts
+    useEffect(() => {
+        if (!realtime) return undefined;
+        return realtime.subscribe((frame) => {
+            if (frame.type === 'ready') {
+                // Back-fill only covers messages after one already seen: refresh the list, and the
+                // open thread when it had none
+                fetchThreads();
+                if (activeThreadId && !messagesRef.current.some(message => !message.pending)) loadMessages();
+            } else if (frame.type === 'message' || frame.type === 'messages') {
+                const incoming = frame.type === 'message' ? [frame.message] : frame.messages;
+                const forActive = incoming.filter(message => message.thread === activeThreadId);
+                if (forActive.length > 0) {
+                    setMessages(prev => mergeMessages(prev, forActive));
+                    if (forActive.some(message => message.sender !== userId)) {
+                        setTypingUntil(0);
+                        markRead(activeThreadId);
+                    }
+                }
+                if (incoming.length > forActive.length) fetchThreads();
+                else setThreads(prev => prev?.map(thread => (thread._id === activeThreadId
+                    ? { ...thread, lastMessage: forActive[forActive.length - 1] }
+                    : thread)));
+            } else if (frame.type === 'typing' && frame.threadId === activeThreadId) {
+                setTypingUntil(frame.typing ? Date.now() + TYPING_DISPLAY_MS : 0);
+            } else if (frame.type === 'read' && frame.threadId === activeThreadId && frame.userId !== userId) {
+                setOtherLastReadAt(frame.readAt);
+            } else if (frame.type === 'error' && frame.clientId) {
+                setMessages(prev => prev.map(message => (message.clientId === frame.clientId ? { ...message, failed: frame.msg } : message)));
+            }
+        });
+    }, [realtime, activeThreadId, userId, markRead, fetchThreads, loadMessages]);
+
+    // The outbox goes out again whenever the connection comes back (the server drops repeats)
+    useEffect(() => {
+        messagesRef.current = messages;
+    }, [messages]);
+
+    useEffect(() => {
+        if (status !== 'connected') return;
+        messagesRef.current
+            .filter(message => message.pending && !message.failed)
+            .forEach(message => realtime?.send({ type: 'message', threadId: message.thread, body: message.body, clientId: message.clientId }));
+    }, [status, realtime]);
+
+    // Hide the typing indicator once it goes stale
+    useEffect(() => {
+        if (!typingUntil) return undefined;
+        const timer = setTimeout(() => setTypingUntil(0), Math.max(typingUntil - Date.now(), 0));
+        return () => clearTimeout(timer);
+    }, [typingUntil]);
+
+    useEffect(() => {
+        messagesEndRef.current?.scrollIntoView({ block: 'end' });
+    }, [messages.length, typingUntil]);
+
+    const handleDraftChange = (value) => {
+        setDraft(value);
+        if (value && Date.now() - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+            lastTypingSentRef.current = Date.now();
+            realtime?.send({ type: 'typing', threadId: activeThreadId, typing: true });
+        }
+    };
+
+    const handleSend = (e) => {
+        e.preventDefault();
+        const body = draft.trim();
+        if (!body) return;
+
+        const message = { clientId: newClientId(), thread: activeThreadId, sender: userId, body, createdAt: new Date().toISOString(), pending: true };
+        setMessages(prev => mergeMessages(prev, [message]));
+        setDraft('');
+        lastTypingSentRef.current = 0;
+        realtime?.send({ type: 'typing', threadId: activeThreadId, typing: false });
+        realtime?.send({ type: 'message', threadId: activeThreadId, body, clientId: message.clientId });
+    };
+
+    const handleRetry = (message) => {
+        setMessages(prev => prev.map(item => (item.clientId === message.clientId ? { ...item, failed: undefined } : item)));
+        realtime?.send({ type: 'message', threadId: message.thread, body: message.body, clientId: message.clientId });
+    };
+
+    const lastOwn = [...messages].reverse().find(message => message.sender === userId);
+
+    return (
+        <div className="bg-white p-4 rounded-2xl shadow-xl">
+            <div className="flex justify-between items-center mb-3">
+                <h2 className="text-lg font-semibold text-gray-800 flex items-center"><MessageCircle size={20} className="mr-2 text-green-600"/> Messages</h2>
+                {status !== 'connected' && (
+                    <span className="text-xs text-orange-600 flex items-center"><RefreshCw size={12} className="mr-1 animate-spin"/> Reconnecting…</span>
+                )}
+            </div>
+            {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+            {threads && threads.length === 0 ? (
+                <p className="text-sm text-gray-500 py-4 text-center">No messages yet. After booking, use "Message" on a consultation to write to your expert.</p>
+            ) : (
+                <div className="grid gap-4 md:grid-cols-3">
+                    <ul className="divide-y divide-gray-100 md:border-r md:pr-3">
+                        {threads?.map(thread => (
+                            <li key={thread._id}>
+                                <button
+                                    onClick={() => onSelectThread(thread._id)}
+                                    className={`w-full text-left py-2 px-2 rounded-lg transition ${thread._id === activeThreadId ? 'bg-green-50' : 'hover:bg-gray-50'}`}
+                                >
+                                    <div className="flex justify-between items-center">
+                                        <p className="font-medium text-gray-800 truncate">{thread.title}</p>
+                                        {thread.unread > 0 && (
+                                            <span className="ml-2 text-xs bg-green-600 text-white rounded-full px-2">{thread.unread}</span>
+                                        )}
+                                    </div>
+                                    <p className="text-xs text-gray-500 truncate">{thread.lastMessage?.body || thread.subtitle}</p>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="md:col-span-2 flex flex-col min-h-[20rem]">
+                        {!activeThread ? (
+                            <p className="text-sm text-gray-500 m-auto">Pick a conversation.</p>
+                        ) : (
+                            <>
+                                <p className="font-semibold text-gray-800 border-b pb-2">
+                                    {activeThread.title} <span className="text-xs font-normal text-gray-500">{activeThread.subtitle}</span>
+                                </p>
+                                <div className="flex-1 overflow-y-auto max-h-96 py-3 space-y-2">
+                                    {hasEarlier && (
+                                        <button onClick={() => loadMessages(messages.find(message => message._id)?._id)} className="block mx-auto text-xs text-green-700 hover:underline">
+                                            Load earlier messages
+                                        </button>
+                                    )}
+                                    {messages.map(message => {
+                                        const isOwn = message.sender === userId;
+                                        return (
+                                            <div key={message._id || message.clientId} className={`flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+                                                <div className={`max-w-[80%] px-3 py-2 rounded-2xl text-sm whitespace-pre-wrap ${isOwn ? 'bg-green-600 text-white rounded-br-sm' : 'bg-gray-100 text-gray-800 rounded-bl-sm'}`}>
+                                                    {message.body}
+                                                    <p className={`text-[10px] mt-1 ${isOwn ? 'text-green-100' : 'text-gray-400'}`}>
+                                                        {formatSlotTime(message.createdAt)}
+                                                        {message === lastOwn && !message.failed && (
+                                                            message.pending
+                                                                ? ' · Sending…'
+                                                                : otherLastReadAt && new Date(otherLastReadAt) >= new Date(message.createdAt) ? ' · Seen' : ' · Sent'
+                                                        )}
+                                                    </p>
+                                                    {message.failed && (
+                                                        <button onClick={() => handleRetry(message)} className="text-[11px] underline">{message.failed} Retry</button>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                    {typingUntil > 0 && <p className="text-xs text-gray-500 italic">{activeThread.title} is typing…</p>}
+                                    <div ref={messagesEndRef} />
+                                </div>
+                                <form onSubmit={handleSend} className="flex gap-2 pt-2 border-t">
+                                    <input
+                                        type="text"
+                                        value={draft}
+                                        onChange={(e) => handleDraftChange(e.target.value)}
+                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+                                        placeholder="Write a message"
+                                        maxLength={2000}
+                                    />
+                                    <button type="submit" disabled={!draft.trim()} className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition disabled:bg-gray-400">
+                                        Send
+                                    </button>
+                                </form>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Nutritionists to book consultations with, the user's own bookings and messages with experts
+const ExpertConsultSection = ({ realtime, realtimeStatus, userId }) => {
+    const [experts, setExperts] = useState(null);
+    const [languages, setLanguages] = useState([]);
+    const [language, setLanguage] = useState('');
+    const [consultations, setConsultations] = useState(null);
+    const [showPast, setShowPast] = useState(false);
+    // { expert, consultation? } while the booking modal is open
+    const [booking, setBooking] = useState(null);
+    const [activeThreadId, setActiveThreadId] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchExperts = async () => {
+            try {
+                const query = language ? `?language=${encodeURIComponent(language)}` : '';
+                const response = await authFetch(`/api/experts${query}`);
+                const data = await response.json();
+                if (!response.ok) {
+                    setError(data.msg || 'Failed to load experts.');
+                    return;
+                }
+                setExperts(data.experts);
+                setLanguages(data.languages);
+            } catch (err) {
+                console.error('Experts fetch error:', err);
+                setError('Network error while loading experts.');
+            }
+        };
+        fetchExperts();
+    }, [language]);
+
+    const fetchConsultations = useCallback(async () => {
+        try {
+            const response = await authFetch(`/api/consultations${showPast ? '?past=true' : ''}`);
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load your consultations.');
+                return;
+            }
+            setConsultations(data);
+        } catch (err) {
+            console.error('Consultations fetch error:', err);
+            setError('Network error while loading your consultations.');
+        }
+    }, [showPast]);
+
+    useEffect(() => {
+        fetchConsultations();
+    }, [fetchConsultations]);
+
+    const handleSaved = () => {
+        setBooking(null);
+        setShowPast(false);
+        fetchConsultations();
+    };
+
+    const handleMessage = async (consultation) => {
+        setError('');
+        try {
+            const response = await authFetch('/api/messages/threads', {
+                method: 'POST',
+                body: JSON.stringify({ expert: consultation.expert._id }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setError(data.msg || 'Failed to open the conversation.');
+                return;
+            }
+            setActiveThreadId(data._id);
+        } catch (err) {
+            console.error('Open thread error:', err);
+            setError('Network error while opening the conversation.');
+        }
+    };
+
+    return (
+      <div className="p-4 sm:p-6 md:p-8 space-y-6 bg-gray-50 min-h-screen">
+        <h1 className="text-3xl font-bold text-green-700">Community & Experts</h1>
+
+        {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+                {error}
+            </div>
+        )}
+
+        <div className="bg-white p-4 rounded-2xl shadow-xl">
+            <div className="flex justify-between items-center mb-3">
+                <h2 className="text-lg font-semibold text-gray-800 flex items-center"><Calendar size={20} className="mr-2 text-green-600"/> My Consultations</h2>
+                <div className="flex gap-1 text-sm">
+                    {[{ past: false, label: 'Upcoming' }, { past: true, label: 'Past' }].map(tab => (
+                        <button
+                            key={tab.label}
+                            onClick={() => setShowPast(tab.past)}
+                            className={`px-3 py-1 rounded-full font-medium transition ${showPast === tab.past ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {consultations && consultations.length === 0 ? (
+                <p className="text-sm text-gray-500 py-4 text-center">
+                    {showPast ? 'No past consultations.' : 'No consultations booked. Pick an expert below to book one.'}
+                </p>
+            ) : (
+                <ul className="space-y-3">
+                    {consultations?.map(consultation => (
+                        <ConsultationCard
+                            key={`${consultation._id}-${consultation.start}-${consultation.status}`}
+                            consultation={consultation}
+                            onReschedule={(item) => setBooking({ expert: item.expert, consultation: item })}
+                            onMessage={handleMessage}
+                            onChanged={fetchConsultations}
+                        />
+                    ))}
+                </ul>
+            )}
+        </div>
+
+        <MessagesPanel
+            realtime={realtime}
+            status={realtimeStatus}
+            userId={userId}
+            activeThreadId={activeThreadId}
+            onSelectThread={setActiveThreadId}
+        />
+
+        <div className="bg-white p-4 rounded-2xl shadow-xl">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <h2 className="text-lg font-semibold text-gray-800 flex items-center"><Users size={20} className="mr-2 text-green-600"/> Nutritionists</h2>
+                <select value={language} onChange={(e) => setLanguage(e.target.value)} className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500">
+                    <option value="">Any language</option>
+                    {languages.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+            </div>
+            {experts && experts.length === 0 && (
+                <p className="text-sm text-gray-500 py-4 text-center">No experts are available{language && ` in ${language}`} right now.</p>
+            )}
+            <div className="grid gap-4 md:grid-cols-2">
+                {experts?.map(expert => (
+                    <div key={expert._id} className="p-4 rounded-xl border border-gray-200 flex flex-col">
+                        <p className="text-lg font-semibold text-gray-800">{expert.name}</p>
+                        <p className="text-sm text-green-700">
+                            {expert.title}{expert.experienceYears > 0 && ` · ${expert.experienceYears} yrs experience`}
+                        </p>
+                        {expert.qualifications.length > 0 && (
+                            <p className="text-xs text-gray-600 mt-1 flex items-start"><Award size={14} className="mr-1 mt-0.5 shrink-0"/> {expert.qualifications.join(', ')}</p>
+                        )}
+                        {expert.registrationNumber && <p className="text-xs text-gray-500 mt-1">Reg. no. {expert.registrationNumber}</p>}
+                        {expert.bio && <p className="text-sm text-gray-600 mt-2">{expert.bio}</p>}
+                        <div className="flex flex-wrap gap-1 mt-2">
+                            {expert.specialties.map(specialty => (
+                                <span key={specialty} className="text-xs bg-green-50 text-green-700 px-2 py-0.5 rounded-full">{specialty}</span>
+                            ))}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">Speaks {expert.languages.join(', ')}</p>
+                        <div className="flex justify-between items-center mt-auto pt-3">
+                            <p className="text-sm font-medium text-gray-700 flex items-center">
+                                <Clock size={14} className="mr-1"/> {expert.sessionMinutes} min · {expert.fee > 0 ? `₹${expert.fee}` : 'Free'}
+                            </p>
+                            <button
+                                onClick={() => setBooking({ expert })}
+                                className="bg-green-600 text-white px-4 py-1.5 rounded-lg text-sm font-semibold hover:bg-green-700 transition"
+                            >
+                                Book
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+
+        {booking && (
+            <BookConsultationModal
+                expert={booking.expert}
+                consultation={booking.consultation}
+                onClose={() => setBooking(null)}
+                onSaved={handleSaved}
+            />
+        )}
+      </div>
+    );
+};
+
+// Signed-in devices with per-device sign-out and "sign out everywhere"
+const SessionsPanel = ({ onSignedOut }) => {
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+
+    useEffect(() => {
+        const loadSessions = async () => {
+            try {
+                const response = await authFetch('/api/auth/sessions');
+                const data = await response.json();
+                if (!response.ok) {
+                    setError(data.msg || 'Failed to load sessions.');
+                    return;
+                }
+                setSessions(data);
+            } catch (err) {
+                console.error('Sessions fetch error:', err);
+                setError('Network error while loading sessions.');
+            }
+        };
+        loadSessions();
+    }, []);
+
+    const handleRevoke = async (session) => {
+        if (session.current) {
+            onSignedOut();
+            return;
+        }
+
+        setIsBusy(true);
+        setError('');
+        try {
+            const response = await authFetch(`/api/auth/sessions/${session._id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                setError(data.msg || 'Failed to sign out that device.');
+                return;
+            }
+            setSessions(prev => prev.filter(existing => existing._id !== session._id));
+        } catch (err) {
+            console.error('Session revoke error:', err);
+            setError('Network error while signing out that device.');
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleSignOutEverywhere = async () => {
+        if (!window.confirm('Sign out of Swasth Bharat on every device, including this one?')) return;
+
+        setIsBusy(true);
+        setError('');
+        try {
+            const response = await authFetch('/api/auth/logout-all', { method: 'POST' });
+            if (!response.ok) {
+                const data = await response.json();
+                setError(data.msg || 'Failed to sign out everywhere.');
+                setIsBusy(false);
+                return;
+            }
+            onSignedOut();
+        } catch (err) {
+            console.error('Sign out everywhere error:', err);
+            setError('Network error while signing out.');
+            setIsBusy(false);
+        }
+    };
+
+    return (
+      <div className="bg-white p-6 rounded-2xl shadow-xl space-y-4">
+        <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center"><LogOut size={20} className="mr-2 text-gray-500"/> Signed-in Devices</h2>
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-sm font-medium" role="alert">
+            {error}
+          </div>
+        )}
+        {!sessions && !error && <p className="text-sm text-gray-500">Loading sessions...</p>}
+        {sessions?.map(session => (
+          <div key={session._id} className="flex justify-between items-center border-b pb-3">
+            <div>
+              <p className="text-gray-700">
+                {session.device}
+                {session.current && <span className="ml-2 text-xs font-medium bg-green-100 text-green-700 px-2 py-0.5 rounded-full">This device</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                Last active {new Date(session.lastSeenAt).toLocaleString()}{session.ip && ` · ${session.ip}`}
+              </p>
+            </div>
+            <button
+              onClick={() => handleRevoke(session)}
+              disabled={isBusy}
+              className="text-sm text-red-500 hover:text-red-700 font-medium disabled:opacity-50"
+            >
+              Sign out
+            </button>
+          </div>
+        ))}
+        <button
+            onClick={handleSignOutEverywhere}
+            disabled={isBusy}
+            className="w-full text-red-500 bg-red-50 p-3 rounded-lg hover:bg-red-100 transition font-medium disabled:opacity-50"
+        >
+            Sign Out Everywhere
+        </button>
+      </div>
+    );
+};
+
+const NOTIFICATION_OPTIONS = [
+    { key: 'mealReminders', label: 'Meal logging reminders', description: 'A nudge when a meal slot is still empty.' },
+    { key: 'waterReminders', label: 'Water reminders', description: 'A few nudges a day when you\'re behind on water.' },
+    { key: 'weighInReminders', label: 'Weigh-in reminders', description: 'A weekly reminder to record your weight.' },
+    { key: 'medicationReminders', label: 'Medication reminders', description: 'A reminder at the times you set for each medicine.' },
+    { key: 'weeklySummary', label: 'Weekly summary', description: 'Your calories, activity and weight trend every Monday.' },
+    { key: 'emailNotifications', label: 'Also send by email', description: 'Deliver notifications to your inbox as well as in the app.' },
+    { key: 'pushNotifications', label: 'Browser notifications', description: 'Show notifications on this device even when the app is closed.' },
+];
+
+const MAX_MEDICATIONS = 10;
+
+const settingsInputClassName = "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500";
+
+// Inline result line for the settings panels ({ text, isError })
+const SettingsStatus = ({ status }) => status && (
+    <p className={`text-sm font-medium ${status.isError ? 'text-red-600' : 'text-green-600'}`} role="status">{status.text}</p>
+);
+
+const ChangePasswordPanel = () => {
+    const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    const [status, setStatus] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (form.newPassword !== form.confirmPassword) {
+            setStatus({ text: 'New passwords do not match.', isError: true });
+            return;
+        }
+
+        setIsSaving(true);
+        setStatus(null);
+        try {
+            const response = await authFetch('/api/user/password', {
+                method: 'PUT',
+                body: JSON.stringify({ currentPassword: form.currentPassword, newPassword: form.newPassword }),
+            });
+            const data = await response.json();
+            setStatus({ text: data.msg || (response.ok ? 'Password changed.' : 'Failed to change password.'), isError: !response.ok });
+            if (response.ok) {
+                setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+            }
+        } catch (err) {
+            console.error('Password change error:', err);
+            setStatus({ text: 'Network error while changing password.', isError: true });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3 pt-2">
+            <input type="password" name="currentPassword" placeholder="Current password" value={form.currentPassword} onChange={handleChange} className={settingsInputClassName} disabled={isSaving} required />
+            <input type="password" name="newPassword" placeholder="New password" value={form.newPassword} onChange={handleChange} className={settingsInputClassName} disabled={isSaving} required />
+            <input type="password" name="confirmPassword" placeholder="Confirm new password" value={form.confirmPassword} onChange={handleChange} className={settingsInputClassName} disabled={isSaving} required />
+            <SettingsStatus status={status} />
+            <button type="submit" disabled={isSaving} className="bg-green-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-green-700 transition disabled:bg-gray-400">
+                {isSaving ? 'Saving...' : 'Update Password'}
+            </button>
+        </form>
+    );
+};
+
+const NotificationPrefsPanel = () => {
+    const [prefs, setPrefs] = useState(null);
+    const [status, setStatus] = useState(null);
+    // VAPID key from the server; null when push isn't set up there or this browser can't do it
+    const [pushKey, setPushKey] = useState(null);
+    const [medications, setMedications] = useState([]);
+    const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    useEffect(() => {
+        const loadPrefs = async () => {
+            try {
+                const response = await authFetch('/api/user/notifications');
+                const data = await response.json();
+                if (!response.ok) {
+                    setStatus({ text: data.msg || 'Failed to load preferences.', isError: true });
+                    return;
+                }
+                setPrefs(data);
+                setMedications(data.medications || []);
+            } catch (err) {
+                console.error('Notification preferences fetch error:', err);
+                setStatus({ text: 'Network error while loading preferences.', isError: true });
+            }
+        };
+        const loadPushKey = async () => {
+            if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+            try {
+                const response = await authFetch('/api/notifications/push-key');
+                const data = await response.json();
+                if (response.ok) setPushKey(data.publicKey);
+            } catch (err) {
+                console.error('Push key fetch error:', err);
+            }
+        };
+        loadPrefs();
+        loadPushKey();
+    }, []);
+
+    // Saves part of the preferences; the shown values go back to `previous` if the request fails
+    const savePrefs = async (update, previous) => {
+        setStatus(null);
+        try {
+            const response = await authFetch('/api/user/notifications', {
+                method: 'PUT',
+                body: JSON.stringify(update),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setPrefs(previous);
+                setStatus({ text: data.msg || 'Failed to save preferences.', isError: true });
+                return false;
+            }
+            setPrefs(data);
+            setStatus({ text: 'Preferences saved.', isError: false });
+            return true;
+        } catch (err) {
+            console.error('Notification preferences save error:', err);
+            setPrefs(previous);
+            setStatus({ text: 'Network error while saving preferences.', isError: true });
+            return false;
+        }
+    };
+
+    // Subscribes (or unsubscribes) this browser with the server before push is switched on (or off)
+    const updatePushSubscription = async (enable) => {
+        const registration = await navigator.serviceWorker.register('/sw.js');
+        const existing = await registration.pushManager.getSubscription();
+
+        if (!enable) {
+            if (existing) {
+                await authFetch('/api/notifications/push-subscriptions', { method: 'DELETE', body: JSON.stringify({ endpoint: existing.endpoint }) });
+                await existing.unsubscribe();
+            }
+            return;
+        }
+
+        const key = Uint8Array.from(atob(pushKey.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+        const subscription = existing || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+        const { endpoint, keys } = subscription.toJSON();
+        const response = await authFetch('/api/notifications/push-subscriptions', {
+            method: 'POST',
+            body: JSON.stringify({ endpoint, p256dh: keys.p256dh, auth: keys.auth }),
+        });
+        if (!response.ok) throw new Error('Subscription was not saved');
+    };
+
+    // Saves each switch as soon as it changes, reverting it if the request fails
+    const handleToggle = async (key) => {
+        const previous = prefs;
+        const next = { ...prefs, [key]: !prefs[key] };
+        setPrefs(next);
+
+        if (key === 'pushNotifications') {
+            try {
+                await updatePushSubscription(next[key]);
+            } catch (err) {
+                console.error('Push subscription error:', err);
+                setPrefs(previous);
+                setStatus({ text: 'Browser notifications could not be turned on. Check that this site may show notifications.', isError: true });
+                return;
+            }
+        }
+        savePrefs({ [key]: next[key] }, previous);
+    };
+
+    const updateMedication = (index, field, value) => setMedications(prev => prev.map((medication, i) => (i === index ? { ...medication, [field]: value } : medication)));
+
+    const options = NOTIFICATION_OPTIONS.filter(option => option.key !== 'pushNotifications' || pushKey);
+
+    return (
+        <div className="space-y-3 pt-2">
+            {!prefs && !status && <p className="text-sm text-gray-500">Loading preferences...</p>}
+            {prefs && options.map(option => (
+                <div key={option.key}>
+                    <label className="flex items-start justify-between gap-4 cursor-pointer">
+                        <span>
+                            <span className="block text-gray-700">{option.label}</span>
+                            <span className="block text-xs text-gray-500">{option.description}</span>
+                        </span>
+                        <input
+                            type="checkbox"
+                            checked={Boolean(prefs[option.key])}
+                            onChange={() => handleToggle(option.key)}
+                            className="mt-1 h-5 w-5 accent-green-600"
+                        />
+                    </label>
+                    {option.key === 'medicationReminders' && prefs.medicationReminders && (
+                        <div className="mt-2 ml-2 pl-3 border-l-2 border-green-100 space-y-2">
+                            {medications.map((medication, index) => (
+                                <div key={index} className="flex items-center gap-2">
+                                    <input
+                                        type="text"
+                                        value={medication.name}
+                                        onChange={(e) => updateMedication(index, 'name', e.target.value)}
+                                        className="flex-1 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500"
+                                        placeholder="Medicine name"
+                                        maxLength={60}
+                                    />
+                                    <input
+                                        type="time"
+                                        value={medication.time}
+                                        onChange={(e) => updateMedication(index, 'time', e.target.value)}
+                                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500"
+                                    />
+                                    <button onClick={() => setMedications(prev => prev.filter((_, i) => i !== index))} className="p-1 text-gray-400 hover:text-red-500 rounded-full" aria-label="Remove medication">
+                                        <X size={16} />
+                                    </button>
+                                </div>
+                            ))}
+                            <div className="flex gap-3">
+                                {medications.length < MAX_MEDICATIONS && (
+                                    <button onClick={() => setMedications(prev => [...prev, { name: '', time: '09:00' }])} className="text-sm text-green-600 font-medium hover:underline">
+                                        + Add medication
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => savePrefs({ medications: medications.filter(medication => medication.name.trim()) }, prefs)}
+                                    className="text-sm text-green-700 font-semibold hover:underline"
+                                >
+                                    Save medications
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            ))}
+            {prefs && (
+                <p className="text-xs text-gray-500">
+                    Reminders follow the {prefs.timeZone} time zone.
+                    {deviceTimeZone && deviceTimeZone !== prefs.timeZone && (
+                        <>
+                            {' '}
+                            <button onClick={() => savePrefs({ timeZone: deviceTimeZone }, prefs)} className="text-green-700 font-medium hover:underline">
+                                Use {deviceTimeZone}
+                            </button>
+                        </>
+                    )}
+                </p>
+            )}
+            <SettingsStatus status={status} />
+        </div>
+    );
+};
+
+// Whether scanned meal photos are kept with the log entries; turning it off deletes the kept photos
+const MealPhotosPanel = () => {
+    const [keepMealPhotos, setKeepMealPhotos] = useState(null);
+    const [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        const loadPrefs = async () => {
+            try {
+                const response = await authFetch('/api/user/preferences');
+                const data = await response.json();
+                if (!response.ok) {
+                    setStatus({ text: data.msg || 'Failed to load preferences.', isError: true });
+                    return;
+                }
+                setKeepMealPhotos(Boolean(data.keepMealPhotos));
+            } catch (err) {
+                console.error('Preferences fetch error:', err);
+                setStatus({ text: 'Network error while loading preferences.', isError: true });
+            }
+        };
+        loadPrefs();
+    }, []);
+
+    const handleToggle = async () => {
+        const next = !keepMealPhotos;
+        if (!next && !window.confirm('Stop keeping meal photos? Photos kept so far will be deleted.')) return;
+        setKeepMealPhotos(next);
+        setStatus(null);
+
+        try {
+            const response = await authFetch('/api/user/preferences', {
+                method: 'PUT',
+                body: JSON.stringify({ keepMealPhotos: next }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setKeepMealPhotos(!next);
+                setStatus({ text: data.msg || 'Failed to save preferences.', isError: true });
+                return;
+            }
+            setKeepMealPhotos(Boolean(data.keepMealPhotos));
+            setStatus({ text: next ? 'Meal photos will be kept.' : 'Meal photos deleted and no longer kept.', isError: false });
+        } catch (err) {
+            console.error('Preferences save error:', err);
+            setKeepMealPhotos(!next);
+            setStatus({ text: 'Network error while saving preferences.', isError: true });
+        }
+    };
+
+    return (
+        <div className="space-y-3 pt-2">
+            {keepMealPhotos === null && !status && <p className="text-sm text-gray-500">Loading preferences...</p>}
+            {keepMealPhotos !== null && (
+                <label className="flex items-start justify-between gap-4 cursor-pointer">
+                    <span>
+                        <span className="block text-gray-700">Keep scanned meal photos</span>
+                        <span className="block text-xs text-gray-500">Off: photos are only used to recognise the dishes and are then discarded.</span>
+                    </span>
+                    <input
+                        type="checkbox"
+                        checked={keepMealPhotos}
+                        onChange={handleToggle}
+                        className="mt-1 h-5 w-5 accent-green-600"
+                    />
+                </label>
+            )}
+            <SettingsStatus status={status} />
+        </div>
+    );
+};
+
+// Account deletion needs the password again plus typing DELETE
+const DeleteAccountPanel = ({ onDeleted }) => {
+    const [password, setPassword] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [status, setStatus] = useState(null);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const handleDelete = async (e) => {
+        e.preventDefault();
+        setIsDeleting(true);
+        setStatus(null);
+        try {
+            const response = await authFetch('/api/user', {
+                method: 'DELETE',
+                body: JSON.stringify({ password }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                setStatus({ text: data.msg || 'Failed to delete account.', isError: true });
+                setIsDeleting(false);
+                return;
+            }
+            onDeleted();
+        } catch (err) {
+            console.error('Account deletion error:', err);
+            setStatus({ text: 'Network error while deleting account.', isError: true });
+            setIsDeleting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleDelete} className="space-y-3 pt-2">
+            <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+                This permanently deletes your profile, meal and weight logs, meal photos, assistant chats and meal plans. It cannot be undone.
             </p>
-            <button 
-                onClick={() => console.log('Sign up for early access to Community chat!')}
-                className="mt-6 bg-yellow-500 text-white py-2 px-6 rounded-full font-semibold hover:bg-yellow-600 transition duration-300 shadow-lg"
+            <input type="password" placeholder="Your password" value={password} onChange={(e) => setPassword(e.target.value)} className={settingsInputClassName} disabled={isDeleting} required />
+            <input type="text" placeholder="Type DELETE to confirm" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} className={settingsInputClassName} disabled={isDeleting} />
+            <SettingsStatus status={status} />
+            <button
+                type="submit"
+                disabled={isDeleting || !password || confirmation !== 'DELETE'}
+                className="w-full text-white bg-red-600 p-3 rounded-lg hover:bg-red-700 transition font-medium disabled:bg-gray-400"
             >
-                Notify Me
+                {isDeleting ? 'Deleting...' : 'Permanently Delete My Account'}
             </button>
-        </div>
-    </div>
-);
+        </form>
+    );
+};
+
+const SettingsSection = ({ onSignedOut }) => {
+    const [openPanel, setOpenPanel] = useState(null);
+
+    const togglePanel = (panel) => setOpenPanel(current => (current === panel ? null : panel));
+
+    const panelHeader = (panel, label) => (
+        <button onClick={() => togglePanel(panel)} className="w-full flex justify-between items-center text-left" aria-expanded={openPanel === panel}>
+            <span className="text-gray-700">{label}</span>
+            <ChevronRight size={20} className={`text-gray-400 transition-transform ${openPanel === panel ? 'rotate-90' : ''}`}/>
+        </button>
+    );
 
-const SettingsSection = () => (
+    return (
     <div className="p-4 sm:p-6 md:p-8 bg-gray-50 min-h-screen">
       <h1 className="text-3xl font-bold text-green-700 mb-6">Settings</h1>
       <p className="text-gray-600 mb-8">
@@ -718,23 +4984,185 @@ const SettingsSection = () => (
         
       <div className="bg-white p-6 rounded-2xl shadow-xl space-y-4">
         <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center"><Settings size={20} className="mr-2 text-gray-500"/> Account</h2>
-        <div className="flex justify-between items-center border-b pb-3">
-            <span className="text-gray-700">Change Password</span>
-            <ChevronRight size={20} className="text-gray-400 cursor-pointer"/>
+        <div className="border-b pb-3">
+            {panelHeader('password', 'Change Password')}
+            {openPanel === 'password' && <ChangePasswordPanel />}
         </div>
-        <div className="flex justify-between items-center border-b pb-3">
-            <span className="text-gray-700">Notification Preferences</span>
-            <ChevronRight size={20} className="text-gray-400 cursor-pointer"/>
+        <div className="border-b pb-3">
+            {panelHeader('notifications', 'Notification Preferences')}
+            {openPanel === 'notifications' && <NotificationPrefsPanel />}
         </div>
-        <button 
-            onClick={() => console.log('Feature to delete account')} 
-            className="w-full text-red-500 bg-red-50 p-3 rounded-lg hover:bg-red-100 transition font-medium"
-        >
-            Delete Account
-        </button>
+        <div className="border-b pb-3">
+            {panelHeader('mealPhotos', 'Meal Photos')}
+            {openPanel === 'mealPhotos' && <MealPhotosPanel />}
+        </div>
+        {openPanel === 'delete' ? (
+            <div>
+                <div className="flex justify-between items-center">
+                    <span className="text-red-600 font-medium">Delete Account</span>
+                    <button onClick={() => setOpenPanel(null)} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+                </div>
+                <DeleteAccountPanel onDeleted={onSignedOut} />
+            </div>
+        ) : (
+            <button 
+                onClick={() => setOpenPanel('delete')} 
+                className="w-full text-red-500 bg-red-50 p-3 rounded-lg hover:bg-red-100 transition font-medium"
+            >
+                Delete Account
+            </button>
+        )}
+      </div>
+
+      <div className="mt-6">
+        <SessionsPanel onSignedOut={onSignedOut} />
       </div>
     </div>
-);
+    );
+};
+
+const NOTIFICATION_POLL_MS = 60 * 1000;
+const NOTIFICATION_PAGE_SIZE = 20;
+
+const timeAgo = (timestamp) => {
+    const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return 'Just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(timestamp).toLocaleDateString();
+};
+
+// Reminders and summaries, newest first. Opening one marks it read and goes to its page.
+const NotificationCentre = ({ onClose, onOpenPage, onUnreadChange }) => {
+    const [notifications, setNotifications] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [error, setError] = useState('');
+
+    // Loads the first page, or the page older than `before`
+    const loadNotifications = useCallback(async (before) => {
+        setError('');
+        try {
+            const query = `limit=${NOTIFICATION_PAGE_SIZE}${before ? `&before=${before}` : ''}`;
+            const response = await authFetch(`/api/notifications?${query}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                setError(data.msg || 'Failed to load notifications.');
+                return;
+            }
+            setNotifications(prev => (before ? [...prev, ...data.notifications] : data.notifications));
+            setHasMore(data.notifications.length === NOTIFICATION_PAGE_SIZE);
+            onUnreadChange(data.unreadCount);
+        } catch (err) {
+            console.error('Notifications fetch error:', err);
+            setError('Network error while loading notifications.');
+        }
+    }, [onUnreadChange]);
+
+    useEffect(() => {
+        loadNotifications();
+    }, [loadNotifications]);
+
+    const handleOpen = async (notification) => {
+        if (!notification.readAt) {
+            try {
+                const response = await authFetch(`/api/notifications/${notification._id}/read`, { method: 'PUT' });
+                const data = await response.json();
+                if (response.ok) {
+                    setNotifications(prev => prev.map(item => (item._id === notification._id ? data.notification : item)));
+                    onUnreadChange(data.unreadCount);
+                }
+            } catch (err) {
+                console.error('Notification read error:', err);
+            }
+        }
+        if (notification.link) {
+            onOpenPage(notification.link);
+            onClose();
+        }
+    };
+
+    const handleReadAll = async () => {
+        try {
+            const response = await authFetch('/api/notifications/read-all', { method: 'PUT' });
+            if (!response.ok) {
+                setError('Failed to mark notifications as read.');
+                return;
+            }
+            const readAt = new Date().toISOString();
+            setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || readAt })));
+            onUnreadChange(0);
+        } catch (err) {
+            console.error('Notification read-all error:', err);
+            setError('Network error while updating notifications.');
+        }
+    };
+
+    const handleDelete = async (notification) => {
+        try {
+            const response = await authFetch(`/api/notifications/${notification._id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                setError('Failed to delete notification.');
+                return;
+            }
+            setNotifications(prev => prev.filter(item => item._id !== notification._id));
+            if (!notification.readAt) loadNotifications();
+        } catch (err) {
+            console.error('Notification delete error:', err);
+            setError('Network error while deleting notification.');
+        }
+    };
+
+    const hasUnread = notifications?.some(notification => !notification.readAt);
+
+    return (
+        <>
+            <div className="fixed inset-0 z-30" onClick={onClose} aria-hidden="true"></div>
+            <div className="fixed right-4 top-16 z-40 w-80 max-w-[calc(100vw-2rem)] max-h-[70vh] flex flex-col bg-white rounded-2xl shadow-2xl border border-gray-100" role="dialog" aria-label="Notifications">
+                <div className="flex justify-between items-center px-4 py-3 border-b">
+                    <h2 className="font-semibold text-gray-800">Notifications</h2>
+                    <div className="flex items-center space-x-2">
+                        {hasUnread && (
+                            <button onClick={handleReadAll} className="text-xs text-green-700 font-medium hover:underline">Mark all read</button>
+                        )}
+                        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600 rounded-full" aria-label="Close notifications">
+                            <X size={18} />
+                        </button>
+                    </div>
+                </div>
+                <div className="overflow-y-auto">
+                    {error && <p className="px-4 py-2 text-sm text-red-600" role="alert">{error}</p>}
+                    {notifications === null && !error && <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>}
+                    {notifications?.length === 0 && (
+                        <div className="px-4 py-8 text-center text-gray-500">
+                            <Bell size={32} className="mx-auto mb-2 text-gray-300" />
+                            <p className="text-sm">No notifications yet. Choose your reminders in Settings.</p>
+                        </div>
+                    )}
+                    <ul className="divide-y divide-gray-100">
+                        {notifications?.map(notification => (
+                            <li key={notification._id} className={`flex items-start gap-2 px-4 py-3 ${notification.readAt ? '' : 'bg-green-50'}`}>
+                                <button onClick={() => handleOpen(notification)} className="flex-1 text-left">
+                                    <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'text-gray-900 font-semibold'}`}>{notification.title}</p>
+                                    <p className="text-xs text-gray-600 mt-0.5">{notification.body}</p>
+                                    <p className="text-xs text-gray-400 mt-1">{timeAgo(notification.createdAt)}</p>
+                                </button>
+                                <button onClick={() => handleDelete(notification)} className="p-1 text-gray-300 hover:text-red-500 rounded-full" aria-label="Delete notification">
+                                    <X size={14} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    {hasMore && (
+                        <button onClick={() => loadNotifications(notifications[notifications.length - 1]._id)} className="w-full py-2 text-sm text-green-700 font-medium hover:bg-gray-50">
+                            Show older
+                        </button>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+};
 
 
 
@@ -745,10 +5173,23 @@ const SwasthBharatApp = () => {
   // Session Management State Variables
   const [authToken, setAuthToken] = useState(localStorage.getItem('authToken') || null);
   const [userProfile, setUserProfile] = useState(null);
+  // Daily energy/macro targets computed by the server from the profile
+  const [targets, setTargets] = useState(null);
   const [isProfileLoading, setIsProfileLoading] = useState(false);
+  // Token from a ?reset= link and the outcome of a ?verify= link ({ text, isError })
+  const [resetToken, setResetToken] = useState(null);
+  const [authNotice, setAuthNotice] = useState(null);
   const [currentPage, setCurrentPage] = useState(authToken ? 'dashboard' : 'login'); 
   const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
+  const [showScanModal, setShowScanModal] = useState(false);
+  // Day the meal log opens on (set after logging a scanned meal for another day)
+  const [mealLogDate, setMealLogDate] = useState(null);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  // Live connection while signed in: { send, subscribe } and 'connecting' | 'connected' | 'offline'
+  const [realtime, setRealtime] = useState(null);
+  const [realtimeStatus, setRealtimeStatus] = useState('offline');
   const [userData, setUserData] = useState({
     name: '',
     email: '',
@@ -764,37 +5205,27 @@ const SwasthBharatApp = () => {
     dietPreference: '',
     allergies: []
   });
-  const [mealLog, setMealLog] = useState([]);
-  const [weightHistory, setWeightHistory] = useState([]);
-  const [chatMessages, setChatMessages] = useState([
-    { 
-        sender: 'bot', 
-        text: 'नमस्ते! I\'m your AI nutrition assistant. I can help you with meal planning, nutrition advice, and answer your dietary questions in Hindi or English!',
-        sources: [] 
-    }
-  ]);
-  const [chatInput, setChatInput] = useState('');
-  const [isTyping, setIsTyping] = useState(false);
-  const chatEndRef = useRef(null);
-
-
-  // --- Utility Functions ---
-
-  const scrollToBottom = () => {
-    chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  };
-
-  useEffect(scrollToBottom, [chatMessages]);
-
   // --- Authentication & Profile Fetch Logic ---
 
   // handleLogout must be defined before fetchUserProfile
   const handleLogout = useCallback(() => {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('token');
+    // Revoke the session server-side; the local sign-out doesn't wait for it
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      fetch(`${API_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(error => console.error('Logout error:', error));
+    }
+
+    clearTokens();
     setAuthToken(null);
     setUserProfile(null);
+    setTargets(null);
     setIsLoggedIn(false);
+    setShowNotifications(false);
+    setUnreadCount(0);
     setUserData({
         name: '', email: '', weight: '', height: '', age: '', gender: '', region: '', healthIssues: [], goal: '', targetWeight: '', activityLevel: '', dietPreference: '', allergies: []
     });
@@ -807,21 +5238,11 @@ const SwasthBharatApp = () => {
       return;
     }
     
-    console.log('fetchUserProfile called with token:', token);
-    console.log('Token length:', token?.length);
-    
     setIsProfileLoading(true);
     try {
       console.log('Fetching profile from:', `${API_URL}/api/user/profile`);
-      console.log('With headers:', { 'Content-Type': 'application/json', 'x-auth-token': token });
       
-      const response = await fetch(`${API_URL}/api/user/profile`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-auth-token': token,
-        },
-      });
+      const response = await authFetch('/api/user/profile');
       
       console.log('Profile fetch response status:', response.status);
 
@@ -839,8 +5260,10 @@ const SwasthBharatApp = () => {
         email: data.email,
         ...data.profile,
       }));
+      setTargets(data.targets);
       setIsLoggedIn(true);
-      setCurrentPage('home'); 
+      // A reset link opened while signed in keeps its form
+      setCurrentPage(page => (page === 'resetPassword' ? page : 'home'));
       
     } catch (error) {
       console.error('Profile fetch error:', error);
@@ -851,14 +5274,9 @@ const SwasthBharatApp = () => {
   }, [handleLogout]);
 
   const onAuthSuccess = useCallback((data) => {
-    console.log('onAuthSuccess called with:', data);
-    console.log('Token to save:', data.token);
-    
-    localStorage.setItem('authToken', data.token);
-    localStorage.setItem('token', data.token);
+    storeTokens(data);
     setAuthToken(data.token);
     
-    console.log('Token saved. Fetching profile with token:', data.token);
     fetchUserProfile(data.token);
   }, [fetchUserProfile]);
 
@@ -875,16 +5293,29 @@ const SwasthBharatApp = () => {
     console.error('Auth attempt failed:', errorMsg);
   }
   
-  const handleProfileUpdateSuccess = (updatedData) => {
+  const handleProfileUpdateSuccess = (updatedUser) => {
+    setUserProfile(updatedUser);
     setUserData(prev => ({
       ...prev,
-      ...updatedData,
-      healthIssues: updatedData.healthIssues,
-      allergies: updatedData.allergies,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      ...updatedUser.profile,
     }));
+    setTargets(updatedUser.targets);
     setCurrentPage('home');
   }
 
+  const refreshTargets = async () => {
+    try {
+      const response = await authFetch('/api/user/targets');
+      if (response.ok) {
+        setTargets(await response.json());
+      }
+    } catch (error) {
+      console.error('Targets refresh error:', error);
+    }
+  };
+
   const handleProfileUpdateError = (errorMsg) => {
     console.error('Profile update failed:', errorMsg);
   }
@@ -907,31 +5338,113 @@ const SwasthBharatApp = () => {
     }
   }, []);
 
-  
+  // Links from account emails: ?reset=<token> opens the reset form, ?verify=<token> confirms the address
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const reset = params.get('reset');
+    const verify = params.get('verify');
+    if (!reset && !verify) return;
 
-  // --- Chat Feature Implementation (Calling the Service) ---
+    // Keep the single-use token out of the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
 
-  const handleChatSend = async () => {
-    if (!chatInput.trim() || isTyping) return;
-    const userQuery = chatInput.trim();
-    const userMessage = { sender: 'user', text: userQuery, sources: [] };
-    
-    // 1. Update UI immediately
-    setChatMessages(prev => [...prev, userMessage]);
-    setChatInput('');
-    setIsTyping(true);
+    if (reset) {
+      setResetToken(reset);
+      setCurrentPage('resetPassword');
+      return;
+    }
+
+    const verifyEmail = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/verify-email`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: verify }),
+        });
+        const data = await response.json();
+        setAuthNotice({ text: data.msg || 'Email verification failed.', isError: !response.ok });
+        if (response.ok) {
+          setUserProfile(prev => prev && { ...prev, emailVerified: true });
+        }
+      } catch (error) {
+        console.error('Email verification error:', error);
+        setAuthNotice({ text: 'Network error while verifying your email.', isError: true });
+      }
+    };
+    verifyEmail();
+  }, []);
+
+  // The refresh token was rejected (expired, or signed out from another device)
+  useEffect(() => {
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleLogout);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleLogout);
+  }, [handleLogout]);
 
-    // 2. Call the separated service function
-    const botResponse = await callGeminiApi(userQuery, userData);
-    
-    // 3. Update UI with final response (success or failure)
-    setChatMessages(prev => [...prev, { sender: 'bot', ...botResponse }]);
-    setIsTyping(false);
-  };
   
+
   const handleCameraScan = () => {
-    console.log('Camera scan feature coming soon!'); 
+    setShowScanModal(true);
+  };
+
+  // After a scanned meal is logged, open the daily log on the day it was logged for
+  const handleScanSaved = (date) => {
+    setShowScanModal(false);
+    setMealLogDate(date);
+    setCurrentPage('mealLog');
   };
+
+  // Unread count for the Bell badge, refreshed every minute while signed in
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+
+    const fetchUnreadCount = async () => {
+      try {
+        const response = await authFetch('/api/notifications/unread-count');
+        if (response.ok) {
+          const data = await response.json();
+          setUnreadCount(data.unreadCount);
+        }
+      } catch (err) {
+        console.error('Unread count fetch error:', err);
+      }
+    };
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, NOTIFICATION_POLL_MS);
+    return () => clearInterval(timer);
+  }, [isLoggedIn]);
+
+  // Live connection for messages and notifications; the unread count poll above stays as a fallback
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+
+    const listeners = new Set();
+    const connection = connectRealtime({
+      onStatus: setRealtimeStatus,
+      onFrame: (frame) => {
+        if (frame.type === 'notification') setUnreadCount(count => count + 1);
+        listeners.forEach(listener => listener(frame));
+      },
+    });
+    setRealtime({
+      send: connection.send,
+      track: connection.track,
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+    });
+
+    return () => {
+      connection.close();
+      setRealtime(null);
+      setRealtimeStatus('offline');
+    };
+  }, [isLoggedIn]);
+
+  // Later visits to the log start on today again
+  useEffect(() => {
+    if (currentPage !== 'mealLog') setMealLogDate(null);
+  }, [currentPage]);
   
   // --- UI Components ---
   
@@ -987,6 +5500,42 @@ const SwasthBharatApp = () => {
 
       {/* Progress & Goals */}
       <h2 className="text-2xl font-bold text-gray-800 pt-4">Your Health Snapshot</h2>
+      <DaySnapshot onNavigate={setCurrentPage} />
+      {targets && (
+        <div className="bg-white p-6 rounded-2xl shadow-lg border-t-4 border-green-500">
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="text-sm text-gray-500">Your Daily Targets</p>
+              <p className="text-3xl font-bold text-gray-800 mt-1">{targets.calories} <span className="text-base font-medium text-gray-500">kcal</span></p>
+            </div>
+            {targets.bmi && (
+              <div className="text-right">
+                <p className="text-sm text-gray-500">BMI</p>
+                <p className="text-xl font-bold text-gray-800">{targets.bmi}</p>
+                <p className="text-xs text-gray-500">{targets.bmiCategory}</p>
+              </div>
+            )}
+          </div>
+          <div className="mt-4 grid grid-cols-4 gap-2 text-center">
+            {[
+              { key: 'protein', label: 'Protein' },
+              { key: 'carbs', label: 'Carbs' },
+              { key: 'fat', label: 'Fat' },
+              { key: 'fibre', label: 'Fibre' },
+            ].map(macro => (
+              <div key={macro.key} className="bg-gray-50 rounded-lg p-2">
+                <p className="text-xs text-gray-500">{macro.label}</p>
+                <p className="font-semibold text-gray-800">{targets[macro.key]} g</p>
+              </div>
+            ))}
+          </div>
+          {targets.estimated && (
+            <button onClick={() => setCurrentPage('profile')} className="mt-3 text-xs text-green-600 font-medium hover:underline">
+              Estimated from ICMR-NIN reference values. Complete your profile for personalised targets.
+            </button>
+          )}
+        </div>
+      )}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <SectionCard title="Set Health Goals" icon={Target} color="blue" onClick={() => setCurrentPage('profile')}>
           Define your target weight, activity level, and diet preferences.
@@ -1002,6 +5551,9 @@ const SwasthBharatApp = () => {
         <SectionCard title="Daily Meal Log" icon={Calendar} color="red" onClick={() => setCurrentPage('mealLog')}>
           Log your meals quickly and get nutritional analysis.
         </SectionCard>
+        <SectionCard title="Weekly Meal Plan" icon={ClipboardList} color="green" onClick={() => setCurrentPage('mealPlan')}>
+          Get a 7-day plan matched to your region, diet, health and targets.
+        </SectionCard>
         <SectionCard title="Regional Recipes" icon={Book} color="yellow" onClick={() => setCurrentPage('recipes')}>
           Browse personalized, nutritious recipes based on Indian regional cuisine.
         </SectionCard>
@@ -1012,202 +5564,37 @@ const SwasthBharatApp = () => {
     </div>
   );
 
-  const MealLogSection = () => (
-    <div className="p-4 sm:p-6 md:p-8 bg-white min-h-screen">
-      <h1 className="text-3xl font-bold text-green-700 mb-6">Daily Meal Log</h1>
-      <div className="bg-green-50 p-4 rounded-xl shadow-inner mb-6 flex justify-between items-center">
-        <p className="font-semibold text-green-700">Today's Total: 1850 / 2200 kcal</p>
-        <button className="bg-green-600 text-white p-2 rounded-full hover:bg-green-700 transition">
-          <Plus size={20} />
-        </button>
-      </div>
-      
-      {mealLog.length === 0 ? (
-        <div className="text-center py-12 border-2 border-dashed border-gray-200 rounded-xl">
-          <Calendar size={48} className="text-gray-300 mx-auto mb-4" />
-          <p className="text-lg text-gray-500">No meals logged yet today.</p>
-          <button onClick={() => console.log('Add meal modal')} className="mt-4 text-sm text-green-600 font-medium hover:underline">
-            Tap to add your first meal!
-          </button>
-        </div>
-      ) : (
-        <div className="space-y-4">
-          {/* Meal log items would be mapped here */}
-        </div>
-      )}
-
-      {/* Floating Action Button for easy adding */}
-      <button 
-        onClick={() => console.log('Add meal modal')} 
-        className="fixed bottom-20 right-6 bg-orange-500 text-white p-4 rounded-full shadow-2xl hover:bg-orange-600 transition duration-300 z-10"
-        aria-label="Add Meal"
-      >
-        <Plus size={24} />
-      </button>
-
-    </div>
-  );
-
-  
-
-  const ChatSection = () => {
-  return (
-    <div className="flex flex-col h-screen bg-gray-50 font-sans">
-      <div className="flex-shrink-0 flex items-center p-4 bg-white border-b shadow-sm">
-        <button onClick={() => setCurrentPage('home')} className="p-2 text-gray-600 hover:bg-gray-100 rounded-full mr-2">
-          <X size={24} />
-        </button>
-        <MessageCircle size={28} className="text-green-600 mr-3"/>
-        <h1 className="text-xl font-bold text-gray-800">AI Nutrition Chat</h1>
-      </div>
-      
-      {/* Disclaimer */}
-      <div className="flex-shrink-0 p-3 bg-blue-100 text-blue-800 text-xs text-center font-medium border-b border-blue-200">
-        Powered by Gemini: Advice grounded in <strong>Indian Food Composition Tables</strong> and <strong>ICMR-NIN Guidelines</strong>.
-      </div>
-
-      <div className="flex-1 overflow-y-auto p-4 space-y-4" style={{ minHeight: '50vh' }}>
-        {chatMessages.map((msg, index) => (
-          <div key={index} className={`flex ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}>
-            <div 
-              className={`max-w-xs sm:max-w-md p-3 rounded-xl shadow-md ${
-                msg.sender === 'user' 
-                  ? 'bg-green-500 text-white rounded-br-none' 
-                  : 'bg-white text-gray-800 rounded-tl-none border border-gray-100'
-              }`}
-            >
-              <p className="whitespace-pre-wrap">{msg.text}</p>
-              
-              {/* Citations/Sources */}
-              {msg.sources && msg.sources.length > 0 && (
-                  <div className="mt-3 pt-2 border-t border-gray-200 text-xs text-gray-500">
-                      <p className="font-semibold mb-1">Sources:</p>
-                      <ul className="list-disc list-inside space-y-0.5 ml-2">
-                          {msg.sources.map((source, idx) => (
-                              <li key={idx} className="break-words">
-                                  <a 
-                                      href={source.uri} 
-                                      target="_blank" 
-                                      rel="noopener noreferrer" 
-                                      className="hover:underline text-blue-500"
-                                  >
-                                      {source.title || source.uri}
-                                  </a>
-                              </li>
-                          ))}
-                      </ul>
-                  </div>
-              )}
-            </div>
-          </div>
-        ))}
-        {isTyping && (
-           <div className="flex justify-start">
-             <div className="max-w-xs sm:max-w-md p-3 rounded-xl bg-white text-gray-500 rounded-tl-none border border-gray-100 flex items-center">
-               <span className="typing-indicator"></span> 
-               <span className="ml-2">Typing...</span>
-             </div>
-           </div>
-        )}
-        <div ref={chatEndRef} />
-      </div>
-
-      <div className="flex-shrink-0 p-4 bg-white border-t">
-        <div className="flex items-center space-x-3">
-          <input
-            key="chat-input"
-            type="text"
-            placeholder={isTyping ? "Swasth Assistant is typing..." : "Ask about nutrition, recipes, diet plans..."}
-            className="flex-1 px-4 py-3 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-green-500 transition"
-            value={chatInput}
-            onChange={(e) => setChatInput(e.target.value)}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                handleChatSend();
-              }
-            }}
-            disabled={isTyping}
-          />
-          <button
-            onClick={handleChatSend}
-            disabled={!chatInput.trim() || isTyping}
-            className="bg-green-600 text-white p-3 rounded-full hover:bg-green-700 transition disabled:bg-gray-300 disabled:cursor-not-allowed shadow-lg"
-          >
-            <ChevronRight size={24} />
-          </button>
-        </div>
-      </div>
-
-      {/* CSS for typing animation */}
-      <style>{`
-        .typing-indicator {
-          display: inline-block;
-          width: 8px;
-          height: 8px;
-          margin-right: 2px;
-          border-radius: 50%;
-          background-color: #a0a0a0;
-          animation: bounce 1.4s infinite ease-in-out;
-        }
-        .typing-indicator:nth-child(2) {
-          animation-delay: -1.1s;
-        }
-        .typing-indicator:nth-child(3) {
-          animation-delay: -0.7s;
-        }
-        @keyframes bounce {
-          0%, 80%, 100% {
-            transform: scale(0);
-          }
-          40% {
-            transform: scale(1.0);
-          }
-        }
-        .typing-indicator::after, .typing-indicator::before {
-            content: '';
-            display: inline-block;
-            width: 8px;
-            height: 8px;
-            border-radius: 50%;
-            background-color: #a0a0a0;
-        }
-        .typing-indicator::before {
-             animation: bounce 1.4s infinite ease-in-out;
-        }
-        .typing-indicator::after {
-             animation: bounce 1.4s infinite ease-in-out;
-             animation-delay: -0.7s;
-        }
-      `}</style>
-    </div>
-  );
-};
-
   const renderContent = () => {
     switch (currentPage) {
       case 'home':
         return <HomeSection />;
       case 'mealLog':
-        return <MealLogSection />;
+        return <MealLogSection key={mealLogDate} initialDate={mealLogDate} targets={targets} />;
       case 'chat':
-        return <ChatSection />;
+        return <ChatSection onClose={() => setCurrentPage('home')} />;
       case 'profile':
         return (
             <ProfileScreen 
                 userData={userData}
+                emailVerified={userProfile?.emailVerified}
                 onUpdateSuccess={handleProfileUpdateSuccess}
                 onUpdateError={handleProfileUpdateError}
             />
         );
+      case 'mealPlan':
+          return <MealPlanSection />;
+      case 'nutrients':
+        return <MicronutrientSection onOpenProfile={() => setCurrentPage('profile')} />;
       case 'progress':
-          return <ProgressSection weightHistory={weightHistory} />;
+          return <ProgressSection onWeightLogged={refreshTargets} />;
+      case 'activity':
+          return <ActivitySection />;
       case 'recipes':
           return <RecipesSection region={userData.region} dietPreference={userData.dietPreference} />;
       case 'expertConsult':
-          return <ExpertConsultSection />;
+          return <ExpertConsultSection realtime={realtime} realtimeStatus={realtimeStatus} userId={userProfile?._id} />;
       case 'settings':
-          return <SettingsSection />;
+          return <SettingsSection onSignedOut={handleLogout} />;
       default:
         return <HomeSection />;
     }
@@ -1233,17 +5620,19 @@ const SwasthBharatApp = () => {
     );
   };
 
-  if (!isLoggedIn && currentPage !== 'auth' && currentPage !== 'register') {
+  if (!isLoggedIn && !AUTH_PAGES.includes(currentPage)) {
       setCurrentPage('auth');
   }
 
-  if (currentPage === 'auth' || currentPage === 'register') {
+  if (AUTH_PAGES.includes(currentPage)) {
       return (
         <AuthScreen 
           currentPage={currentPage} 
           setCurrentPage={setCurrentPage} 
           onAuthSuccess={onAuthSuccess} 
           onAuthError={handleAuthError}
+          resetToken={resetToken}
+          notice={authNotice}
         />
       );
   }
@@ -1258,8 +5647,17 @@ const SwasthBharatApp = () => {
             {currentPage === 'home' ? 'Swasth Bharat' : currentPage.charAt(0).toUpperCase() + currentPage.slice(1).replace(/([A-Z])/g, ' $1')}
           </h1>
           <div className="flex items-center space-x-3">
-            <button className="p-2 text-gray-500 hover:bg-gray-100 rounded-full" aria-label="Notifications">
+            <button
+              onClick={() => setShowNotifications(open => !open)}
+              className="relative p-2 text-gray-500 hover:bg-gray-100 rounded-full"
+              aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+            >
               <Bell size={24} />
+              {unreadCount > 0 && (
+                <span className="absolute top-0 right-0 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold flex items-center justify-center">
+                  {unreadCount > 99 ? '99+' : unreadCount}
+                </span>
+              )}
             </button>
             <button onClick={() => setShowMenu(true)} className="p-2 text-gray-500 hover:bg-gray-100 rounded-full" aria-label="Menu">
               <Menu size={24} />
@@ -1267,12 +5665,30 @@ const SwasthBharatApp = () => {
           </div>
         </div>
       </header>
+
+      {showNotifications && (
+        <NotificationCentre
+          onClose={() => setShowNotifications(false)}
+          onOpenPage={setCurrentPage}
+          onUnreadChange={setUnreadCount}
+        />
+      )}
       
       {/* Main Content Area */}
       <main className="flex-1 overflow-y-auto">
+        {authNotice && (
+          <div className={`mx-4 mt-4 px-4 py-3 rounded-lg text-sm font-medium flex justify-between items-center border ${authNotice.isError ? 'bg-red-100 border-red-400 text-red-700' : 'bg-green-100 border-green-400 text-green-700'}`} role="status">
+            <span>{authNotice.text}</span>
+            <button onClick={() => setAuthNotice(null)} className="p-1 rounded-full hover:bg-white/50" aria-label="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+        )}
         {renderContent()}
       </main>
 
+      {showScanModal && <ScanMealModal onClose={() => setShowScanModal(false)} onSaved={handleScanSaved} />}
+
       {/* Bottom Navigation for Mobile */}
       <nav className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-100 shadow-2xl z-10 sm:hidden">
         <div className="flex justify-around p-2">
@@ -1320,6 +5736,9 @@ const SwasthBharatApp = () => {
               <NavItem page="mealLog" icon={Calendar} label="Daily Log" />
               <NavItem page="chat" icon={MessageCircle} label="AI Assistant" />
               <NavItem page="progress" icon={TrendingUp} label="Progress & Metrics" />
+              <NavItem page="activity" icon={Activity} label="Activity" />
+              <NavItem page="nutrients" icon={Apple} label="Nutrient Check" />
+              <NavItem page="mealPlan" icon={ClipboardList} label="Meal Plan" />
               <NavItem page="recipes" icon={Book} label="Regional Recipes" />
               <NavItem page="expertConsult" icon={Users} label="Community & Experts" />
             </div>
@@ -0,0 +1,70 @@
+// Shared enumerations used by models, routes and services
+
+// Meal slots used throughout the daily meal log
+const MEAL_TYPES = ['breakfast', 'lunch', 'snacks', 'dinner'];
+
+// Regions offered in the profile (matches indianRegions in the client)
+const REGIONS = ['North India', 'South India', 'East India', 'West India', 'Northeast India', 'Central India'];
+
+const DIET_PREFERENCES = ['vegetarian', 'vegan', 'non-vegetarian', 'pescatarian'];
+
+// Which recipe diet types each diet preference can eat
+const DIET_COMPATIBILITY = {
+    vegan: ['vegan'],
+    vegetarian: ['vegan', 'vegetarian'],
+    pescatarian: ['vegan', 'vegetarian', 'pescatarian'],
+    'non-vegetarian': DIET_PREFERENCES,
+};
+
+// Profile choices (match the options in the client's profile form)
+const GENDERS = ['male', 'female', 'other'];
+const ACTIVITY_LEVELS = ['sedentary', 'light', 'moderate', 'very'];
+const GOALS = ['lose_weight', 'gain_muscle', 'maintain', 'healthy_eating'];
+
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Notification switches stored on the user (see NotificationPrefsSchema)
+const NOTIFICATION_PREFERENCES = [
+    'mealReminders',
+    'waterReminders',
+    'weighInReminders',
+    'medicationReminders',
+    'weeklySummary',
+    'emailNotifications',
+    'pushNotifications',
+];
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const MAX_MEDICATIONS = 10;
+
+// Parts of their data a user can share with an expert for a consultation (see consultationService)
+const CONSULTATION_SHARES = ['profile', 'health', 'meals', 'weight', 'activity', 'wellness'];
+
+// Other switches stored on the user (see PreferencesSchema)
+const USER_PREFERENCES = ['keepMealPhotos'];
+
+// How a night's sleep felt (see SleepLogModel)
+const SLEEP_QUALITIES = ['poor', 'fair', 'good'];
+
+// Account roles: nutritionists are linked to an expert profile, admins manage roles
+const ROLES = ['user', 'nutritionist', 'admin'];
+
+module.exports = {
+    MEAL_TYPES,
+    REGIONS,
+    DIET_PREFERENCES,
+    DIET_COMPATIBILITY,
+    GENDERS,
+    ACTIVITY_LEVELS,
+    GOALS,
+    MIN_PASSWORD_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    NOTIFICATION_PREFERENCES,
+    DEFAULT_TIME_ZONE,
+    MAX_MEDICATIONS,
+    CONSULTATION_SHARES,
+    USER_PREFERENCES,
+    SLEEP_QUALITIES,
+    ROLES,
+};
@@ -0,0 +1,14 @@
+const { Pool } = require('pg');
+
+// PostgreSQL holds the static nutrition data (IFCT food composition + household measures).
+// The pool is only created when POSTGRES_URI is set, so the rest of the API still boots without it.
+const pgPool = process.env.POSTGRES_URI
+    ? new Pool({ connectionString: process.env.POSTGRES_URI })
+    : null;
+
+if (pgPool) {
+    // An idle client losing its connection must not crash the whole server
+    pgPool.on('error', (err) => console.error('❌ PostgreSQL pool error:', err.message));
+}
+
+module.exports = pgPool;
@@ -0,0 +1,47 @@
+// Request limits and login lockout policy. Each limit can be overridden with the
+// environment variable named next to it.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const envNumber = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Fixed windows: at most `limit` requests per `windowMs`, counted per client IP or per user
+const RATE_LIMITS = {
+    // Every /api request, per IP
+    api: { limit: envNumber('RATE_LIMIT_API', 300), windowMs: 5 * MINUTE_MS },
+    // Login attempts per IP, whichever accounts they target
+    login: { limit: envNumber('RATE_LIMIT_LOGIN', 20), windowMs: 15 * MINUTE_MS },
+    // Registrations and account emails (verification, password reset) per IP
+    account: { limit: envNumber('RATE_LIMIT_ACCOUNT', 10), windowMs: HOUR_MS },
+    // Assistant messages per IP and per user
+    chatIp: { limit: envNumber('RATE_LIMIT_CHAT_IP', 30), windowMs: MINUTE_MS },
+    chatUser: { limit: envNumber('RATE_LIMIT_CHAT_USER', 10), windowMs: MINUTE_MS },
+    // Meal photo scans per user
+    mealScan: { limit: envNumber('RATE_LIMIT_MEAL_SCAN', 5), windowMs: MINUTE_MS },
+    // Meal descriptions parsed per user
+    mealParse: { limit: envNumber('RATE_LIMIT_MEAL_PARSE', 20), windowMs: MINUTE_MS },
+    // Messages to experts per user (over the API and live connections together)
+    messages: { limit: envNumber('RATE_LIMIT_MESSAGES', 30), windowMs: MINUTE_MS },
+};
+
+// After `threshold` failed logins for an email within `windowMs`, the account is locked
+// for baseMs, doubling with every further failure up to maxMs. A successful login resets it.
+const LOGIN_LOCKOUT = {
+    threshold: envNumber('LOGIN_LOCKOUT_THRESHOLD', 5),
+    baseMs: MINUTE_MS,
+    maxMs: HOUR_MS,
+    windowMs: 24 * HOUR_MS,
+};
+
+// Assistant replies and meal photo scans per user per UTC day
+const AI_DAILY_QUOTA = envNumber('AI_DAILY_QUOTA', 50);
+
+module.exports = {
+    RATE_LIMITS,
+    LOGIN_LOCKOUT,
+    AI_DAILY_QUOTA,
+};
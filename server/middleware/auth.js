@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessionService');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
     // Get token from header (usually sent as 'x-auth-token')
     const token = req.header('x-auth-token');
 
@@ -10,14 +11,25 @@ module.exports = (req, res, next) => {
     }
 
     // Verify token
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Attach user object (with user ID) to the request
-        req.user = decoded.user; 
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (err) {
         // Token is not valid (expired, corrupted, etc.)
-        res.status(401).json({ msg: 'Token is not valid' });
+        return res.status(401).json({ msg: 'Token is not valid' });
     }
+
+    // Access tokens belong to a session; tokens of revoked (logged out) sessions are refused
+    try {
+        if (!decoded.user?.sessionId || !(await isSessionActive(decoded.user.sessionId))) {
+            return res.status(401).json({ msg: 'Session has expired or was signed out' });
+        }
+    } catch (err) {
+        console.error(err.message);
+        return res.status(500).send('Server Error');
+    }
+
+    // Attach user object (with user and session IDs) to the request
+    req.user = decoded.user;
+    next();
 };
@@ -0,0 +1,29 @@
+const User = require('../models/UserModel');
+
+// Route-level role requirements, used after `auth`:
+//   router.put('/users/:id/role', auth, requireRole('admin'), ...)
+// The token's role answers most requests without a lookup. A token can be up to 15 minutes
+// older than a role change, so an allowed role is confirmed against the account; a demotion
+// takes effect at once, and a promotion with the next token refresh.
+// Roles don't widen ownership: owned resources are still loaded with `user: req.user.id` in the
+// query, for admins too.
+const requireRole = (...roles) => async (req, res, next) => {
+    if (!roles.includes(req.user.role || 'user')) {
+        return res.status(403).json({ msg: 'You do not have permission to do this' });
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('role');
+        if (!user || !roles.includes(user.role)) {
+            return res.status(403).json({ msg: 'You do not have permission to do this' });
+        }
+        next();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+};
+
+module.exports = {
+    requireRole,
+};
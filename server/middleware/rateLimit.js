@@ -0,0 +1,64 @@
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { hit, useAiQuota } = require('../services/rateLimitService');
+
+// '45 seconds', '3 minutes', '2 hours'
+const formatWait = (ms) => {
+    const seconds = Math.max(Math.ceil(ms / 1000), 1);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const hours = Math.ceil(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// Answers 429 with Retry-After (seconds) and a message saying when to try again
+const sendTooManyRequests = (res, retryAfterMs, reason) => {
+    const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ msg: `${reason} Please try again in ${formatWait(retryAfterMs)}.`, retryAfter });
+};
+
+// Limits requests with the window named in config/rateLimits.js, counted per client IP
+// or, with { by: 'user' } after the auth middleware, per signed-in user
+const rateLimit = (name, { by = 'ip' } = {}) => {
+    const { limit, windowMs } = RATE_LIMITS[name];
+
+    return async (req, res, next) => {
+        const subject = by === 'user' ? req.user.id : req.ip;
+        const result = await hit(`${name}:${by}:${subject}`, limit, windowMs);
+
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+
+        if (!result.allowed) {
+            return sendTooManyRequests(res, result.retryAfterMs, 'Too many requests.');
+        }
+        next();
+    };
+};
+
+// Daily assistant allowance per user (after the auth middleware). The charged counter is kept
+// on req.aiQuotaKey for refunds.
+const aiQuota = async (req, res, next) => {
+    const quota = await useAiQuota(req.user.id);
+    req.aiQuotaKey = quota.key;
+
+    res.set('X-AI-Quota-Limit', String(quota.limit));
+    res.set('X-AI-Quota-Remaining', String(quota.remaining));
+
+    if (!quota.allowed) {
+        return sendTooManyRequests(
+            res,
+            quota.retryAfterMs,
+            `You've used all ${quota.limit} AI requests (assistant messages and meal scans) for today.`
+        );
+    }
+    next();
+};
+
+module.exports = {
+    rateLimit,
+    aiQuota,
+    sendTooManyRequests,
+    formatWait,
+};
@@ -0,0 +1,17 @@
+const Expert = require('../models/ExpertModel');
+
+// Lets through nutritionists whose account is linked to an expert profile, which is attached as
+// req.expert. Used after requireRole('nutritionist'); admins link the profile when promoting.
+module.exports = async (req, res, next) => {
+    try {
+        const expert = await Expert.findOne({ user: req.user.id });
+        if (!expert) {
+            return res.status(403).json({ msg: 'Your account is not linked to an expert profile' });
+        }
+        req.expert = expert;
+        next();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+};
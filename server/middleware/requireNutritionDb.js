@@ -0,0 +1,9 @@
+const foodService = require('../services/foodService');
+
+// Rejects requests that need the PostgreSQL nutrition store when it isn't configured
+module.exports = (req, res, next) => {
+    if (!foodService.isAvailable()) {
+        return res.status(503).json({ msg: 'Nutrition database is not available' });
+    }
+    next();
+};
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { isDateKey } = require('../utils/dates');
+const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = require('../config/constants');
+
+// Declarative request validation shared by all routes:
+//
+//   router.post('/', auth, validate({ body: { email: { type: 'email', required: true } } }), handler)
+//
+// A schema maps request parts (body, query, params) to field rules:
+//   type       'string' | 'email' | 'number' | 'integer' | 'boolean' | 'date' (YYYY-MM-DD) | 'datetime'
+//              (ISO 8601 with a time zone) | 'objectId' | 'array'
+//   required   reject missing or blank values (otherwise '' and null skip validation and pass through)
+//   min, max   numeric range;  minLength, maxLength  text length;  maxItems  array length
+//   enum       allowed values;  items  rule for each array element (omit it for lists of objects)
+//   trim       strings are trimmed unless false (passwords);  label / message  override the wording
+//
+// Valid values are written back normalised (numeric strings become numbers, 'true'/'false'
+// booleans, datetimes Dates). Failures answer 400 { msg, errors: [{ field, msg }] } with one
+// entry per invalid field; msg repeats the first.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// A zone (Z or an offset) is required so the instant isn't read in the server's time zone
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const PARTS = ['body', 'query', 'params'];
+
+// 'targetWeight' -> 'Target weight'
+const labelFor = (field, rule) => rule.label
+    || field.replace(/([A-Z])/g, ' $1').toLowerCase().replace(/^./, first => first.toUpperCase());
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Checks one value against its rule; returns [error, normalised value]
+const checkValue = (value, rule, label) => {
+    switch (rule.type) {
+        case 'string':
+        case 'email': {
+            if (typeof value !== 'string') return [`${label} must be text`];
+            const text = rule.trim === false ? value : value.trim();
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) return [`${label} must be a valid email address`];
+            if (rule.minLength && text.length < rule.minLength) return [`${label} must be at least ${rule.minLength} characters`];
+            if (rule.maxLength && text.length > rule.maxLength) return [`${label} must be at most ${rule.maxLength} characters`];
+            if (rule.enum && !rule.enum.includes(text)) return [`${label} must be one of: ${rule.enum.join(', ')}`];
+            return [null, text];
+        }
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return [`${label} must be a number`];
+            if (rule.type === 'integer' && !Number.isInteger(number)) return [`${label} must be a whole number`];
+            if (rule.min !== undefined && number < rule.min) return [`${label} must be at least ${rule.min}`];
+            if (rule.max !== undefined && number > rule.max) return [`${label} must be at most ${rule.max}`];
+            if (rule.enum && !rule.enum.includes(number)) return [`${label} must be one of: ${rule.enum.join(', ')}`];
+            return [null, number];
+        }
+        case 'boolean': {
+            const flag = { true: true, false: false }[value] ?? value;
+            return typeof flag === 'boolean' ? [null, flag] : [`${label} must be true or false`];
+        }
+        case 'date':
+            return isDateKey(value) ? [null, value] : [`${label} must be in YYYY-MM-DD format`];
+        case 'datetime':
+            return typeof value === 'string' && DATETIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+                ? [null, new Date(value)]
+                : [`${label} must be a date and time like 2026-10-19T09:30:00+05:30`];
+        case 'objectId':
+            return typeof value === 'string' && mongoose.Types.ObjectId.isValid(value)
+                ? [null, value]
+                : [`${label} is not a valid id`];
+        case 'array': {
+            if (!Array.isArray(value)) return [`${label} must be a list`];
+            if (rule.maxItems && value.length > rule.maxItems) return [`${label} can have at most ${rule.maxItems} entries`];
+            if (!rule.items) return [null, value];
+
+            const items = [];
+            for (const item of value) {
+                const [error, normalised] = checkValue(item, rule.items, `Each entry in ${label.toLowerCase()}`);
+                if (error) return [error];
+                items.push(normalised);
+            }
+            return [null, items];
+        }
+        default:
+            throw new Error(`Unknown validation type '${rule.type}'`);
+    }
+};
+
+// Sends field-level errors in the shared shape; also used by routes for errors found after validation
+const sendFieldErrors = (res, errors, status = 400) => res.status(status).json({ msg: errors[0].msg, errors });
+
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    PARTS.forEach(part => {
+        if (!schema[part]) return;
+        const source = req[part] || {};
+
+        Object.entries(schema[part]).forEach(([field, rule]) => {
+            const label = labelFor(field, rule);
+
+            if (isBlank(source[field])) {
+                if (rule.required) {
+                    errors.push({ field, msg: rule.message || `${label} is required` });
+                }
+                return;
+            }
+
+            const [error, value] = checkValue(source[field], rule, label);
+            if (error) {
+                errors.push({ field, msg: rule.message || error });
+            } else {
+                source[field] = value;
+            }
+        });
+    });
+
+    if (errors.length > 0) {
+        return sendFieldErrors(res, errors);
+    }
+    next();
+};
+
+// Field rules shared between routes
+const rules = {
+    email: { type: 'email', required: true, maxLength: 254 },
+    // New passwords; existing ones are only checked for presence so older accounts can still sign in
+    newPassword: { type: 'string', required: true, trim: false, minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH },
+    password: { type: 'string', required: true, trim: false },
+    token: { type: 'string', required: true, maxLength: 2048 },
+};
+
+module.exports = {
+    validate,
+    sendFieldErrors,
+    rules,
+};
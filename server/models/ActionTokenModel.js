@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Outstanding single-use email link (verification or password reset). The link carries a
+// signed JWT whose jti matches one of these records; using the link deletes the record.
+const ActionTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    purpose: {
+        type: String,
+        enum: ['verify-email', 'reset-password'],
+        required: true,
+    },
+    jti: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+ActionTokenSchema.index({ user: 1, purpose: 1 });
+// MongoDB drops links once they have expired
+ActionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActionToken', ActionTokenSchema);
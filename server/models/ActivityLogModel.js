@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One bout of exercise or physical activity on a day, with its estimated energy cost
+const ActivityLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Calendar day in the user's local time, stored as 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    // Code from the activity catalogue (services/activityService), or 'other'
+    activity: {
+        type: String,
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    durationMinutes: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Only used for 'other' activities, where it sets the MET
+    intensity: { type: String },
+    met: { type: Number, required: true },
+    // Body weight (kg) the calories were estimated with, so old entries don't shift with later weigh-ins
+    weight: { type: Number, required: true },
+    calories: { type: Number, required: true }, // kcal
+    note: { type: String, trim: true },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ActivityLogSchema.index({ user: 1, date: 1 });
+
+module.exports = mongoose.model('ActivityLog', ActivityLogSchema);
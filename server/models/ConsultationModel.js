@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { CONSULTATION_SHARES } = require('../config/constants');
+
+// A consultation a user booked with an expert
+const ConsultationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    expert: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expert',
+        required: true,
+    },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['booked', 'cancelled'],
+        default: 'booked',
+    },
+    // What the user asked to discuss
+    note: { type: String, trim: true },
+    // Which parts of the user's profile and logs the expert may see (see CONSULTATION_SHARES)
+    share: {
+        type: [{ type: String, enum: CONSULTATION_SHARES }],
+        default: [],
+    },
+    // Earlier start times, oldest first
+    rescheduledFrom: { type: [Date], default: [] },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String, enum: ['user', 'expert'] },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// An expert's slot can only hold one live booking, even when two users book it at once
+ConsultationSchema.index({ expert: 1, start: 1 }, { unique: true, partialFilterExpression: { status: 'booked' } });
+ConsultationSchema.index({ user: 1, start: -1 });
+
+module.exports = mongoose.model('Consultation', ConsultationSchema);
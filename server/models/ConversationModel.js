@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A single turn in an assistant conversation
+const MessageSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+    },
+    // Grounding citations returned with an assistant turn
+    sources: {
+        type: [{ uri: String, title: String, _id: false }],
+        default: [],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// A saved chat thread with the AI nutrition assistant
+const ConversationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    messages: {
+        type: [MessageSchema],
+        default: [],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Bumped on every new turn so the sidebar lists recent threads first
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ConversationSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
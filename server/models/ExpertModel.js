@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE } = require('../config/constants');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A weekly window the expert takes consultations in, in the expert's time zone
+const AvailabilitySchema = new mongoose.Schema({
+    weekday: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    start: { type: String, required: true, match: TIME_PATTERN }, // 'HH:MM'
+    end: { type: String, required: true, match: TIME_PATTERN },
+}, { _id: false });
+
+// A nutritionist or dietitian users can book consultations with
+const ExpertSchema = new mongoose.Schema({
+    // The expert's own account, when they have one (lets them manage availability and see bookings)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    name: { type: String, required: true, trim: true },
+    title: { type: String, trim: true }, // e.g., 'Registered Dietitian', 'Clinical Nutritionist'
+    qualifications: { type: [String], default: [] }, // e.g., 'M.Sc. Food & Nutrition', 'RD (IDA)'
+    registrationNumber: { type: String, trim: true }, // professional body registration, shown to users
+    experienceYears: { type: Number, min: 0 },
+    languages: { type: [String], default: [] },
+    specialties: { type: [String], default: [] }, // e.g., 'Diabetes', 'PCOS', 'Sports nutrition'
+    bio: { type: String, trim: true },
+    fee: { type: Number, min: 0, default: 0 }, // INR per consultation
+    sessionMinutes: { type: Number, min: 15, max: 120, default: 30 },
+    timeZone: { type: String, default: DEFAULT_TIME_ZONE },
+    availability: { type: [AvailabilitySchema], default: [] },
+    // Inactive experts are hidden and can't be booked; existing bookings stay
+    active: { type: Boolean, default: true },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ExpertSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+ExpertSchema.index({ active: 1, languages: 1 });
+
+module.exports = mongoose.model('Expert', ExpertSchema);
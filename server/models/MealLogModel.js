@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { MEAL_TYPES } = require('../config/constants');
+
+// A single food item the user has eaten in one of the daily meal slots
+const MealLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Calendar day in the user's local time, stored as 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    mealType: {
+        type: String,
+        enum: MEAL_TYPES,
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // Code of the matching food in the nutrition database; nutrients are computed from it when set
+    foodCode: { type: String },
+    quantity: { type: Number, default: 1 }, // e.g., 2
+    unit: { type: String, default: 'serving' }, // e.g., 'roti', 'katori', 'cup'
+    grams: { type: Number }, // Portion weight, known when foodCode is set
+    calories: { type: Number, default: 0 }, // kcal
+    protein: { type: Number, default: 0 }, // g
+    carbs: { type: Number, default: 0 }, // g
+    fat: { type: Number, default: 0 }, // g
+    // Fibre and micronutrients from the nutrition database; left unset for manual entries
+    fibre: { type: Number }, // g
+    iron: { type: Number }, // mg
+    calcium: { type: Number }, // mg
+    vitaminB12: { type: Number }, // mcg
+    vitaminD: { type: Number }, // mcg
+    folate: { type: Number }, // mcg
+    zinc: { type: Number }, // mg
+    // Kept photo of the scanned meal this entry came from
+    photo: { type: mongoose.Schema.Types.ObjectId, ref: 'MealPhoto' },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Every read is "this user's entries for this day"
+MealLogSchema.index({ user: 1, date: 1 });
+
+module.exports = mongoose.model('MealLog', MealLogSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A scanned meal photo, kept only when the user has opted in (preferences.keepMealPhotos).
+// Meal log entries created from the scan point at it through their `photo` field.
+const MealPhotoSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    data: {
+        type: Buffer,
+        required: true,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    // Dish names the model recognised, for reference
+    recognised: { type: [String], default: [] },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+MealPhotoSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MealPhoto', MealPhotoSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { MEAL_TYPES } = require('../config/constants');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// One food in a planned meal, with the portion already scaled to the user's targets
+const PlanItemSchema = new mongoose.Schema({
+    foodCode: { type: String, required: true },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    unit: { type: String, required: true },
+    grams: { type: Number },
+    calories: { type: Number, default: 0 },
+    protein: { type: Number, default: 0 },
+    carbs: { type: Number, default: 0 },
+    fat: { type: Number, default: 0 },
+}, { _id: false });
+
+// A dish (or small combination) planned for one meal slot
+const PlannedMealSchema = new mongoose.Schema({
+    mealType: { type: String, enum: MEAL_TYPES, required: true },
+    templateCode: { type: String, required: true }, // Key into data/meal_templates.json
+    name: { type: String, required: true },
+    items: { type: [PlanItemSchema], default: [] },
+    calories: { type: Number, default: 0 },
+    protein: { type: Number, default: 0 },
+    carbs: { type: Number, default: 0 },
+    fat: { type: Number, default: 0 },
+}, { _id: false });
+
+const PlanDaySchema = new mongoose.Schema({
+    date: { type: String, required: true, match: DATE_KEY },
+    meals: { type: [PlannedMealSchema], default: [] },
+    totals: {
+        calories: { type: Number, default: 0 },
+        protein: { type: Number, default: 0 },
+        carbs: { type: Number, default: 0 },
+        fat: { type: Number, default: 0 },
+    },
+}, { _id: false });
+
+// A generated 7-day meal plan; individual meals can be swapped after generation
+const MealPlanSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    startDate: {
+        type: String,
+        required: true,
+        match: DATE_KEY,
+    },
+    days: { type: [PlanDaySchema], default: [] },
+    // Snapshot of the daily targets the plan was generated for
+    targets: {
+        calories: Number,
+        protein: Number,
+        carbs: Number,
+        fat: Number,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+MealPlanSchema.index({ user: 1, startDate: -1 });
+
+module.exports = mongoose.model('MealPlan', MealPlanSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One message in a thread. Messages are append-only; history is paged by _id.
+const MessageSchema = new mongoose.Schema({
+    thread: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MessageThread',
+        required: true,
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // Id the sending device gave the message, so a resend after a dropped connection isn't stored twice
+    clientId: { type: String },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+MessageSchema.index({ thread: 1, _id: -1 });
+MessageSchema.index({ thread: 1, sender: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A 1:1 conversation between a user and an expert they have booked a consultation with
+const MessageThreadSchema = new mongoose.Schema({
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    expert: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expert',
+        required: true,
+    },
+    // Both accounts in the thread (the client and the expert's account), for membership checks
+    participants: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        required: true,
+    },
+    // Preview for the thread list
+    lastMessage: {
+        body: { type: String },
+        sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date },
+    },
+    // When each participant (by user id) last read the thread; drives unread counts and read receipts
+    lastReadAt: {
+        type: Map,
+        of: Date,
+        default: () => ({}),
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+MessageThreadSchema.index({ client: 1, expert: 1 }, { unique: true });
+MessageThreadSchema.index({ participants: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('MessageThread', MessageThreadSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// An in-app notification (reminder, summary or consultation update) shown in the notification centre
+const NotificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['meal', 'water', 'weighIn', 'medication', 'weeklySummary', 'consultation'],
+        required: true,
+    },
+    // Identifies the occurrence ('meal:2026-10-19:lunch') so a reminder is only created once,
+    // however often (or on however many servers) the scheduler runs
+    key: {
+        type: String,
+        required: true,
+    },
+    title: { type: String, required: true },
+    body: { type: String, required: true },
+    // Client page the notification opens ('mealLog', 'progress', ...)
+    link: { type: String },
+    // Channels that delivered it besides the app ('email', 'push')
+    deliveredVia: { type: [String], default: [] },
+    readAt: { type: Date, default: null },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+NotificationSchema.index({ user: 1, key: 1 }, { unique: true });
+NotificationSchema.index({ user: 1, createdAt: -1 });
+// Old notifications are dropped after 90 days
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
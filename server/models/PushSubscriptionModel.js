@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription (from PushManager.subscribe) for one user
+const PushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    endpoint: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true },
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+PushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
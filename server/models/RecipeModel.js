@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { REGIONS, DIET_PREFERENCES } = require('../config/constants');
+
+// One ingredient line; foodCode links it to the nutrition database when it has a match
+const IngredientSchema = new mongoose.Schema({
+    foodCode: { type: String }, // e.g., 'paneer' (omitted for spices, salt, water)
+    name: { type: String, required: true }, // e.g., 'Paneer, cubed'
+    quantity: { type: Number, required: true },
+    unit: { type: String, required: true }, // 'g' or a household measure of the food (tbsp, katori, piece)
+}, { _id: false });
+
+const RecipeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    description: { type: String },
+    region: {
+        type: String,
+        enum: REGIONS,
+        required: true,
+    },
+    // Most restrictive diet the dish satisfies, e.g. a dal with ghee is 'vegetarian'
+    dietType: {
+        type: String,
+        enum: DIET_PREFERENCES,
+        required: true,
+    },
+    prepTime: { type: Number, required: true }, // Total minutes, prep + cooking
+    servings: { type: Number, default: 2, min: 1 },
+    ingredients: { type: [IngredientSchema], default: [] },
+    steps: { type: [String], default: [] },
+    tags: { type: [String], default: [] }, // e.g., 'breakfast', 'high-protein'
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+RecipeSchema.index(
+    { name: 'text', tags: 'text', 'ingredients.name': 'text', description: 'text' },
+    { weights: { name: 10, tags: 5, 'ingredients.name': 2, description: 1 }, name: 'RecipeTextIndex' }
+);
+RecipeSchema.index({ region: 1, dietType: 1 });
+
+module.exports = mongoose.model('Recipe', RecipeSchema);
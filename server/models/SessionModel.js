@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Only hashes of refresh tokens are stored; the token itself
+// rotates on every refresh and the previous hash is kept to detect reuse.
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    previousTokenHash: {
+        type: String,
+        index: true,
+    },
+    // When previousTokenHash was replaced, to tell a race between tabs from a replayed token
+    rotatedAt: {
+        type: Date,
+    },
+    device: {
+        type: String,
+        default: 'Unknown device',
+    },
+    ip: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // Set on logout or "sign out everywhere"; access tokens of revoked sessions are rejected
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+});
+
+SessionSchema.index({ user: 1, lastSeenAt: -1 });
+// MongoDB drops sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
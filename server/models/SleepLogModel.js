@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { SLEEP_QUALITIES } = require('../config/constants');
+
+// One night's sleep per user, stored under the day the user woke up; re-logging overwrites it
+const SleepLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Calendar day in the user's local time, stored as 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    hours: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 24,
+    },
+    quality: {
+        type: String,
+        enum: SLEEP_QUALITIES,
+    },
+    note: { type: String, trim: true },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+SleepLogSchema.index({ user: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SleepLog', SleepLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, ROLES } = require('../config/constants');
 
 // Schema for the user's detailed health profile information
 const ProfileSchema = new mongoose.Schema({
@@ -15,6 +16,31 @@ const ProfileSchema = new mongoose.Schema({
     allergies: { type: [String], default: [] }, // array of food allergies
 });
 
+// A daily medication reminder at a local time
+const MedicationSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    time: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // 'HH:MM'
+}, { _id: false });
+
+// Which notifications the user wants to receive
+const NotificationPrefsSchema = new mongoose.Schema({
+    mealReminders: { type: Boolean, default: true },
+    waterReminders: { type: Boolean, default: false },
+    weighInReminders: { type: Boolean, default: false },
+    medicationReminders: { type: Boolean, default: false },
+    weeklySummary: { type: Boolean, default: true },
+    emailNotifications: { type: Boolean, default: false }, // also deliver by email, not just in the app
+    pushNotifications: { type: Boolean, default: false }, // also deliver to subscribed browsers
+    // IANA time zone that reminder times are read in
+    timeZone: { type: String, default: DEFAULT_TIME_ZONE },
+    medications: { type: [MedicationSchema], default: [] },
+}, { _id: false });
+
+// App behaviour choices that aren't part of the health profile
+const PreferencesSchema = new mongoose.Schema({
+    keepMealPhotos: { type: Boolean, default: false }, // store scanned meal photos instead of discarding them
+}, { _id: false });
+
 // Main User Schema for authentication credentials and profile link
 const UserSchema = new mongoose.Schema({
     name: {
@@ -35,13 +61,36 @@ const UserSchema = new mongoose.Schema({
         type: Date,
         default: Date.now,
     },
+    // What the account may do (see middleware/authorize); changed by admins only
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'user',
+        index: true,
+    },
+    // Set once the user opens the link from the verification email
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
     // Embeds the ProfileSchema as a sub-document
     profile: {
         type: ProfileSchema,
         // CRITICAL: Initialize profile as an empty object by default
         default: () => ({}), 
     },
+    notificationPrefs: {
+        type: NotificationPrefsSchema,
+        default: () => ({}),
+    },
+    preferences: {
+        type: PreferencesSchema,
+        default: () => ({}),
+    },
 });
 
+// The reminder scheduler looks users up by time zone
+UserSchema.index({ 'notificationPrefs.timeZone': 1 });
+
 // Export the Mongoose model for use in controllers/routes
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One drink of water; a day's intake is the sum of its entries so each quick-add can be undone
+const WaterLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Calendar day in the user's local time, stored as 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    amount: {
+        type: Number, // ml
+        required: true,
+        min: 1,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+WaterLogSchema.index({ user: 1, date: 1 });
+
+module.exports = mongoose.model('WaterLog', WaterLogSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One weigh-in per user per day; re-logging the same day overwrites it
+const WeightEntrySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Calendar day in the user's local time, stored as 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    weight: {
+        type: Number, // kg
+        required: true,
+        min: 1,
+    },
+    note: { type: String, trim: true },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+WeightEntrySchema.index({ user: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('WeightEntry', WeightEntrySchema);
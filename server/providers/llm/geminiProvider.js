@@ -0,0 +1,178 @@
+// Google Gemini implementation of the LLM provider interface (see ./index.js)
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-09-2025';
+const MAX_RETRIES = 5;
+
+const apiUrl = (method, params = {}) => {
+    const model = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+    const query = new URLSearchParams({ ...params, key: process.env.GEMINI_API_KEY });
+    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}?${query}`;
+};
+
+// Asks for structured output so the reply can be parsed directly
+const MEAL_PHOTO_PROMPT = `You are a nutritionist who identifies Indian meals from photos.
+List every distinct dish or food item visible. For each one, estimate the portion as a quantity of a
+household measure (katori, roti, piece, cup, glass, tbsp, plate or serving), its weight in grams and the
+nutrients of that portion. Use common Indian dish names (e.g. "Dal tadka", "Rice", "Roti", "Aloo gobi").
+Reply with JSON only, in this shape:
+{"dishes":[{"name":"Dal tadka","quantity":1,"unit":"katori","grams":150,"calories":165,"protein":9,"carbs":23,"fat":4,"confidence":0.8}]}
+confidence is between 0 and 1. If the photo does not show food, reply {"dishes":[]}.`;
+
+// Converts provider-neutral messages into a Gemini generateContent payload
+const buildPayload = ({ systemPrompt, messages }) => ({
+    contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.text }],
+    })),
+    tools: [{ "google_search": {} }],
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+});
+
+// Pulls web citations out of the grounding metadata
+const extractSources = (candidate) => {
+    if (!candidate?.groundingMetadata?.groundingAttributions) return [];
+    return candidate.groundingMetadata.groundingAttributions
+        .map(attr => ({
+            uri: attr.web?.uri,
+            title: attr.web?.title,
+        }))
+        .filter(source => source.uri && source.title);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Text carried by one response chunk (a chunk may hold several parts)
+const candidateText = (candidate) => (candidate?.content?.parts || [])
+    .map(part => part.text || '')
+    .join('');
+
+// Single-shot generateContent call with exponential backoff. Resolves with the first candidate
+// that has text; throws after the last failed attempt.
+const requestCandidate = async (payload) => {
+    for (let i = 0; i < MAX_RETRIES; i++) {
+        try {
+            const response = await fetch(apiUrl('generateContent'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            const candidate = result.candidates?.[0];
+
+            if (candidate && candidate.content?.parts?.[0]?.text) {
+                return candidate;
+            }
+            throw new Error('Invalid response structure');
+        } catch (error) {
+            console.error(`Gemini API attempt ${i + 1} failed:`, error.message);
+            if (i === MAX_RETRIES - 1) {
+                throw error;
+            }
+            const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
+            await sleep(delay);
+        }
+    }
+};
+
+const generateReply = async (request) => {
+    const candidate = await requestCandidate(buildPayload(request));
+    return { text: candidate.content.parts[0].text, sources: extractSources(candidate) };
+};
+
+// Streaming completion over Gemini's SSE endpoint. Calls onText with each text delta and
+// resolves with the full reply. Only opening the stream is retried: once text has been
+// relayed, a retry would repeat it.
+const streamReply = async (request, onText) => {
+    const { signal } = request;
+    const payload = buildPayload(request);
+    let response;
+
+    for (let i = 0; i < MAX_RETRIES; i++) {
+        try {
+            response = await fetch(apiUrl('streamGenerateContent', { alt: 'sse' }), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            break;
+        } catch (error) {
+            if (signal?.aborted || i === MAX_RETRIES - 1) {
+                throw error;
+            }
+            console.error(`Gemini stream attempt ${i + 1} failed:`, error.message);
+            const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
+            await sleep(delay);
+        }
+    }
+
+    let text = '';
+    let sources = [];
+    let buffer = '';
+    const decoder = new TextDecoder();
+
+    const handleEvent = (event) => {
+        const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('');
+        if (!data) return;
+
+        const candidate = JSON.parse(data).candidates?.[0];
+        const delta = candidateText(candidate);
+        if (delta) {
+            text += delta;
+            onText(delta);
+        }
+        // Grounding metadata arrives with the final chunk(s)
+        const chunkSources = extractSources(candidate);
+        if (chunkSources.length > 0) sources = chunkSources;
+    };
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(handleEvent);
+    }
+    handleEvent(buffer);
+
+    if (!text) {
+        throw new Error('Invalid response structure');
+    }
+    return { text, sources };
+};
+
+// Multimodal call: the photo plus MEAL_PHOTO_PROMPT, answered as JSON
+const recogniseMeal = async ({ image }) => {
+    const candidate = await requestCandidate({
+        contents: [{
+            role: 'user',
+            parts: [
+                { inlineData: { mimeType: image.mimeType, data: image.data } },
+                { text: MEAL_PHOTO_PROMPT },
+            ],
+        }],
+        generationConfig: { responseMimeType: 'application/json' },
+    });
+
+    const reply = JSON.parse(candidateText(candidate));
+    return { dishes: Array.isArray(reply.dishes) ? reply.dishes : [] };
+};
+
+module.exports = {
+    name: 'gemini',
+    generateReply,
+    streamReply,
+    recogniseMeal,
+};
@@ -0,0 +1,41 @@
+// LLM provider selection.
+//
+// Every provider exposes the same interface:
+//   name: string
+//   generateReply({ systemPrompt, messages }) -> Promise<{ text, sources }>
+//     messages: [{ role: 'user' | 'assistant', text }] in chronological order
+//     sources:  [{ uri, title }] citations (may be empty)
+//   streamReply({ systemPrompt, messages, signal }, onText) -> Promise<{ text, sources }>
+//     calls onText(delta) as text arrives; rejects if `signal` aborts
+//   recogniseMeal({ image: { data, mimeType } }) -> Promise<{ dishes }>
+//     image.data is base64; dishes: [{ name, quantity, unit, grams, calories, protein, carbs, fat,
+//     confidence }] estimated from the photo (empty when no food is visible)
+//
+// LLM_PROVIDER picks the implementation ('gemini' or 'mock'). When it is unset,
+// Gemini is used if GEMINI_API_KEY is configured, otherwise the offline mock.
+const geminiProvider = require('./geminiProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    gemini: geminiProvider,
+    mock: mockProvider,
+};
+
+const resolveProviderName = () => {
+    if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER.toLowerCase();
+    return process.env.GEMINI_API_KEY ? 'gemini' : 'mock';
+};
+
+const getLlmProvider = () => {
+    const name = resolveProviderName();
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM_PROVIDER '${name}'. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+};
+
+module.exports = {
+    getLlmProvider,
+};
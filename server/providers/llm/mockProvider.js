@@ -0,0 +1,82 @@
+// Deterministic offline implementation of the LLM provider interface (see ./index.js).
+// Lets the chat flow run locally and in tests without network access or an API key.
+
+const MOCK_SOURCES = [
+    { uri: 'https://www.nin.res.in/', title: 'ICMR-National Institute of Nutrition' },
+];
+
+// Pulls "Label: value" lines (e.g. Region, Diet Preference) out of the system prompt
+const profileLine = (systemPrompt, label) => {
+    const match = systemPrompt.match(new RegExp(`${label}:\\s*(.+)`));
+    const value = match ? match[1].trim() : '';
+    return value && value !== 'N/A' ? value : null;
+};
+
+const generateReply = async ({ systemPrompt = '', messages }) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const question = lastUserMessage ? lastUserMessage.text.trim() : '';
+    const region = profileLine(systemPrompt, 'Region');
+    const diet = profileLine(systemPrompt, 'Diet Preference');
+    const targets = profileLine(systemPrompt, 'Daily Targets');
+
+    const lines = [
+        'Namaste! 🙏 (offline mock assistant)',
+        `You asked: "${question}"`,
+    ];
+    if (region || diet) {
+        lines.push(`For a ${diet || 'balanced'} diet in ${region || 'India'}, build each plate with half vegetables, a quarter whole grains and a quarter protein such as dal, chana or paneer.`);
+    }
+    if (targets) {
+        lines.push(`Your daily targets: ${targets}.`);
+    }
+    lines.push(`This reply was generated locally from ${messages.length} message(s); set LLM_PROVIDER=gemini for real answers.`);
+
+    return { text: lines.join('\n\n'), sources: MOCK_SOURCES };
+};
+
+// Replays the mock reply a few words at a time to exercise streaming clients
+const STREAM_DELAY_MS = 40;
+
+const streamReply = async (request, onText) => {
+    const reply = await generateReply(request);
+    const chunks = reply.text.match(/\S+\s*/g) || [];
+
+    for (const chunk of chunks) {
+        if (request.signal?.aborted) {
+            throw new Error('Stream aborted');
+        }
+        onText(chunk);
+        await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+    }
+    return reply;
+};
+
+// Fixed plates for recogniseMeal, with portions and nutrients close to the IFCT values
+const MOCK_PLATES = [
+    [
+        { name: 'Dal tadka', quantity: 1, unit: 'katori', grams: 150, calories: 165, protein: 9, carbs: 23.3, fat: 4.2, confidence: 0.86 },
+        { name: 'Rice', quantity: 1, unit: 'katori', grams: 150, calories: 195, protein: 4.1, carbs: 42.3, fat: 0.5, confidence: 0.91 },
+        { name: 'Roti', quantity: 2, unit: 'roti', grams: 80, calories: 224, protein: 7.2, carbs: 43.2, fat: 2.4, confidence: 0.88 },
+    ],
+    [
+        { name: 'Idli', quantity: 3, unit: 'piece', grams: 150, calories: 174, protein: 5.9, carbs: 36, fat: 0.6, confidence: 0.9 },
+        { name: 'Sambar', quantity: 1, unit: 'katori', grams: 150, calories: 98, protein: 4.5, carbs: 13.5, fat: 3, confidence: 0.84 },
+        { name: 'Coconut chutney', quantity: 2, unit: 'tbsp', grams: 30, calories: 60, protein: 0.8, carbs: 2.4, fat: 5.4, confidence: 0.72 },
+    ],
+    [
+        { name: 'Chole', quantity: 1, unit: 'katori', grams: 150, calories: 240, protein: 10.5, carbs: 30, fat: 9, confidence: 0.83 },
+        { name: 'Puri', quantity: 2, unit: 'piece', grams: 50, calories: 170, protein: 3, carbs: 20, fat: 9, confidence: 0.77 },
+    ],
+];
+
+// The photo's size picks the plate, so the same photo always gives the same answer
+const recogniseMeal = async ({ image }) => ({
+    dishes: MOCK_PLATES[image.data.length % MOCK_PLATES.length],
+});
+
+module.exports = {
+    name: 'mock',
+    generateReply,
+    streamReply,
+    recogniseMeal,
+};
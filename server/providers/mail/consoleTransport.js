@@ -0,0 +1,10 @@
+// Development transport: prints messages to the server log (see ./index.js)
+
+const send = async ({ to, subject, text }) => {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+};
+
+module.exports = {
+    name: 'console',
+    send,
+};
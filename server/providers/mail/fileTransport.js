@@ -0,0 +1,21 @@
+// Development transport: writes each message to a text file in MAIL_OUTBOX_DIR
+// (default server/mail-outbox) so links can be opened from disk (see ./index.js)
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_OUTBOX = path.join(__dirname, '..', '..', 'mail-outbox');
+
+const send = async ({ to, subject, text }) => {
+    const outbox = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX;
+    await fs.mkdir(outbox, { recursive: true });
+
+    const safeRecipient = to.replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(outbox, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.txt`);
+    await fs.writeFile(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    console.log(`📧 Mail to ${to} written to ${file}`);
+};
+
+module.exports = {
+    name: 'file',
+    send,
+};
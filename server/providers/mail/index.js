@@ -0,0 +1,36 @@
+// Mail transport selection.
+//
+// Every transport exposes the same interface:
+//   name: string
+//   send({ to, subject, text }) -> Promise<void>; rejects when the message could not be handed over
+//
+// MAIL_TRANSPORT picks the implementation ('console', 'file' or 'resend'). When it is unset,
+// Resend is used if RESEND_API_KEY is configured, otherwise messages are printed to the console.
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+const resendTransport = require('./resendTransport');
+
+const TRANSPORTS = {
+    console: consoleTransport,
+    file: fileTransport,
+    resend: resendTransport,
+};
+
+const resolveTransportName = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT.toLowerCase();
+    return process.env.RESEND_API_KEY ? 'resend' : 'console';
+};
+
+const getMailTransport = () => {
+    const name = resolveTransportName();
+    const transport = TRANSPORTS[name];
+
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT '${name}'. Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return transport;
+};
+
+module.exports = {
+    getMailTransport,
+};
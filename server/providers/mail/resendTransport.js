@@ -0,0 +1,25 @@
+// Resend (https://resend.com) HTTP API implementation of the mail transport (see ./index.js).
+// Needs RESEND_API_KEY and a verified sender in MAIL_FROM.
+
+const API_URL = 'https://api.resend.com/emails';
+const DEFAULT_FROM = 'Swasth Bharat <no-reply@swasthbharat.app>';
+
+const send = async ({ to, subject, text }) => {
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+        },
+        body: JSON.stringify({ from: process.env.MAIL_FROM || DEFAULT_FROM, to: [to], subject, text }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`Mail delivery failed! status: ${response.status}`);
+    }
+};
+
+module.exports = {
+    name: 'resend',
+    send,
+};
@@ -0,0 +1,21 @@
+const { getMailTransport } = require('../mail');
+
+// Sends the notification through the configured mail transport (printed to the server log
+// unless MAIL_TRANSPORT/RESEND_API_KEY set up real delivery)
+
+const isEnabled = (user) => Boolean(user.notificationPrefs && user.notificationPrefs.emailNotifications && user.email);
+
+const deliver = async (notification, user) => {
+    await getMailTransport().send({
+        to: user.email,
+        subject: notification.title,
+        text: `Namaste ${user.name},\n\n${notification.body}\n\nYou can change which reminders you get under Settings > Notification Preferences.`,
+    });
+    return true;
+};
+
+module.exports = {
+    name: 'email',
+    isEnabled,
+    deliver,
+};
@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+
+// In-app delivery: the stored notification is what the notification centre shows. Anything
+// holding a live connection to the user can listen on `events` to pass new ones on at once.
+const events = new EventEmitter();
+
+const isEnabled = () => true;
+
+const deliver = async (notification, user) => {
+    events.emit('notification', notification, user);
+    return true;
+};
+
+module.exports = {
+    name: 'inApp',
+    events,
+    isEnabled,
+    deliver,
+};
@@ -0,0 +1,40 @@
+// Notification delivery channels.
+//
+// Every channel exposes the same interface:
+//   name: string
+//   isEnabled(user) -> boolean; whether this user receives notifications this way
+//   deliver(notification, user) -> Promise<boolean>; false when there was nothing to deliver to,
+//     rejects when delivery failed
+//
+// Notifications are always stored for the in-app notification centre; 'inApp' also tells live
+// listeners about them. 'email' follows notificationPrefs.emailNotifications and 'push' needs
+// pushNotifications, a subscribed browser and VAPID keys. NOTIFICATION_CHANNELS (a comma-separated
+// list, default 'inApp,email,push') switches channels off for the whole server.
+const inAppChannel = require('./inAppChannel');
+const emailChannel = require('./emailChannel');
+const webPushChannel = require('./webPushChannel');
+
+const CHANNELS = {
+    inApp: inAppChannel,
+    email: emailChannel,
+    push: webPushChannel,
+};
+
+const getNotificationChannels = () => {
+    const names = (process.env.NOTIFICATION_CHANNELS || Object.keys(CHANNELS).join(','))
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return names.map(name => {
+        const channel = CHANNELS[name];
+        if (!channel) {
+            throw new Error(`Unknown notification channel '${name}' in NOTIFICATION_CHANNELS. Use any of: ${Object.keys(CHANNELS).join(', ')}`);
+        }
+        return channel;
+    });
+};
+
+module.exports = {
+    getNotificationChannels,
+};
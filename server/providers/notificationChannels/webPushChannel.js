@@ -0,0 +1,65 @@
+const PushSubscription = require('../../models/PushSubscriptionModel');
+
+// Web Push to the user's subscribed browsers. Needs the optional web-push package
+// (npm install web-push) and VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (npx web-push generate-vapid-keys);
+// without them the channel stays off.
+let webPush = null;
+try {
+    webPush = require('web-push');
+} catch (err) {
+    webPush = null;
+}
+
+const isConfigured = Boolean(webPush && process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+if (isConfigured) {
+    webPush.setVapidDetails(
+        process.env.VAPID_SUBJECT || 'mailto:no-reply@swasthbharat.in',
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+    );
+}
+
+// Key the browser subscribes with; null when push is not set up
+const publicKey = () => (isConfigured ? process.env.VAPID_PUBLIC_KEY : null);
+
+const isEnabled = (user) => isConfigured && Boolean(user.notificationPrefs && user.notificationPrefs.pushNotifications);
+
+// Push services answer 404/410 for subscriptions the browser has dropped
+const GONE_STATUSES = [404, 410];
+
+const deliver = async (notification, user) => {
+    const subscriptions = await PushSubscription.find({ user: user._id });
+    if (subscriptions.length === 0) return false;
+
+    const payload = JSON.stringify({
+        id: notification.id,
+        title: notification.title,
+        body: notification.body,
+        link: notification.link,
+    });
+
+    const results = await Promise.allSettled(subscriptions.map(subscription => webPush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        payload
+    )));
+
+    const gone = subscriptions.filter((subscription, i) => results[i].status === 'rejected' && GONE_STATUSES.includes(results[i].reason.statusCode));
+    if (gone.length > 0) {
+        await PushSubscription.deleteMany({ _id: { $in: gone.map(subscription => subscription._id) } });
+    }
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === results.length) {
+        if (gone.length === failed.length) return false;
+        throw new Error(`Web push failed: ${failed[0].reason.message}`);
+    }
+    return true;
+};
+
+module.exports = {
+    name: 'push',
+    publicKey,
+    isEnabled,
+    deliver,
+};
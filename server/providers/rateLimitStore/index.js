@@ -0,0 +1,38 @@
+// Rate limit store selection.
+//
+// Every store exposes the same interface (modelled on Redis INCR / PTTL / SET PX / DEL):
+//   name: string
+//   increment(key, windowMs) -> Promise<{ count, ttlMs }>
+//     adds one to the counter; a new counter expires windowMs after its first hit
+//   decrement(key) -> Promise<void>
+//     takes one off an existing counter (not below 0), keeping its expiry; missing keys are left alone
+//   get(key) -> Promise<{ value, ttlMs } | null>
+//   set(key, value, ttlMs) -> Promise<void>
+//   delete(key) -> Promise<void>
+//
+// RATE_LIMIT_STORE picks the implementation ('memory' or 'redis'). When it is unset, Redis
+// is used if REDIS_URL is configured, otherwise counters live in this process's memory.
+const STORES = {
+    memory: () => require('./memoryStore'),
+    // Loaded on demand so the optional ioredis package is only needed when Redis is used
+    redis: () => require('./redisStore'),
+};
+
+const resolveStoreName = () => {
+    if (process.env.RATE_LIMIT_STORE) return process.env.RATE_LIMIT_STORE.toLowerCase();
+    return process.env.REDIS_URL ? 'redis' : 'memory';
+};
+
+const getRateLimitStore = () => {
+    const name = resolveStoreName();
+    const loadStore = STORES[name];
+
+    if (!loadStore) {
+        throw new Error(`Unknown RATE_LIMIT_STORE '${name}'. Use one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    return loadStore();
+};
+
+module.exports = {
+    getRateLimitStore,
+};
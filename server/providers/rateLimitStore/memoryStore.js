@@ -0,0 +1,60 @@
+// Keeps counters in this process. Fine for a single server instance; use the Redis
+// store when several instances share the limits.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// key -> { value, expiresAt }
+const entries = new Map();
+
+const liveEntry = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    return entry || null;
+};
+
+// Expired keys are also dropped periodically so one-off clients don't accumulate
+setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+        if (entry.expiresAt <= now) entries.delete(key);
+    });
+}, SWEEP_INTERVAL_MS).unref();
+
+const increment = async (key, windowMs) => {
+    let entry = liveEntry(key);
+    if (!entry) {
+        entry = { value: 0, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+    }
+    entry.value += 1;
+    return { count: entry.value, ttlMs: entry.expiresAt - Date.now() };
+};
+
+const decrement = async (key) => {
+    const entry = liveEntry(key);
+    if (entry) entry.value = Math.max(entry.value - 1, 0);
+};
+
+const get = async (key) => {
+    const entry = liveEntry(key);
+    return entry ? { value: entry.value, ttlMs: entry.expiresAt - Date.now() } : null;
+};
+
+const set = async (key, value, ttlMs) => {
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+};
+
+const remove = async (key) => {
+    entries.delete(key);
+};
+
+module.exports = {
+    name: 'memory',
+    increment,
+    decrement,
+    get,
+    set,
+    delete: remove,
+};
@@ -0,0 +1,63 @@
+// Shares counters between server instances through Redis (REDIS_URL).
+// Needs the optional ioredis package: npm install ioredis
+let Redis;
+try {
+    Redis = require('ioredis');
+} catch (err) {
+    throw new Error(`RATE_LIMIT_STORE 'redis' needs the ioredis package (npm install ioredis): ${err.message}`);
+}
+
+if (!process.env.REDIS_URL) {
+    throw new Error("RATE_LIMIT_STORE 'redis' needs REDIS_URL");
+}
+
+const redis = new Redis(process.env.REDIS_URL);
+redis.on('error', err => console.error('Redis error:', err.message));
+
+const KEY_PREFIX = 'ratelimit:';
+
+const increment = async (key, windowMs) => {
+    const redisKey = KEY_PREFIX + key;
+    const count = await redis.incr(redisKey);
+    let ttlMs = await redis.pttl(redisKey);
+
+    // A new counter (or one whose expiry was never set) starts its window now
+    if (ttlMs < 0) {
+        await redis.pexpire(redisKey, windowMs);
+        ttlMs = windowMs;
+    }
+    return { count, ttlMs };
+};
+
+// DECR would create a missing key without an expiry, so only existing counters are touched
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 and tonumber(redis.call('GET', KEYS[1])) > 0 then
+    redis.call('DECR', KEYS[1])
+end`;
+
+const decrement = async (key) => {
+    await redis.eval(DECREMENT_SCRIPT, 1, KEY_PREFIX + key);
+};
+
+const get = async (key) => {
+    const redisKey = KEY_PREFIX + key;
+    const [value, ttlMs] = await Promise.all([redis.get(redisKey), redis.pttl(redisKey)]);
+    return value === null ? null : { value: Number(value), ttlMs: Math.max(ttlMs, 0) };
+};
+
+const set = async (key, value, ttlMs) => {
+    await redis.set(KEY_PREFIX + key, String(value), 'PX', Math.ceil(ttlMs));
+};
+
+const remove = async (key) => {
+    await redis.del(KEY_PREFIX + key);
+};
+
+module.exports = {
+    name: 'redis',
+    increment,
+    decrement,
+    get,
+    set,
+    delete: remove,
+};
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/UserModel');
+const ActivityLog = require('../models/ActivityLogModel');
+const {
+  ACTIVITY_TYPES,
+  INTENSITY_METS,
+  activityWeight,
+  caloriesBurned,
+  resolveActivity,
+  summariseActivities,
+} = require('../services/activityService');
+const { todayFor } = require('../services/localDayService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+const { addDays } = require('../utils/dates');
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_DURATION_MINUTES = 600;
+
+// Body rules for logging (all fields) and updating (only what is sent) an activity
+const activityFieldRules = (required) => ({
+  date: { type: 'date', required },
+  activity: { type: 'string', required, enum: [...ACTIVITY_TYPES.map(type => type.code), 'other'] },
+  durationMinutes: { type: 'integer', required, min: 1, max: MAX_DURATION_MINUTES, label: 'Duration' },
+  name: { type: 'string', maxLength: 60 },
+  intensity: { type: 'string', enum: Object.keys(INTENSITY_METS) },
+  note: { type: 'string', maxLength: 200 },
+});
+
+// Sets name, MET and calories from the activity, duration and the user's weight.
+// Returns a field error when an 'other' activity lacks its name or intensity, otherwise null.
+const applyActivity = async (entry, userId) => {
+  const resolved = resolveActivity(entry);
+  if (!resolved) {
+    return entry.name
+      ? { field: 'intensity', msg: 'Choose light, moderate or vigorous for other activities' }
+      : { field: 'name', msg: 'Name the activity' };
+  }
+
+  const user = await User.findById(userId).select('profile');
+  const weight = activityWeight(user && user.profile ? user.profile : {});
+
+  Object.assign(entry, {
+    ...resolved,
+    weight,
+    calories: caloriesBurned(resolved.met, weight, entry.durationMinutes),
+  });
+  return null;
+};
+
+// @route   GET api/activities/types
+// @desc    The activity catalogue with MET values, and the weight (kg) calories are estimated with
+// @access  Private
+router.get('/types', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({
+      types: ACTIVITY_TYPES,
+      intensities: INTENSITY_METS,
+      weight: activityWeight(user.profile || {}),
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/activities
+// @desc    Logs an activity; calories are estimated from its MET, the duration and the user's weight
+// @access  Private
+router.post('/', auth, validate({ body: activityFieldRules(true) }), async (req, res) => {
+  const { date, activity, durationMinutes, name, intensity, note } = req.body;
+
+  try {
+    const entry = new ActivityLog({ user: req.user.id, date, activity, durationMinutes, name, intensity, note });
+
+    const activityError = await applyActivity(entry, req.user.id);
+    if (activityError) {
+      return sendFieldErrors(res, [activityError]);
+    }
+
+    await entry.save();
+    res.status(201).json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/activities?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Lists activities in a range (default: the last 7 days) with minutes and calories per day
+// @access  Private
+router.get('/', auth, validate({ query: { from: { type: 'date' }, to: { type: 'date' } } }), async (req, res) => {
+  try {
+    const to = req.query.to || await todayFor(req.user.id);
+    const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (from > to) {
+      return sendFieldErrors(res, [{ field: 'from', msg: 'From must be on or before to' }]);
+    }
+
+    const entries = await ActivityLog.find({ user: req.user.id, date: { $gte: from, $lte: to } }).sort({ date: -1, createdAt: -1 });
+    res.json({ from, to, entries, totals: summariseActivities(entries) });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/activities/:id
+// @desc    Updates one of the user's activities (calories are re-estimated)
+// @access  Private
+router.put('/:id', auth, validate({ body: activityFieldRules(false) }), async (req, res) => {
+  try {
+    const entry = await ActivityLog.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Activity not found' });
+    }
+
+    // The name of a catalogue activity doesn't carry over when it becomes 'other'
+    if (req.body.activity === 'other' && entry.activity !== 'other') {
+      entry.name = undefined;
+    }
+
+    ['date', 'activity', 'durationMinutes', 'name', 'intensity', 'note'].forEach(key => {
+      if (req.body[key] !== undefined) entry[key] = req.body[key];
+    });
+
+    if (['activity', 'durationMinutes', 'name', 'intensity'].some(key => req.body[key] !== undefined)) {
+      const activityError = await applyActivity(entry, req.user.id);
+      if (activityError) {
+        return sendFieldErrors(res, [activityError]);
+      }
+    }
+
+    await entry.save();
+    res.json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Activity not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/activities/:id
+// @desc    Deletes one of the user's activities
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await ActivityLog.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Activity not found' });
+    }
+
+    res.json({ msg: 'Activity removed', id: entry.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Activity not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
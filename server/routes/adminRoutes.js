@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const User = require('../models/UserModel');
+const Expert = require('../models/ExpertModel');
+const { ROLES } = require('../config/constants');
+const { changeRole } = require('../services/roleService');
+const { disconnectUser } = require('../services/realtimeService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+
+const MAX_RESULTS = 100;
+
+const ACCOUNT_FIELDS = 'name email role emailVerified date';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Account summary with the expert profile it runs, if any
+const toAccount = (user, expert) => ({ ...user.toObject(), expert: expert ? { _id: expert._id, name: expert.name } : null });
+
+// @route   GET api/admin/users?role=nutritionist&q=asha&limit=50&before=<id>
+// @desc    Accounts, newest first, optionally filtered by role or a name/email search. Pass the
+//          last id as `before` to page back.
+// @access  Private (admins)
+router.get('/users', auth, requireRole('admin'), validate({
+  query: {
+    role: { type: 'string', enum: ROLES },
+    q: { type: 'string', maxLength: 100 },
+    limit: { type: 'integer', min: 1, max: MAX_RESULTS },
+    before: { type: 'objectId' },
+  },
+}), async (req, res) => {
+  const { role, q, before } = req.query;
+
+  const filter = {};
+  if (role) filter.role = role;
+  if (q) filter.$or = [{ name: new RegExp(escapeRegex(q), 'i') }, { email: new RegExp(escapeRegex(q), 'i') }];
+  if (before) filter._id = { $lt: before };
+
+  try {
+    const users = await User.find(filter).select(ACCOUNT_FIELDS).sort({ _id: -1 }).limit(req.query.limit || 50);
+    const experts = await Expert.find({ user: { $in: users.map(user => user._id) } }).select('user name');
+
+    res.json(users.map(user => toAccount(user, experts.find(expert => expert.user.equals(user._id)))));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/admin/experts
+// @desc    Every expert profile (including inactive ones) with the account linked to it, for
+//          picking the profile a new nutritionist runs
+// @access  Private (admins)
+router.get('/experts', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const experts = await Expert.find()
+      .select('name title registrationNumber active user')
+      .populate('user', 'name email')
+      .sort({ name: 1 });
+
+    res.json(experts);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/admin/users/:id/role
+// @desc    Promotes or demotes an account ({ role, expert? }). Making someone a nutritionist links
+//          them to an expert profile (`expert`); any other role unlinks it.
+// @access  Private (admins)
+router.put('/users/:id/role', auth, requireRole('admin'), validate({
+  body: {
+    role: { type: 'string', required: true, enum: ROLES },
+    expert: { type: 'objectId' },
+  },
+}), async (req, res) => {
+  // Admins can't demote themselves, so there is always one left to undo mistakes
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ msg: "You can't change your own role" });
+  }
+
+  try {
+    const user = await User.findById(req.params.id).select(ACCOUNT_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const { expert, error } = await changeRole(user, req.body.role, { expertId: req.body.expert });
+    if (error) {
+      return sendFieldErrors(res, [{ field: error.field, msg: error.msg }], error.status);
+    }
+    // Live connections carry the old role (and expert threads); they reconnect with the new one
+    disconnectUser(user._id);
+
+    res.json(toAccount(user, expert));
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
 const User = require('../models/UserModel');
+const { validate, sendFieldErrors, rules } = require('../middleware/validate');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { getLoginLock, recordLoginFailure, clearLoginFailures } = require('../services/rateLimitService');
+const {
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSessions,
+    revokeByRefreshToken,
+} = require('../services/sessionService');
+const {
+    consumeToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+} = require('../services/accountTokenService');
+
+const refreshTokenSchema = validate({ body: { refreshToken: rules.token } });
+
+const LOCKOUT_REASON = 'Too many failed login attempts for this account.';
+
+// Counts a failed login; the attempt that reaches the lockout threshold already gets the 429
+const rejectLogin = async (res, email) => {
+    const lockMs = await recordLoginFailure(email);
+    if (lockMs) {
+        return sendTooManyRequests(res, lockMs, LOCKOUT_REASON);
+    }
+    res.status(400).json({ msg: 'Invalid Credentials' });
+};
 
 // @route   POST api/auth/register
-// @desc    Register user and get token
+// @desc    Register user and get an access token plus a refresh token for a new session
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('account'), validate({
+    body: {
+        name: { type: 'string', required: true, maxLength: 50 },
+        email: rules.email,
+        password: rules.newPassword,
+    },
+}), async (req, res) => {
     const { name, email, password } = req.body;
 
     try {
         let user = await User.findOne({ email });
 
         if (user) {
-            return res.status(400).json({ msg: 'User already exists' });
+            return sendFieldErrors(res, [{ field: 'email', msg: 'User already exists' }]);
         }
 
         // Create new user instance
@@ -26,23 +60,11 @@ router.post('/register', async (req, res) => {
 
         await user.save();
 
-        // Generate JWT payload
-        const payload = {
-            user: {
-                id: user.id, // MongoDB creates a unique _id field
-            }
-        };
-
-        // Sign token and send response
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '5 days' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token, userId: user.id });
-            }
-        );
+        // The account works straight away; the link only marks the email as verified
+        sendVerificationEmail(user).catch(err => console.error('Verification email failed:', err.message));
+
+        // Start a session: { token, refreshToken, userId, role }
+        res.json(await createSession(user, req));
 
     } catch (err) {
         console.error(err.message);
@@ -51,41 +73,240 @@ router.post('/register', async (req, res) => {
 });
 
 // @route   POST api/auth/login
-// @desc    Authenticate user and get token
+// @desc    Authenticate user and get an access token plus a refresh token for a new session
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('login'), validate({
+    body: { email: rules.email, password: rules.password },
+}), async (req, res) => {
     const { email, password } = req.body;
 
     try {
+        // Locked accounts are refused before the password is checked
+        const lockedMs = await getLoginLock(email);
+        if (lockedMs) {
+            return sendTooManyRequests(res, lockedMs, LOCKOUT_REASON);
+        }
+
         let user = await User.findOne({ email });
 
         if (!user) {
-            return res.status(400).json({ msg: 'Invalid Credentials' });
+            return rejectLogin(res, email);
         }
 
         const isMatch = await bcrypt.compare(password, user.password);
 
         if (!isMatch) {
-            return res.status(400).json({ msg: 'Invalid Credentials' });
+            return rejectLogin(res, email);
+        }
+
+        await clearLoginFailures(email);
+
+        // Start a session: { token, refreshToken, userId, role }
+        res.json(await createSession(user, req));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/verify-email
+// @desc    Marks the email as verified using the token from the verification link
+// @access  Public
+router.post('/verify-email', rateLimit('account'), validate({
+    body: { token: { ...rules.token, message: 'A verification token is required' } },
+}), async (req, res) => {
+    const { token } = req.body;
+
+    try {
+        const userId = await consumeToken(token, 'verify-email');
+
+        if (!userId) {
+            return res.status(400).json({ msg: 'This verification link is invalid or has expired' });
+        }
+
+        const user = await User.findByIdAndUpdate(userId, { emailVerified: true });
+
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        res.json({ msg: 'Email verified' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/resend-verification
+// @desc    Sends a fresh verification link (earlier links stop working)
+// @access  Private
+router.post('/resend-verification', auth, rateLimit('account', { by: 'user' }), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('name email emailVerified');
+
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ msg: 'Email is already verified' });
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ msg: `Verification email sent to ${user.email}` });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Emails a password reset link. Always answers the same way so it can't be used to probe accounts.
+// @access  Public
+router.post('/forgot-password', rateLimit('account'), validate({ body: { email: rules.email } }), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const user = await User.findOne({ email }).select('name email');
+
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({ msg: 'If an account exists for that email, a reset link is on its way' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Sets a new password using the token from the reset link and signs out every session
+// @access  Public
+router.post('/reset-password', rateLimit('account'), validate({
+    body: {
+        token: { ...rules.token, message: 'A reset token is required' },
+        password: rules.newPassword,
+    },
+}), async (req, res) => {
+    const { token, password } = req.body;
+
+    try {
+        const userId = await consumeToken(token, 'reset-password');
+
+        if (!userId) {
+            return res.status(400).json({ msg: 'This reset link is invalid or has expired' });
+        }
+
+        const user = await User.findById(userId);
+
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+        // Receiving the link proves the user controls the address
+        user.emailVerified = true;
+        await user.save();
+
+        await revokeSessions(user.id);
+        // The new password may be used straight away, even if the account was locked
+        await clearLoginFailures(user.email);
+        res.json({ msg: 'Password updated. Please log in with your new password.' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchanges a refresh token for a new access token and a new (rotated) refresh token
+// @access  Public
+router.post('/refresh', refreshTokenSchema, async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const tokens = await rotateSession(refreshToken, req);
+
+        if (!tokens) {
+            return res.status(401).json({ msg: 'Session has expired or was signed out' });
+        }
+
+        res.json(tokens);
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/logout
+// @desc    Signs out the session the refresh token belongs to
+// @access  Public
+router.post('/logout', refreshTokenSchema, async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        await revokeByRefreshToken(refreshToken);
+        res.json({ msg: 'Logged out' });
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   GET api/auth/sessions
+// @desc    Lists the user's signed-in devices; `current` marks the one making the request
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        res.json(sessions.map(session => ({
+            ...session,
+            current: session._id.toString() === req.user.sessionId,
+        })));
+
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Signs out one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user.id, { _id: req.params.id });
+
+        if (!revoked) {
+            return res.status(404).json({ msg: 'Session not found' });
         }
 
-        // Generate JWT payload
-        const payload = {
-            user: {
-                id: user.id
-            }
-        };
-
-        // Sign token and send response
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '5 days' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({ token, userId: user.id });
-            }
-        );
+        res.json({ msg: 'Session signed out' });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Session not found' });
+        }
+        res.status(500).send('Server Error');
+    }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    Signs out every session of the user, including the current one
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.user.id);
+        res.json({ msg: 'Signed out everywhere', revoked });
 
     } catch (err) {
         console.error(err.message);
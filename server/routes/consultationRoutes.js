@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Expert = require('../models/ExpertModel');
+const Consultation = require('../models/ConsultationModel');
+const { CONSULTATION_SHARES } = require('../config/constants');
+const { bookingConflict, canChange, notifyConsultation, CHANGE_NOTICE_MINUTES } = require('../services/consultationService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+
+const DUPLICATE_KEY_ERROR = 11000;
+const SLOT_TAKEN = { field: 'start', msg: 'That slot has just been booked. Please pick another time.' };
+
+const EXPERT_FIELDS = 'name title qualifications registrationNumber languages fee sessionMinutes timeZone';
+
+const shareRule = {
+  type: 'array',
+  maxItems: CONSULTATION_SHARES.length,
+  items: { type: 'string', enum: CONSULTATION_SHARES },
+  label: 'Shared details',
+};
+
+const changeClosedMsg = `Consultations can only be changed until ${CHANGE_NOTICE_MINUTES / 60} hours before they start`;
+
+// Loads one of the user's consultations, answering 404 when there isn't one
+const findOwnConsultation = async (req, res) => {
+  const consultation = await Consultation.findOne({ _id: req.params.id, user: req.user.id });
+  if (!consultation) {
+    res.status(404).json({ msg: 'Consultation not found' });
+    return null;
+  }
+  return consultation;
+};
+
+// @route   POST api/consultations
+// @desc    Books a consultation slot with an expert. `share` lists the parts of the profile and
+//          logs the expert may see (any of CONSULTATION_SHARES; default none).
+// @access  Private
+router.post('/', auth, validate({
+  body: {
+    expert: { type: 'objectId', required: true },
+    start: { type: 'datetime', required: true, label: 'Start time' },
+    note: { type: 'string', maxLength: 500 },
+    share: shareRule,
+  },
+}), async (req, res) => {
+  const { start, note } = req.body;
+  const share = [...new Set(req.body.share || [])];
+
+  try {
+    const expert = await Expert.findOne({ _id: req.body.expert, active: true });
+
+    if (!expert) {
+      return sendFieldErrors(res, [{ field: 'expert', msg: 'Expert not found' }], 404);
+    }
+
+    const conflict = await bookingConflict({ expert, userId: req.user.id, start });
+    if (conflict) {
+      return sendFieldErrors(res, [{ field: conflict.field, msg: conflict.msg }], conflict.status);
+    }
+
+    const consultation = await Consultation.create({
+      user: req.user.id,
+      expert: expert._id,
+      start,
+      end: new Date(start.getTime() + expert.sessionMinutes * 60000),
+      note,
+      share,
+    });
+    await notifyConsultation(consultation, expert, 'booked', { to: 'expert' });
+
+    await consultation.populate('expert', EXPERT_FIELDS);
+    res.status(201).json(consultation);
+
+  } catch (err) {
+    // Someone else booked the slot between the conflict check and the insert
+    if (err.code === DUPLICATE_KEY_ERROR) {
+      return sendFieldErrors(res, [SLOT_TAKEN], 409);
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/consultations?past=true
+// @desc    The user's upcoming (default) or past consultations, including cancelled ones
+// @access  Private
+router.get('/', auth, validate({
+  query: { past: { type: 'boolean' } },
+}), async (req, res) => {
+  const now = new Date();
+  const filter = { user: req.user.id, end: req.query.past ? { $lte: now } : { $gt: now } };
+
+  try {
+    const consultations = await Consultation.find(filter)
+      .populate('expert', EXPERT_FIELDS)
+      .sort({ start: req.query.past ? -1 : 1 });
+
+    res.json(consultations.map(consultation => ({ ...consultation.toObject(), canChange: canChange(consultation, now) })));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/consultations/:id/reschedule
+// @desc    Moves a consultation to another free slot with the same expert
+// @access  Private
+router.put('/:id/reschedule', auth, validate({
+  body: { start: { type: 'datetime', required: true, label: 'Start time' } },
+}), async (req, res) => {
+  const { start } = req.body;
+
+  try {
+    const consultation = await findOwnConsultation(req, res);
+    if (!consultation) return;
+
+    if (!canChange(consultation)) {
+      return res.status(400).json({ msg: changeClosedMsg });
+    }
+    if (start.getTime() === consultation.start.getTime()) {
+      return sendFieldErrors(res, [{ field: 'start', msg: 'Pick a different time to reschedule' }]);
+    }
+
+    const expert = await Expert.findOne({ _id: consultation.expert, active: true });
+    if (!expert) {
+      return res.status(400).json({ msg: "This expert isn't taking bookings any more; cancel instead" });
+    }
+
+    const conflict = await bookingConflict({ expert, userId: req.user.id, start, excludeId: consultation._id });
+    if (conflict) {
+      return sendFieldErrors(res, [{ field: conflict.field, msg: conflict.msg }], conflict.status);
+    }
+
+    consultation.rescheduledFrom.push(consultation.start);
+    consultation.start = start;
+    consultation.end = new Date(start.getTime() + expert.sessionMinutes * 60000);
+    await consultation.save();
+    await notifyConsultation(consultation, expert, 'rescheduled', { to: 'expert' });
+
+    await consultation.populate('expert', EXPERT_FIELDS);
+    res.json(consultation);
+
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY_ERROR) {
+      return sendFieldErrors(res, [SLOT_TAKEN], 409);
+    }
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/consultations/:id/share
+// @desc    Changes what the expert may see for an upcoming consultation (replaces the list)
+// @access  Private
+router.put('/:id/share', auth, validate({
+  body: { share: { ...shareRule, required: true } },
+}), async (req, res) => {
+  try {
+    const consultation = await findOwnConsultation(req, res);
+    if (!consultation) return;
+
+    if (consultation.status !== 'booked') {
+      return res.status(400).json({ msg: 'Sharing can only be changed for booked consultations' });
+    }
+
+    consultation.share = [...new Set(req.body.share)];
+    await consultation.save();
+
+    await consultation.populate('expert', EXPERT_FIELDS);
+    res.json(consultation);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/consultations/:id/cancel
+// @desc    Cancels an upcoming consultation, freeing the slot; the expert is notified
+// @access  Private
+router.put('/:id/cancel', auth, async (req, res) => {
+  try {
+    const consultation = await findOwnConsultation(req, res);
+    if (!consultation) return;
+
+    if (!canChange(consultation)) {
+      return res.status(400).json({ msg: consultation.status === 'cancelled' ? 'Consultation is already cancelled' : changeClosedMsg });
+    }
+
+    consultation.status = 'cancelled';
+    consultation.cancelledAt = new Date();
+    consultation.cancelledBy = 'user';
+    await consultation.save();
+    const expert = await Expert.findById(consultation.expert);
+    if (expert) await notifyConsultation(consultation, expert, 'cancelled', { to: 'expert' });
+
+    await consultation.populate('expert', EXPERT_FIELDS);
+    res.json(consultation);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
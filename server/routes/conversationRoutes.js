@@ -0,0 +1,103 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Conversation = require('../models/ConversationModel');
+const { toSummary } = require('../services/conversationService');
+const { validate } = require('../middleware/validate');
+
+// @route   GET api/conversations
+// @desc    Lists the user's assistant conversations, most recently active first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    // Counted in the database so the listing doesn't load every message
+    const conversations = await Conversation.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(req.user.id) } },
+      { $sort: { updatedAt: -1 } },
+      { $project: { title: 1, createdAt: 1, updatedAt: 1, messageCount: { $size: '$messages' } } },
+    ]);
+
+    res.json(conversations.map(toSummary));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/conversations/:id
+// @desc    Gets a conversation with all of its messages (to resume it)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!conversation) {
+      return res.status(404).json({ msg: 'Conversation not found' });
+    }
+
+    res.json(conversation);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Conversation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/conversations/:id
+// @desc    Renames a conversation
+// @access  Private
+router.put('/:id', auth, validate({
+  body: { title: { type: 'string', required: true, maxLength: 100 } },
+}), async (req, res) => {
+  const { title } = req.body;
+
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { title },
+      { new: true }
+    );
+
+    if (!conversation) {
+      return res.status(404).json({ msg: 'Conversation not found' });
+    }
+
+    res.json(toSummary(conversation));
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Conversation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/conversations/:id
+// @desc    Deletes a conversation and its messages
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!conversation) {
+      return res.status(404).json({ msg: 'Conversation not found' });
+    }
+
+    res.json({ msg: 'Conversation removed', id: conversation.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Conversation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
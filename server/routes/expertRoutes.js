@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const requireExpert = require('../middleware/requireExpert');
+const Expert = require('../models/ExpertModel');
+const Consultation = require('../models/ConsultationModel');
+const {
+  MAX_SLOT_DAYS,
+  availabilityErrors,
+  availableSlots,
+  notifyConsultation,
+  sharedData,
+} = require('../services/consultationService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+const { isTimeZone } = require('../utils/dates');
+
+const MAX_AVAILABILITY_WINDOWS = 28;
+
+// Fields users see; the linked account stays private
+const PUBLIC_FIELDS = '-user -createdAt -__v';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET api/experts?language=Hindi&specialty=diabetes
+// @desc    Active experts with their credentials, languages and fees, optionally filtered
+// @access  Private
+router.get('/', auth, validate({
+  query: {
+    language: { type: 'string', maxLength: 40 },
+    specialty: { type: 'string', maxLength: 60 },
+  },
+}), async (req, res) => {
+  const { language, specialty } = req.query;
+
+  const filter = { active: true };
+  if (language) filter.languages = new RegExp(`^${escapeRegex(language)}$`, 'i');
+  if (specialty) filter.specialties = new RegExp(escapeRegex(specialty), 'i');
+
+  try {
+    const experts = await Expert.find(filter).select(PUBLIC_FIELDS).sort({ experienceYears: -1, name: 1 });
+    const [languages, specialties] = await Promise.all([
+      Expert.distinct('languages', { active: true }),
+      Expert.distinct('specialties', { active: true }),
+    ]);
+
+    res.json({ experts, languages: languages.sort(), specialties: specialties.sort() });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/experts/me
+// @desc    The signed-in expert's own profile, including availability
+// @access  Private (nutritionists)
+router.get('/me', auth, requireRole('nutritionist'), requireExpert, (req, res) => {
+  res.json(req.expert);
+});
+
+// @route   PUT api/experts/me
+// @desc    Updates the signed-in expert's availability, session length, languages and bio.
+//          Credentials (qualifications, registration number) are not self-service.
+// @access  Private (nutritionists)
+router.put('/me', auth, requireRole('nutritionist'), requireExpert, validate({
+  body: {
+    availability: { type: 'array', maxItems: MAX_AVAILABILITY_WINDOWS },
+    sessionMinutes: { type: 'integer', enum: [15, 20, 30, 45, 60, 90, 120], label: 'Session length' },
+    timeZone: { type: 'string', maxLength: 60 },
+    languages: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 40 } },
+    specialties: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 60 } },
+    bio: { type: 'string', maxLength: 1000 },
+    active: { type: 'boolean' },
+  },
+}), async (req, res) => {
+  const { expert } = req;
+  const { availability, timeZone } = req.body;
+
+  ['sessionMinutes', 'languages', 'specialties', 'bio', 'active'].forEach(field => {
+    if (req.body[field] !== undefined) expert[field] = req.body[field];
+  });
+
+  // A new session length must still fit the windows being kept
+  const errors = availabilityErrors(availability || expert.availability, expert.sessionMinutes);
+  if (timeZone !== undefined && !isTimeZone(timeZone)) {
+    errors.unshift({ field: 'timeZone', msg: 'Time zone must be an IANA zone such as Asia/Kolkata' });
+  }
+  if (errors.length > 0) {
+    return sendFieldErrors(res, errors);
+  }
+
+  if (timeZone !== undefined) expert.timeZone = timeZone;
+  if (availability !== undefined) {
+    expert.availability = availability.map(({ weekday, start, end }) => ({ weekday, start, end }));
+  }
+
+  try {
+    // Existing bookings keep their times; only new bookings follow the new schedule
+    await expert.save();
+    res.json(expert);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/experts/me/consultations?past=true
+// @desc    The signed-in expert's upcoming (or past) consultations with each client's name and
+//          what they chose to share
+// @access  Private (nutritionists)
+router.get('/me/consultations', auth, requireRole('nutritionist'), requireExpert, validate({
+  query: { past: { type: 'boolean' } },
+}), async (req, res) => {
+  const now = new Date();
+  const filter = { expert: req.expert._id, end: req.query.past ? { $lte: now } : { $gt: now } };
+
+  try {
+    const consultations = await Consultation.find(filter)
+      .populate('user', 'name')
+      .sort({ start: req.query.past ? -1 : 1 });
+
+    res.json(consultations);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/experts/me/consultations/:id/shared
+// @desc    The profile details and logs the client shared for this consultation (and nothing else)
+// @access  Private (nutritionists)
+router.get('/me/consultations/:id/shared', auth, requireRole('nutritionist'), requireExpert, async (req, res) => {
+  try {
+    const consultation = await Consultation.findOne({ _id: req.params.id, expert: req.expert._id });
+
+    if (!consultation) {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    if (consultation.status === 'cancelled') {
+      return res.status(403).json({ msg: 'Shared details are not available for cancelled consultations' });
+    }
+
+    const data = await sharedData(consultation);
+    if (!data) {
+      return res.status(404).json({ msg: 'Client not found' });
+    }
+
+    res.json(data);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/experts/me/consultations/:id/cancel
+// @desc    Cancels a consultation on the expert's side; the client is notified
+// @access  Private (nutritionists)
+router.put('/me/consultations/:id/cancel', auth, requireRole('nutritionist'), requireExpert, async (req, res) => {
+  try {
+    const consultation = await Consultation.findOne({ _id: req.params.id, expert: req.expert._id });
+
+    if (!consultation) {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    if (consultation.status !== 'booked' || consultation.end <= new Date()) {
+      return res.status(400).json({ msg: 'Only upcoming consultations can be cancelled' });
+    }
+
+    consultation.status = 'cancelled';
+    consultation.cancelledAt = new Date();
+    consultation.cancelledBy = 'expert';
+    await consultation.save();
+    await notifyConsultation(consultation, req.expert, 'cancelled', { to: 'user' });
+
+    res.json(consultation);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Consultation not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/experts/:id
+// @desc    One expert's profile
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const expert = await Expert.findOne({ _id: req.params.id, active: true }).select(PUBLIC_FIELDS);
+
+    if (!expert) {
+      return res.status(404).json({ msg: 'Expert not found' });
+    }
+
+    res.json(expert);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Expert not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/experts/:id/slots?from=YYYY-MM-DD&days=7
+// @desc    Free consultation slots (start/end instants) over the next `days` days from `from`
+//          (a day in the expert's time zone; default today)
+// @access  Private
+router.get('/:id/slots', auth, validate({
+  query: {
+    from: { type: 'date' },
+    days: { type: 'integer', min: 1, max: MAX_SLOT_DAYS },
+  },
+}), async (req, res) => {
+  try {
+    const expert = await Expert.findOne({ _id: req.params.id, active: true });
+
+    if (!expert) {
+      return res.status(404).json({ msg: 'Expert not found' });
+    }
+
+    const slots = await availableSlots(expert, { from: req.query.from, days: req.query.days || 7 });
+    res.json({ expert: expert.id, timeZone: expert.timeZone, sessionMinutes: expert.sessionMinutes, slots });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Expert not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
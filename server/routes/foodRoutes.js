@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireNutritionDb = require('../middleware/requireNutritionDb');
+const foodService = require('../services/foodService');
+const { validate } = require('../middleware/validate');
+
+const MAX_RESULTS = 50;
+
+// @route   GET api/foods?q=dal&limit=20&category=dish
+// @desc    Searches the food composition database (per 100 g and per household measure)
+// @access  Private
+router.get('/', auth, requireNutritionDb, validate({
+  query: {
+    q: { type: 'string', required: true, maxLength: 100, message: 'A search query (q) is required' },
+    category: { type: 'string', maxLength: 40 },
+    limit: { type: 'integer', min: 1, max: MAX_RESULTS },
+  },
+}), async (req, res) => {
+  const { q, category } = req.query;
+  const limit = req.query.limit || 20;
+
+  try {
+    const foods = await foodService.searchFoods(q, { limit, category });
+    res.json({ units: foodService.NUTRIENT_UNITS, foods });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/foods/:code
+// @desc    Fetches a single food by its code
+// @access  Private
+router.get('/:code', auth, requireNutritionDb, async (req, res) => {
+  try {
+    const food = await foodService.getFoodByCode(req.params.code);
+
+    if (!food) {
+      return res.status(404).json({ msg: 'Food not found' });
+    }
+
+    res.json({ units: foodService.NUTRIENT_UNITS, food });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
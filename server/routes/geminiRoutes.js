@@ -1,100 +1,188 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const Conversation = require('../models/ConversationModel');
+const { historyWindow, titleFromQuery } = require('../services/conversationService');
+const { loadAssistantContext, buildSystemPrompt } = require('../services/assistantContextService');
+const { getLlmProvider } = require('../providers/llm');
+const { validate } = require('../middleware/validate');
+const { rateLimit, aiQuota } = require('../middleware/rateLimit');
+const { refundAiQuota } = require('../services/rateLimitService');
+
+// Resolved once at startup so a misconfigured LLM_PROVIDER fails fast
+const llm = getLlmProvider();
+
+// Shared by /chat and /chat/stream: payload checks, then per-IP and per-user limits and the
+// daily quota (only valid requests use up the allowance, and requests that get no reply are
+// refunded)
+const chatGuards = [
+    validate({
+        body: {
+            userQuery: { type: 'string', required: true, maxLength: 4000, label: 'Message' },
+            conversationId: { type: 'objectId', label: 'Conversation id' },
+        },
+    }),
+    rateLimit('chatIp'),
+    rateLimit('chatUser', { by: 'user' }),
+    aiQuota,
+];
+
+// Loads (or starts) its conversation and builds the system
+// prompt from the user's stored profile and logs. Sends the error response itself (and refunds
+// the quota) and returns null when the request can't proceed.
+const prepareChat = async (req, res) => {
+    const { userQuery, conversationId } = req.body;
+
+    const reject = (status, body) => {
+        refundAiQuota(req.aiQuotaKey);
+        if (typeof body === 'string') res.status(status).send(body);
+        else res.status(status).json(body);
+        return null;
+    };
 
-// @route   POST api/gemini/chat
-// @desc    Send query to Gemini API (proxied through backend)
-// @access  Private
-router.post('/chat', auth, async (req, res) => {
-    const { userQuery, userData } = req.body;
+    let context;
+    let conversation;
+    try {
+        context = await loadAssistantContext(req.user.id);
+        if (!context) {
+            return reject(404, { msg: 'User not found' });
+        }
+
+        conversation = conversationId
+            ? await Conversation.findOne({ _id: conversationId, user: req.user.id })
+            : new Conversation({ user: req.user.id, title: titleFromQuery(userQuery) });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind !== 'ObjectId') {
+            return reject(500, 'Server Error');
+        }
+    }
 
-    const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${process.env.GEMINI_API_KEY}`;
+    if (!conversation) {
+        return reject(404, { msg: 'Conversation not found' });
+    }
 
-    const arrayToString = (value) => {
-        if (Array.isArray(value)) return value.join(', ');
-        return value || '';
-    };
+    const userMessage = { role: 'user', text: userQuery };
 
-    const profileContext = `
-        User Profile Summary:
-        Name: ${userData.name || 'N/A'}
-        Age: ${userData.age || 'N/A'}
-        Weight: ${userData.weight || 'N/A'} kg, Height: ${userData.height || 'N/A'} cm
-        Goal: ${userData.goal || 'General Health'}
-        Region: ${userData.region || 'All India'}
-        Diet Preference: ${userData.dietPreference || 'N/A'}
-        Health Issues: ${arrayToString(userData.healthIssues) || 'None'}
-        Allergies: ${arrayToString(userData.allergies) || 'None'}
-    `;
-
-    const systemPrompt = `
-        You are the Swasth Bharat AI Nutrition Assistant. Your primary goal is to provide accurate, safe, and personalized dietary and nutrition advice tailored for the Indian population.
-
-        Knowledge Base: Your advice MUST be grounded in established Indian nutritional science, citing information relevant to the user's region, diet, and health condition. You MUST use the latest ICMR-NIN Dietary Guidelines for Indians (2024) and data from the Indian Food Composition Tables (IFCT 2017) as your foundation.
-
-        Persona: Be helpful, empathetic, and encouraging. Respond concisely and clearly. Incorporate Hindi greetings (like Namaste) or phrases when appropriate.
-
-        Instructions:
-        1. Use the provided Google Search tool (grounding) to access current, specific, and external data, especially when discussing specific food items, clinical recommendations, or updated guidelines.
-        2. When providing recipe ideas, prioritize ingredients common to the user's specified region (${userData.region || 'India'}).
-        3. Always explicitly consider the user's **Health Issues** and **Allergies** in your response.
-        4. Provide the answer in rich, conversational text format.
-
-        ${profileContext}
-    `;
-
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        tools: [{ "google_search": {} }],
-        systemInstruction: { parts: [{ text: systemPrompt }] }
+    return {
+        conversation,
+        userMessage,
+        systemPrompt: buildSystemPrompt(context),
+        messages: historyWindow([...conversation.messages, userMessage]),
     };
+};
+
+// Appends a finished exchange. Only completed (or user-stopped) replies are persisted,
+// so a failed call can simply be retried. Save errors are logged, not surfaced: the
+// reply has already been delivered.
+const saveExchange = async (conversation, userMessage, reply) => {
+    try {
+        conversation.messages.push(userMessage, { role: 'assistant', text: reply.text, sources: reply.sources });
+        conversation.updatedAt = Date.now();
+        await conversation.save();
+    } catch (err) {
+        console.error('Failed to save conversation:', err.message);
+    }
+};
 
-    const MAX_RETRIES = 5;
+// @route   POST api/gemini/chat
+// @desc    Send query to the configured LLM provider (proxied through backend).
+//          Continues the conversation given by conversationId, or starts a new one.
+// @access  Private
+router.post('/chat', auth, chatGuards, async (req, res) => {
+    const chat = await prepareChat(req, res);
+    if (!chat) return;
+
+    const { conversation, userMessage, systemPrompt, messages } = chat;
+
+    let reply;
+    try {
+        reply = await llm.generateReply({ systemPrompt, messages });
+    } catch (err) {
+        console.error(`LLM provider '${llm.name}' failed:`, err.message);
+        refundAiQuota(req.aiQuotaKey);
+        return res.status(500).json({
+            text: "Sorry, I encountered an error. Please try again.",
+            sources: []
+        });
+    }
 
-    for (let i = 0; i < MAX_RETRIES; i++) {
-        try {
-            const response = await fetch(GEMINI_API_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+    await saveExchange(conversation, userMessage, reply);
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    res.json({
+        text: reply.text,
+        sources: reply.sources,
+        conversationId: conversation.isNew ? null : conversation.id, // null if the first save failed
+        title: conversation.title,
+    });
+});
 
-            const result = await response.json();
-            const candidate = result.candidates?.[0];
-
-            if (candidate && candidate.content?.parts?.[0]?.text) {
-                const text = candidate.content.parts[0].text;
-                let sources = [];
-                
-                if (candidate.groundingMetadata?.groundingAttributions) {
-                    sources = candidate.groundingMetadata.groundingAttributions
-                        .map(attr => ({
-                            uri: attr.web?.uri,
-                            title: attr.web?.title,
-                        }))
-                        .filter(source => source.uri && source.title);
-                }
-
-                return res.json({ text, sources });
-            } else {
-                throw new Error('Invalid response structure');
+// @route   POST api/gemini/chat/stream
+// @desc    Streaming variant of /chat using Server-Sent Events. Emits
+//          `start` { conversationId, title }, then `delta` { text } per chunk, then
+//          `done` { sources, conversationId, title } or `error` { msg }. A new conversation
+//          has no id until it is saved, so its `start` has conversationId null and the first
+//          `delta` carries it. Closing the connection stops generation; the partial reply is kept.
+// @access  Private
+router.post('/chat/stream', auth, chatGuards, async (req, res) => {
+    const chat = await prepareChat(req, res);
+    if (!chat) return;
+
+    const { conversation, userMessage, systemPrompt, messages } = chat;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (e.g. nginx) so chunks arrive immediately
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // A client disconnect (including the Stop button) aborts the upstream request
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const isNewConversation = conversation.isNew;
+    sendEvent('start', { conversationId: isNewConversation ? null : conversation.id, title: conversation.title });
+
+    let streamedText = '';
+    try {
+        const reply = await llm.streamReply(
+            { systemPrompt, messages, signal: controller.signal },
+            (text) => {
+                // Once text has arrived a stopped reply is saved, so the id becomes usable
+                const first = isNewConversation && !streamedText;
+                streamedText += text;
+                sendEvent('delta', first ? { text, conversationId: conversation.id } : { text });
             }
-        } catch (error) {
-            console.error(`Gemini API attempt ${i + 1} failed:`, error);
-            if (i === MAX_RETRIES - 1) {
-                return res.status(500).json({ 
-                    text: "Sorry, I encountered an error. Please try again.", 
-                    sources: [] 
-                });
+        );
+
+        await saveExchange(conversation, userMessage, reply);
+        sendEvent('done', {
+            sources: reply.sources,
+            conversationId: conversation.isNew ? null : conversation.id,
+            title: conversation.title,
+        });
+    } catch (err) {
+        if (controller.signal.aborted) {
+            // Keep what the user already saw so the saved history matches the screen
+            if (streamedText) {
+                await saveExchange(conversation, userMessage, { text: streamedText, sources: [] });
+            } else {
+                refundAiQuota(req.aiQuotaKey);
             }
-            const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
-            await new Promise(resolve => setTimeout(resolve, delay));
+            return;
         }
+        console.error(`LLM provider '${llm.name}' stream failed:`, err.message);
+        refundAiQuota(req.aiQuotaKey);
+        sendEvent('error', { msg: 'Sorry, I encountered an error. Please try again.' });
     }
+
+    res.end();
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireNutritionDb = require('../middleware/requireNutritionDb');
+const User = require('../models/UserModel');
+const MealPlan = require('../models/MealPlanModel');
+const MealLog = require('../models/MealLogModel');
+const { calculateTargets } = require('../services/targetsService');
+const { PLAN_DAYS, loadPlanFoods, generatePlanDays, swapMeal, withPlanWarnings } = require('../services/mealPlanService');
+const foodService = require('../services/foodService');
+const { todayFor } = require('../services/localDayService');
+const { MEAL_TYPES } = require('../config/constants');
+const { validate } = require('../middleware/validate');
+const { todayIn, addDays } = require('../utils/dates');
+
+// Identifies one planned meal in a request body
+const plannedMealRules = {
+  date: { type: 'date', required: true },
+  mealType: { type: 'string', required: true, enum: MEAL_TYPES, label: 'Meal type' },
+};
+
+// Profile and foods for the per-meal safety warnings; without the nutrition database only
+// allergen checks by food code and name apply
+const loadSafetyContext = async (userId) => {
+  const user = await User.findById(userId).select('profile');
+  const profile = user && user.profile ? user.profile.toObject() : {};
+  const foods = foodService.isAvailable() ? await loadPlanFoods() : new Map();
+  return { profile, foods };
+};
+
+// Finds the requested day and planned meal; sends a 404 and returns null when missing
+const findPlannedMeal = (plan, { date, mealType }, res) => {
+  const day = plan.days.find(planDay => planDay.date === date);
+  const meal = day && day.meals.find(planned => planned.mealType === mealType);
+  if (!meal) {
+    res.status(404).json({ msg: 'No planned meal for that day and slot' });
+    return null;
+  }
+  return { day, meal };
+};
+
+// @route   POST api/mealplans
+// @desc    Generates and stores a 7-day plan from the user's profile and targets
+// @access  Private
+router.post('/', auth, requireNutritionDb, validate({
+  body: { startDate: { type: 'date', label: 'Start date' } },
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile notificationPrefs.timeZone');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const startDate = req.body.startDate || todayIn(user.notificationPrefs?.timeZone);
+
+    const profile = user.profile ? user.profile.toObject() : {};
+    const targets = calculateTargets(profile);
+    const foods = await loadPlanFoods();
+
+    const plan = await MealPlan.create({
+      user: req.user.id,
+      startDate,
+      days: generatePlanDays(profile, targets, startDate, foods),
+      targets: {
+        calories: targets.calories,
+        protein: targets.protein,
+        carbs: targets.carbs,
+        fat: targets.fat,
+      },
+    });
+
+    res.status(201).json(withPlanWarnings(plan, profile, foods));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/mealplans/current?date=YYYY-MM-DD
+// @desc    Gets the most recently generated plan covering the date (default today)
+// @access  Private
+router.get('/current', auth, validate({ query: { date: { type: 'date' } } }), async (req, res) => {
+  try {
+    const date = req.query.date || await todayFor(req.user.id);
+
+    const plan = await MealPlan.findOne({
+      user: req.user.id,
+      startDate: { $lte: date, $gt: addDays(date, -PLAN_DAYS) },
+    }).sort({ createdAt: -1 });
+
+    if (!plan) {
+      return res.status(404).json({ msg: 'No meal plan covers this date' });
+    }
+
+    const { profile, foods } = await loadSafetyContext(req.user.id);
+    res.json(withPlanWarnings(plan, profile, foods));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/mealplans/:id
+// @desc    Gets one of the user's meal plans
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const plan = await MealPlan.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!plan) {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+
+    const { profile, foods } = await loadSafetyContext(req.user.id);
+    res.json(withPlanWarnings(plan, profile, foods));
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/mealplans/:id/swap
+// @desc    Replaces one planned meal ({ date, mealType, templateCode? }); without a
+//          templateCode a different suitable dish is picked at random
+// @access  Private
+router.post('/:id/swap', auth, requireNutritionDb, validate({
+  body: { ...plannedMealRules, templateCode: { type: 'string', maxLength: 40, label: 'Template code' } },
+}), async (req, res) => {
+  try {
+    const [plan, user] = await Promise.all([
+      MealPlan.findOne({ _id: req.params.id, user: req.user.id }),
+      User.findById(req.user.id).select('profile'),
+    ]);
+
+    if (!plan || !user) {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+
+    const found = findPlannedMeal(plan, req.body, res);
+    if (!found) return;
+
+    const profile = user.profile ? user.profile.toObject() : {};
+    const foods = await loadPlanFoods();
+    const meal = swapMeal(plan, found.day, req.body.mealType, profile, foods, req.body.templateCode);
+
+    if (!meal) {
+      return res.status(400).json({ msg: 'No suitable alternative dish for this slot' });
+    }
+
+    await plan.save();
+    res.json(withPlanWarnings(plan, profile, foods));
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/mealplans/:id/log
+// @desc    Adds a planned meal ({ date, mealType, logDate? }) to the meal log, one entry per food.
+//          logDate defaults to the planned day.
+// @access  Private
+router.post('/:id/log', auth, validate({
+  body: { ...plannedMealRules, logDate: { type: 'date', label: 'Log date' } },
+}), async (req, res) => {
+  const logDate = req.body.logDate || req.body.date;
+
+  try {
+    const plan = await MealPlan.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!plan) {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+
+    const found = findPlannedMeal(plan, req.body, res);
+    if (!found) return;
+
+    const entries = await MealLog.insertMany(found.meal.items.map(item => ({
+      user: req.user.id,
+      date: logDate,
+      mealType: found.meal.mealType,
+      name: item.name,
+      foodCode: item.foodCode,
+      quantity: item.quantity,
+      unit: item.unit,
+      grams: item.grams,
+      calories: item.calories,
+      protein: item.protein,
+      carbs: item.carbs,
+      fat: item.fat,
+    })));
+
+    res.status(201).json({ date: logDate, entries });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/mealplans/:id
+// @desc    Deletes one of the user's meal plans
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const plan = await MealPlan.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!plan) {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+
+    res.json({ msg: 'Meal plan removed', id: plan.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Meal plan not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const MealLog = require('../models/MealLogModel');
+const MealPhoto = require('../models/MealPhotoModel');
+const ActivityLog = require('../models/ActivityLogModel');
+const User = require('../models/UserModel');
+const { MEAL_TYPES } = require('../config/constants');
+const { NUTRIENT_FIELDS, MICRONUTRIENT_FIELDS, summariseMeals } = require('../services/mealLogService');
+const foodService = require('../services/foodService');
+const { checkMealEntry, hasSafetyRules } = require('../services/safetyService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+const { rateLimit, aiQuota } = require('../middleware/rateLimit');
+const { refundAiQuota } = require('../services/rateLimitService');
+const { MAX_PHOTO_BYTES, PHOTO_TYPES, scanMealPhoto } = require('../services/mealScanService');
+const { resolveMealText } = require('../services/mealParseService');
+const { summariseActivities } = require('../services/activityService');
+const { MAX_RANGE_DAYS, summariseMicronutrients } = require('../services/micronutrientService');
+const requireNutritionDb = require('../middleware/requireNutritionDb');
+const { todayIn } = require('../utils/dates');
+
+// Body rules for creating (all fields) and updating (only what is sent) an entry
+const mealFieldRules = (required) => ({
+  date: { type: 'date', required },
+  mealType: { type: 'string', required, enum: MEAL_TYPES, label: 'Meal type' },
+  name: { type: 'string', maxLength: 100 },
+  foodCode: { type: 'string', maxLength: 20, label: 'Food code' },
+  quantity: { type: 'number', min: 0.01, max: 5000 },
+  unit: { type: 'string', maxLength: 40 },
+  photo: { type: 'objectId' },
+  ...Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, { type: 'number', min: 0, max: 10000 }])),
+});
+
+// Copies the editable meal fields present in the request body
+const pickMealFields = (body) => {
+  const fields = {};
+  ['date', 'mealType', 'name', 'foodCode', 'quantity', 'unit', 'photo', ...NUTRIENT_FIELDS].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// Fills grams, nutrients (and a missing name) from the nutrition database for entries with a foodCode.
+// Returns { status, msg, field? } when the food or unit can't be resolved, otherwise null.
+const applyFoodPortion = async (entry) => {
+  if (!entry.foodCode) {
+    // Manual values don't say anything about micronutrients
+    MICRONUTRIENT_FIELDS.forEach(field => {
+      entry[field] = undefined;
+    });
+    return null;
+  }
+
+  if (!foodService.isAvailable()) {
+    return { status: 503, msg: 'Nutrition database is not available' };
+  }
+
+  const food = await foodService.getFoodByCode(entry.foodCode);
+  if (!food) {
+    return { status: 400, field: 'foodCode', msg: `Unknown food code: ${entry.foodCode}` };
+  }
+
+  const portion = foodService.nutrientsForPortion(food, Number(entry.quantity) || 1, entry.unit);
+  if (!portion) {
+    const units = ['g', ...food.measures.map(m => m.measure)].join(', ');
+    return { status: 400, field: 'unit', msg: `Unit '${entry.unit}' is not available for ${food.name}. Use one of: ${units}` };
+  }
+
+  entry.grams = portion.grams;
+  [...NUTRIENT_FIELDS, ...MICRONUTRIENT_FIELDS].forEach(field => {
+    entry[field] = portion.nutrients[field];
+  });
+  if (!entry.name) entry.name = food.name;
+  return null;
+};
+
+// Unknown foods and units are reported against their field like other validation errors
+const sendFoodError = (res, { status, field, msg }) => (
+  field ? sendFieldErrors(res, [{ field, msg }], status) : res.status(status).json({ msg })
+);
+
+// @route   GET api/meals/micronutrients?days=7&to=YYYY-MM-DD
+// @desc    Fibre and micronutrient intake per day and averaged over the logged days, compared with
+//          the ICMR-NIN RDA for the user's age and gender. `shortfalls` lists persistent lows.
+// @access  Private
+router.get('/micronutrients', auth, validate({
+  query: {
+    days: { type: 'integer', min: 1, max: MAX_RANGE_DAYS },
+    to: { type: 'date' },
+  },
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile notificationPrefs.timeZone');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const profile = user.profile ? user.profile.toObject() : {};
+    res.json(await summariseMicronutrients(req.user.id, profile, {
+      to: req.query.to || todayIn(user.notificationPrefs?.timeZone),
+      days: req.query.days || 7,
+    }));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/meals/parse
+// @desc    Turns a free-text description ("2 rotis, dal aur ek katori chawal") into food items with
+//          household-measure portions and nutrients from the nutrition database. Nothing is logged:
+//          the client confirms the items and posts them to api/meals.
+// @access  Private
+router.post('/parse', auth, requireNutritionDb, rateLimit('mealParse', { by: 'user' }), validate({
+  body: { text: { type: 'string', required: true, maxLength: 500, label: 'Description' } },
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile');
+    const profile = user && user.profile ? user.profile.toObject() : {};
+
+    res.json({ items: await resolveMealText(req.body.text, profile) });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// An entry may only point at a meal photo the same user kept
+const ownsPhoto = async (entry, userId) => !entry.photo || Boolean(await MealPhoto.exists({ _id: entry.photo, user: userId }));
+
+// Reads a raw image upload (Content-Type image/jpeg, image/png or image/webp) into req.body as a
+// Buffer. Runs after the limits, so refused requests aren't read; rejected uploads are refunded.
+const readMealPhoto = (req, res, next) => {
+  express.raw({ type: PHOTO_TYPES, limit: MAX_PHOTO_BYTES })(req, res, (err) => {
+    if (err) refundAiQuota(req.aiQuotaKey);
+    if (err && err.type === 'entity.too.large') {
+      return sendFieldErrors(res, [{ field: 'photo', msg: `Photos must be ${MAX_PHOTO_BYTES / (1024 * 1024)} MB or smaller` }], 413);
+    }
+    if (err) return next(err);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      refundAiQuota(req.aiQuotaKey);
+      return sendFieldErrors(res, [{ field: 'photo', msg: 'Upload a JPEG, PNG or WebP photo' }]);
+    }
+    next();
+  });
+};
+
+// @route   POST api/meals/scan
+// @desc    Recognises the dishes in a meal photo (raw image body) with estimated portions and
+//          nutrients. Nothing is logged: the client confirms or edits the dishes and posts them
+//          to api/meals. The photo is kept (photoId) only if the user has keepMealPhotos on.
+// @access  Private
+router.post('/scan', auth, rateLimit('mealScan', { by: 'user' }), aiQuota, readMealPhoto, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile preferences');
+
+    if (!user) {
+      refundAiQuota(req.aiQuotaKey);
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const result = await scanMealPhoto(user, { data: req.body, mimeType: req.is(PHOTO_TYPES) });
+
+    // A scan that recognised nothing doesn't use up the daily allowance
+    if (!result) {
+      refundAiQuota(req.aiQuotaKey);
+      return res.status(502).json({ msg: 'Could not recognise the meal right now. Please try again or add it manually.' });
+    }
+
+    res.json(result);
+
+  } catch (err) {
+    console.error(err.message);
+    refundAiQuota(req.aiQuotaKey);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/meals/photos/:id
+// @desc    Returns a kept meal photo as an image
+// @access  Private
+router.get('/photos/:id', auth, async (req, res) => {
+  try {
+    const photo = await MealPhoto.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!photo) {
+      return res.status(404).json({ msg: 'Photo not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(photo.mimeType).send(photo.data);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Photo not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/meals
+// @desc    Logs a meal entry for the user
+// @access  Private
+router.post('/', auth, validate({ body: mealFieldRules(true) }), async (req, res) => {
+  const fields = pickMealFields(req.body);
+
+  try {
+    const entry = new MealLog({ ...fields, user: req.user.id });
+
+    const foodError = await applyFoodPortion(entry);
+    if (foodError) {
+      return sendFoodError(res, foodError);
+    }
+    if (!entry.name) {
+      return sendFieldErrors(res, [{ field: 'name', msg: 'A food name or foodCode is required' }]);
+    }
+    if (!(await ownsPhoto(entry, req.user.id))) {
+      return sendFieldErrors(res, [{ field: 'photo', msg: 'Photo not found' }], 404);
+    }
+
+    await entry.save();
+    res.status(201).json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/meals?date=YYYY-MM-DD
+// @desc    Lists the user's meal entries for a day with daily and per-meal totals. Each entry
+//          carries `warnings` from the allergy and health-condition checks; `activity` has the
+//          day's logged exercise and `netCalories` is intake minus calories burned.
+// @access  Private
+router.get('/', auth, validate({ query: { date: { type: 'date', required: true } } }), async (req, res) => {
+  const { date } = req.query;
+
+  try {
+    const [entries, user, activities] = await Promise.all([
+      MealLog.find({ user: req.user.id, date }).sort({ createdAt: 1 }),
+      User.findById(req.user.id).select('profile'),
+      ActivityLog.find({ user: req.user.id, date }),
+    ]);
+
+    const profile = user && user.profile ? user.profile.toObject() : {};
+    const foods = hasSafetyRules(profile) && foodService.isAvailable()
+      ? await foodService.getFoodsByCodes(entries.map(entry => entry.foodCode))
+      : new Map();
+
+    const totals = summariseMeals(entries);
+    const { minutes, calories } = summariseActivities(activities);
+
+    res.json({
+      date,
+      entries: entries.map(entry => ({
+        ...entry.toObject(),
+        warnings: hasSafetyRules(profile) ? checkMealEntry(entry, foods.get(entry.foodCode), profile) : [],
+      })),
+      totals,
+      activity: { minutes, calories },
+      netCalories: Math.round(totals.day.calories - calories),
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/meals/:id
+// @desc    Updates one of the user's meal entries
+// @access  Private
+router.put('/:id', auth, validate({ body: mealFieldRules(false) }), async (req, res) => {
+  const fields = pickMealFields(req.body);
+
+  try {
+    const entry = await MealLog.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Meal entry not found' });
+    }
+
+    Object.assign(entry, fields);
+
+    // Changing the food, amount or unit of a database-backed entry recomputes its nutrients
+    if (['foodCode', 'quantity', 'unit'].some(key => fields[key] !== undefined)) {
+      const foodError = await applyFoodPortion(entry);
+      if (foodError) {
+        return sendFoodError(res, foodError);
+      }
+    }
+    if (fields.photo && !(await ownsPhoto(entry, req.user.id))) {
+      return sendFieldErrors(res, [{ field: 'photo', msg: 'Photo not found' }], 404);
+    }
+
+    await entry.save();
+    res.json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Meal entry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/meals/:id
+// @desc    Deletes one of the user's meal entries
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await MealLog.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Meal entry not found' });
+    }
+
+    res.json({ msg: 'Meal entry removed', id: entry.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Meal entry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
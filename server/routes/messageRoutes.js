@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireRole } = require('../middleware/authorize');
+const requireExpert = require('../middleware/requireExpert');
+const messagingService = require('../services/messagingService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+
+const MAX_RESULTS = 100;
+
+// @route   GET api/messages/threads
+// @desc    The user's message threads, most recent first, with unread counts and the other
+//          side's last read time (for read receipts)
+// @access  Private
+router.get('/threads', auth, async (req, res) => {
+  try {
+    res.json(await messagingService.listThreads(req.user.id));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Opens the thread and answers with it, or with the reason it can't be opened
+const sendOpenedThread = async (res, participants) => {
+  try {
+    const { thread, error } = await messagingService.openThread(participants);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    res.status(201).json(thread);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+// @route   POST api/messages/threads
+// @desc    Opens (or returns) the thread with an expert the user has booked ({ expert })
+// @access  Private
+router.post('/threads', auth, validate({
+  body: { expert: { type: 'objectId', required: true } },
+}), (req, res) => sendOpenedThread(res, { clientId: req.user.id, expertId: req.body.expert }));
+
+// @route   POST api/messages/threads/client
+// @desc    Opens (or returns) the signed-in expert's thread with one of their clients ({ client })
+// @access  Private (nutritionists)
+router.post('/threads/client', auth, requireRole('nutritionist'), requireExpert, validate({
+  body: { client: { type: 'objectId', required: true } },
+}), (req, res) => sendOpenedThread(res, { clientId: req.body.client, expertId: req.expert._id }));
+
+// @route   GET api/messages/threads/:id/messages?before=<id>&after=<id>&limit=50
+// @desc    Message history: newest first (pass the oldest id as `before` to page back), or oldest
+//          first after a message id to back-fill what was missed
+// @access  Private
+router.get('/threads/:id/messages', auth, validate({
+  query: {
+    before: { type: 'objectId' },
+    after: { type: 'objectId' },
+    limit: { type: 'integer', min: 1, max: MAX_RESULTS },
+  },
+}), async (req, res) => {
+  const { before, after } = req.query;
+
+  if (before && after) {
+    return sendFieldErrors(res, [{ field: 'after', msg: 'Give before or after, not both' }]);
+  }
+
+  try {
+    const thread = await messagingService.findThreadFor(req.params.id, req.user.id);
+
+    if (!thread) {
+      return res.status(404).json({ msg: 'Thread not found' });
+    }
+
+    const messages = await messagingService.listMessages(thread._id, { before, after, limit: req.query.limit || 50 });
+    res.json({ messages, lastReadAt: Object.fromEntries(thread.lastReadAt) });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/messages/threads/:id/messages
+// @desc    Sends a message ({ body, clientId? }); the same as sending over the live connection.
+//          Resending with the same clientId returns the stored message.
+// @access  Private
+router.post('/threads/:id/messages', auth, rateLimit('messages', { by: 'user' }), validate({
+  body: {
+    body: { type: 'string', required: true, maxLength: messagingService.MAX_MESSAGE_LENGTH, label: 'Message' },
+    clientId: { type: 'string', maxLength: 64 },
+  },
+}), async (req, res) => {
+  try {
+    const thread = await messagingService.findThreadFor(req.params.id, req.user.id);
+
+    if (!thread) {
+      return res.status(404).json({ msg: 'Thread not found' });
+    }
+
+    const { message, duplicate, error } = await messagingService.sendMessage(thread, req.user.id, req.body);
+    if (error) {
+      return res.status(error.status).json({ msg: error.msg });
+    }
+
+    res.status(duplicate ? 200 : 201).json(message);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/messages/threads/:id/read
+// @desc    Marks the thread as read; the other side sees the read receipt
+// @access  Private
+router.put('/threads/:id/read', auth, async (req, res) => {
+  try {
+    const thread = await messagingService.findThreadFor(req.params.id, req.user.id);
+
+    if (!thread) {
+      return res.status(404).json({ msg: 'Thread not found' });
+    }
+
+    res.json({ readAt: await messagingService.markRead(thread, req.user.id) });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Notification = require('../models/NotificationModel');
+const PushSubscription = require('../models/PushSubscriptionModel');
+const { countUnread } = require('../services/notificationService');
+const webPushChannel = require('../providers/notificationChannels/webPushChannel');
+const { validate } = require('../middleware/validate');
+
+const MAX_RESULTS = 50;
+
+// @route   GET api/notifications?limit=20&before=<id>&unread=true
+// @desc    The user's notifications, newest first, with the unread count. Pass the last id as
+//          `before` to page back.
+// @access  Private
+router.get('/', auth, validate({
+  query: {
+    limit: { type: 'integer', min: 1, max: MAX_RESULTS },
+    before: { type: 'objectId' },
+    unread: { type: 'boolean' },
+  },
+}), async (req, res) => {
+  const { before, unread } = req.query;
+  const limit = req.query.limit || 20;
+
+  const filter = { user: req.user.id };
+  if (before) filter._id = { $lt: before };
+  if (unread) filter.readAt = null;
+
+  try {
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ _id: -1 }).limit(limit),
+      countUnread(req.user.id),
+    ]);
+
+    res.json({ notifications, unreadCount });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/notifications/unread-count
+// @desc    Number of unread notifications (for the Bell badge)
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json({ unreadCount: await countUnread(req.user.id) });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/notifications/read-all
+// @desc    Marks every notification as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user.id, readAt: null }, { readAt: new Date() });
+    res.json({ updated: result.modifiedCount, unreadCount: 0 });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/notifications/push-key
+// @desc    VAPID public key for browser push subscriptions (null when push isn't set up)
+// @access  Private
+router.get('/push-key', auth, (req, res) => {
+  res.json({ publicKey: webPushChannel.publicKey() });
+});
+
+// @route   POST api/notifications/push-subscriptions
+// @desc    Registers this browser for push notifications ({ endpoint, p256dh, auth } from PushManager)
+// @access  Private
+router.post('/push-subscriptions', auth, validate({
+  body: {
+    endpoint: { type: 'string', required: true, maxLength: 1000 },
+    p256dh: { type: 'string', required: true, maxLength: 200 },
+    auth: { type: 'string', required: true, maxLength: 100 },
+  },
+}), async (req, res) => {
+  const { endpoint, p256dh, auth: authSecret } = req.body;
+
+  try {
+    // A browser that was used by another account now belongs to this one
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { user: req.user.id, keys: { p256dh, auth: authSecret } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({ msg: 'Push notifications enabled for this browser' });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/notifications/push-subscriptions
+// @desc    Stops push notifications to this browser ({ endpoint })
+// @access  Private
+router.delete('/push-subscriptions', auth, validate({
+  body: { endpoint: { type: 'string', required: true, maxLength: 1000 } },
+}), async (req, res) => {
+  try {
+    await PushSubscription.deleteOne({ user: req.user.id, endpoint: req.body.endpoint });
+    res.json({ msg: 'Push notifications disabled for this browser' });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/notifications/:id/read
+// @desc    Marks one notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ notification, unreadCount: await countUnread(req.user.id) });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/notifications/:id
+// @desc    Deletes one notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+
+    res.json({ msg: 'Notification removed', id: notification.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Notification not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
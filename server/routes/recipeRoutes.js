@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const Recipe = require('../models/RecipeModel');
+const User = require('../models/UserModel');
+const { REGIONS, DIET_COMPATIBILITY } = require('../config/constants');
+const { withNutrition } = require('../services/recipeService');
+const { validate } = require('../middleware/validate');
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// @route   GET api/recipes?q=dal&region=South India&diet=vegetarian&maxPrepTime=30&page=1&limit=12
+// @desc    Paginated recipe search; region and diet default to the user's profile ('all' disables a filter)
+// @access  Private
+router.get('/', auth, validate({
+  query: {
+    q: { type: 'string', maxLength: 100, label: 'Search' },
+    region: { type: 'string', enum: [...REGIONS, 'all'] },
+    diet: { type: 'string', enum: [...Object.keys(DIET_COMPATIBILITY), 'all'] },
+    maxPrepTime: { type: 'integer', min: 1, max: 1440, label: 'Max prep time' },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+  },
+}), async (req, res) => {
+  const { q, maxPrepTime } = req.query;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+  try {
+    const user = await User.findById(req.user.id).select('profile');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const region = req.query.region || user.profile?.region || 'all';
+    const diet = req.query.diet || user.profile?.dietPreference || 'all';
+
+    // The query values are validated above; these catch unexpected values stored on the profile
+    if (region !== 'all' && !REGIONS.includes(region)) {
+      return res.status(400).json({ msg: `Unknown region. Use one of: ${REGIONS.join(', ')} or 'all'` });
+    }
+    if (diet !== 'all' && !DIET_COMPATIBILITY[diet]) {
+      return res.status(400).json({ msg: `Unknown diet. Use one of: ${Object.keys(DIET_COMPATIBILITY).join(', ')} or 'all'` });
+    }
+
+    const filter = {};
+    if (q) filter.$text = { $search: q };
+    if (region !== 'all') filter.region = region;
+    if (diet !== 'all') filter.dietType = { $in: DIET_COMPATIBILITY[diet] };
+    if (maxPrepTime) filter.prepTime = { $lte: maxPrepTime };
+
+    const query = Recipe.find(filter, filter.$text ? { score: { $meta: 'textScore' } } : {})
+      .select('-steps')
+      .sort(filter.$text ? { score: { $meta: 'textScore' } } : { name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const [recipes, total] = await Promise.all([query, Recipe.countDocuments(filter)]);
+
+    res.json({
+      recipes: await withNutrition(recipes, user.profile ? user.profile.toObject() : {}),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      filters: { q: q || '', region, diet },
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/recipes/:id
+// @desc    Full recipe with ingredients, steps, computed nutrition and safety warnings for the user
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const [recipe, user] = await Promise.all([
+      Recipe.findById(req.params.id),
+      User.findById(req.user.id).select('profile'),
+    ]);
+
+    if (!recipe) {
+      return res.status(404).json({ msg: 'Recipe not found' });
+    }
+
+    const [detailed] = await withNutrition([recipe], user && user.profile ? user.profile.toObject() : {});
+    res.json(detailed);
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Recipe not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
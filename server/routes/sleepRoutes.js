@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/UserModel');
+const SleepLog = require('../models/SleepLogModel');
+const { sleepTarget, sleepStatus } = require('../services/wellnessService');
+const { todayFor } = require('../services/localDayService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+const { addDays } = require('../utils/dates');
+const { SLEEP_QUALITIES } = require('../config/constants');
+
+const DEFAULT_RANGE_DAYS = 7;
+
+// @route   POST api/sleep
+// @desc    Records (or overwrites) the night's sleep for the day the user woke up; a quality or
+//          note left out is cleared rather than kept from the earlier entry
+// @access  Private
+router.post('/', auth, validate({
+  body: {
+    date: { type: 'date', required: true },
+    hours: { type: 'number', required: true, min: 0, max: 24, label: 'Hours slept' },
+    quality: { type: 'string', enum: SLEEP_QUALITIES },
+    note: { type: 'string', maxLength: 200 },
+  },
+}), async (req, res) => {
+  const { date, hours, quality, note } = req.body;
+
+  const $set = { hours: Math.round(hours * 4) / 4 };
+  const $unset = {};
+  Object.entries({ quality, note }).forEach(([field, value]) => {
+    if (value === undefined || value === null || value === '') $unset[field] = 1;
+    else $set[field] = value;
+  });
+
+  try {
+    const entry = await SleepLog.findOneAndUpdate(
+      { user: req.user.id, date },
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/sleep?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Sleep entries in a range (default: the last 7 days) with the average and the recommended hours
+// @access  Private
+router.get('/', auth, validate({ query: { from: { type: 'date' }, to: { type: 'date' } } }), async (req, res) => {
+  try {
+    const to = req.query.to || await todayFor(req.user.id);
+    const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (from > to) {
+      return sendFieldErrors(res, [{ field: 'from', msg: 'From must be on or before to' }]);
+    }
+
+    const [entries, user] = await Promise.all([
+      SleepLog.find({ user: req.user.id, date: { $gte: from, $lte: to } }).sort({ date: 1 }),
+      User.findById(req.user.id).select('profile'),
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const target = sleepTarget(user.profile || {});
+    const averageHours = entries.length > 0
+      ? Math.round((entries.reduce((sum, entry) => sum + entry.hours, 0) / entries.length) * 10) / 10
+      : null;
+
+    res.json({
+      from,
+      to,
+      entries: entries.map(entry => ({ ...entry.toObject(), status: sleepStatus(entry.hours, target) })),
+      averageHours,
+      target,
+    });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/sleep/:id
+// @desc    Deletes a sleep entry
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await SleepLog.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Sleep entry not found' });
+    }
+
+    res.json({ msg: 'Sleep entry removed', id: entry.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Sleep entry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
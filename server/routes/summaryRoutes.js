@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/UserModel');
+const { summariseDay } = require('../services/daySummaryService');
+const { validate } = require('../middleware/validate');
+const { todayIn } = require('../utils/dates');
+
+// @route   GET api/summary/day?date=YYYY-MM-DD
+// @desc    One day at a glance: food, activity, water and sleep against the daily targets (default: today)
+// @access  Private
+router.get('/day', auth, validate({ query: { date: { type: 'date' } } }), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile notificationPrefs.timeZone');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const date = req.query.date || todayIn(user.notificationPrefs?.timeZone);
+
+    res.json(await summariseDay(req.user.id, user.profile ? user.profile.toObject() : {}, date));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
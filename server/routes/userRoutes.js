@@ -1,7 +1,76 @@
 const express = require('express');
 const router = express.Router();
+const bcrypt = require('bcryptjs');
 const User = require('../models/UserModel');
+const MealLog = require('../models/MealLogModel');
+const MealPhoto = require('../models/MealPhotoModel');
 const auth = require('../middleware/auth'); 
+const { calculateTargets } = require('../services/targetsService');
+const { revokeSessions } = require('../services/sessionService');
+const { deleteAccount } = require('../services/accountService');
+const { validate, sendFieldErrors, rules } = require('../middleware/validate');
+const {
+  GENDERS,
+  REGIONS,
+  GOALS,
+  ACTIVITY_LEVELS,
+  DIET_PREFERENCES,
+  NOTIFICATION_PREFERENCES,
+  MAX_MEDICATIONS,
+  USER_PREFERENCES,
+} = require('../config/constants');
+const { isTimeZone } = require('../utils/dates');
+
+// Free-text profile lists (conditions, allergies)
+const profileList = { type: 'array', maxItems: 20, items: { type: 'string', required: true, maxLength: 60 } };
+
+// Every field is optional on update; ranges reject typos like a 700 kg weight
+const profileSchema = validate({
+  body: {
+    name: { type: 'string', maxLength: 50 },
+    weight: { type: 'number', min: 20, max: 300 },
+    height: { type: 'number', min: 50, max: 250 },
+    age: { type: 'integer', min: 10, max: 120 },
+    targetWeight: { type: 'number', min: 20, max: 300, label: 'Target weight' },
+    gender: { type: 'string', enum: GENDERS },
+    region: { type: 'string', enum: REGIONS },
+    goal: { type: 'string', enum: GOALS },
+    activityLevel: { type: 'string', enum: ACTIVITY_LEVELS, label: 'Activity level' },
+    dietPreference: { type: 'string', enum: DIET_PREFERENCES, label: 'Diet preference' },
+    healthIssues: { ...profileList, label: 'Health issues' },
+    allergies: profileList,
+  },
+});
+
+const notificationSchema = validate({
+  body: {
+    ...Object.fromEntries(NOTIFICATION_PREFERENCES.map(key => [key, { type: 'boolean' }])),
+    timeZone: { type: 'string', maxLength: 64, label: 'Time zone' },
+    medications: { type: 'array', maxItems: MAX_MEDICATIONS },
+  },
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Medication reminders are { name, time: 'HH:MM' }; returns field errors for any that aren't
+const medicationErrors = (medications = []) => medications.flatMap((medication, i) => {
+  const name = medication && typeof medication.name === 'string' ? medication.name.trim() : '';
+  const errors = [];
+  if (!name || name.length > 60) {
+    errors.push({ field: `medications.${i}.name`, msg: 'Each medication needs a name of at most 60 characters' });
+  }
+  if (!medication || !TIME_PATTERN.test(medication.time)) {
+    errors.push({ field: `medications.${i}.time`, msg: 'Each medication needs a time in HH:MM (24-hour) format' });
+  }
+  return errors;
+});
+
+const preferencesSchema = validate({
+  body: Object.fromEntries(USER_PREFERENCES.map(key => [key, { type: 'boolean' }])),
+});
+
+// User document plus the daily targets derived from its profile
+const withTargets = (user) => ({ ...user.toObject(), targets: calculateTargets(user.profile) });
 
 // @route   GET api/user/profile
 // @desc    Fetches the user's profile data
@@ -16,8 +85,8 @@ router.get('/profile', auth, async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
     
-    // Send back the user object 
-    res.json(user);
+    // Send back the user object along with the targets computed from the profile
+    res.json(withTargets(user));
 
   } catch (err) {
     console.error(err.message);
@@ -29,7 +98,7 @@ router.get('/profile', auth, async (req, res) => {
 // @route   PUT api/user/profile
 // @desc    Updates the user's profile data
 // @access  Private
-router.put('/profile', auth, async (req, res) => {
+router.put('/profile', auth, profileSchema, async (req, res) => {
   const { name, weight, height, age, gender, region, healthIssues, goal, targetWeight, activityLevel, dietPreference, allergies } = req.body;
   
   // Build the profile fields object based on input
@@ -63,9 +132,207 @@ router.put('/profile', auth, async (req, res) => {
 
     await user.save();
     
-    // Return the updated user object (excluding the password)
+    // Return the updated user object (excluding the password) with recomputed targets
     const updatedUser = await User.findById(req.user.id).select('-password');
-    res.json(updatedUser);
+    res.json(withTargets(updatedUser));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/user/targets
+// @desc    Daily energy, macro and fibre targets computed from the profile
+// @access  Private
+router.get('/targets', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('profile');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json(calculateTargets(user.profile));
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/user/password
+// @desc    Changes the password after checking the current one; other devices are signed out
+// @access  Private
+router.put('/password', auth, validate({
+  body: { currentPassword: rules.password, newPassword: rules.newPassword },
+}), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return sendFieldErrors(res, [{ field: 'currentPassword', msg: 'Current password is incorrect' }]);
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    await revokeSessions(user.id, { _id: { $ne: req.user.sessionId } });
+    res.json({ msg: 'Password changed. Other devices have been signed out.' });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/user/notifications
+// @desc    Gets the user's notification preferences
+// @access  Private
+router.get('/notifications', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPrefs');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json(user.notificationPrefs);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/user/notifications
+// @desc    Updates any of the notification switches ({ mealReminders: true, ... }), the time zone
+//          reminders follow and the medication reminders ([{ name, time: 'HH:MM' }], replaces the list)
+// @access  Private
+router.put('/notifications', auth, notificationSchema, async (req, res) => {
+  const { timeZone, medications } = req.body;
+
+  const errors = medicationErrors(medications);
+  if (timeZone !== undefined && !isTimeZone(timeZone)) {
+    errors.unshift({ field: 'timeZone', msg: 'Time zone must be an IANA zone such as Asia/Kolkata' });
+  }
+  if (errors.length > 0) {
+    return sendFieldErrors(res, errors);
+  }
+
+  const updates = {};
+  for (const key of NOTIFICATION_PREFERENCES) {
+    if (typeof req.body[key] === 'boolean') {
+      updates[`notificationPrefs.${key}`] = req.body[key];
+    }
+  }
+  if (timeZone !== undefined) {
+    updates['notificationPrefs.timeZone'] = timeZone;
+  }
+  if (medications !== undefined) {
+    updates['notificationPrefs.medications'] = medications.map(({ name, time }) => ({ name: name.trim(), time }));
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true })
+      .select('notificationPrefs');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json(user.notificationPrefs);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/user/preferences
+// @desc    Gets the user's app preferences ({ keepMealPhotos })
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('preferences');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json(user.preferences);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/user/preferences
+// @desc    Updates app preferences. Turning keepMealPhotos off deletes the photos kept so far.
+// @access  Private
+router.put('/preferences', auth, preferencesSchema, async (req, res) => {
+  const updates = {};
+  for (const key of USER_PREFERENCES) {
+    if (typeof req.body[key] === 'boolean') {
+      updates[`preferences.${key}`] = req.body[key];
+    }
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true })
+      .select('preferences');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (req.body.keepMealPhotos === false) {
+      await Promise.all([
+        MealPhoto.deleteMany({ user: req.user.id }),
+        MealLog.updateMany({ user: req.user.id, photo: { $exists: true } }, { $unset: { photo: 1 } }),
+      ]);
+    }
+
+    res.json(user.preferences);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/user
+// @desc    Permanently deletes the account with all logs, chats, plans and sessions.
+//          Requires the password again ({ password }).
+// @access  Private
+router.delete('/', auth, validate({
+  body: { password: { ...rules.password, message: 'Please enter your password to delete your account' } },
+}), async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return sendFieldErrors(res, [{ field: 'password', msg: 'Password is incorrect' }]);
+    }
+
+    await deleteAccount(user.id);
+    res.json({ msg: 'Account deleted' });
 
   } catch (err) {
     console.error(err.message);
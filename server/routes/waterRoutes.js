@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/UserModel');
+const WaterLog = require('../models/WaterLogModel');
+const { GLASS_ML, waterTarget, summariseWater } = require('../services/wellnessService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+
+const MAX_AMOUNT_ML = 2000;
+
+// @route   POST api/water
+// @desc    Adds a drink of water to a day, in ml (`amount`) or glasses of 250 ml (`glasses`)
+// @access  Private
+router.post('/', auth, validate({
+  body: {
+    date: { type: 'date', required: true },
+    amount: { type: 'integer', min: 1, max: MAX_AMOUNT_ML, label: 'Amount (ml)' },
+    glasses: { type: 'number', min: 0.5, max: MAX_AMOUNT_ML / GLASS_ML, label: 'Glasses' },
+  },
+}), async (req, res) => {
+  const { date, amount, glasses } = req.body;
+
+  if ((amount === undefined) === (glasses === undefined)) {
+    return sendFieldErrors(res, [{ field: 'amount', msg: 'Give either an amount in ml or a number of glasses' }]);
+  }
+
+  try {
+    const entry = await WaterLog.create({
+      user: req.user.id,
+      date,
+      amount: amount ?? Math.round(glasses * GLASS_ML),
+    });
+
+    res.status(201).json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/water?date=YYYY-MM-DD
+// @desc    A day's water entries with the total and the user's daily target
+// @access  Private
+router.get('/', auth, validate({ query: { date: { type: 'date', required: true } } }), async (req, res) => {
+  const { date } = req.query;
+
+  try {
+    const [entries, user] = await Promise.all([
+      WaterLog.find({ user: req.user.id, date }).sort({ createdAt: 1 }),
+      User.findById(req.user.id).select('profile'),
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const target = waterTarget(user.profile || {});
+    res.json({ date, entries, totals: summariseWater(entries, target), target });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/water/:id
+// @desc    Removes a water entry (e.g. undoing a quick-add)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await WaterLog.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Water entry not found' });
+    }
+
+    res.json({ msg: 'Water entry removed', id: entry.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Water entry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
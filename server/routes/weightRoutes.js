@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const User = require('../models/UserModel');
+const WeightEntry = require('../models/WeightEntryModel');
+const { withTrend, summariseWeights } = require('../services/weightService');
+const { countActiveDays, activeStreak } = require('../services/progressService');
+const { todayFor } = require('../services/localDayService');
+const { validate, sendFieldErrors } = require('../middleware/validate');
+const { addDays } = require('../utils/dates');
+
+const DEFAULT_RANGE_DAYS = 90;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Upserts the user's entry for the day. When a parallel request for the same day inserts it
+// first, the unique index rejects this insert and the retry updates that entry instead.
+const upsertWeight = async (filter, update) => {
+  const options = { new: true, upsert: true, setDefaultsOnInsert: true };
+  try {
+    return await WeightEntry.findOneAndUpdate(filter, update, options);
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+    return WeightEntry.findOneAndUpdate(filter, update, options);
+  }
+};
+
+// @route   POST api/weights
+// @desc    Records (or overwrites) the user's weight for a day
+// @access  Private
+router.post('/', auth, validate({
+  body: {
+    date: { type: 'date', required: true },
+    weight: { type: 'number', required: true, min: 20, max: 300 },
+    note: { type: 'string', maxLength: 200 },
+  },
+}), async (req, res) => {
+  const { date, weight: weightValue, note } = req.body;
+
+  try {
+    const entry = await upsertWeight({ user: req.user.id, date }, { weight: weightValue, note });
+
+    // Keep profile.weight in sync with the most recent weigh-in
+    const latest = await WeightEntry.findOne({ user: req.user.id }).sort({ date: -1 });
+    if (latest && latest.id === entry.id) {
+      await User.updateOne({ _id: req.user.id }, { 'profile.weight': weightValue });
+    }
+
+    res.status(201).json(entry);
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/weights?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Lists weight entries in a range with BMI trend and progress summary. `activeDays` counts
+//          days with logged activity in the range; `activeStreak` is the current run of them.
+// @access  Private
+router.get('/', auth, validate({ query: { from: { type: 'date' }, to: { type: 'date' } } }), async (req, res) => {
+  try {
+    const to = req.query.to || await todayFor(req.user.id);
+    const from = req.query.from || addDays(to, -DEFAULT_RANGE_DAYS);
+
+    if (from > to) {
+      return sendFieldErrors(res, [{ field: 'from', msg: 'From must be on or before to' }]);
+    }
+
+    const user = await User.findById(req.user.id).select('profile');
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const profile = user.profile || {};
+    const [entries, latest, activeDays, streak] = await Promise.all([
+      WeightEntry.find({ user: req.user.id, date: { $gte: from, $lte: to } }).sort({ date: 1 }),
+      WeightEntry.findOne({ user: req.user.id }).sort({ date: -1 }),
+      countActiveDays(req.user.id, from, to),
+      activeStreak(req.user.id, to),
+    ]);
+
+    const trend = withTrend(entries, profile);
+    const summary = summariseWeights(trend, { profile, latestWeight: latest?.weight, activeDays, activeStreak: streak });
+
+    res.json({ from, to, entries: trend, summary });
+
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/weights/:id
+// @desc    Deletes one of the user's weight entries
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const entry = await WeightEntry.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ msg: 'Weight entry not found' });
+    }
+
+    // If the latest weigh-in went, profile.weight follows the newest one left (and is kept
+    // as it is when none are left)
+    const latest = await WeightEntry.findOne({ user: req.user.id }).sort({ date: -1 });
+    if (latest && latest.date < entry.date) {
+      await User.updateOne({ _id: req.user.id }, { 'profile.weight': latest.weight });
+    }
+
+    res.json({ msg: 'Weight entry removed', id: entry.id });
+
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Weight entry not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
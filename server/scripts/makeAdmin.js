@@ -0,0 +1,25 @@
+// Makes an existing account an admin, for setting up the first one; after that admins change
+// roles through PUT /api/admin/users/:id/role.
+// Usage: npm run make-admin -- someone@example.com  (requires MONGO_URI in .env)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+
+const email = process.argv[2];
+
+const makeAdmin = async () => {
+    if (!email) throw new Error('Pass the account email: npm run make-admin -- someone@example.com');
+
+    await mongoose.connect(process.env.MONGO_URI);
+    const user = await User.findOneAndUpdate({ email }, { role: 'admin' });
+    if (!user) throw new Error(`No account with the email ${email}`);
+
+    console.log(`✅ ${email} is now an admin (from their next sign-in or token refresh)`);
+};
+
+makeAdmin()
+    .catch(err => {
+        console.error('❌ Could not make admin:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
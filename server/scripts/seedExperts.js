@@ -0,0 +1,36 @@
+// Loads the bundled expert profiles into MongoDB. Experts are matched on their registration
+// number, so re-running updates them in place and keeps existing bookings and account links.
+// Accounts linked to an expert profile are made nutritionists (links made before roles existed
+// left them as users); admins keep their role.
+// Usage: npm run seed:experts  (requires MONGO_URI in .env)
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Expert = require('../models/ExpertModel');
+const User = require('../models/UserModel');
+
+const experts = require(path.join(__dirname, '..', 'data', 'experts.json'));
+
+const seed = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    await Expert.bulkWrite(experts.map(expert => ({
+        updateOne: {
+            filter: { registrationNumber: expert.registrationNumber },
+            update: { $set: expert },
+            upsert: true,
+        },
+    })));
+    await Expert.syncIndexes();
+    console.log(`✅ Seeded ${experts.length} experts`);
+
+    const linked = await Expert.distinct('user', { user: { $ne: null } });
+    const { modifiedCount } = await User.updateMany({ _id: { $in: linked }, role: 'user' }, { role: 'nutritionist' });
+    console.log(`✅ Made ${modifiedCount} linked accounts nutritionists`);
+};
+
+seed()
+    .catch(err => {
+        console.error('❌ Expert seed failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,121 @@
+// Seeds the PostgreSQL nutrition store from the bundled CSV files.
+// Usage: npm run seed:foods  (requires POSTGRES_URI in .env)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const pgPool = require('../config/pgPool');
+
+const FOODS_CSV = path.join(__dirname, '..', 'data', 'ifct_foods.csv');
+const MEASURES_CSV = path.join(__dirname, '..', 'data', 'household_measures.csv');
+
+const SCHEMA_SQL = `
+    DROP TABLE IF EXISTS food_measures;
+    DROP TABLE IF EXISTS foods;
+
+    CREATE TABLE foods (
+        code TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        local_names TEXT NOT NULL DEFAULT '',
+        category TEXT NOT NULL,
+        energy_kcal REAL NOT NULL,
+        protein_g REAL NOT NULL,
+        carbs_g REAL NOT NULL,
+        fat_g REAL NOT NULL,
+        fibre_g REAL NOT NULL,
+        iron_mg REAL NOT NULL,
+        calcium_mg REAL NOT NULL,
+        vitamin_b12_mcg REAL NOT NULL,
+        vitamin_d_mcg REAL NOT NULL,
+        folate_mcg REAL NOT NULL,
+        zinc_mg REAL NOT NULL,
+        sodium_mg REAL NOT NULL,
+        glycemic_index REAL -- NULL for foods without meaningful carbohydrate
+    );
+
+    CREATE TABLE food_measures (
+        food_code TEXT NOT NULL REFERENCES foods(code) ON DELETE CASCADE,
+        measure TEXT NOT NULL,
+        grams REAL NOT NULL,
+        PRIMARY KEY (food_code, measure)
+    );
+`;
+
+// Splits one CSV line, honouring double-quoted fields that contain commas
+const parseCsvLine = (line) => {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && line[i + 1] === '"' && inQuotes) {
+            current += '"';
+            i++;
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ',' && !inQuotes) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields;
+};
+
+// Reads a CSV file into an array of objects keyed by the header row
+const readCsv = (file) => {
+    const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    const columns = parseCsvLine(header);
+    return lines.map(line => {
+        const values = parseCsvLine(line);
+        return columns.reduce((row, column, i) => ({ ...row, [column]: values[i] }), {});
+    });
+};
+
+const seed = async () => {
+    if (!pgPool) {
+        throw new Error('POSTGRES_URI is not set');
+    }
+
+    const foods = readCsv(FOODS_CSV);
+    const measures = readCsv(MEASURES_CSV);
+    const client = await pgPool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await client.query(SCHEMA_SQL);
+
+        for (const food of foods) {
+            const columns = Object.keys(food);
+            const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+            await client.query(
+                `INSERT INTO foods (${columns.join(', ')}) VALUES (${placeholders})`,
+                columns.map(column => (food[column] === '' ? null : food[column]))
+            );
+        }
+
+        for (const measure of measures) {
+            await client.query(
+                'INSERT INTO food_measures (food_code, measure, grams) VALUES ($1, $2, $3)',
+                [measure.food_code, measure.measure, measure.grams]
+            );
+        }
+
+        await client.query('COMMIT');
+        console.log(`✅ Seeded ${foods.length} foods and ${measures.length} household measures`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+seed()
+    .catch(err => {
+        console.error('❌ Food seed failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pgPool && pgPool.end());
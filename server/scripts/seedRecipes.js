@@ -0,0 +1,23 @@
+// Loads the bundled recipe catalogue into MongoDB, replacing existing recipes.
+// Usage: npm run seed:recipes  (requires MONGO_URI in .env)
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Recipe = require('../models/RecipeModel');
+
+const recipes = require(path.join(__dirname, '..', 'data', 'recipes.json'));
+
+const seed = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    await Recipe.deleteMany({});
+    await Recipe.insertMany(recipes);
+    await Recipe.syncIndexes();
+    console.log(`✅ Seeded ${recipes.length} recipes`);
+};
+
+seed()
+    .catch(err => {
+        console.error('❌ Recipe seed failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -2,16 +2,39 @@
 require('dotenv').config(); 
 const express = require('express');
 const mongoose = require('mongoose');
-// const { Pool } = require('pg'); // Keep the import, but don't run the connection logic
 const cors = require('cors'); 
+const pgPool = require('./config/pgPool');
+const { rateLimit } = require('./middleware/rateLimit');
+const { startReminderScheduler } = require('./services/reminderService');
+const { attachRealtime } = require('./services/realtimeService');
 
 // Import Routes
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const mealRoutes = require('./routes/mealRoutes');
+const weightRoutes = require('./routes/weightRoutes');
+const foodRoutes = require('./routes/foodRoutes');
+const recipeRoutes = require('./routes/recipeRoutes');
+const geminiRoutes = require('./routes/geminiRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const mealPlanRoutes = require('./routes/mealPlanRoutes');
+const activityRoutes = require('./routes/activityRoutes');
+const waterRoutes = require('./routes/waterRoutes');
+const sleepRoutes = require('./routes/sleepRoutes');
+const summaryRoutes = require('./routes/summaryRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const expertRoutes = require('./routes/expertRoutes');
+const consultationRoutes = require('./routes/consultationRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Render (and most hosts) sit behind one proxy; this makes req.ip the client address
+// (used for the sessions list and per-IP rate limits)
+app.set('trust proxy', 1);
+
 // --- CRITICAL: CORS Configuration ---
 // Determine the allowed origin dynamically:
 // 1. Use RENDER_CLIENT_URL if it's set (this should be set in Render environment settings)
@@ -23,6 +46,8 @@ app.use(cors({
     origin: allowedOrigin, 
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
     credentials: true,
+    // Let the client read rate limit details on 429 responses
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'X-AI-Quota-Limit', 'X-AI-Quota-Remaining'],
 })); 
 app.use(express.json()); // To parse JSON bodies
 // --- End CORS Configuration ---
@@ -35,37 +60,61 @@ mongoose.connect(process.env.MONGO_URI)
   .catch(err => console.error('❌ MongoDB connection error:', err.message));
 
 
-/* // --- 2. PostgreSQL Pool (Static Nutrition Data) ---
-// Temporary: We are commenting this block out to prevent the server from crashing 
-// on the malformed or placeholder POSTGRES_URI in the .env file.
-const pgPool = new Pool({
-  connectionString: process.env.POSTGRES_URI,
-});
-
-pgPool.connect()
-  .then(client => {
-    console.log('✅ PostgreSQL connected successfully');
-    client.release();
-  })
-  .catch(err => console.error('❌ PostgreSQL connection error:', err));
-
-// Expose the PG Pool to be used in other routes
-// app.set('pgPool', pgPool); 
-*/
+// --- 2. PostgreSQL Pool (Static Nutrition Data) ---
+// Only attempted when POSTGRES_URI is set (see config/pgPool.js), so a missing
+// nutrition store disables /api/foods instead of crashing the server.
+if (pgPool) {
+  pgPool.connect()
+    .then(client => {
+      console.log('✅ PostgreSQL connected successfully');
+      client.release();
+    })
+    .catch(err => console.error('❌ PostgreSQL connection error:', err.message));
+} else {
+  console.warn('⚠️  POSTGRES_URI not set: food search (/api/foods) is disabled');
+}
 
 
 // --- 3. API Routes ---
+// Overall per-IP request limit; login, account emails and the assistant have stricter ones
+app.use('/api', rateLimit('api'));
+
 app.use('/api/auth', authRoutes); // Authentication routes (Login/Register)
 app.use('/api/user', userRoutes);  // User profile routes (GET/PUT profile)
+app.use('/api/meals', mealRoutes); // Daily meal log routes (CRUD + daily totals)
+app.use('/api/weights', weightRoutes); // Weight history routes (entries + progress summary)
+app.use('/api/foods', foodRoutes); // Food composition search (PostgreSQL)
+app.use('/api/recipes', recipeRoutes); // Recipe catalogue (search, filters, nutrition)
+app.use('/api/gemini', geminiRoutes); // AI nutrition assistant (provider set by LLM_PROVIDER)
+app.use('/api/conversations', conversationRoutes); // Saved assistant conversations (list/resume/rename/delete)
+app.use('/api/mealplans', mealPlanRoutes); // Weekly meal plans (generate, swap, push to log)
+app.use('/api/activities', activityRoutes); // Exercise and activity log (MET calorie estimates)
+app.use('/api/water', waterRoutes); // Daily water intake (quick-add glasses)
+app.use('/api/sleep', sleepRoutes); // Nightly sleep duration and quality
+app.use('/api/summary', summaryRoutes); // Day summary for the home screen snapshot
+app.use('/api/notifications', notificationRoutes); // Notification centre (reminders, unread counts, push subscriptions)
+app.use('/api/experts', expertRoutes); // Nutritionist profiles, free slots and the expert's own schedule
+app.use('/api/consultations', consultationRoutes); // Consultation bookings (book, reschedule, cancel, sharing)
+app.use('/api/messages', messageRoutes); // Client-expert message threads (history; live delivery over /ws)
+app.use('/api/admin', adminRoutes); // Account roles (admins only)
 
 // Basic health check route
 app.get('/', (req, res) => {
   res.send('Swasth Bharat API is running.');
 });
 
+
+// --- 4. Reminders ---
+// Meal, water, weigh-in and medication reminders plus the weekly summary, sent as notifications
+startReminderScheduler();
+
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 Server listening on port ${PORT}`);
   // Use the dynamically determined origin in the console log for clarity
   console.log(`CORS allowing requests from: ${allowedOrigin}`); 
 });
+
+// --- 5. Live Connection ---
+// WebSocket on the same server (/ws) for messages, typing, read receipts and notifications
+attachRealtime(server, { allowedOrigin });
@@ -0,0 +1,67 @@
+const User = require('../models/UserModel');
+const MealLog = require('../models/MealLogModel');
+const WeightEntry = require('../models/WeightEntryModel');
+const Conversation = require('../models/ConversationModel');
+const MealPlan = require('../models/MealPlanModel');
+const Session = require('../models/SessionModel');
+const ActionToken = require('../models/ActionTokenModel');
+const MealPhoto = require('../models/MealPhotoModel');
+const ActivityLog = require('../models/ActivityLogModel');
+const WaterLog = require('../models/WaterLogModel');
+const SleepLog = require('../models/SleepLogModel');
+const Notification = require('../models/NotificationModel');
+const PushSubscription = require('../models/PushSubscriptionModel');
+const Consultation = require('../models/ConsultationModel');
+const Expert = require('../models/ExpertModel');
+const { deleteThreadsOf } = require('./messagingService');
+const { notifyConsultation } = require('./consultationService');
+
+// Every model holding per-user documents in a `user` field; new ones must be added here
+// so that deleting an account leaves nothing behind
+const USER_DATA_MODELS = [
+    MealLog,
+    WeightEntry,
+    Conversation,
+    MealPlan,
+    Session,
+    ActionToken,
+    MealPhoto,
+    ActivityLog,
+    WaterLog,
+    SleepLog,
+    Notification,
+    PushSubscription,
+    Consultation,
+];
+
+// Cancels the user's upcoming bookings and lets each expert know the slot is free again
+const cancelUpcomingConsultations = async (userId) => {
+    const consultations = await Consultation.find({ user: userId, status: 'booked', start: { $gt: new Date() } });
+
+    for (const consultation of consultations) {
+        consultation.status = 'cancelled';
+        consultation.cancelledAt = new Date();
+        consultation.cancelledBy = 'user';
+        await consultation.save();
+        const expert = await Expert.findById(consultation.expert);
+        if (expert) await notifyConsultation(consultation, expert, 'cancelled', { to: 'expert' });
+    }
+};
+
+// Permanently removes the user and all of their data; returns false when the user doesn't exist
+const deleteAccount = async (userId) => {
+    // Before anything is deleted, as the expert's notification names the client
+    await cancelUpcomingConsultations(userId);
+    await Promise.all(USER_DATA_MODELS.map(Model => Model.deleteMany({ user: userId })));
+    // Message threads are shared with an expert, so they are found by participant, not `user`
+    await deleteThreadsOf(userId);
+    // An expert profile outlives its account (clients keep their bookings) but loses the link
+    await Expert.updateMany({ user: userId }, { $unset: { user: 1 } });
+    const result = await User.deleteOne({ _id: userId });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    USER_DATA_MODELS,
+    deleteAccount,
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ActionToken = require('../models/ActionTokenModel');
+const { getMailTransport } = require('../providers/mail');
+
+// Link lifetimes in minutes
+const TOKEN_TTL_MINUTES = {
+    'verify-email': 24 * 60,
+    'reset-password': 60,
+};
+
+// Links point at the client, which posts the token back to the API
+const clientUrl = () => process.env.RENDER_CLIENT_URL || process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Signs a single-use token for `purpose`; earlier unused links for the same purpose stop working
+const issueToken = async (userId, purpose) => {
+    const ttlMinutes = TOKEN_TTL_MINUTES[purpose];
+    const jti = crypto.randomUUID();
+
+    await ActionToken.deleteMany({ user: userId, purpose });
+    await ActionToken.create({
+        user: userId,
+        purpose,
+        jti,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+
+    return jwt.sign({ purpose, user: { id: userId } }, process.env.JWT_SECRET, {
+        expiresIn: `${ttlMinutes}m`,
+        jwtid: jti,
+    });
+};
+
+// Verifies and uses up a token; returns the user ID, or null for invalid, expired or used tokens
+const consumeToken = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+    if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+    const record = await ActionToken.findOneAndDelete({ jti: decoded.jti, purpose, user: decoded.user.id });
+    return record ? decoded.user.id : null;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user.id, 'verify-email');
+    await getMailTransport().send({
+        to: user.email,
+        subject: 'Verify your Swasth Bharat email',
+        text: `Namaste ${user.name},\n\nPlease confirm your email address by opening this link:\n${clientUrl()}/?verify=${token}\n\nThe link is valid for 24 hours. If you did not create an account, you can ignore this email.`,
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user.id, 'reset-password');
+    await getMailTransport().send({
+        to: user.email,
+        subject: 'Reset your Swasth Bharat password',
+        text: `Namaste ${user.name},\n\nSomeone (hopefully you) asked to reset your password. Choose a new one here:\n${clientUrl()}/?reset=${token}\n\nThe link is valid for 1 hour and can be used once. If you did not ask for this, you can ignore this email.`,
+    });
+};
+
+module.exports = {
+    issueToken,
+    consumeToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+};
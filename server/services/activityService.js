@@ -0,0 +1,91 @@
+const { REFERENCE_ADULT } = require('./targetsService');
+
+// Activities users can log, with MET values from the Compendium of Physical Activities (2011).
+// Calories = MET x body weight (kg) x hours.
+const ACTIVITY_TYPES = [
+    { code: 'walking_slow', name: 'Walking, leisurely', category: 'Walking & running', met: 2.8 },
+    { code: 'walking_brisk', name: 'Walking, brisk', category: 'Walking & running', met: 4.3 },
+    { code: 'stairs', name: 'Climbing stairs', category: 'Walking & running', met: 4.0 },
+    { code: 'jogging', name: 'Jogging', category: 'Walking & running', met: 7.0 },
+    { code: 'running', name: 'Running (8 km/h)', category: 'Walking & running', met: 8.3 },
+    { code: 'yoga', name: 'Yoga (hatha)', category: 'Yoga & fitness', met: 2.5 },
+    { code: 'surya_namaskar', name: 'Surya namaskar', category: 'Yoga & fitness', met: 3.3 },
+    { code: 'pranayama', name: 'Pranayama / breathing', category: 'Yoga & fitness', met: 2.0 },
+    { code: 'strength', name: 'Strength training', category: 'Yoga & fitness', met: 3.5 },
+    { code: 'aerobics', name: 'Aerobics / Zumba', category: 'Yoga & fitness', met: 7.3 },
+    { code: 'dancing', name: 'Dancing (garba, bhangra, folk)', category: 'Yoga & fitness', met: 4.5 },
+    { code: 'cycling_leisure', name: 'Cycling, leisurely', category: 'Cycling & swimming', met: 4.0 },
+    { code: 'cycling_moderate', name: 'Cycling, moderate (19-22 km/h)', category: 'Cycling & swimming', met: 6.8 },
+    { code: 'swimming', name: 'Swimming, leisurely', category: 'Cycling & swimming', met: 6.0 },
+    { code: 'cricket', name: 'Cricket', category: 'Sports', met: 4.8 },
+    { code: 'badminton', name: 'Badminton', category: 'Sports', met: 5.5 },
+    { code: 'football', name: 'Football', category: 'Sports', met: 7.0 },
+    { code: 'kabaddi', name: 'Kabaddi', category: 'Sports', met: 6.0 },
+    { code: 'volleyball', name: 'Volleyball', category: 'Sports', met: 4.0 },
+    { code: 'table_tennis', name: 'Table tennis', category: 'Sports', met: 4.0 },
+    { code: 'tennis', name: 'Tennis', category: 'Sports', met: 7.3 },
+    { code: 'sweeping_mopping', name: 'Sweeping / mopping', category: 'Household work', met: 3.5 },
+    { code: 'washing_clothes', name: 'Washing clothes by hand', category: 'Household work', met: 4.0 },
+    { code: 'cooking', name: 'Cooking', category: 'Household work', met: 2.5 },
+    { code: 'gardening', name: 'Gardening', category: 'Household work', met: 3.8 },
+    { code: 'childcare', name: 'Playing with children', category: 'Household work', met: 3.5 },
+];
+
+// METs for activities logged as 'other' with a name and an intensity
+const INTENSITY_METS = {
+    light: 2.5,
+    moderate: 4.5,
+    vigorous: 7.0,
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const findActivityType = (code) => ACTIVITY_TYPES.find(type => type.code === code) || null;
+
+// Weight used for calorie estimates: the profile's (kept in sync with the latest weigh-in),
+// otherwise the ICMR-NIN reference adult
+const activityWeight = (profile = {}) => (
+    Number(profile.weight) > 0
+        ? Number(profile.weight)
+        : REFERENCE_ADULT[profile.gender === 'female' ? 'female' : 'male'].weight
+);
+
+const caloriesBurned = (met, weight, durationMinutes) => Math.round(met * weight * (durationMinutes / 60));
+
+// Name and MET for a logged activity; null when the code is unknown or 'other' lacks a name/intensity
+const resolveActivity = ({ activity, name, intensity }) => {
+    if (activity === 'other') {
+        if (!name || !INTENSITY_METS[intensity]) return null;
+        return { name, met: INTENSITY_METS[intensity], intensity };
+    }
+    const type = findActivityType(activity);
+    return type ? { name: type.name, met: type.met, intensity: undefined } : null;
+};
+
+// Total minutes and calories, overall and per day (oldest first)
+const summariseActivities = (entries) => {
+    const byDate = new Map();
+    entries.forEach(entry => {
+        const day = byDate.get(entry.date) || { date: entry.date, minutes: 0, calories: 0 };
+        day.minutes += entry.durationMinutes;
+        day.calories += entry.calories;
+        byDate.set(entry.date, day);
+    });
+
+    const days = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+    return {
+        minutes: days.reduce((sum, day) => sum + day.minutes, 0),
+        calories: round(days.reduce((sum, day) => sum + day.calories, 0)),
+        activeDays: days.length,
+        byDate: days,
+    };
+};
+
+module.exports = {
+    ACTIVITY_TYPES,
+    INTENSITY_METS,
+    activityWeight,
+    caloriesBurned,
+    resolveActivity,
+    summariseActivities,
+};
@@ -0,0 +1,156 @@
+const User = require('../models/UserModel');
+const MealLog = require('../models/MealLogModel');
+const WeightEntry = require('../models/WeightEntryModel');
+const { calculateTargets } = require('./targetsService');
+const { summariseMeals } = require('./mealLogService');
+const { calculateRda, withMicronutrients, analyseMicronutrients } = require('./micronutrientService');
+const { withTrend, summariseWeights } = require('./weightService');
+const { MEAL_TYPES } = require('../config/constants');
+const { todayIn, addDays } = require('../utils/dates');
+
+// How much history the assistant sees on every request
+const RECENT_MEAL_DAYS = 7;
+const WEIGHT_TREND_DAYS = 30;
+
+const arrayToString = (value) => {
+    if (Array.isArray(value)) return value.join(', ');
+    return value || '';
+};
+
+// Loads everything the assistant knows about the user from the database.
+// Returns null when the user no longer exists.
+const loadAssistantContext = async (userId) => {
+    const user = await User.findById(userId).select('name profile notificationPrefs.timeZone');
+    if (!user) return null;
+
+    // Logs are keyed by the user's local day
+    const today = todayIn(user.notificationPrefs?.timeZone);
+    const mealsFrom = addDays(today, -(RECENT_MEAL_DAYS - 1));
+    const weightsFrom = addDays(today, -WEIGHT_TREND_DAYS);
+
+    const [meals, weights, latestWeight] = await Promise.all([
+        MealLog.find({ user: userId, date: { $gte: mealsFrom, $lte: today } }).sort({ date: 1, createdAt: 1 }),
+        WeightEntry.find({ user: userId, date: { $gte: weightsFrom, $lte: today } }).sort({ date: 1 }),
+        WeightEntry.findOne({ user: userId }).sort({ date: -1 }),
+    ]);
+
+    const profile = user.profile ? user.profile.toObject() : {};
+    const micronutrients = analyseMicronutrients(await withMicronutrients(meals), calculateRda(profile).rda, { from: mealsFrom, to: today });
+
+    // Group the meal log by day, oldest first
+    const mealsByDate = new Map();
+    meals.forEach(entry => {
+        if (!mealsByDate.has(entry.date)) mealsByDate.set(entry.date, []);
+        mealsByDate.get(entry.date).push(entry);
+    });
+    const mealDays = [...mealsByDate.entries()].map(([date, entries]) => ({
+        date,
+        entries,
+        totals: summariseMeals(entries).day,
+    }));
+
+    const trend = withTrend(weights, profile);
+
+    return {
+        today,
+        name: user.name,
+        profile,
+        targets: calculateTargets(profile),
+        mealDays,
+        micronutrients,
+        weight: summariseWeights(trend, { profile, latestWeight: latestWeight?.weight }),
+    };
+};
+
+const describeMealDay = ({ date, entries, totals }) => {
+    const slots = MEAL_TYPES
+        .map(mealType => {
+            const names = entries.filter(entry => entry.mealType === mealType).map(entry => entry.name);
+            return names.length > 0 ? `${mealType}: ${names.join(', ')}` : null;
+        })
+        .filter(Boolean)
+        .join('; ');
+
+    return `${date}: ${Math.round(totals.calories)} kcal, Protein ${Math.round(totals.protein)} g, Carbs ${Math.round(totals.carbs)} g, Fat ${Math.round(totals.fat)} g (${slots})`;
+};
+
+const describeMeals = ({ mealDays, targets }) => {
+    if (mealDays.length === 0) return 'No meals logged in this period.';
+
+    const averageCalories = mealDays.reduce((sum, day) => sum + day.totals.calories, 0) / mealDays.length;
+    const lines = mealDays.map(describeMealDay);
+    lines.push(`Average on logged days: ${Math.round(averageCalories)} kcal (${Math.round(averageCalories / targets.calories * 100)}% of target)`);
+    return lines.join('\n        ');
+};
+
+const describeShortfalls = ({ micronutrients }) => {
+    const lows = micronutrients.nutrients.filter(nutrient => micronutrients.shortfalls.includes(nutrient.key));
+    if (lows.length === 0) return 'None identified.';
+
+    return lows
+        .map(nutrient => `${nutrient.label}: ${nutrient.average} ${nutrient.unit}/day of ${nutrient.rda} ${nutrient.unit} RDA (${nutrient.percent}%)`)
+        .join('; ');
+};
+
+const describeWeight = ({ weight }) => {
+    if (weight.currentWeight === null) return 'No weight recorded.';
+
+    const parts = [`Current ${weight.currentWeight} kg`];
+    if (weight.change !== null) {
+        parts.push(`change over the last ${WEIGHT_TREND_DAYS} days ${weight.change > 0 ? '+' : ''}${weight.change} kg`);
+    }
+    if (weight.toTarget !== null) {
+        parts.push(`target ${weight.targetWeight} kg (${Math.abs(weight.toTarget)} kg to ${weight.toTarget > 0 ? 'lose' : 'gain'})`);
+    }
+    return parts.join(', ');
+};
+
+// Builds the assistant's system prompt from the loaded context
+const buildSystemPrompt = (context) => {
+    const { name, profile, targets } = context;
+
+    const profileContext = `
+        User Profile Summary:
+        Name: ${name || 'N/A'}
+        Age: ${profile.age || 'N/A'}
+        Weight: ${profile.weight || 'N/A'} kg, Height: ${profile.height || 'N/A'} cm
+        Goal: ${profile.goal || 'General Health'}
+        Region: ${profile.region || 'All India'}
+        Diet Preference: ${profile.dietPreference || 'N/A'}
+        Health Issues: ${arrayToString(profile.healthIssues) || 'None'}
+        Allergies: ${arrayToString(profile.allergies) || 'None'}
+        BMI: ${targets.bmi || 'N/A'} (${targets.bmiCategory || 'unknown'}, Asian-Indian cut-offs)
+        Daily Targets: ${targets.calories} kcal, Protein ${targets.protein} g, Carbs ${targets.carbs} g, Fat ${targets.fat} g, Fibre ${targets.fibre} g${targets.estimated ? ' (estimated, profile incomplete)' : ''}
+        Weight Trend: ${describeWeight(context)}
+
+        Meal Log (last ${RECENT_MEAL_DAYS} days, today is ${context.today}):
+        ${describeMeals(context)}
+
+        Micronutrient Shortfalls (average on logged days vs ICMR-NIN RDA; database-matched foods only):
+        ${describeShortfalls(context)}
+    `;
+
+    return `
+        You are the Swasth Bharat AI Nutrition Assistant. Your primary goal is to provide accurate, safe, and personalized dietary and nutrition advice tailored for the Indian population.
+
+        Knowledge Base: Your advice MUST be grounded in established Indian nutritional science, citing information relevant to the user's region, diet, and health condition. You MUST use the latest ICMR-NIN Dietary Guidelines for Indians (2024) and data from the Indian Food Composition Tables (IFCT 2017) as your foundation.
+
+        Persona: Be helpful, empathetic, and encouraging. Respond concisely and clearly. Incorporate Hindi greetings (like Namaste) or phrases when appropriate.
+
+        Instructions:
+        1. Use the provided Google Search tool (grounding) to access current, specific, and external data, especially when discussing specific food items, clinical recommendations, or updated guidelines.
+        2. When providing recipe ideas, prioritize ingredients common to the user's specified region (${profile.region || 'India'}).
+        3. Always explicitly consider the user's **Health Issues** and **Allergies** in your response.
+        4. When suggesting meals or portions, keep them consistent with the user's **Daily Targets**.
+        5. Use the **Meal Log** and **Weight Trend** to make advice specific (e.g. what they ate recently, how they are progressing), but don't recite them back unprompted.
+        6. When **Micronutrient Shortfalls** are listed, bring them up where relevant to the question and suggest affordable Indian foods rich in them. Present them as low intake from the logged meals, not a diagnosed deficiency, and suggest a doctor's check-up for persistent lows.
+        7. Provide the answer in rich, conversational text format.
+
+        ${profileContext}
+    `;
+};
+
+module.exports = {
+    loadAssistantContext,
+    buildSystemPrompt,
+};
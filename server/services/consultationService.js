@@ -0,0 +1,256 @@
+const User = require('../models/UserModel');
+const Consultation = require('../models/ConsultationModel');
+const MealLog = require('../models/MealLogModel');
+const WeightEntry = require('../models/WeightEntryModel');
+const ActivityLog = require('../models/ActivityLogModel');
+const WaterLog = require('../models/WaterLogModel');
+const SleepLog = require('../models/SleepLogModel');
+const { DEFAULT_TIME_ZONE } = require('../config/constants');
+const { notify } = require('./notificationService');
+const { summariseMeals } = require('./mealLogService');
+const { summariseActivities } = require('./activityService');
+const { addDays, isTimeZone, localTime, fromLocalTime, toDateKey } = require('../utils/dates');
+
+// Consultations can be booked from MIN_NOTICE_MINUTES to BOOKING_WINDOW_DAYS ahead, and
+// cancelled or moved until CHANGE_NOTICE_MINUTES before they start
+const MIN_NOTICE_MINUTES = 120;
+const BOOKING_WINDOW_DAYS = 30;
+const CHANGE_NOTICE_MINUTES = 120;
+const MAX_SLOT_DAYS = 14;
+
+// Shared logs cover the SHARE_DAYS days up to the consultation (or up to today, before it)
+const SHARE_DAYS = 14;
+
+const PROFILE_FIELDS = ['age', 'gender', 'height', 'weight', 'targetWeight', 'region', 'goal', 'activityLevel', 'dietPreference'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const zoneOf = (expert) => (isTimeZone(expert.timeZone) ? expert.timeZone : DEFAULT_TIME_ZONE);
+
+// Weekly windows are { weekday: 0-6, start: 'HH:MM', end: 'HH:MM' }; returns field errors for any
+// that aren't, that are shorter than one session or that overlap another on the same day
+const availabilityErrors = (availability = [], sessionMinutes) => {
+    const errors = availability.flatMap((window, i) => {
+        if (!window || !Number.isInteger(window.weekday) || window.weekday < 0 || window.weekday > 6) {
+            return [{ field: `availability.${i}.weekday`, msg: 'Each window needs a weekday from 0 (Sunday) to 6' }];
+        }
+        if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+            return [{ field: `availability.${i}.start`, msg: 'Each window needs start and end times in HH:MM (24-hour) format' }];
+        }
+        if (toMinutes(window.end) - toMinutes(window.start) < sessionMinutes) {
+            return [{ field: `availability.${i}.end`, msg: `Each window must be at least one ${sessionMinutes}-minute session long` }];
+        }
+        return [];
+    });
+    if (errors.length > 0) return errors;
+
+    return availability.flatMap((window, i) => (availability.some((other, j) => j < i
+        && other.weekday === window.weekday
+        && toMinutes(other.start) < toMinutes(window.end)
+        && toMinutes(window.start) < toMinutes(other.end))
+        ? [{ field: `availability.${i}.start`, msg: 'Windows on the same day must not overlap' }]
+        : []));
+};
+
+// Every session start in the expert's weekly windows over `days` days from `from` (a day key in
+// the expert's time zone), as { start, end } Dates
+const scheduledSlots = (expert, { from, days }) => {
+    const timeZone = zoneOf(expert);
+    const slots = [];
+
+    for (let i = 0; i < days; i++) {
+        const date = addDays(from, i);
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+        expert.availability.filter(window => window.weekday === weekday).forEach(window => {
+            for (let minutes = toMinutes(window.start); minutes + expert.sessionMinutes <= toMinutes(window.end); minutes += expert.sessionMinutes) {
+                const start = fromLocalTime(date, toTime(minutes), timeZone);
+                slots.push({ start, end: new Date(start.getTime() + expert.sessionMinutes * 60000) });
+            }
+        });
+    }
+    return slots.sort((a, b) => a.start - b.start);
+};
+
+// Whether `start` can still be booked at `now`: far enough ahead, but inside the booking window
+const isBookableTime = (start, now) => start.getTime() >= now.getTime() + MIN_NOTICE_MINUTES * 60000
+    && start.getTime() <= now.getTime() + BOOKING_WINDOW_DAYS * 24 * 60 * 60000;
+
+const overlaps = (slot, booking) => slot.start < booking.end && booking.start < slot.end;
+
+// Bookable slots over `days` days from `from` (default: today in the expert's time zone),
+// leaving out times already booked
+const availableSlots = async (expert, { from, days, now = new Date() }) => {
+    const start = from || localTime(now, zoneOf(expert)).dateKey;
+    const slots = scheduledSlots(expert, { from: start, days: Math.min(days, MAX_SLOT_DAYS) })
+        .filter(slot => isBookableTime(slot.start, now));
+    if (slots.length === 0) return [];
+
+    const booked = await Consultation.find({
+        expert: expert._id,
+        status: 'booked',
+        start: { $lt: slots[slots.length - 1].end },
+        end: { $gt: slots[0].start },
+    }).select('start end');
+
+    return slots.filter(slot => !booked.some(booking => overlaps(slot, booking)));
+};
+
+// Why the user can't book `start` with the expert, as { status, field, msg }, or null when they can.
+// `excludeId` leaves out the consultation being rescheduled.
+const bookingConflict = async ({ expert, userId, start, excludeId, now = new Date() }) => {
+    const date = localTime(start, zoneOf(expert)).dateKey;
+    const slot = scheduledSlots(expert, { from: date, days: 1 }).find(candidate => candidate.start.getTime() === start.getTime());
+
+    if (!slot) {
+        return { status: 400, field: 'start', msg: "That time isn't one of the expert's consultation slots" };
+    }
+    if (!isBookableTime(start, now)) {
+        return {
+            status: 400,
+            field: 'start',
+            msg: `Consultations can be booked from ${MIN_NOTICE_MINUTES / 60} hours to ${BOOKING_WINDOW_DAYS} days ahead`,
+        };
+    }
+
+    const overlapping = { status: 'booked', start: { $lt: slot.end }, end: { $gt: slot.start } };
+    if (excludeId) overlapping._id = { $ne: excludeId };
+
+    const [expertBusy, userBusy] = await Promise.all([
+        Consultation.exists({ ...overlapping, expert: expert._id }),
+        Consultation.exists({ ...overlapping, user: userId }),
+    ]);
+    if (expertBusy) {
+        return { status: 409, field: 'start', msg: 'That slot has just been booked. Please pick another time.' };
+    }
+    if (userBusy) {
+        return { status: 409, field: 'start', msg: 'You already have a consultation at that time' };
+    }
+    return null;
+};
+
+// Whether a booked consultation can still be cancelled or rescheduled at `now`
+const canChange = (consultation, now = new Date()) => consultation.status === 'booked'
+    && consultation.start.getTime() - now.getTime() >= CHANGE_NOTICE_MINUTES * 60000;
+
+const formatTime = (date, timeZone) => new Intl.DateTimeFormat('en-IN', {
+    timeZone: isTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+}).format(date);
+
+// Tells the other party about a booking change: `event` is 'booked', 'rescheduled' or 'cancelled'.
+// Experts without an account aren't notified. Delivery failures are logged, not thrown, so they
+// never undo the change itself.
+const notifyConsultation = async (consultation, expert, event, { to }) => {
+    try {
+        const recipient = await User.findById(to === 'expert' ? expert.user : consultation.user)
+            .select('name email notificationPrefs');
+        if (!recipient) return;
+
+        const when = formatTime(consultation.start, recipient.notificationPrefs?.timeZone);
+        const client = to === 'expert' ? await User.findById(consultation.user).select('name') : null;
+        const who = to === 'expert' ? client?.name || 'A client' : expert.name;
+        const messages = {
+            booked: ['New consultation booked', `${who} booked a consultation for ${when}.`],
+            rescheduled: ['Consultation moved', `${who} moved your consultation to ${when}.`],
+            cancelled: ['Consultation cancelled', `${who} cancelled the consultation on ${when}.`],
+        };
+
+        await notify(recipient, {
+            type: 'consultation',
+            key: `consultation:${consultation.id}:${event}:${consultation.start.toISOString()}`,
+            title: messages[event][0],
+            body: messages[event][1],
+            link: 'expertConsult',
+        });
+    } catch (err) {
+        console.error('Consultation notification failed:', err.message);
+    }
+};
+
+const pick = (source, fields) => fields.reduce((picked, field) => (
+    source[field] === undefined || source[field] === null ? picked : { ...picked, [field]: source[field] }
+), {});
+
+// The parts of the user's profile and logs they chose to share for the consultation; parts they
+// didn't share are left out entirely
+const sharedData = async (consultation) => {
+    const user = await User.findById(consultation.user).select('name profile notificationPrefs');
+    if (!user) return null;
+
+    const share = new Set(consultation.share);
+    const to = [toDateKey(), toDateKey(consultation.start)].sort()[0];
+    const from = addDays(to, -(SHARE_DAYS - 1));
+    const range = { user: user._id, date: { $gte: from, $lte: to } };
+    const profile = user.profile || {};
+
+    const [meals, weights, activities, drinks, sleep] = await Promise.all([
+        share.has('meals') ? MealLog.find(range).sort({ date: 1, createdAt: 1 }) : null,
+        share.has('weight') ? WeightEntry.find(range).sort({ date: 1 }) : null,
+        share.has('activity') ? ActivityLog.find(range).sort({ date: 1 }) : null,
+        share.has('wellness') ? WaterLog.find(range) : null,
+        share.has('wellness') ? SleepLog.find(range).sort({ date: 1 }) : null,
+    ]);
+
+    const data = { name: user.name, share: consultation.share, from, to };
+
+    if (share.has('profile')) data.profile = pick(profile, PROFILE_FIELDS);
+    if (share.has('health')) {
+        data.health = {
+            healthIssues: profile.healthIssues || [],
+            allergies: profile.allergies || [],
+            medications: (user.notificationPrefs?.medications || []).map(({ name, time }) => ({ name, time })),
+        };
+    }
+    if (meals) {
+        const dates = [...new Set(meals.map(entry => entry.date))];
+        data.meals = dates.map(date => {
+            const entries = meals.filter(entry => entry.date === date);
+            const { calories, protein, carbs, fat, fibre } = summariseMeals(entries).day;
+            return {
+                date,
+                totals: { calories, protein, carbs, fat, fibre },
+                entries: entries.map(entry => pick(entry, ['mealType', 'name', 'quantity', 'unit', 'calories'])),
+            };
+        });
+    }
+    if (weights) data.weights = weights.map(entry => ({ date: entry.date, weight: entry.weight }));
+    if (activities) {
+        data.activity = {
+            ...summariseActivities(activities),
+            entries: activities.map(entry => pick(entry, ['date', 'name', 'durationMinutes', 'calories'])),
+        };
+    }
+    if (drinks) {
+        const water = new Map();
+        drinks.forEach(entry => water.set(entry.date, (water.get(entry.date) || 0) + entry.amount));
+        data.wellness = {
+            water: [...water.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([date, total]) => ({ date, total })),
+            sleep: sleep.map(entry => pick(entry, ['date', 'hours', 'quality'])),
+        };
+    }
+    return data;
+};
+
+module.exports = {
+    MIN_NOTICE_MINUTES,
+    BOOKING_WINDOW_DAYS,
+    CHANGE_NOTICE_MINUTES,
+    MAX_SLOT_DAYS,
+    SHARE_DAYS,
+    availabilityErrors,
+    scheduledSlots,
+    availableSlots,
+    bookingConflict,
+    canChange,
+    notifyConsultation,
+    sharedData,
+};
@@ -0,0 +1,40 @@
+// Helpers for turning stored conversations into LLM requests
+
+// Number of prior messages (user + assistant) replayed to the model per request
+const HISTORY_WINDOW = 20;
+const TITLE_LENGTH = 60;
+
+// Most recent turns in provider-neutral form, trimmed so the window opens on a user turn
+const historyWindow = (messages, size = HISTORY_WINDOW) => {
+    const recent = messages.slice(-size);
+    const firstUser = recent.findIndex(message => message.role === 'user');
+    if (firstUser === -1) return [];
+
+    return recent.slice(firstUser).map(message => ({ role: message.role, text: message.text }));
+};
+
+// Default title for a new conversation: the opening question, shortened at a word boundary
+const titleFromQuery = (query) => {
+    const text = query.replace(/\s+/g, ' ').trim();
+    if (text.length <= TITLE_LENGTH) return text;
+
+    const cut = text.slice(0, TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 20 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+// Sidebar listing shape (no message bodies); takes a document or a row with a projected messageCount
+const toSummary = (conversation) => ({
+    _id: conversation._id,
+    title: conversation.title,
+    messageCount: conversation.messageCount ?? conversation.messages.length,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+});
+
+module.exports = {
+    HISTORY_WINDOW,
+    historyWindow,
+    titleFromQuery,
+    toSummary,
+};
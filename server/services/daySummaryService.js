@@ -0,0 +1,49 @@
+const MealLog = require('../models/MealLogModel');
+const ActivityLog = require('../models/ActivityLogModel');
+const WaterLog = require('../models/WaterLogModel');
+const SleepLog = require('../models/SleepLogModel');
+const { summariseMeals } = require('./mealLogService');
+const { summariseActivities } = require('./activityService');
+const { calculateTargets } = require('./targetsService');
+const { waterTarget, sleepTarget, summariseWater, sleepStatus } = require('./wellnessService');
+
+// Everything logged on one day (meals, activity, water, sleep) next to the user's daily targets
+const summariseDay = async (userId, profile, date) => {
+    const [meals, activities, drinks, sleep] = await Promise.all([
+        MealLog.find({ user: userId, date }),
+        ActivityLog.find({ user: userId, date }),
+        WaterLog.find({ user: userId, date }),
+        SleepLog.findOne({ user: userId, date }),
+    ]);
+
+    const targets = calculateTargets(profile);
+    const water = waterTarget(profile);
+    const sleepRange = sleepTarget(profile);
+    const { calories, protein, carbs, fat, fibre } = summariseMeals(meals).day;
+    const activity = summariseActivities(activities);
+
+    return {
+        date,
+        targets: {
+            calories: targets.calories,
+            protein: targets.protein,
+            carbs: targets.carbs,
+            fat: targets.fat,
+            fibre: targets.fibre,
+            water: water.ml,
+            sleep: sleepRange,
+            estimated: targets.estimated || water.estimated,
+        },
+        meals: { count: meals.length, calories, protein, carbs, fat, fibre },
+        activity: { minutes: activity.minutes, calories: activity.calories },
+        netCalories: Math.round(calories - activity.calories),
+        water: { ...summariseWater(drinks, water), reasons: water.reasons },
+        sleep: sleep
+            ? { hours: sleep.hours, quality: sleep.quality || null, status: sleepStatus(sleep.hours, sleepRange) }
+            : null,
+    };
+};
+
+module.exports = {
+    summariseDay,
+};
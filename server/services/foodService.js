@@ -0,0 +1,140 @@
+const pgPool = require('../config/pgPool');
+
+// Maps the nutrient keys used across the API to the columns of the foods table (values per 100 g)
+const FOOD_NUTRIENT_COLUMNS = {
+    calories: 'energy_kcal',
+    protein: 'protein_g',
+    carbs: 'carbs_g',
+    fat: 'fat_g',
+    fibre: 'fibre_g',
+    iron: 'iron_mg',
+    calcium: 'calcium_mg',
+    vitaminB12: 'vitamin_b12_mcg',
+    vitaminD: 'vitamin_d_mcg',
+    folate: 'folate_mcg',
+    zinc: 'zinc_mg',
+    sodium: 'sodium_mg',
+};
+
+const NUTRIENT_UNITS = {
+    calories: 'kcal',
+    protein: 'g',
+    carbs: 'g',
+    fat: 'g',
+    fibre: 'g',
+    iron: 'mg',
+    calcium: 'mg',
+    vitaminB12: 'mcg',
+    vitaminD: 'mcg',
+    folate: 'mcg',
+    zinc: 'mg',
+    sodium: 'mg',
+};
+
+const GRAM_UNITS = ['g', 'gm', 'gram', 'grams'];
+
+const FOOD_SELECT = `
+    SELECT f.*,
+        COALESCE(
+            json_agg(json_build_object('measure', m.measure, 'grams', m.grams) ORDER BY m.measure)
+                FILTER (WHERE m.measure IS NOT NULL),
+            '[]'
+        ) AS measures
+    FROM foods f
+    LEFT JOIN food_measures m ON m.food_code = f.code
+`;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const isAvailable = () => Boolean(pgPool);
+
+// Scales per-100 g nutrients to a portion weight
+const scaleNutrients = (per100g, grams) => Object.keys(per100g).reduce((scaled, key) => ({
+    ...scaled,
+    [key]: round((per100g[key] * grams) / 100),
+}), {});
+
+const formatFood = (row) => {
+    const per100g = Object.entries(FOOD_NUTRIENT_COLUMNS).reduce((nutrients, [key, column]) => ({
+        ...nutrients,
+        [key]: row[column],
+    }), {});
+
+    return {
+        code: row.code,
+        name: row.name,
+        localNames: row.local_names ? row.local_names.split('|') : [],
+        category: row.category,
+        glycemicIndex: row.glycemic_index ?? null,
+        per100g,
+        measures: row.measures.map(({ measure, grams }) => ({
+            measure,
+            grams,
+            nutrients: scaleNutrients(per100g, grams),
+        })),
+    };
+};
+
+// Searches English and local (Hindi/regional) names; prefix matches rank first
+const searchFoods = async (query, { limit = 20, category } = {}) => {
+    const term = query.trim().replace(/[\\%_]/g, '\\$&');
+    const params = [`%${term}%`, `${term}%`, `%|${term}%`, limit];
+    let where = '(f.name ILIKE $1 OR f.local_names ILIKE $1)';
+
+    if (category) {
+        params.push(category);
+        where += ` AND f.category = $${params.length}`;
+    }
+
+    const { rows } = await pgPool.query(`
+        ${FOOD_SELECT}
+        WHERE ${where}
+        GROUP BY f.code
+        ORDER BY (f.name ILIKE $2 OR f.local_names ILIKE $2 OR f.local_names ILIKE $3) DESC, length(f.name)
+        LIMIT $4
+    `, params);
+
+    return rows.map(formatFood);
+};
+
+// Looks up several foods at once; returns a Map keyed by food code
+const getFoodsByCodes = async (codes) => {
+    const uniqueCodes = [...new Set(codes.filter(Boolean))];
+    if (uniqueCodes.length === 0) return new Map();
+
+    const { rows } = await pgPool.query(`
+        ${FOOD_SELECT}
+        WHERE f.code = ANY($1)
+        GROUP BY f.code
+    `, [uniqueCodes]);
+
+    return new Map(rows.map(row => [row.code, formatFood(row)]));
+};
+
+const getFoodByCode = async (code) => (await getFoodsByCodes([code])).get(code) || null;
+
+// Converts "quantity x unit" into grams using the food's household measures; null if the unit is unknown
+const portionToGrams = (food, quantity, unit = 'g') => {
+    const normalisedUnit = String(unit).trim().toLowerCase();
+    if (GRAM_UNITS.includes(normalisedUnit)) return quantity;
+
+    const measure = food.measures.find(m => m.measure === normalisedUnit || `${m.measure}s` === normalisedUnit);
+    return measure ? quantity * measure.grams : null;
+};
+
+// Nutrients for "quantity x unit" of a food, or null if the unit can't be converted
+const nutrientsForPortion = (food, quantity, unit) => {
+    const grams = portionToGrams(food, quantity, unit);
+    if (grams === null) return null;
+    return { grams: round(grams), nutrients: scaleNutrients(food.per100g, grams) };
+};
+
+module.exports = {
+    NUTRIENT_UNITS,
+    isAvailable,
+    searchFoods,
+    getFoodsByCodes,
+    getFoodByCode,
+    portionToGrams,
+    nutrientsForPortion,
+};
@@ -0,0 +1,13 @@
+const User = require('../models/UserModel');
+const { todayIn } = require('../utils/dates');
+
+// Today's day key for the user, in the time zone from their notification settings. Used as the
+// default date of the daily log routes.
+const todayFor = async (userId) => {
+    const user = await User.findById(userId).select('notificationPrefs.timeZone');
+    return todayIn(user?.notificationPrefs?.timeZone);
+};
+
+module.exports = {
+    todayFor,
+};
@@ -0,0 +1,48 @@
+const { MEAL_TYPES } = require('../config/constants');
+
+// Nutrient fields that are summed up for the daily and per-slot totals
+const NUTRIENT_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Fibre and micronutrients, known for entries matched to the nutrition database (unset on manual
+// entries). They are summed into the daily totals only.
+const MICRONUTRIENT_FIELDS = ['fibre', 'iron', 'calcium', 'vitaminB12', 'vitaminD', 'folate', 'zinc'];
+
+const emptyTotals = (fields = NUTRIENT_FIELDS) => fields.reduce((totals, field) => ({ ...totals, [field]: 0 }), {});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Builds { day, byMeal } totals from a list of meal log entries
+const summariseMeals = (entries) => {
+    const day = emptyTotals([...NUTRIENT_FIELDS, ...MICRONUTRIENT_FIELDS]);
+    const byMeal = MEAL_TYPES.reduce((slots, mealType) => ({ ...slots, [mealType]: emptyTotals() }), {});
+
+    entries.forEach(entry => {
+        NUTRIENT_FIELDS.forEach(field => {
+            const value = Number(entry[field]) || 0;
+            day[field] += value;
+            if (byMeal[entry.mealType]) byMeal[entry.mealType][field] += value;
+        });
+        MICRONUTRIENT_FIELDS.forEach(field => {
+            day[field] += Number(entry[field]) || 0;
+        });
+    });
+
+    MICRONUTRIENT_FIELDS.forEach(field => {
+        day[field] = round(day[field]);
+    });
+
+    NUTRIENT_FIELDS.forEach(field => {
+        day[field] = round(day[field]);
+        MEAL_TYPES.forEach(mealType => {
+            byMeal[mealType][field] = round(byMeal[mealType][field]);
+        });
+    });
+
+    return { day, byMeal };
+};
+
+module.exports = {
+    NUTRIENT_FIELDS,
+    MICRONUTRIENT_FIELDS,
+    summariseMeals,
+};
@@ -0,0 +1,242 @@
+const foodService = require('./foodService');
+const { checkMealEntry, hasSafetyRules } = require('./safetyService');
+
+// Turns free-text meal descriptions in English, Hindi or a mix ("2 rotis, dal aur ek katori chawal")
+// into food items with household-measure portions, matched against the nutrition database.
+
+const MAX_ITEMS = 15;
+// Only the first words of a food are searched for, and only so many search terms per food,
+// as every term is a database query
+const MAX_PHRASE_WORDS = 5;
+const MAX_SEARCH_TERMS = 20;
+
+// Words (and phrases) that separate one food from the next
+const ITEM_SEPARATORS = /\s*(?:[,;+&\n]|\band\b|\baur\b|\bwith\b|\bke saath\b|\bsaath mein\b|\bsaath\b|\bplus\b|\bthen\b|\bphir\b)\s*/;
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, half: 0.5, quarter: 0.25, couple: 2,
+    ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6, chhah: 6, saat: 7, aath: 8, nau: 9, das: 10,
+    aadha: 0.5, adha: 0.5, aadhi: 0.5, adhi: 0.5, aadhe: 0.5, dedh: 1.5, dhai: 2.5, dhaai: 2.5,
+};
+
+// Spoken units -> household measure names used in the food_measures table (or grams)
+const UNIT_WORDS = {
+    katori: 'katori', katoris: 'katori', katoriyan: 'katori', katora: 'katori', vati: 'katori', wati: 'katori',
+    bowl: 'bowl', bowls: 'bowl',
+    cup: 'cup', cups: 'cup', mug: 'cup', mugs: 'cup', pyala: 'cup', pyali: 'cup',
+    glass: 'glass', glasses: 'glass', gilaas: 'glass', gilas: 'glass',
+    plate: 'plate', plates: 'plate',
+    tbsp: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp', spoon: 'tbsp', spoons: 'tbsp', chamach: 'tbsp', chammach: 'tbsp', chamcha: 'tbsp', chammch: 'tbsp',
+    tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+    piece: 'piece', pieces: 'piece', pc: 'piece', pcs: 'piece', nos: 'piece', tukda: 'piece', tukde: 'piece',
+    handful: 'handful', handfuls: 'handful', mutthi: 'handful', muthi: 'handful',
+    g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g', ml: 'g',
+    kg: 'kg', kilo: 'kg', l: 'l', litre: 'l', liter: 'l', litres: 'l', liters: 'l',
+};
+
+// Units given in kilograms or litres are converted to grams (1 ml counted as 1 g)
+const GRAM_MULTIPLIERS = { kg: 1000, l: 1000 };
+
+// When a food lacks the spoken measure, these close equivalents are tried in order
+const UNIT_FALLBACKS = {
+    bowl: ['katori'],
+    katori: ['bowl'],
+    cup: ['glass', 'katori'],
+    glass: ['cup'],
+    piece: ['roti'],
+    roti: ['piece'],
+    tbsp: ['tsp'],
+};
+
+// Measure used when no unit is given (the first one the food has)
+const DEFAULT_MEASURES = ['roti', 'piece', 'katori', 'bowl', 'glass', 'cup', 'plate', 'handful', 'tbsp', 'tsp'];
+
+const FILLER_WORDS = new Set(['of', 'ka', 'ki', 'ke', 'some', 'thoda', 'thodi', 'thode', 'sa', 'si', 'little', 'bit', 'small', 'big', 'large', 'medium', 'had', 'ate', 'khaya', 'khayi', 'khaye', 'piya', 'pi', 'i', 'me', 'maine', 'for', 'breakfast', 'lunch', 'dinner', 'snack', 'snacks', 'nashta', 'bhi']);
+
+// Portion used for a matched food without household measures when only a count is given
+const DEFAULT_PORTION_GRAMS = 100;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// "1/2" and "½" style fractions, decimals and whole numbers
+const parseNumber = (token) => {
+    const vulgar = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+    if (vulgar[token]) return vulgar[token];
+    const fraction = token.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return Number(fraction[2]) > 0 ? Number(fraction[1]) / Number(fraction[2]) : null;
+    return /^\d+(\.\d+)?$/.test(token) ? Number(token) : null;
+};
+
+const normaliseText = (text) => text
+    .toLowerCase()
+    // "one and a half", "2 and a half" before "and" splits items
+    .replace(/\b(\d+|[a-z]+)\s+and\s+(?:a\s+)?half\b/g, (match, number) => {
+        const value = parseNumber(number) ?? NUMBER_WORDS[number];
+        return value === undefined || value === null ? match : String(value + 0.5);
+    })
+    .replace(/\.(?!\d)/g, ',')
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .replace(/[^a-z0-9.\/½¼¾,;+&\n\s-]/g, ' ');
+
+// One segment of text -> { text, quantity, unit, phrase }. `unit` is a canonical measure,
+// 'g', or null when none was spoken; `quantity` is null when no amount was given.
+const parseSegment = (segment) => {
+    const words = segment.split(/[\s-]+/).filter(Boolean);
+    let quantity = null;
+    let unit = null;
+    const phraseWords = [];
+
+    words.forEach((word, i) => {
+        const number = parseNumber(word) ?? (i < words.length - 1 ? NUMBER_WORDS[word] : undefined);
+        if (number !== undefined && number !== null && unit === null && phraseWords.length === 0) {
+            // "half a" multiplies, "2 1/2" adds
+            quantity = quantity === null ? number : (quantity < 1 ? quantity * number : quantity + number);
+            return;
+        }
+        if (UNIT_WORDS[word] && unit === null && phraseWords.length === 0) {
+            unit = UNIT_WORDS[word];
+            return;
+        }
+        if (!FILLER_WORDS.has(word)) phraseWords.push(word);
+    });
+
+    if (unit && GRAM_MULTIPLIERS[unit]) {
+        quantity = (quantity ?? 1) * GRAM_MULTIPLIERS[unit];
+        unit = 'g';
+    }
+
+    return { text: segment.trim(), quantity, unit, phrase: phraseWords.slice(0, MAX_PHRASE_WORDS).join(' ') };
+};
+
+// Splits the description into item segments and parses each one (without touching the database)
+const parseMealText = (text) => normaliseText(text)
+    .split(ITEM_SEPARATORS)
+    .map(segment => segment && parseSegment(segment))
+    .filter(item => item && item.phrase)
+    .slice(0, MAX_ITEMS);
+
+// Plural and oblique forms to try when the spoken word isn't found as is ("rotis", "rotiyan", "samose")
+const wordVariants = (word) => {
+    const variants = [word];
+    if (word.endsWith('iyan')) variants.push(word.slice(0, -3));
+    if (word.endsWith('es') && word.length > 4) variants.push(word.slice(0, -2));
+    if (word.endsWith('s') && word.length > 3) variants.push(word.slice(0, -1));
+    if (word.endsWith('e') && word.length > 3) variants.push(`${word.slice(0, -1)}a`);
+    return variants;
+};
+
+// Search terms from most to least specific: the whole phrase, then shorter runs of its words
+const searchTerms = (phrase) => {
+    const words = phrase.split(' ');
+    const terms = [];
+    for (let length = words.length; length > 0; length--) {
+        for (let start = 0; start + length <= words.length; start++) {
+            const run = words.slice(start, start + length);
+            const last = run[run.length - 1];
+            wordVariants(last).forEach(variant => terms.push([...run.slice(0, -1), variant].join(' ')));
+        }
+    }
+    return [...new Set(terms)].filter(term => term.length >= 2).slice(0, MAX_SEARCH_TERMS);
+};
+
+const measureFor = (food, unit) => {
+    if (!unit) return DEFAULT_MEASURES.find(measure => food.measures.some(m => m.measure === measure)) || food.measures[0]?.measure || null;
+    if (unit === 'g') return 'g';
+    return [unit, ...(UNIT_FALLBACKS[unit] || [])].find(measure => food.measures.some(m => m.measure === measure)) || null;
+};
+
+// How well a food matches the search term: exact names first, then names whose main part is the
+// term ("Rice, cooked (plain)" for "rice"), then whole-word prefixes and matches. Foods that have
+// the spoken measure, and cooked dishes over raw ingredients, are preferred.
+const scoreFood = (food, term, unit) => {
+    const names = [food.name, ...food.localNames].map(name => name.toLowerCase());
+    const wordMatch = new RegExp(`(^|[^a-z])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`);
+    let score = 10;
+    if (names.some(name => name === term)) score = 100;
+    else if (names.some(name => name.split(/[,(]/)[0].trim() === term)) score = 90;
+    else if (names.some(name => name.startsWith(term) && wordMatch.test(name))) score = 60;
+    else if (names.some(name => wordMatch.test(name))) score = 30;
+
+    if (unit && unit !== 'g' && measureFor(food, unit)) score += 15;
+    if (food.measures.length > 0) score += 5;
+    if (['dish', 'beverage'].includes(food.category)) score += 3;
+    return score;
+};
+
+const findFood = async (phrase, unit) => {
+    for (const term of searchTerms(phrase)) {
+        const candidates = await foodService.searchFoods(term, { limit: 20 });
+        if (candidates.length > 0) {
+            return candidates
+                .map((food, rank) => ({ food, score: scoreFood(food, term, unit) - rank / 100 }))
+                .sort((a, b) => b.score - a.score)[0].food;
+        }
+    }
+    return null;
+};
+
+// Portion and nutrients for a parsed item matched to a food. A spoken unit the food doesn't have
+// falls back to its default measure; a food without measures is counted in 100 g portions.
+const portionFor = (item, food) => {
+    const notes = [];
+    let unit = measureFor(food, item.unit);
+    let quantity = item.quantity ?? 1;
+
+    if (item.unit && !unit) {
+        unit = measureFor(food, null);
+        notes.push(`"${item.unit}" isn't a known measure for ${food.name}; ${unit ? `counted as ${unit}` : 'check the amount'}.`);
+    }
+    if (!unit) {
+        unit = 'g';
+        quantity = quantity * DEFAULT_PORTION_GRAMS;
+        notes.push(`Assumed ${quantity} g; adjust if needed.`);
+    }
+
+    const portion = foodService.nutrientsForPortion(food, quantity, unit);
+    return { quantity: round(quantity), unit, grams: portion.grams, nutrients: portion.nutrients, notes };
+};
+
+// Parses and matches a description; each item is either matched ({ matched: true, foodCode, food,
+// grams, nutrients }) or left for the user to enter (matched: false). Warnings follow the profile.
+const resolveMealText = async (text, profile = {}) => {
+    const parsed = parseMealText(text);
+
+    return Promise.all(parsed.map(async (item) => {
+        const food = await findFood(item.phrase, item.unit);
+
+        if (!food) {
+            return {
+                text: item.text,
+                name: item.phrase.replace(/\b\w/g, char => char.toUpperCase()),
+                quantity: item.quantity ?? 1,
+                unit: item.unit || 'serving',
+                matched: false,
+                foodCode: null,
+                food: null,
+                grams: null,
+                nutrients: null,
+                notes: ['Not found in the food database; enter the values or search for a similar food.'],
+                warnings: [],
+            };
+        }
+
+        const portion = portionFor(item, food);
+        const entry = { foodCode: food.code, name: food.name, grams: portion.grams };
+        return {
+            text: item.text,
+            name: food.name,
+            ...portion,
+            matched: true,
+            foodCode: food.code,
+            food,
+            warnings: hasSafetyRules(profile) ? checkMealEntry(entry, food, profile) : [],
+        };
+    }));
+};
+
+module.exports = {
+    MAX_ITEMS,
+    parseMealText,
+    resolveMealText,
+};
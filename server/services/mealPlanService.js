@@ -0,0 +1,212 @@
+const foodService = require('./foodService');
+const { NUTRIENT_FIELDS } = require('./mealLogService');
+const { MEAL_TYPES, DIET_COMPATIBILITY } = require('../config/constants');
+const { addDays } = require('../utils/dates');
+const { checkPlannedMeal } = require('./safetyService');
+const MEAL_TEMPLATES = require('../data/meal_templates.json');
+
+const PLAN_DAYS = 7;
+
+// Share of the daily calorie target given to each slot
+const SLOT_CALORIE_SHARE = {
+    breakfast: 0.25,
+    lunch: 0.35,
+    snacks: 0.1,
+    dinner: 0.3,
+};
+
+// Portions are scaled towards the slot target, within these bounds of the template's serving
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 2;
+const SCALE_BACKOFF = 0.25;
+
+// Countable units stay whole when the template serves whole ones (3 idli -> 4, not 3.5)
+const WHOLE_UNITS = ['piece', 'roti'];
+
+// With fewer regional choices than this for a slot, dishes from other regions are added
+const MIN_REGIONAL_CHOICES = 4;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const roundQuantity = (baseQuantity, scale, unit) => {
+    const quantity = baseQuantity * scale;
+    if (WHOLE_UNITS.includes(unit) && Number.isInteger(baseQuantity)) {
+        return Math.max(1, Math.round(quantity));
+    }
+    return Math.max(0.5, Math.round(quantity * 2) / 2);
+};
+
+const sumNutrients = (parts) => NUTRIENT_FIELDS.reduce((totals, field) => ({
+    ...totals,
+    [field]: round(parts.reduce((sum, part) => sum + (part[field] || 0), 0)),
+}), {});
+
+// Every food code referenced by the templates, fetched once per request
+const loadPlanFoods = () => foodService.getFoodsByCodes(
+    MEAL_TEMPLATES.flatMap(template => template.items.map(item => item.foodCode))
+);
+
+// Builds a planned meal from a template with portions scaled by `scale`; null if a food is missing
+const buildMeal = (template, mealType, foods, scale = 1) => {
+    const items = [];
+
+    for (const item of template.items) {
+        const food = foods.get(item.foodCode);
+        const quantity = roundQuantity(item.quantity, scale, item.unit);
+        const portion = food && foodService.nutrientsForPortion(food, quantity, item.unit);
+        if (!portion) return null;
+
+        items.push({
+            foodCode: food.code,
+            name: food.name,
+            quantity,
+            unit: item.unit,
+            grams: portion.grams,
+            ...NUTRIENT_FIELDS.reduce((nutrients, field) => ({ ...nutrients, [field]: round(portion.nutrients[field] || 0) }), {}),
+        });
+    }
+
+    return {
+        mealType,
+        templateCode: template.code,
+        name: template.name,
+        items,
+        ...sumNutrients(items),
+    };
+};
+
+// Allergens and 'danger' condition warnings rule a meal out; milder warnings are only shown
+const isSafeMeal = (meal, foods, profile) => !checkPlannedMeal(meal, foods, profile)
+    .some(warning => warning.type === 'allergy' || warning.severity === 'danger');
+
+// Scales a template's portions so the meal lands near the slot's calorie target. Larger
+// portions back off towards the template's serving while the safety rules reject them
+// (e.g. sodium for hypertension). Returns null when even that serving is unsafe.
+const planMeal = (template, mealType, foods, profile, targetCalories) => {
+    const base = buildMeal(template, mealType, foods);
+    if (!base || !isSafeMeal(base, foods, profile)) return null;
+    if (!base.calories) return base;
+
+    let scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, targetCalories / base.calories));
+    while (scale > 1) {
+        const scaled = buildMeal(template, mealType, foods, scale);
+        if (scaled && isSafeMeal(scaled, foods, profile)) return scaled;
+        scale = Math.max(1, scale - SCALE_BACKOFF);
+    }
+    return scale < 1 ? buildMeal(template, mealType, foods, scale) : base;
+};
+
+// Templates suitable for a slot given the profile's diet, allergies and conditions (any region)
+const candidatesFor = (mealType, profile, foods, targetCalories) => {
+    const allowedDiets = DIET_COMPATIBILITY[profile.dietPreference] || null;
+
+    return MEAL_TEMPLATES.filter(template =>
+        template.mealTypes.includes(mealType)
+        && (!allowedDiets || allowedDiets.includes(template.dietType))
+        && planMeal(template, mealType, foods, profile, targetCalories) !== null
+    );
+};
+
+const shuffle = (list) => {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+// Shuffled dishes to plan a slot from: the user's regional and pan-Indian dishes, topped up
+// with other regions' dishes only when fewer than MIN_REGIONAL_CHOICES are available
+const planningPool = (mealType, profile, foods, targetCalories) => {
+    const suitable = candidatesFor(mealType, profile, foods, targetCalories);
+    if (!profile.region) return shuffle(suitable);
+
+    const isLocal = (template) => template.regions.length === 0 || template.regions.includes(profile.region);
+    const regional = suitable.filter(isLocal);
+    const topUp = shuffle(suitable.filter(template => !isLocal(template)))
+        .slice(0, Math.max(0, MIN_REGIONAL_CHOICES - regional.length));
+
+    return [...shuffle(regional), ...topUp];
+};
+
+const summariseDay = (meals) => sumNutrients(meals);
+
+// Generates PLAN_DAYS days of meals starting at startDate. Each slot cycles through its
+// planning pool, so nothing repeats within the week unless the choice is smaller.
+const generatePlanDays = (profile, targets, startDate, foods) => {
+    const rotations = MEAL_TYPES.reduce((lists, mealType) => ({
+        ...lists,
+        [mealType]: planningPool(mealType, profile, foods, targets.calories * SLOT_CALORIE_SHARE[mealType]),
+    }), {});
+
+    return Array.from({ length: PLAN_DAYS }, (_, dayIndex) => {
+        const usedToday = new Set();
+        const meals = MEAL_TYPES.map(mealType => {
+            const options = rotations[mealType];
+            if (options.length === 0) return null;
+
+            // Skip ahead if the dish already appears today (e.g. khichdi for lunch and dinner)
+            let offset = 0;
+            while (offset < options.length - 1 && usedToday.has(options[(dayIndex + offset) % options.length].code)) {
+                offset++;
+            }
+            const template = options[(dayIndex + offset) % options.length];
+            usedToday.add(template.code);
+            return planMeal(template, mealType, foods, profile, targets.calories * SLOT_CALORIE_SHARE[mealType]);
+        }).filter(Boolean);
+
+        return { date: addDays(startDate, dayIndex), meals, totals: summariseDay(meals) };
+    });
+};
+
+// Replaces one planned meal with `templateCode` (any suitable dish), or a random different
+// dish from the planning pool. Returns the new meal, or null when no valid alternative exists.
+const swapMeal = (plan, day, mealType, profile, foods, templateCode) => {
+    const current = day.meals.find(meal => meal.mealType === mealType);
+    const targetCalories = (plan.targets?.calories || 0) * SLOT_CALORIE_SHARE[mealType];
+
+    let template;
+    if (templateCode) {
+        template = candidatesFor(mealType, profile, foods, targetCalories).find(candidate => candidate.code === templateCode);
+    } else {
+        const candidates = planningPool(mealType, profile, foods, targetCalories);
+        const usedToday = new Set(day.meals.map(meal => meal.templateCode));
+        const fresh = candidates.filter(candidate => !usedToday.has(candidate.code));
+        const pool = fresh.length > 0 ? fresh : candidates.filter(candidate => candidate.code !== current?.templateCode);
+        template = pool[Math.floor(Math.random() * pool.length)];
+    }
+    if (!template) return null;
+
+    const meal = planMeal(template, mealType, foods, profile, targetCalories);
+    if (!meal) return null;
+
+    // Keep slots in MEAL_TYPES order
+    const meals = day.meals.filter(existing => existing.mealType !== mealType);
+    meals.push(meal);
+    meals.sort((a, b) => MEAL_TYPES.indexOf(a.mealType) - MEAL_TYPES.indexOf(b.mealType));
+    day.meals = meals;
+    day.totals = summariseDay(meals);
+    return meal;
+};
+
+// Plain plan object with safety warnings on every meal; computed on read so they follow profile changes
+const withPlanWarnings = (plan, profile, foods) => {
+    const plain = plan.toObject ? plan.toObject() : plan;
+    return {
+        ...plain,
+        days: plain.days.map(day => ({
+            ...day,
+            meals: day.meals.map(meal => ({ ...meal, warnings: checkPlannedMeal(meal, foods, profile) })),
+        })),
+    };
+};
+
+module.exports = {
+    PLAN_DAYS,
+    loadPlanFoods,
+    candidatesFor,
+    generatePlanDays,
+    swapMeal,
+    withPlanWarnings,
+};
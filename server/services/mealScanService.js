@@ -0,0 +1,127 @@
+const MealPhoto = require('../models/MealPhotoModel');
+const foodService = require('./foodService');
+const { checkMealEntry, hasSafetyRules } = require('./safetyService');
+const { getLlmProvider } = require('../providers/llm');
+
+// Resolved once at startup so a misconfigured LLM_PROVIDER fails fast
+const llm = getLlmProvider();
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_DISHES = 8;
+const ESTIMATE_FIELDS = ['calories', 'protein', 'carbs', 'fat'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const positiveNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Cleans one dish from the model's reply; null when it has no usable name
+const normaliseDish = (dish) => {
+    const name = typeof dish?.name === 'string' ? dish.name.trim().slice(0, 100) : '';
+    if (!name) return null;
+
+    return {
+        name,
+        quantity: round(positiveNumber(dish.quantity, 1)),
+        unit: typeof dish.unit === 'string' && dish.unit.trim() ? dish.unit.trim().toLowerCase().slice(0, 40) : 'serving',
+        grams: positiveNumber(dish.grams, null),
+        confidence: Math.min(Math.max(Number(dish.confidence) || 0, 0), 1),
+        estimate: ESTIMATE_FIELDS.reduce((nutrients, field) => ({
+            ...nutrients,
+            [field]: round(Math.max(Number(dish[field]) || 0, 0)),
+        }), {}),
+    };
+};
+
+// Best database food for a recognised dish: one that has the dish's household measure,
+// then any cooked dish, then the top search result
+const matchFood = async (dish) => {
+    const candidates = await foodService.searchFoods(dish.name, { limit: 5 });
+    return candidates.find(food => foodService.portionToGrams(food, 1, dish.unit) !== null)
+        || candidates.find(food => food.category === 'dish')
+        || candidates[0]
+        || null;
+};
+
+// Uses database nutrients when the dish matches a food and its portion converts (by measure,
+// or by the estimated grams); otherwise keeps the model's own estimate
+const resolveDish = async (dish, profile) => {
+    const food = foodService.isAvailable() ? await matchFood(dish) : null;
+    let result = null;
+
+    if (food) {
+        const byMeasure = foodService.nutrientsForPortion(food, dish.quantity, dish.unit);
+        const portion = byMeasure || (dish.grams && foodService.nutrientsForPortion(food, dish.grams, 'g'));
+        if (portion) {
+            result = {
+                name: food.name,
+                foodCode: food.code,
+                food,
+                quantity: byMeasure ? dish.quantity : round(dish.grams),
+                unit: byMeasure ? dish.unit : 'g',
+                grams: portion.grams,
+                nutrients: portion.nutrients,
+                source: 'database',
+            };
+        }
+    }
+
+    if (!result) {
+        result = {
+            name: dish.name,
+            foodCode: null,
+            food: null,
+            quantity: dish.quantity,
+            unit: dish.unit,
+            grams: dish.grams,
+            nutrients: dish.estimate,
+            source: 'estimate',
+        };
+    }
+
+    return {
+        ...result,
+        recognisedAs: dish.name,
+        confidence: dish.confidence,
+        warnings: hasSafetyRules(profile) ? checkMealEntry(result, result.food || undefined, profile) : [],
+    };
+};
+
+// Recognises the dishes in a photo ({ data: Buffer, mimeType }) for the user to review before
+// logging. The photo is stored only when the user keeps meal photos. Returns
+// { photoId, dishes }, or null when the model couldn't be reached or replied unusably.
+const scanMealPhoto = async (user, photo) => {
+    let reply;
+    try {
+        reply = await llm.recogniseMeal({ image: { data: photo.data.toString('base64'), mimeType: photo.mimeType } });
+    } catch (err) {
+        console.error(`LLM provider '${llm.name}' failed to recognise a meal:`, err.message);
+        return null;
+    }
+
+    const profile = user.profile ? user.profile.toObject() : {};
+    const recognised = (reply.dishes || []).map(normaliseDish).filter(Boolean).slice(0, MAX_DISHES);
+    const dishes = await Promise.all(recognised.map(dish => resolveDish(dish, profile)));
+
+    let photoId = null;
+    if (user.preferences?.keepMealPhotos) {
+        const stored = await MealPhoto.create({
+            user: user._id,
+            data: photo.data,
+            mimeType: photo.mimeType,
+            recognised: dishes.map(dish => dish.recognisedAs),
+        });
+        photoId = stored.id;
+    }
+
+    return { photoId, dishes };
+};
+
+module.exports = {
+    MAX_PHOTO_BYTES,
+    PHOTO_TYPES,
+    scanMealPhoto,
+};
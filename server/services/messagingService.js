@@ -0,0 +1,164 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Expert = require('../models/ExpertModel');
+const Consultation = require('../models/ConsultationModel');
+const MessageThread = require('../models/MessageThreadModel');
+const Message = require('../models/MessageModel');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_CLIENT_ID_LENGTH = 64;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// 'message' (message, thread) and 'read' (thread, userId, readAt) are emitted for every change,
+// however it was made, so live connections (see realtimeService) can pass them on
+const events = new EventEmitter();
+
+// The thread if the user is in it, otherwise null (also for ids that aren't valid)
+const findThreadFor = async (threadId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(threadId)) return null;
+    return MessageThread.findOne({ _id: threadId, participants: userId });
+};
+
+// Opens (or returns) the thread between a client and an expert. Messaging is for clients who
+// have booked a consultation with the expert; returns { error } when they can't message.
+const openThread = async ({ clientId, expertId }) => {
+    const expert = await Expert.findById(expertId);
+    if (!expert || !expert.user) {
+        return { error: { status: 404, msg: "This expert can't receive messages" } };
+    }
+    if (expert.user.toString() === String(clientId)) {
+        return { error: { status: 400, msg: "You can't message yourself" } };
+    }
+    if (!(await Consultation.exists({ user: clientId, expert: expert._id, status: 'booked' }))) {
+        return { error: { status: 403, msg: 'Book a consultation with this expert to message them' } };
+    }
+
+    const filter = { client: clientId, expert: expert._id };
+    try {
+        const thread = await MessageThread.findOneAndUpdate(
+            filter,
+            { $setOnInsert: { participants: [clientId, expert.user] } },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+        return { thread };
+    } catch (err) {
+        // Two opens raced and the other one created the thread
+        if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+        return { thread: await MessageThread.findOne(filter) };
+    }
+};
+
+// Stores a message from a participant and updates the thread preview. A message resent with the
+// same clientId (after a dropped connection) returns the stored one instead of a duplicate.
+const sendMessage = async (thread, senderId, { body, clientId }) => {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text || text.length > MAX_MESSAGE_LENGTH) {
+        return { error: { status: 400, msg: `Messages must be 1–${MAX_MESSAGE_LENGTH} characters` } };
+    }
+    if (clientId !== undefined && (typeof clientId !== 'string' || !clientId || clientId.length > MAX_CLIENT_ID_LENGTH)) {
+        return { error: { status: 400, msg: 'Client id must be a short text id' } };
+    }
+
+    let message;
+    try {
+        message = await Message.create({ thread: thread._id, sender: senderId, body: text, clientId });
+    } catch (err) {
+        if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+        return { message: await Message.findOne({ thread: thread._id, sender: senderId, clientId }), duplicate: true };
+    }
+
+    thread.lastMessage = { body: text.slice(0, 200), sender: senderId, createdAt: message.createdAt };
+    thread.updatedAt = message.createdAt;
+    // Sending a message means the sender has read the thread up to it
+    thread.lastReadAt.set(String(senderId), message.createdAt);
+    await thread.save();
+
+    events.emit('message', message, thread);
+    return { message };
+};
+
+// Marks the thread read for the user up to now
+const markRead = async (thread, userId) => {
+    const readAt = new Date();
+    thread.lastReadAt.set(String(userId), readAt);
+    await thread.save();
+
+    events.emit('read', thread, String(userId), readAt);
+    return readAt;
+};
+
+// Messages in a thread, newest first before `before` or oldest first after `after` (for back-fill)
+const listMessages = (threadId, { before, after, limit }) => {
+    const filter = { thread: threadId };
+    if (before) filter._id = { $lt: before };
+    if (after) filter._id = { $gt: after };
+    return Message.find(filter).sort({ _id: after ? 1 : -1 }).limit(limit);
+};
+
+// Messages in any of the user's threads after `after` (a message id), oldest first; sent to a
+// connection that reconnects so nothing received in the meantime is missed
+const messagesSince = async (userId, after, limit) => {
+    const threadIds = await MessageThread.find({ participants: userId }).distinct('_id');
+    return Message.find({ thread: { $in: threadIds }, _id: { $gt: after } }).sort({ _id: 1 }).limit(limit);
+};
+
+const unreadCount = (thread, userId) => {
+    const readAt = thread.lastReadAt.get(String(userId));
+    return Message.countDocuments({
+        thread: thread._id,
+        sender: { $ne: userId },
+        ...(readAt && { createdAt: { $gt: readAt } }),
+    });
+};
+
+// The user's threads, most recent first, each titled with the other side's name and carrying
+// the unread count and when the other side last read it (for read receipts)
+const listThreads = async (userId) => {
+    const threads = await MessageThread.find({ participants: userId })
+        .sort({ updatedAt: -1 })
+        .populate('expert', 'name title')
+        .populate('client', 'name');
+
+    return Promise.all(threads.map(async (thread) => {
+        const isClient = thread.client?._id.toString() === String(userId);
+        const other = thread.participants.find(participant => participant.toString() !== String(userId));
+        return {
+            _id: thread._id,
+            title: isClient ? thread.expert?.name || 'Expert' : thread.client?.name || 'Client',
+            subtitle: isClient ? thread.expert?.title || '' : 'Client',
+            role: isClient ? 'client' : 'expert',
+            lastMessage: thread.lastMessage?.createdAt ? thread.lastMessage : null,
+            updatedAt: thread.updatedAt,
+            unread: await unreadCount(thread, userId),
+            otherLastReadAt: (other && thread.lastReadAt.get(other.toString())) || null,
+        };
+    }));
+};
+
+// Hands an expert's threads from one linked account to another (either may be null), so an
+// account that no longer runs the profile loses access to its conversations
+const moveExpertThreads = async (expertId, fromUserId, toUserId) => {
+    if (fromUserId) await MessageThread.updateMany({ expert: expertId }, { $pull: { participants: fromUserId } });
+    if (toUserId) await MessageThread.updateMany({ expert: expertId }, { $addToSet: { participants: toUserId } });
+};
+
+// Removes the threads the user is in and their messages (used when an account is deleted)
+const deleteThreadsOf = async (userId) => {
+    const threadIds = await MessageThread.find({ participants: userId }).distinct('_id');
+    await Message.deleteMany({ thread: { $in: threadIds } });
+    await MessageThread.deleteMany({ _id: { $in: threadIds } });
+};
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    events,
+    findThreadFor,
+    openThread,
+    sendMessage,
+    markRead,
+    listMessages,
+    messagesSince,
+    listThreads,
+    moveExpertThreads,
+    deleteThreadsOf,
+};
@@ -0,0 +1,146 @@
+const MealLog = require('../models/MealLogModel');
+const foodService = require('./foodService');
+const { MICRONUTRIENT_FIELDS } = require('./mealLogService');
+const { calculateTargets } = require('./targetsService');
+const { addDays } = require('../utils/dates');
+
+// Micronutrients tracked against the ICMR-NIN RDA, with Indian foods that are good sources
+const MICRONUTRIENTS = [
+    { key: 'iron', label: 'Iron', unit: 'mg', sources: ['ragi', 'bajra', 'rajma', 'chana', 'spinach (palak)', 'jaggery', 'eggs', 'meat'] },
+    { key: 'calcium', label: 'Calcium', unit: 'mg', sources: ['milk', 'curd', 'paneer', 'ragi', 'sesame (til)', 'rajma', 'green leafy vegetables'] },
+    { key: 'vitaminB12', label: 'Vitamin B12', unit: 'mcg', sources: ['milk', 'curd', 'paneer', 'eggs', 'fish', 'chicken'] },
+    { key: 'vitaminD', label: 'Vitamin D', unit: 'mcg', sources: ['eggs', 'oily fish', 'fortified milk', 'midday sunlight'] },
+    { key: 'folate', label: 'Folate', unit: 'mcg', sources: ['moong dal', 'chana', 'rajma', 'spinach (palak)', 'sprouts', 'green leafy vegetables'] },
+    { key: 'zinc', label: 'Zinc', unit: 'mg', sources: ['whole pulses', 'millets', 'nuts', 'pumpkin seeds', 'eggs', 'meat'] },
+    { key: 'fibre', label: 'Fibre', unit: 'g', sources: ['whole grains', 'millets', 'dals', 'vegetables', 'fruits'] },
+];
+
+// ICMR-NIN (2020) RDAs by age band; vitamin D is 600 IU (15 mcg). Fibre comes from the
+// energy target instead (see targetsService).
+const RDA_BANDS = {
+    male: [
+        { maxAge: 13, iron: 16, calcium: 850, vitaminB12: 2.2, vitaminD: 15, folate: 220, zinc: 8.5 },
+        { maxAge: 16, iron: 22, calcium: 1000, vitaminB12: 2.5, vitaminD: 15, folate: 285, zinc: 14.3 },
+        { maxAge: 19, iron: 26, calcium: 1050, vitaminB12: 2.5, vitaminD: 15, folate: 340, zinc: 17.6 },
+        { maxAge: Infinity, iron: 19, calcium: 1000, vitaminB12: 2.5, vitaminD: 15, folate: 300, zinc: 17 },
+    ],
+    female: [
+        { maxAge: 13, iron: 28, calcium: 850, vitaminB12: 2.2, vitaminD: 15, folate: 225, zinc: 8.5 },
+        { maxAge: 16, iron: 30, calcium: 1000, vitaminB12: 2.5, vitaminD: 15, folate: 245, zinc: 12.8 },
+        { maxAge: 19, iron: 32, calcium: 1050, vitaminB12: 2.5, vitaminD: 15, folate: 270, zinc: 14.2 },
+        { maxAge: 50, iron: 29, calcium: 1000, vitaminB12: 2.5, vitaminD: 15, folate: 220, zinc: 13.2 },
+        // Post-menopausal women need more calcium
+        { maxAge: Infinity, iron: 29, calcium: 1200, vitaminB12: 2.5, vitaminD: 15, folate: 220, zinc: 13.2 },
+    ],
+};
+
+// National Nutrition Monitoring Bureau surveys count intake below 70% of the RDA as inadequate
+const LOW_SHARE = 0.7;
+// A shortfall is only "persistent" once enough days are logged to judge it
+const MIN_LOGGED_DAYS = 3;
+const MAX_RANGE_DAYS = 30;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const bandFor = (sex, age) => RDA_BANDS[sex].find(band => age < band.maxAge);
+
+// Daily RDAs for the profile's age and gender. Unknown or 'other' gender uses the mean of both;
+// missing age or gender falls back to the reference adult like the energy targets.
+const calculateRda = (profile = {}) => {
+    const targets = calculateTargets(profile);
+    const gender = ['male', 'female'].includes(profile.gender) ? profile.gender : null;
+    const age = Number(profile.age) > 0 ? Number(profile.age) : 25;
+
+    const rda = MICRONUTRIENT_FIELDS.filter(key => key !== 'fibre').reduce((values, key) => ({
+        ...values,
+        [key]: gender
+            ? bandFor(gender, age)[key]
+            : round((bandFor('male', age)[key] + bandFor('female', age)[key]) / 2),
+    }), { fibre: targets.fibre });
+
+    return { rda, estimated: !gender || !(Number(profile.age) > 0) };
+};
+
+// Entries logged from the nutrition database before micronutrients were stored get them from
+// their food and portion now (not saved back)
+const withMicronutrients = async (entries) => {
+    const missing = entries.filter(entry => entry.foodCode && entry.grams && entry.iron === undefined);
+    if (missing.length === 0 || !foodService.isAvailable()) return entries;
+
+    const foods = await foodService.getFoodsByCodes(missing.map(entry => entry.foodCode));
+    return entries.map(entry => {
+        const food = missing.includes(entry) && foods.get(entry.foodCode);
+        if (!food) return entry;
+        const { nutrients } = foodService.nutrientsForPortion(food, entry.grams, 'g');
+        return MICRONUTRIENT_FIELDS.reduce((filled, field) => ({ ...filled, [field]: nutrients[field] }), entry.toObject());
+    });
+};
+
+// Per-day totals and averages over the logged days in from..to, compared with the RDA.
+// Manual entries have no micronutrient values and are counted in `untrackedEntries`; a day
+// only counts as logged when it has at least one entry from the nutrition database, so days
+// logged by hand alone don't drag the averages down.
+const analyseMicronutrients = (entries, rda, { from, to }) => {
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) days.push(date);
+
+    const trackedDates = new Set(entries.filter(entry => entry.foodCode).map(entry => entry.date));
+    const byDate = new Map();
+    entries.filter(entry => trackedDates.has(entry.date)).forEach(entry => {
+        if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+        byDate.get(entry.date).push(entry);
+    });
+    const loggedDays = days.filter(date => byDate.has(date)).length;
+
+    const nutrients = MICRONUTRIENTS.map(({ key, label, unit, sources }) => {
+        const daily = days.map(date => ({
+            date,
+            value: byDate.has(date) ? round(byDate.get(date).reduce((sum, entry) => sum + (Number(entry[key]) || 0), 0)) : null,
+        }));
+        const average = loggedDays > 0
+            ? round(daily.reduce((sum, day) => sum + (day.value || 0), 0) / loggedDays)
+            : null;
+        const percent = average !== null && rda[key] ? Math.round((average / rda[key]) * 100) : null;
+
+        let status = null;
+        if (percent !== null) {
+            if (percent < LOW_SHARE * 100) status = 'low';
+            else if (percent < 100) status = 'borderline';
+            else status = 'ok';
+        }
+
+        return { key, label, unit, rda: rda[key], average, percent, status, sources, daily };
+    });
+
+    return {
+        from,
+        to,
+        loggedDays,
+        untrackedEntries: entries.filter(entry => !entry.foodCode).length,
+        nutrients,
+        shortfalls: loggedDays >= MIN_LOGGED_DAYS
+            ? nutrients.filter(nutrient => nutrient.status === 'low').map(nutrient => nutrient.key)
+            : [],
+    };
+};
+
+// Micronutrient summary for the `days` days ending on `to` (inclusive)
+const summariseMicronutrients = async (userId, profile, { to, days = 7 }) => {
+    const from = addDays(to, -(Math.min(days, MAX_RANGE_DAYS) - 1));
+    const entries = await MealLog.find({ user: userId, date: { $gte: from, $lte: to } });
+    const { rda, estimated } = calculateRda(profile);
+
+    return {
+        ...analyseMicronutrients(await withMicronutrients(entries), rda, { from, to }),
+        estimated,
+    };
+};
+
+module.exports = {
+    MICRONUTRIENTS,
+    MAX_RANGE_DAYS,
+    calculateRda,
+    withMicronutrients,
+    analyseMicronutrients,
+    summariseMicronutrients,
+};
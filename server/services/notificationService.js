@@ -0,0 +1,37 @@
+const Notification = require('../models/NotificationModel');
+const { getNotificationChannels } = require('../providers/notificationChannels');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Stores a notification for the user and delivers it through every enabled channel.
+// `key` names the occurrence; returns null when a notification with that key already exists.
+// A failing channel is logged and skipped so the others still deliver.
+const notify = async (user, { type, key, title, body, link }) => {
+    let notification;
+    try {
+        notification = await Notification.create({ user: user._id, type, key, title, body, link });
+    } catch (err) {
+        if (err.code === DUPLICATE_KEY_ERROR) return null;
+        throw err;
+    }
+
+    const channels = getNotificationChannels().filter(channel => channel.isEnabled(user));
+    const delivered = await Promise.all(channels.map(channel => channel.deliver(notification, user).catch(err => {
+        console.error(`Notification delivery via ${channel.name} failed:`, err.message);
+        return false;
+    })));
+
+    const deliveredVia = channels.filter((channel, i) => delivered[i] && channel.name !== 'inApp').map(channel => channel.name);
+    if (deliveredVia.length > 0) {
+        notification.deliveredVia = deliveredVia;
+        await notification.save();
+    }
+    return notification;
+};
+
+const countUnread = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+module.exports = {
+    notify,
+    countUnread,
+};
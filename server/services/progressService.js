@@ -0,0 +1,32 @@
+const ActivityLog = require('../models/ActivityLogModel');
+const { addDays } = require('../utils/dates');
+
+// How far back a streak is looked for
+const MAX_STREAK_DAYS = 365;
+
+// Distinct days in [from, to] with at least one logged activity
+const countActiveDays = async (userId, from, to) => (
+    (await ActivityLog.distinct('date', { user: userId, date: { $gte: from, $lte: to } })).length
+);
+
+// Consecutive active days ending on `today`. A day without activity yet doesn't break the
+// streak until it is over, so the count runs back from yesterday in that case.
+const activeStreak = async (userId, today) => {
+    const dates = new Set(await ActivityLog.distinct('date', {
+        user: userId,
+        date: { $gte: addDays(today, -MAX_STREAK_DAYS), $lte: today },
+    }));
+
+    let day = dates.has(today) ? today : addDays(today, -1);
+    let streak = 0;
+    while (dates.has(day)) {
+        streak += 1;
+        day = addDays(day, -1);
+    }
+    return streak;
+};
+
+module.exports = {
+    countActiveDays,
+    activeStreak,
+};
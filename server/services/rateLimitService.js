@@ -0,0 +1,87 @@
+const { getRateLimitStore } = require('../providers/rateLimitStore');
+const { LOGIN_LOCKOUT, AI_DAILY_QUOTA } = require('../config/rateLimits');
+const { toDateKey, addDays } = require('../utils/dates');
+
+// Resolved once at startup so a misconfigured RATE_LIMIT_STORE fails fast
+const store = getRateLimitStore();
+
+// Limits fail open: if the store is unreachable requests go through rather than the API going down
+const failOpen = async (action, fallback) => {
+    try {
+        return await action();
+    } catch (err) {
+        console.error(`Rate limit store '${store.name}' failed:`, err.message);
+        return fallback;
+    }
+};
+
+// Counts one request against a fixed window: { allowed, remaining, retryAfterMs }
+const hit = (key, limit, windowMs) => failOpen(async () => {
+    const { count, ttlMs } = await store.increment(key, windowMs);
+    return {
+        allowed: count <= limit,
+        remaining: Math.max(limit - count, 0),
+        retryAfterMs: count <= limit ? 0 : ttlMs,
+    };
+}, { allowed: true, remaining: limit, retryAfterMs: 0 });
+
+// Lockout counters are per email (case-insensitive) whether or not the account exists,
+// so the responses don't reveal which emails are registered
+const failureKey = (email) => `login-failures:${email.toLowerCase()}`;
+const lockKey = (email) => `login-lock:${email.toLowerCase()}`;
+
+// Milliseconds until a locked email may try again (0 when not locked)
+const getLoginLock = (email) => failOpen(async () => {
+    const lock = await store.get(lockKey(email));
+    return lock ? lock.ttlMs : 0;
+}, 0);
+
+// Records a failed login; returns the lock duration it triggered (0 below the threshold)
+const recordLoginFailure = (email) => failOpen(async () => {
+    const { count } = await store.increment(failureKey(email), LOGIN_LOCKOUT.windowMs);
+    if (count < LOGIN_LOCKOUT.threshold) return 0;
+
+    const lockMs = Math.min(LOGIN_LOCKOUT.baseMs * 2 ** (count - LOGIN_LOCKOUT.threshold), LOGIN_LOCKOUT.maxMs);
+    await store.set(lockKey(email), count, lockMs);
+    return lockMs;
+}, 0);
+
+const clearLoginFailures = (email) => failOpen(
+    () => Promise.all([store.delete(failureKey(email)), store.delete(lockKey(email))]),
+    null
+);
+
+const aiQuotaKey = (userId, day) => `ai-quota:${userId}:${day}`;
+
+// Uses one of the user's assistant replies for today (UTC): { allowed, limit, remaining,
+// retryAfterMs, key }. `key` is the counter that was charged, for refundAiQuota.
+const useAiQuota = (userId) => {
+    const today = toDateKey();
+    const msUntilTomorrow = Date.parse(`${addDays(today, 1)}T00:00:00Z`) - Date.now();
+    const key = aiQuotaKey(userId, today);
+
+    return failOpen(async () => {
+        const { count } = await store.increment(key, msUntilTomorrow);
+        return {
+            key,
+            allowed: count <= AI_DAILY_QUOTA,
+            limit: AI_DAILY_QUOTA,
+            remaining: Math.max(AI_DAILY_QUOTA - count, 0),
+            retryAfterMs: count <= AI_DAILY_QUOTA ? 0 : msUntilTomorrow,
+        };
+    }, { allowed: true, limit: AI_DAILY_QUOTA, remaining: AI_DAILY_QUOTA, retryAfterMs: 0 });
+};
+
+// Gives back a request counted by useAiQuota that produced no reply (a failed provider call,
+// a missing conversation), so only answered requests use up the allowance. Takes the key that
+// was charged, so a request running past midnight refunds the day it was counted on.
+const refundAiQuota = (key) => (key ? failOpen(() => store.decrement(key), null) : Promise.resolve(null));
+
+module.exports = {
+    hit,
+    getLoginLock,
+    recordLoginFailure,
+    clearLoginFailures,
+    useAiQuota,
+    refundAiQuota,
+};
@@ -0,0 +1,214 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const { isSessionActive } = require('./sessionService');
+const messagingService = require('./messagingService');
+const { hit } = require('./rateLimitService');
+const inAppChannel = require('../providers/notificationChannels/inAppChannel');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Live connection for messaging and notifications at ws(s)://<api>/ws. Frames are JSON
+// objects with a `type`:
+//
+//   client -> server   auth { token }                    first frame, within AUTH_TIMEOUT_MS
+//                      message { threadId, body, clientId }
+//                      typing { threadId, typing }
+//                      read { threadId }
+//                      sync { after }                    messages after a message id (back-fill)
+//   server -> client   ready { userId }
+//                      message { message }               new message in one of the user's threads
+//                      messages { messages, more }       reply to sync, oldest first
+//                      typing { threadId, userId, typing }
+//                      read { threadId, userId, readAt } read receipt
+//                      notification { notification }
+//                      error { msg, clientId? }
+//
+// Connections close with AUTH_FAILED when the token is missing, invalid or revoked (also when
+// the session is revoked later, checked with every heartbeat), and with TOKEN_EXPIRED when the
+// access token runs out; the client refreshes it and reconnects.
+// Connections are tracked per process, so with several servers each one only reaches the
+// users connected to it.
+
+const PATH = '/ws';
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_FRAME_BYTES = 16 * 1024;
+const MAX_SYNC_MESSAGES = 200;
+
+const AUTH_FAILED = 4001;
+const TOKEN_EXPIRED = 4002;
+
+// Open sockets per user id
+const connections = new Map();
+
+const send = (socket, payload) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(payload));
+};
+
+const sendToUser = (userId, payload) => {
+    (connections.get(String(userId)) || []).forEach(socket => send(socket, payload));
+};
+
+const sendToThread = (thread, payload, { except } = {}) => {
+    thread.participants
+        .map(participant => participant.toString())
+        .filter(userId => userId !== except)
+        .forEach(userId => sendToUser(userId, payload));
+};
+
+// The same checks as middleware/auth: a valid access token of a session that is still active
+const authenticate = async (token) => {
+    if (typeof token !== 'string') return null;
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (!decoded.user?.sessionId || !(await isSessionActive(decoded.user.sessionId))) return null;
+        return decoded;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Closes the user's connections so their client reconnects with a fresh token, e.g. after
+// their role changed
+const disconnectUser = (userId) => {
+    (connections.get(String(userId)) || []).forEach(socket => socket.close(AUTH_FAILED, 'Token is out of date'));
+};
+
+const closeIfRevoked = async (socket) => {
+    try {
+        if (!(await isSessionActive(socket.sessionId))) socket.close(AUTH_FAILED, 'Session revoked');
+    } catch (err) {
+        console.error(err.message);
+    }
+};
+
+const handlers = {
+    message: async (socket, { threadId, body, clientId }) => {
+        const limit = RATE_LIMITS.messages;
+        const { allowed } = await hit(`messages:user:${socket.userId}`, limit.limit, limit.windowMs);
+        if (!allowed) return send(socket, { type: 'error', msg: 'You are sending messages too quickly.', clientId });
+
+        const thread = await messagingService.findThreadFor(threadId, socket.userId);
+        if (!thread) return send(socket, { type: 'error', msg: 'Thread not found', clientId });
+
+        const { message, duplicate, error } = await messagingService.sendMessage(thread, socket.userId, { body, clientId });
+        if (error) return send(socket, { type: 'error', msg: error.msg, clientId });
+        // A resend of a stored message only needs confirming to the sender
+        if (duplicate) send(socket, { type: 'message', message });
+    },
+
+    typing: async (socket, { threadId, typing }) => {
+        const thread = await messagingService.findThreadFor(threadId, socket.userId);
+        if (thread) sendToThread(thread, { type: 'typing', threadId, userId: socket.userId, typing: Boolean(typing) }, { except: socket.userId });
+    },
+
+    read: async (socket, { threadId }) => {
+        const thread = await messagingService.findThreadFor(threadId, socket.userId);
+        if (thread) await messagingService.markRead(thread, socket.userId);
+    },
+
+    sync: async (socket, { after }) => {
+        if (!mongoose.Types.ObjectId.isValid(after)) return send(socket, { type: 'messages', messages: [], more: false });
+
+        const messages = await messagingService.messagesSince(socket.userId, after, MAX_SYNC_MESSAGES + 1);
+        send(socket, { type: 'messages', messages: messages.slice(0, MAX_SYNC_MESSAGES), more: messages.length > MAX_SYNC_MESSAGES });
+    },
+};
+
+const register = (socket, decoded) => {
+    socket.userId = String(decoded.user.id);
+    socket.sessionId = decoded.user.sessionId;
+    if (!connections.has(socket.userId)) connections.set(socket.userId, new Set());
+    connections.get(socket.userId).add(socket);
+
+    // Access tokens are short-lived; the client reconnects with a fresh one
+    const expiresInMs = decoded.exp ? decoded.exp * 1000 - Date.now() : null;
+    if (expiresInMs !== null) {
+        socket.expiryTimer = setTimeout(() => socket.close(TOKEN_EXPIRED, 'Token expired'), Math.max(expiresInMs, 0));
+    }
+
+    send(socket, { type: 'ready', userId: socket.userId });
+};
+
+const unregister = (socket) => {
+    clearTimeout(socket.authTimer);
+    clearTimeout(socket.expiryTimer);
+    const sockets = socket.userId && connections.get(socket.userId);
+    if (!sockets) return;
+    sockets.delete(socket);
+    if (sockets.size === 0) connections.delete(socket.userId);
+};
+
+const handleFrame = async (socket, data) => {
+    let frame;
+    try {
+        frame = JSON.parse(data.toString());
+    } catch (err) {
+        return send(socket, { type: 'error', msg: 'Frames must be JSON' });
+    }
+    if (!frame || typeof frame !== 'object') return send(socket, { type: 'error', msg: 'Frames must be JSON objects' });
+
+    if (!socket.userId) {
+        if (frame.type !== 'auth') return socket.close(AUTH_FAILED, 'Authenticate first');
+        const decoded = await authenticate(frame.token);
+        if (!decoded) return socket.close(AUTH_FAILED, 'Token is not valid');
+        clearTimeout(socket.authTimer);
+        return register(socket, decoded);
+    }
+
+    const handler = handlers[frame.type];
+    if (!handler) return send(socket, { type: 'error', msg: `Unknown frame type '${frame.type}'` });
+
+    try {
+        await handler(socket, frame);
+    } catch (err) {
+        console.error(err.message);
+        send(socket, { type: 'error', msg: 'Server Error', clientId: frame.clientId });
+    }
+};
+
+// Starts the WebSocket server on the API's HTTP server. Browsers from other origins are refused,
+// like CORS does for the API.
+const attachRealtime = (server, { allowedOrigin }) => {
+    const wss = new WebSocketServer({
+        server,
+        path: PATH,
+        maxPayload: MAX_FRAME_BYTES,
+        verifyClient: ({ origin }) => !origin || origin === allowedOrigin,
+    });
+
+    wss.on('connection', (socket) => {
+        socket.isAlive = true;
+        socket.authTimer = setTimeout(() => socket.close(AUTH_FAILED, 'Authenticate first'), AUTH_TIMEOUT_MS);
+
+        socket.on('pong', () => { socket.isAlive = true; });
+        socket.on('message', data => handleFrame(socket, data));
+        socket.on('close', () => unregister(socket));
+        socket.on('error', err => console.error('WebSocket error:', err.message));
+    });
+
+    // Drops connections that stopped answering pings (closed laptops, lost networks) and closes
+    // those whose session was signed out since they connected
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+            if (socket.sessionId) closeIfRevoked(socket);
+        });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    messagingService.events.on('message', (message, thread) => sendToThread(thread, { type: 'message', message }));
+    messagingService.events.on('read', (thread, userId, readAt) => sendToThread(thread, { type: 'read', threadId: thread.id, userId, readAt }));
+    inAppChannel.events.on('notification', (notification, user) => sendToUser(user._id, { type: 'notification', notification }));
+
+    return wss;
+};
+
+module.exports = {
+    PATH,
+    attachRealtime,
+    disconnectUser,
+};
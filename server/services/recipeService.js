@@ -0,0 +1,61 @@
+const foodService = require('./foodService');
+const { checkRecipe } = require('./safetyService');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Sums ingredient nutrients from the food database; ingredients without a foodCode (spices, water) are skipped
+const computeNutrition = (recipe, foods) => {
+    const total = {};
+    const unmatched = [];
+
+    recipe.ingredients.forEach(ingredient => {
+        if (!ingredient.foodCode) return;
+
+        const food = foods.get(ingredient.foodCode);
+        const portion = food && foodService.nutrientsForPortion(food, ingredient.quantity, ingredient.unit);
+        if (!portion) {
+            unmatched.push(ingredient.name);
+            return;
+        }
+
+        Object.entries(portion.nutrients).forEach(([key, value]) => {
+            total[key] = (total[key] || 0) + value;
+        });
+    });
+
+    const servings = recipe.servings || 1;
+    const perServing = Object.keys(total).reduce((nutrients, key) => ({
+        ...nutrients,
+        [key]: round(total[key] / servings),
+    }), {});
+    Object.keys(total).forEach(key => {
+        total[key] = round(total[key]);
+    });
+
+    return { total, perServing, unmatched };
+};
+
+// Returns plain recipe objects with a `nutrition` field (null when the nutrition database is unavailable)
+// and, when a profile is given, `warnings` from the allergy and health-condition checks
+const withNutrition = async (recipes, profile) => {
+    const plain = recipes.map(recipe => (recipe.toObject ? recipe.toObject() : recipe));
+
+    let foods = new Map();
+    if (foodService.isAvailable()) {
+        const codes = plain.flatMap(recipe => recipe.ingredients.map(ingredient => ingredient.foodCode));
+        foods = await foodService.getFoodsByCodes(codes);
+    }
+
+    return plain.map(recipe => {
+        const detailed = {
+            ...recipe,
+            nutrition: foodService.isAvailable() ? computeNutrition(recipe, foods) : null,
+        };
+        return profile ? { ...detailed, warnings: checkRecipe(detailed, foods, profile) } : detailed;
+    });
+};
+
+module.exports = {
+    computeNutrition,
+    withNutrition,
+};
@@ -0,0 +1,240 @@
+const User = require('../models/UserModel');
+const MealLog = require('../models/MealLogModel');
+const WeightEntry = require('../models/WeightEntryModel');
+const WaterLog = require('../models/WaterLogModel');
+const ActivityLog = require('../models/ActivityLogModel');
+const { MEAL_TYPES, DEFAULT_TIME_ZONE } = require('../config/constants');
+const { notify } = require('./notificationService');
+const { calculateTargets } = require('./targetsService');
+const { waterTarget, summariseWater } = require('./wellnessService');
+const { addDays, isTimeZone, localTime } = require('../utils/dates');
+
+// Local times ('HH:MM') reminders go out at. A reminder is sent on the first scheduler run
+// within REMINDER_WINDOW_MINUTES of its time, so a late run or a restart doesn't lose it.
+const MEAL_REMINDER_TIMES = { breakfast: '10:00', lunch: '14:30', snacks: '18:00', dinner: '21:30' };
+const WATER_REMINDER_TIMES = ['11:00', '14:00', '17:00', '20:00'];
+const WEIGH_IN_REMINDER = { weekday: 0, time: '08:00' }; // Sunday
+const WEEKLY_SUMMARY = { weekday: 1, time: '09:00' }; // Monday
+const REMINDER_WINDOW_MINUTES = 90;
+
+// Water is expected to be spread evenly over the waking day
+const WAKING_DAY = { start: '08:00', end: '22:00' };
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+const MEAL_LABELS = { breakfast: 'breakfast', lunch: 'lunch', snacks: 'your evening snack', dinner: 'dinner' };
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const isDue = (now, time) => now.minutes >= toMinutes(time) && now.minutes < toMinutes(time) + REMINDER_WINDOW_MINUTES;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Every 'HH:MM' whose reminder window covers `now` (the inverse of isDue), to match stored times
+const dueTimes = (now) => {
+    const times = [];
+    for (let minutes = Math.max(now.minutes - REMINDER_WINDOW_MINUTES + 1, 0); minutes <= now.minutes; minutes++) {
+        times.push(`${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`);
+    }
+    return times;
+};
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-IN');
+
+// Each check returns the notifications due for the user at local time `now` ({ dateKey, minutes, weekday })
+
+const mealReminders = async (user, now) => {
+    const due = MEAL_TYPES.filter(mealType => isDue(now, MEAL_REMINDER_TIMES[mealType]));
+    if (due.length === 0) return [];
+
+    const logged = await MealLog.distinct('mealType', { user: user._id, date: now.dateKey, mealType: { $in: due } });
+    return due.filter(mealType => !logged.includes(mealType)).map(mealType => ({
+        type: 'meal',
+        key: `meal:${now.dateKey}:${mealType}`,
+        title: `Log ${MEAL_LABELS[mealType]}`,
+        body: `Nothing is logged for ${MEAL_LABELS[mealType]} yet today. Add it while you remember.`,
+        link: 'mealLog',
+    }));
+};
+
+const waterReminders = async (user, now) => {
+    const time = WATER_REMINDER_TIMES.find(reminderTime => isDue(now, reminderTime));
+    if (!time) return [];
+
+    const target = waterTarget(user.profile || {});
+    const water = summariseWater(await WaterLog.find({ user: user._id, date: now.dateKey }), target);
+    const start = toMinutes(WAKING_DAY.start);
+    const share = Math.min(1, Math.max(0, (now.minutes - start) / (toMinutes(WAKING_DAY.end) - start)));
+    if (water.total >= target.ml * share) return [];
+
+    return [{
+        type: 'water',
+        key: `water:${now.dateKey}:${time}`,
+        title: 'Time for a glass of water',
+        body: `You've had ${water.glasses} of ${water.targetGlasses} glasses today.`,
+        link: 'home',
+    }];
+};
+
+const weighInReminders = async (user, now) => {
+    if (now.weekday !== WEIGH_IN_REMINDER.weekday || !isDue(now, WEIGH_IN_REMINDER.time)) return [];
+
+    const recent = await WeightEntry.exists({ user: user._id, date: { $gte: addDays(now.dateKey, -6) } });
+    if (recent) return [];
+
+    return [{
+        type: 'weighIn',
+        key: `weighIn:${now.dateKey}`,
+        title: 'Weekly weigh-in',
+        body: 'Step on the scale before breakfast and log your weight to keep your progress chart up to date.',
+        link: 'progress',
+    }];
+};
+
+const medicationReminders = async (user, now) => (user.notificationPrefs.medications || [])
+    .filter(medication => isDue(now, medication.time))
+    .map(medication => ({
+        type: 'medication',
+        key: `medication:${now.dateKey}:${medication.time}:${medication.name}`,
+        title: `Time for ${medication.name}`,
+        body: `Your ${medication.time} reminder to take ${medication.name}.`,
+        link: 'home',
+    }));
+
+// Monday summary of the previous seven days
+const weeklySummary = async (user, now) => {
+    if (now.weekday !== WEEKLY_SUMMARY.weekday || !isDue(now, WEEKLY_SUMMARY.time)) return [];
+
+    const from = addDays(now.dateKey, -7);
+    const to = addDays(now.dateKey, -1);
+    const range = { $gte: from, $lte: to };
+    const [meals, activities, weights] = await Promise.all([
+        MealLog.find({ user: user._id, date: range }).select('date calories'),
+        ActivityLog.find({ user: user._id, date: range }).select('date durationMinutes'),
+        WeightEntry.find({ user: user._id, date: range }).sort({ date: 1 }).select('weight'),
+    ]);
+
+    const loggedDays = new Set(meals.map(entry => entry.date)).size;
+    const parts = [];
+    if (loggedDays > 0) {
+        const average = meals.reduce((sum, entry) => sum + entry.calories, 0) / loggedDays;
+        parts.push(`Meals logged on ${loggedDays} of 7 days, ${formatNumber(average)} kcal a day on average (target ${formatNumber(calculateTargets(user.profile || {}).calories)}).`);
+    } else {
+        parts.push('No meals were logged last week.');
+    }
+    const activeDays = new Set(activities.map(entry => entry.date)).size;
+    if (activeDays > 0) {
+        parts.push(`${activeDays} active ${activeDays === 1 ? 'day' : 'days'}, ${activities.reduce((sum, entry) => sum + entry.durationMinutes, 0)} minutes in all.`);
+    }
+    if (weights.length > 1) {
+        const change = Math.round((weights[weights.length - 1].weight - weights[0].weight) * 10) / 10;
+        parts.push(change === 0 ? 'Weight unchanged.' : `Weight ${change > 0 ? 'up' : 'down'} ${Math.abs(change)} kg.`);
+    }
+
+    return [{
+        type: 'weeklySummary',
+        key: `weeklySummary:${now.dateKey}`,
+        title: 'Your week in review',
+        body: parts.join(' '),
+        link: 'progress',
+    }];
+};
+
+// `due(now)` is the extra user filter for when the reminder can be due at local time `now`,
+// or null when it can't be due for anyone, so runs only load users with something due
+const anyDue = (now, times) => (times.some(time => isDue(now, time)) ? {} : null);
+
+const CHECKS = [
+    { pref: 'mealReminders', check: mealReminders, due: now => anyDue(now, Object.values(MEAL_REMINDER_TIMES)) },
+    { pref: 'waterReminders', check: waterReminders, due: now => anyDue(now, WATER_REMINDER_TIMES) },
+    {
+        pref: 'weighInReminders',
+        check: weighInReminders,
+        due: now => (now.weekday === WEIGH_IN_REMINDER.weekday ? anyDue(now, [WEIGH_IN_REMINDER.time]) : null),
+    },
+    {
+        pref: 'medicationReminders',
+        check: medicationReminders,
+        due: now => ({ 'notificationPrefs.medications.time': { $in: dueTimes(now) } }),
+    },
+    {
+        pref: 'weeklySummary',
+        check: weeklySummary,
+        due: now => (now.weekday === WEEKLY_SUMMARY.weekday ? anyDue(now, [WEEKLY_SUMMARY.time]) : null),
+    },
+];
+
+// Creates and delivers every reminder that is due at `date` for users who turned it on.
+// Users are taken a time zone at a time, and only those with a reminder due in their zone are
+// loaded. Returns the number of notifications sent. One user's failure doesn't stop the others.
+const runReminders = async (date = new Date()) => {
+    // null also matches accounts without a stored zone
+    const zones = [...new Set([...(await User.distinct('notificationPrefs.timeZone')), null])];
+
+    let sent = 0;
+    for (const zone of zones) {
+        const now = localTime(date, isTimeZone(zone) ? zone : DEFAULT_TIME_ZONE);
+        const due = CHECKS
+            .map(({ pref, due: dueFilter }) => {
+                const filter = dueFilter(now);
+                return filter && { [`notificationPrefs.${pref}`]: true, ...filter };
+            })
+            .filter(Boolean);
+        if (due.length === 0) continue;
+
+        const users = User.find({ 'notificationPrefs.timeZone': zone, $or: due })
+            .select('name email profile notificationPrefs')
+            .cursor();
+
+        for await (const user of users) {
+            try {
+                for (const { pref, check } of CHECKS) {
+                    if (!user.notificationPrefs[pref]) continue;
+                    for (const reminder of await check(user, now)) {
+                        if (await notify(user, reminder)) sent += 1;
+                    }
+                }
+            } catch (err) {
+                console.error(`Reminders for user ${user.id} failed:`, err.message);
+            }
+        }
+    }
+    return sent;
+};
+
+// Runs the reminders every REMINDER_INTERVAL_MINUTES (default 5) unless REMINDERS_ENABLED=false.
+// Several servers may run it at once: each reminder's key keeps it from being sent twice.
+const startReminderScheduler = () => {
+    if (process.env.REMINDERS_ENABLED === 'false') {
+        console.warn('⚠️  REMINDERS_ENABLED=false: reminders are not being sent');
+        return null;
+    }
+
+    const minutes = Number(process.env.REMINDER_INTERVAL_MINUTES) > 0 ? Number(process.env.REMINDER_INTERVAL_MINUTES) : DEFAULT_INTERVAL_MINUTES;
+    let isRunning = false;
+
+    const timer = setInterval(async () => {
+        // Skip a run while the previous one is still going
+        if (isRunning) return;
+        isRunning = true;
+        try {
+            await runReminders();
+        } catch (err) {
+            console.error('Reminder run failed:', err.message);
+        } finally {
+            isRunning = false;
+        }
+    }, minutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    MEAL_REMINDER_TIMES,
+    WATER_REMINDER_TIMES,
+    runReminders,
+    startReminderScheduler,
+};
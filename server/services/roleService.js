@@ -0,0 +1,47 @@
+const Expert = require('../models/ExpertModel');
+const { moveExpertThreads } = require('./messagingService');
+
+const unlinkExpert = async (expert) => {
+    const previousUser = expert.user;
+    expert.user = undefined;
+    await expert.save();
+    await moveExpertThreads(expert._id, previousUser, null);
+};
+
+const linkExpert = async (expert, user) => {
+    expert.user = user._id;
+    await expert.save();
+    await moveExpertThreads(expert._id, null, user._id);
+};
+
+// Changes an account's role. Nutritionists run an expert profile: promoting one needs `expertId`
+// (unless a profile is already linked), and leaving the role unlinks it, along with its message
+// threads. Returns { user, expert } or { error: { status, field, msg } }.
+const changeRole = async (user, role, { expertId } = {}) => {
+    const current = await Expert.findOne({ user: user._id });
+    let expert = role === 'nutritionist' ? current : null;
+
+    if (role === 'nutritionist' && expertId && !current?._id.equals(expertId)) {
+        expert = await Expert.findById(expertId);
+        if (!expert) {
+            return { error: { status: 404, field: 'expert', msg: 'Expert profile not found' } };
+        }
+        if (expert.user) {
+            return { error: { status: 409, field: 'expert', msg: 'That expert profile is linked to another account' } };
+        }
+    }
+    if (role === 'nutritionist' && !expert) {
+        return { error: { status: 400, field: 'expert', msg: 'Pick the expert profile this nutritionist runs' } };
+    }
+
+    if (current && current !== expert) await unlinkExpert(current);
+    if (expert && !expert.user) await linkExpert(expert, user);
+
+    user.role = role;
+    await user.save();
+    return { user, expert };
+};
+
+module.exports = {
+    changeRole,
+};
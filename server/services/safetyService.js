@@ -0,0 +1,227 @@
+// Allergy and health-condition rules applied to recipes, meal log entries and meal plans.
+//
+// Every check works on a list of items: { foodCode?, name, food? (formatted food), sodium? (mg) }
+// and returns warnings shaped { type: 'allergy' | 'condition', severity: 'danger' | 'warning', label, message }.
+
+// Plant "milks" and "butters" that aren't dairy ("peanut butter", "coconut milk")
+const PLANT_DAIRY_NAMES = /\b(peanut|groundnut|almond|cashew|nut|coconut|soy|soya|oat|rice|cocoa|shea)s?\s+(milk|butter|cheese|curd|yogh?urt)\b/gi;
+
+// Declared allergies resolve to these groups through English and Indian-language aliases.
+// A group flags an item by food code, or when an alias appears as a word in its names, apart
+// from the phrases in `ignore`.
+const ALLERGEN_GROUPS = [
+    {
+        label: 'Peanut',
+        aliases: ['peanut', 'groundnut', 'moongphali', 'mungfali', 'moongfali', 'singdana', 'shengdana', 'verkadalai', 'nilakadalai', 'palli'],
+        codes: ['peanuts', 'oil_groundnut'],
+    },
+    {
+        label: 'Tree nuts',
+        aliases: ['tree nut', 'nut', 'almond', 'badam', 'cashew', 'kaju', 'pista', 'pistachio', 'walnut', 'akhrot'],
+        codes: ['almonds', 'cashew'],
+    },
+    {
+        label: 'Milk / dairy',
+        aliases: ['milk', 'dairy', 'lactose', 'doodh', 'dahi', 'curd', 'yogurt', 'yoghurt', 'paneer', 'ghee', 'butter', 'makhan', 'lassi', 'chaas', 'buttermilk', 'khoya', 'mawa', 'cheese'],
+        ignore: PLANT_DAIRY_NAMES,
+        codes: ['milk_toned', 'curd', 'paneer', 'ghee', 'raita', 'buttermilk', 'lassi_sweet', 'kheer', 'curd_rice', 'kadhi', 'masala_chai', 'palak_paneer', 'dal_makhani', 'gulab_jamun'],
+    },
+    {
+        label: 'Gluten (wheat)',
+        aliases: ['gluten', 'wheat', 'gehun', 'atta', 'maida', 'sooji', 'suji', 'rava', 'semolina', 'celiac', 'coeliac'],
+        codes: ['wheat_atta', 'semolina', 'roti_wheat', 'paratha_plain', 'aloo_paratha', 'puri', 'thepla', 'dalia', 'samosa', 'pav', 'upma'],
+    },
+    {
+        label: 'Egg',
+        aliases: ['egg', 'anda', 'ande', 'muttai', 'motte'],
+        codes: ['egg', 'egg_curry'],
+    },
+    {
+        label: 'Fish',
+        aliases: ['fish', 'seafood', 'machli', 'machhli', 'machh', 'maach', 'meen', 'ilish', 'hilsa', 'rohu'],
+        codes: ['hilsa', 'rohu', 'fish_curry', 'shorshe_ilish'],
+    },
+    {
+        label: 'Soy',
+        aliases: ['soy', 'soya', 'soybean', 'tofu'],
+        codes: ['soya_chunks'],
+    },
+    {
+        label: 'Mustard',
+        aliases: ['mustard', 'sarson', 'rai', 'kadugu', 'shorshe'],
+        codes: ['mustard_seeds', 'oil_mustard', 'shorshe_ilish', 'sarson_saag'],
+    },
+    {
+        label: 'Sesame',
+        aliases: ['sesame', 'til', 'gingelly', 'ellu', 'nuvvulu'],
+        codes: [],
+    },
+    {
+        label: 'Chickpea / gram',
+        aliases: ['chickpea', 'chana', 'chole', 'besan', 'gram flour'],
+        codes: ['besan', 'chana_kabuli_raw', 'chole', 'besan_chilla', 'dhokla', 'kadhi'],
+    },
+    {
+        label: 'Coconut',
+        aliases: ['coconut', 'nariyal', 'thengai', 'thenga', 'kobbari'],
+        codes: ['coconut_fresh', 'coconut_chutney'],
+    },
+];
+
+const HIGH_GI = 70;
+const SWEET_CODES = ['lassi_sweet'];
+const ADDED_SUGAR_CODES = ['sugar', 'jaggery'];
+const SODIUM_WARNING_MG = 400;
+const SODIUM_DANGER_MG = 800;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match, allowing a plural 's'/'es' ("peanuts", "eggs")
+const containsWord = (text, word) => new RegExp(`\\b${escapeRegExp(word)}(e?s)?\\b`, 'i').test(text);
+
+// Whether an alias of the group appears in the text, leaving out the phrases the group ignores
+const mentionsGroup = (text, group) => {
+    const relevant = group.ignore ? text.replace(group.ignore, ' ') : text;
+    return group.aliases.some(alias => containsWord(relevant, alias));
+};
+
+const itemNames = (item) => [item.name, item.food?.name, ...(item.food?.localNames || [])]
+    .filter(Boolean)
+    .join(' | ');
+
+const listNames = (items) => [...new Set(items.map(item => item.food?.name || item.name))].join(', ');
+
+// Maps declared allergy strings to allergen groups: an allergy that is itself an alias names just
+// that group, others every group they mention. Unknown ones become literal groups.
+const resolveAllergens = (allergies = []) => {
+    const groups = [];
+
+    allergies
+        .map(allergy => String(allergy).trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(term => {
+            const exact = ALLERGEN_GROUPS.filter(group => group.aliases.includes(term));
+            const known = exact.length > 0 ? exact : ALLERGEN_GROUPS.filter(group => mentionsGroup(term, group));
+            const resolved = known.length > 0 ? known : [{ label: term, aliases: [term], codes: [] }];
+            resolved.forEach(group => {
+                if (!groups.includes(group)) groups.push(group);
+            });
+        });
+
+    return groups;
+};
+
+const matchesAllergen = (item, group) => group.codes.includes(item.foodCode) || mentionsGroup(itemNames(item), group);
+
+const allergyWarnings = (items, allergens) => allergens
+    .map(group => {
+        const hits = items.filter(item => matchesAllergen(item, group));
+        if (hits.length === 0) return null;
+        return {
+            type: 'allergy',
+            severity: 'danger',
+            label: group.label,
+            message: `Contains ${group.label.toLowerCase()}: ${listNames(hits)}`,
+        };
+    })
+    .filter(Boolean);
+
+// Condition rules, matched case-insensitively against the profile's healthIssues
+const CONDITION_RULES = [
+    {
+        label: 'Diabetes',
+        pattern: /diabet|blood sugar|insulin resistance|pcos|pcod/i,
+        check: ({ items }) => {
+            const warnings = [];
+
+            const sweets = items.filter(item => item.food?.category === 'sweet' || SWEET_CODES.includes(item.foodCode));
+            if (sweets.length > 0) {
+                warnings.push({ severity: 'danger', message: `Sugary food: ${listNames(sweets)}` });
+            }
+
+            const sugar = items.filter(item => ADDED_SUGAR_CODES.includes(item.foodCode));
+            if (sugar.length > 0) {
+                warnings.push({ severity: 'danger', message: `Contains added sugar: ${listNames(sugar)}` });
+            }
+
+            const highGi = items.filter(item => item.food?.glycemicIndex >= HIGH_GI);
+            if (highGi.length > 0) {
+                const foods = [...new Set(highGi.map(item => `${item.food.name} (GI ${item.food.glycemicIndex})`))].join(', ');
+                warnings.push({ severity: 'warning', message: `High glycaemic index: ${foods}. Keep the portion small and pair it with dal, vegetables or curd.` });
+            }
+
+            return warnings;
+        },
+    },
+    {
+        label: 'Hypertension',
+        pattern: /hypertension|blood pressure|\bbp\b/i,
+        check: ({ sodium }) => {
+            if (sodium === null || sodium < SODIUM_WARNING_MG) return [];
+            return [{
+                severity: sodium >= SODIUM_DANGER_MG ? 'danger' : 'warning',
+                message: `High sodium: about ${Math.round(sodium)} mg in this serving`,
+            }];
+        },
+    },
+];
+
+// Sodium (mg) of a portion of a database food; null when unknown
+const portionSodium = (food, grams) => (food && grams ? (food.per100g.sodium * grams) / 100 : null);
+
+// Runs allergy and condition rules over a set of items (a dish, a meal or a single food).
+// `sodium` overrides the sum of item sodium values (e.g. per-serving recipe nutrition).
+const checkItems = (items, profile = {}, { sodium } = {}) => {
+    const allergens = resolveAllergens(profile.allergies);
+    const healthIssues = profile.healthIssues || [];
+    const rules = CONDITION_RULES.filter(rule => healthIssues.some(issue => rule.pattern.test(issue)));
+
+    const knownSodium = items.filter(item => typeof item.sodium === 'number');
+    const totalSodium = sodium !== undefined
+        ? sodium
+        : (knownSodium.length > 0 ? knownSodium.reduce((sum, item) => sum + item.sodium, 0) : null);
+
+    const conditionWarnings = rules.flatMap(rule => rule.check({ items, sodium: totalSodium })
+        .map(warning => ({ type: 'condition', label: rule.label, ...warning })));
+
+    return [...allergyWarnings(items, allergens), ...conditionWarnings];
+};
+
+// Recipe (with optional `nutrition`) against the profile; foods is a Map of code -> food
+const checkRecipe = (recipe, foods, profile) => checkItems(
+    recipe.ingredients.map(ingredient => ({
+        foodCode: ingredient.foodCode,
+        name: ingredient.name,
+        food: foods.get(ingredient.foodCode),
+    })),
+    profile,
+    { sodium: recipe.nutrition?.perServing?.sodium ?? null }
+);
+
+// Single meal log entry; food is its database food (or undefined for manual entries)
+const checkMealEntry = (entry, food, profile) => checkItems(
+    [{ foodCode: entry.foodCode, name: entry.name, food, sodium: portionSodium(food, entry.grams) }],
+    profile
+);
+
+// Planned meal (template items with grams) against the profile
+const checkPlannedMeal = (meal, foods, profile) => checkItems(
+    meal.items.map(item => {
+        const food = foods.get(item.foodCode);
+        return { foodCode: item.foodCode, name: item.name, food, sodium: portionSodium(food, item.grams) };
+    }),
+    profile
+);
+
+// True when the profile declares anything the rules can act on
+const hasSafetyRules = (profile = {}) => (profile.allergies || []).length > 0 || (profile.healthIssues || []).length > 0;
+
+module.exports = {
+    ALLERGEN_GROUPS,
+    resolveAllergens,
+    checkItems,
+    checkRecipe,
+    checkMealEntry,
+    checkPlannedMeal,
+    hasSafetyRules,
+};
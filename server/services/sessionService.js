@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/SessionModel');
+const User = require('../models/UserModel');
+
+// Access tokens are short-lived; the refresh token (stored hashed) keeps the device signed in
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+// A just-rotated token replayed within this window is treated as a race between tabs, not theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['SamsungBrowser', 'Samsung Internet'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS);
+
+// "Chrome on Android" style label from the User-Agent header
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+    const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker));
+    if (!browser && !platform) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+
+    return [browser ? browser[1] : 'Browser', platform && `on ${platform[1]}`].filter(Boolean).join(' ');
+};
+
+// The role rides along so routes can check it without a lookup; it is refreshed with the token
+const signAccessToken = (userId, sessionId, role) => jwt.sign(
+    { user: { id: userId, sessionId, role } },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Starts a session for a freshly authenticated user; returns the auth response body
+const createSession = async (user, req) => {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        device: describeDevice(req.get('user-agent')),
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+    });
+
+    return { token: signAccessToken(user.id, session.id, user.role), refreshToken, userId: user.id, role: user.role };
+};
+
+// Exchanges a refresh token for a new access/refresh pair. Replaying an already rotated
+// token revokes the whole session, since it was probably copied. Returns null when invalid.
+const rotateSession = async (refreshToken, req) => {
+    const hash = hashToken(refreshToken);
+    const now = new Date();
+    const nextToken = newRefreshToken();
+
+    // Matching on the current hash makes the rotation atomic: of two parallel refreshes with
+    // the same token, only one rotates the session
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            previousTokenHash: hash,
+            refreshTokenHash: hashToken(nextToken),
+            rotatedAt: now,
+            lastSeenAt: now,
+            ip: req.ip,
+            expiresAt: refreshExpiry(),
+        },
+        { new: true }
+    );
+
+    if (session) {
+        const user = await User.findById(session.user).select('role');
+        if (!user) {
+            await Session.updateOne({ _id: session._id }, { revokedAt: now });
+            return null;
+        }
+        return { token: signAccessToken(user.id, session.id, user.role), refreshToken: nextToken, userId: user.id, role: user.role };
+    }
+
+    const rotated = await Session.findOne({ previousTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } });
+    if (!rotated) return null;
+
+    if (!rotated.rotatedAt || now - rotated.rotatedAt > REUSE_GRACE_MS) {
+        await Session.updateOne({ _id: rotated._id, revokedAt: null }, { revokedAt: now });
+        return null;
+    }
+
+    // Lost a race with a parallel refresh (another tab): the winner holds the new refresh token,
+    // so this one only gets an access token and keeps whatever refresh token is stored
+    const user = await User.findById(rotated.user).select('role');
+    if (!user) {
+        await Session.updateOne({ _id: rotated._id }, { revokedAt: now });
+        return null;
+    }
+    return { token: signAccessToken(user.id, rotated.id, user.role), userId: user.id, role: user.role };
+};
+
+// Used by the auth middleware: true while the session is neither revoked nor expired.
+// Also bumps lastSeenAt (without delaying the request).
+const isSessionActive = async (sessionId) => {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt lastSeenAt');
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) return false;
+
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+        Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date() })
+            .catch(err => console.error(err.message));
+    }
+    return true;
+};
+
+// Active sessions for the sessions list, most recently used first
+const listSessions = async (userId) => {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('device ip createdAt lastSeenAt')
+        .sort({ lastSeenAt: -1 });
+    return sessions.map(session => session.toObject());
+};
+
+// Revokes the user's sessions matching `filter`; returns how many were signed out
+const revokeSessions = async (userId, filter = {}) => {
+    const result = await Session.updateMany(
+        { ...filter, user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+};
+
+// Revokes the session a refresh token belongs to (logout); returns false for unknown tokens
+const revokeByRefreshToken = async (refreshToken) => {
+    const result = await Session.updateOne(
+        { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    createSession,
+    rotateSession,
+    isSessionActive,
+    listSessions,
+    revokeSessions,
+    revokeByRefreshToken,
+};
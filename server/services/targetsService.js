@@ -0,0 +1,138 @@
+const { calculateBmi } = require('./weightService');
+
+// ICMR-NIN (2020) reference adults, used to fill in profile fields the user hasn't provided yet
+const REFERENCE_ADULT = {
+    male: { weight: 65, height: 177, age: 25 },
+    female: { weight: 55, height: 162, age: 25 },
+};
+
+// Physical activity levels (BMR multipliers); sedentary/moderate follow ICMR-NIN 2020, the rest sit between its bands
+const ACTIVITY_PAL = {
+    sedentary: 1.4,
+    light: 1.6,
+    moderate: 1.8,
+    very: 2.0,
+};
+
+// ICMR-NIN 2020 scales FAO/WHO/UNU BMR predictions down ~10% for Indian adults
+const INDIAN_BMR_FACTOR = 0.9;
+
+// kcal/day adjustment applied on top of maintenance energy
+const GOAL_ENERGY_ADJUSTMENT = {
+    lose_weight: -500,
+    gain_muscle: 300,
+    maintain: 0,
+    healthy_eating: 0,
+};
+
+// Protein in g per kg of (reference) body weight; 0.83 g/kg is the ICMR-NIN adult RDA
+const GOAL_PROTEIN_PER_KG = {
+    lose_weight: 1.0,
+    gain_muscle: 1.4,
+    maintain: 0.83,
+    healthy_eating: 0.83,
+};
+
+const FAT_ENERGY_SHARE = 0.25; // ICMR-NIN recommends 20-30% of energy from fat
+const FIBRE_PER_1000_KCAL = 20; // ICMR-NIN: ~40 g fibre per 2000 kcal
+const MIN_CALORIES = 1200;
+
+// Asian-Indian BMI cut-offs (lower than the WHO international ones)
+const BMI_CATEGORIES = [
+    { max: 18.5, label: 'Underweight' },
+    { max: 23, label: 'Normal' },
+    { max: 25, label: 'Overweight' },
+    { max: Infinity, label: 'Obese' },
+];
+const HEALTHY_BMI_UPPER = 22.9;
+
+// FAO/WHO/UNU (2004) BMR equations, as used by ICMR-NIN; weight in kg, returns kcal/day
+const BMR_EQUATIONS = {
+    male: [
+        { maxAge: 10, a: 22.706, b: 504.3 },
+        { maxAge: 18, a: 17.686, b: 658.2 },
+        { maxAge: 30, a: 15.057, b: 692.2 },
+        { maxAge: 60, a: 11.472, b: 873.1 },
+        { maxAge: Infinity, a: 11.711, b: 587.7 },
+    ],
+    female: [
+        { maxAge: 10, a: 20.315, b: 485.9 },
+        { maxAge: 18, a: 13.384, b: 692.6 },
+        { maxAge: 30, a: 14.818, b: 486.6 },
+        { maxAge: 60, a: 8.126, b: 845.6 },
+        { maxAge: Infinity, a: 9.082, b: 658.5 },
+    ],
+};
+
+const bmrFor = (sex, weight, age) => {
+    const { a, b } = BMR_EQUATIONS[sex].find(band => age < band.maxAge);
+    return (a * weight + b) * INDIAN_BMR_FACTOR;
+};
+
+const getBmiCategory = (bmi) => (bmi ? BMI_CATEGORIES.find(category => bmi < category.max).label : null);
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// Daily energy, macro and fibre targets for a profile.
+// Missing fields fall back to the ICMR-NIN reference adult and are listed in `missing`.
+const calculateTargets = (profile = {}) => {
+    const gender = ['male', 'female'].includes(profile.gender) ? profile.gender : null;
+    const reference = REFERENCE_ADULT[gender || 'male'];
+    const missing = [];
+
+    const pick = (field) => {
+        const value = toNumber(profile[field]);
+        if (value === null) missing.push(field);
+        return value ?? reference[field];
+    };
+
+    const weight = pick('weight');
+    const height = pick('height');
+    const age = pick('age');
+    if (!gender) missing.push('gender');
+    const activityLevel = ACTIVITY_PAL[profile.activityLevel] ? profile.activityLevel : 'sedentary';
+    if (!profile.activityLevel) missing.push('activityLevel');
+    const goal = GOAL_ENERGY_ADJUSTMENT[profile.goal] !== undefined ? profile.goal : 'maintain';
+
+    // Unknown or 'other' gender uses the mean of both equations
+    const bmr = gender
+        ? bmrFor(gender, weight, age)
+        : (bmrFor('male', weight, age) + bmrFor('female', weight, age)) / 2;
+    const pal = ACTIVITY_PAL[activityLevel];
+    const tdee = bmr * pal;
+    const calories = Math.max(tdee + GOAL_ENERGY_ADJUSTMENT[goal], MIN_CALORIES, goal === 'lose_weight' ? bmr : 0);
+
+    // Protein is based on weight at the top of the healthy Asian BMI range for users above it
+    const bmi = calculateBmi(weight, height);
+    const heightM = height / 100;
+    const proteinWeight = bmi > HEALTHY_BMI_UPPER ? HEALTHY_BMI_UPPER * heightM * heightM : weight;
+    const protein = proteinWeight * GOAL_PROTEIN_PER_KG[goal];
+    const fat = (calories * FAT_ENERGY_SHARE) / 9;
+    const carbs = (calories - protein * 4 - fat * 9) / 4;
+
+    return {
+        bmr: Math.round(bmr),
+        tdee: Math.round(tdee),
+        calories: Math.round(calories),
+        protein: Math.round(protein),
+        carbs: Math.round(carbs),
+        fat: Math.round(fat),
+        fibre: Math.round((calories / 1000) * FIBRE_PER_1000_KCAL),
+        bmi,
+        bmiCategory: getBmiCategory(bmi),
+        pal,
+        goal,
+        estimated: missing.length > 0,
+        missing,
+    };
+};
+
+module.exports = {
+    REFERENCE_ADULT,
+    BMI_CATEGORIES,
+    getBmiCategory,
+    calculateTargets,
+};
@@ -0,0 +1,43 @@
+const round = (value) => Math.round(value * 10) / 10;
+
+// BMI from weight (kg) and height (cm); null when height is unknown
+const calculateBmi = (weight, height) => {
+    if (!weight || !height) return null;
+    const heightM = height / 100;
+    return round(weight / (heightM * heightM));
+};
+
+// Adds BMI and distance-to-target to each entry (entries sorted by date ascending)
+const withTrend = (entries, { height, targetWeight } = {}) => entries.map(entry => ({
+    _id: entry._id,
+    date: entry.date,
+    weight: entry.weight,
+    note: entry.note,
+    bmi: calculateBmi(entry.weight, height),
+    toTarget: targetWeight ? round(entry.weight - targetWeight) : null,
+}));
+
+// Summary tiles for the progress screen
+const summariseWeights = (trend, { profile = {}, latestWeight, activeDays = 0, activeStreak = 0 } = {}) => {
+    const currentWeight = latestWeight ?? profile.weight ?? null;
+    const startWeight = trend.length > 0 ? trend[0].weight : null;
+    const targetWeight = profile.targetWeight || null;
+
+    return {
+        currentWeight,
+        startWeight,
+        // Negative means weight was lost over the range
+        change: currentWeight !== null && startWeight !== null ? round(currentWeight - startWeight) : null,
+        bmi: calculateBmi(currentWeight, profile.height),
+        targetWeight,
+        toTarget: currentWeight !== null && targetWeight ? round(currentWeight - targetWeight) : null,
+        activeDays,
+        activeStreak,
+    };
+};
+
+module.exports = {
+    calculateBmi,
+    withTrend,
+    summariseWeights,
+};
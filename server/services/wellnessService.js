@@ -0,0 +1,98 @@
+const { REFERENCE_ADULT } = require('./targetsService');
+
+// Water and sleep targets, and day totals for the water and sleep logs
+
+const GLASS_ML = 250;
+
+// Adults need roughly 35 ml of fluid per kg of body weight a day
+const WATER_ML_PER_KG = 35;
+const MIN_WATER_ML = 1500;
+const MAX_WATER_ML = 4000;
+
+// Extra water for the heat and humidity of most of the country; the hills of the
+// Northeast and the North's winters need less on average
+const CLIMATE_EXTRA_ML = {
+    'North India': 250,
+    'South India': 500,
+    'East India': 500,
+    'West India': 500,
+    'Northeast India': 0,
+    'Central India': 500,
+};
+const DEFAULT_CLIMATE_EXTRA_ML = 250;
+
+// Conditions where more fluid is advised, matched against healthIssues like the safety rules
+const FLUID_CONDITIONS = [
+    // Urologists advise enough fluid to pass 2-2.5 L of urine a day to prevent stones
+    { label: 'Kidney stones', pattern: /kidney stone|renal stone|renal calcul|nephrolith/i, minimumMl: 3000 },
+    { label: 'Urinary tract infections', pattern: /\buti\b|urinary/i, minimumMl: 2500 },
+    { label: 'Constipation', pattern: /constipat/i, minimumMl: 2500 },
+];
+
+// Recommended hours of sleep by age (National Sleep Foundation / AASM)
+const SLEEP_BANDS = [
+    { maxAge: 13, min: 9, max: 12 },
+    { maxAge: 18, min: 8, max: 10 },
+    { maxAge: 65, min: 7, max: 9 },
+    { maxAge: Infinity, min: 7, max: 8 },
+];
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// Daily water target (ml, rounded to 50 ml) from weight, region and fluid-related conditions.
+// `reasons` explains anything added on top of the weight-based amount.
+const waterTarget = (profile = {}) => {
+    const weight = Number(profile.weight) > 0
+        ? Number(profile.weight)
+        : REFERENCE_ADULT[profile.gender === 'female' ? 'female' : 'male'].weight;
+    const climateExtra = CLIMATE_EXTRA_ML[profile.region] ?? DEFAULT_CLIMATE_EXTRA_ML;
+    const reasons = [];
+
+    let ml = weight * WATER_ML_PER_KG + climateExtra;
+    if (climateExtra > 0) reasons.push(`+${climateExtra} ml for ${profile.region ? `the ${profile.region}` : 'a warm'} climate`);
+
+    (profile.healthIssues || []).forEach(issue => {
+        const condition = FLUID_CONDITIONS.find(rule => rule.pattern.test(issue));
+        if (condition && ml < condition.minimumMl) {
+            ml = condition.minimumMl;
+            reasons.push(`at least ${condition.minimumMl} ml for ${condition.label.toLowerCase()}`);
+        }
+    });
+
+    const target = Math.min(Math.max(roundTo(ml, 50), MIN_WATER_ML), MAX_WATER_ML);
+    return { ml: target, glasses: Math.ceil(target / GLASS_ML), reasons, estimated: !(Number(profile.weight) > 0) };
+};
+
+// Recommended sleep range in hours; a missing age counts as an adult
+const sleepTarget = (profile = {}) => {
+    const age = Number(profile.age) > 0 ? Number(profile.age) : REFERENCE_ADULT.male.age;
+    const { min, max } = SLEEP_BANDS.find(band => age < band.maxAge);
+    return { min, max };
+};
+
+// Total water for a day's entries against the target
+const summariseWater = (entries, target) => {
+    const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    return {
+        total,
+        glasses: Math.round((total / GLASS_ML) * 10) / 10,
+        target: target.ml,
+        targetGlasses: target.glasses,
+        percent: Math.round((total / target.ml) * 100),
+    };
+};
+
+// 'short', 'ok' or 'long' against the recommended range
+const sleepStatus = (hours, target) => {
+    if (hours < target.min) return 'short';
+    if (hours > target.max) return 'long';
+    return 'ok';
+};
+
+module.exports = {
+    GLASS_ML,
+    waterTarget,
+    sleepTarget,
+    summariseWater,
+    sleepStatus,
+};
@@ -0,0 +1,78 @@
+// Helpers for the 'YYYY-MM-DD' day keys that all daily logs are stored under
+const { DEFAULT_TIME_ZONE } = require('../config/constants');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDateKey = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+// Formats a Date as a UTC day key
+const toDateKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Shifts a day key by a number of days (negative to go back)
+const addDays = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateKey(date);
+};
+
+// Whether a string is an IANA time zone this runtime knows ('Asia/Kolkata')
+const isTimeZone = (value) => {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// The wall-clock day key, minutes since midnight and weekday (0 = Sunday) of an instant in a time zone
+const localTime = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23',
+    }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+    return {
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+    };
+};
+
+// Today's day key on the clock of a time zone (the default zone when it isn't a valid one).
+// Logs are keyed by the user's local day, so "today" has to be read there rather than in UTC.
+const todayIn = (timeZone) => localTime(new Date(), isTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE).dateKey;
+
+// The instant a wall-clock day key and 'HH:MM' time falls on in a time zone (the inverse of localTime).
+// Times skipped by a daylight-saving change resolve to a neighbouring hour.
+const fromLocalTime = (dateKey, time, timeZone) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.parse(`${dateKey}T00:00:00Z`) + (hours * 60 + minutes) * 60000;
+
+    // Start from the UTC reading and correct by the zone's offset; twice settles offset changes
+    let instant = wallClock;
+    for (let i = 0; i < 2; i++) {
+        const local = localTime(new Date(instant), timeZone);
+        instant += wallClock - (Date.parse(`${local.dateKey}T00:00:00Z`) + local.minutes * 60000);
+    }
+    return new Date(instant);
+};
+
+module.exports = {
+    isDateKey,
+    toDateKey,
+    addDays,
+    isTimeZone,
+    localTime,
+    todayIn,
+    fromLocalTime,
+};